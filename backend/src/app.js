@@ -22,9 +22,19 @@ const { connectRabbitMQ, closeRabbitMQ } = require('./config/rabbitmq');
 const jobRoutes = require('./routes/jobs');
 const metricsRoutes = require('./routes/metrics');
 const healthRoutes = require('./routes/health');
+const keyRoutes = require('./routes/keys');
+const auditRoutes = require('./routes/audit');
+const workflowRoutes = require('./routes/workflows');
+const scheduleRoutes = require('./routes/schedules');
+const fileRoutes = require('./routes/files');
+const githubRoutes = require('./routes/github');
+const advisoryRoutes = require('./routes/advisories');
+const repositoryRoutes = require('./routes/repositories');
 
 // Import middleware and services
 const errorHandler = require('./middleware/errorHandler');
+const { auth, requireScope, socketAuth } = require('./middleware/auth');
+const { getTenantId, canAccessTenant, tenantRoom } = require('./utils/tenancy');
 const logger = require('./utils/logger');
 const socketService = require('./services/socketService');
 
@@ -48,7 +58,7 @@ const corsOptions = {
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 };
 
 const io = new Server(server, {
@@ -137,15 +147,28 @@ app.get('/', (req, res) => {
             health: '/health',
             api: '/api',
             jobs: '/api/jobs',
+            workflows: '/api/workflows',
+            schedules: '/api/schedules',
+            files: '/api/files',
             metrics: '/api/metrics',
+            keys: '/api/keys',
+            audit: '/api/audit',
             healthCheck: '/api/health'
         }
     });
 });
 
-// Routes
-app.use('/api/jobs', jobRoutes);
-app.use('/api/metrics', metricsRoutes);
+// Routes (health stays public for probes, everything else needs an API key)
+app.use('/api/jobs', auth, jobRoutes);
+app.use('/api/workflows', auth, workflowRoutes);
+app.use('/api/schedules', auth, scheduleRoutes);
+app.use('/api/files', auth, fileRoutes);
+app.use('/api/metrics', auth, requireScope('read'), metricsRoutes);
+app.use('/api/keys', auth, keyRoutes);
+app.use('/api/audit', auth, requireScope('admin'), auditRoutes);
+app.use('/api/github', auth, requireScope('admin'), githubRoutes);
+app.use('/api/advisories', auth, requireScope('admin'), advisoryRoutes);
+app.use('/api/repositories', auth, requireScope('read'), repositoryRoutes);
 app.use('/api/health', healthRoutes);
 
 // Test endpoint for debugging
@@ -159,8 +182,14 @@ app.get('/test', (req, res) => {
 });
 
 // Socket.io for real-time updates
+io.use(socketAuth);
+
 io.on('connection', (socket) => {
-    logger.info('Client connected to socket', { socketId: socket.id });
+    const tenantId = getTenantId(socket.data.apiKey);
+    logger.info('Client connected to socket', { socketId: socket.id, tenantId });
+
+    // Job events are broadcast per tenant
+    socket.join(tenantRoom(tenantId));
 
     // Send current system status on connection
     socket.emit('system_status', {
@@ -170,10 +199,24 @@ io.on('connection', (socket) => {
     });
 
     // Handle client requesting job updates
-    socket.on('subscribe_job_updates', (jobId) => {
-        if (jobId) {
+    socket.on('subscribe_job_updates', async (jobId) => {
+        if (!jobId) return;
+
+        try {
+            const { getJobStatus } = require('./config/agenda');
+            const job = await getJobStatus(jobId);
+
+            if (!job || !canAccessTenant(tenantId, job.attrs.data?.tenantId)) {
+                logger.warn(`Refused job subscription: ${jobId}`, { socketId: socket.id, tenantId });
+                socket.emit('subscription_error', { jobId, error: 'Job not found' });
+                return;
+            }
+
             socket.join(`job_${jobId}`);
             logger.info(`Client subscribed to job updates: ${jobId}`, { socketId: socket.id });
+        } catch (error) {
+            logger.warn(`Job subscription failed: ${jobId}`, { socketId: socket.id, error: error.message });
+            socket.emit('subscription_error', { jobId, error: 'Job not found' });
         }
     });
 
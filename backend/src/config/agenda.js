@@ -1,6 +1,7 @@
 const Agenda = require('agenda');
 const logger = require('../utils/logger');
 const { ObjectId } = require('mongodb');
+const { runWithJobContext } = require('../utils/jobContext');
 
 let agenda = null;
 
@@ -26,6 +27,8 @@ const initializeAgenda = async () => {
                 job_id: job.attrs._id.toString(),
                 job_type: job.attrs.name,
                 status: 'running',
+                tenant_id: job.attrs.data?.tenantId,
+                created_by: job.attrs.data?.createdBy,
                 started_at: new Date(),
                 cost_usd: 0,
                 tokens_used: 0,
@@ -53,10 +56,11 @@ const initializeAgenda = async () => {
     }
 };
 
+const SYSTEM_JOB_NAMES = ['cleanup-old-jobs', 'cleanup-finished-jobs', 'system-health-check', 'run-schedule'];
+
 // Helper function to categorize jobs
 const getJobCategory = (jobName) => {
-    const systemJobs = ['cleanup-old-jobs', 'cleanup-finished-jobs', 'system-health-check'];
-    return systemJobs.includes(jobName) ? 'system' : 'user';
+    return SYSTEM_JOB_NAMES.includes(jobName) ? 'system' : 'user';
 };
 
 const setupEventListeners = () => {
@@ -66,6 +70,7 @@ const setupEventListeners = () => {
 
     agenda.on('start', (job) => {
         const category = getJobCategory(job.attrs.name);
+        recordJobAuditEvent('job.started', job);
         logger.info(`🎯 ${category.toUpperCase()} JOB STARTING: ${job.attrs.name}`, {
             jobId: job.attrs._id,
             category,
@@ -78,8 +83,19 @@ const setupEventListeners = () => {
     });
 
     agenda.on('complete', (job) => {
+        // Agenda also completes failed runs - the 'fail' listener has recorded those
+        if (hasFailedLastRun(job)) return;
+
         const duration = job.attrs.lastFinishedAt - job.attrs.lastRunAt;
         const category = getJobCategory(job.attrs.name);
+        if (isDeferred(job)) {
+            logger.info(`⏸️ ${category.toUpperCase()} JOB DEFERRED: ${job.attrs.name}`, {
+                jobId: job.attrs._id,
+                until: job.attrs.nextRunAt
+            });
+            updateJobMetrics(job.attrs._id, 'deferred', { deferred_until: job.attrs.nextRunAt });
+            return;
+        }
         logger.info(`✅ ${category.toUpperCase()} JOB COMPLETED: ${job.attrs.name}`, {
             jobId: job.attrs._id,
             category,
@@ -88,11 +104,26 @@ const setupEventListeners = () => {
         updateJobMetrics(job.attrs._id, 'completed', {
             completed_at: new Date(),
             duration_ms: duration
+        }).then(() => {
+            // Dependents are released on the recorded 'completed' status, so only now
+            if (category === 'user') {
+                require('../services/dependencyService').onJobSucceeded(job.attrs._id);
+            }
         });
     });
 
     agenda.on('success', (job) => {
         const category = getJobCategory(job.attrs.name);
+        if (isDeferred(job)) {
+            recordJobAuditEvent('job.deferred', job, {
+                until: job.attrs.data.deferredUntil,
+                reason: job.attrs.data.deferralReason
+            });
+            return;
+        }
+        recordJobAuditEvent('job.completed', job, {
+            durationMs: job.attrs.lastFinishedAt - job.attrs.lastRunAt
+        });
         logger.info(`✅ ${category.toUpperCase()} JOB SUCCEEDED: ${job.attrs.name}`, {
             jobId: job.attrs._id,
             category
@@ -101,6 +132,13 @@ const setupEventListeners = () => {
 
     agenda.on('fail', (error, job) => {
         const category = getJobCategory(job.attrs.name);
+        recordJobAuditEvent('job.failed', job, { error: error.message });
+        if (getJobCategory(job.attrs.name) === 'user') {
+            require('../services/dependencyService').failDependents(
+                job.attrs._id,
+                `Dependency ${job.attrs._id} failed: ${error.message}`
+            );
+        }
         logger.error(`❌ ${category.toUpperCase()} JOB FAILED: ${job.attrs.name}`, {
             jobId: job.attrs._id,
             category,
@@ -119,10 +157,54 @@ const setupEventListeners = () => {
     });
 };
 
+// Audit lifecycle events for user jobs (system jobs run too often to be useful here)
+const recordJobAuditEvent = (action, job, details = {}) => {
+    if (getJobCategory(job.attrs.name) !== 'user') return;
+
+    const auditService = require('../services/auditService');
+    auditService.recordEvent({
+        action,
+        actor: auditService.systemActor('agenda'),
+        tenantId: job.attrs.data?.tenantId || null,
+        jobId: job.attrs._id,
+        details: { jobType: job.attrs.name, ...details }
+    });
+};
+
+// Jobs that hit an external rate limit (errors carrying `retryAt`) run again once it
+// resets instead of failing. Agenda still finishes the current run, so a deferred job
+// is one that finished with deferredUntil set - the next run clears it
+const MAX_JOB_DEFERRALS = parseInt(process.env.MAX_JOB_DEFERRALS) || 5;
+
+const isDeferred = (job) => Boolean(job.attrs.data?.deferredUntil);
+
+// job.fail() stamps failedAt and lastFinishedAt with the same time
+const hasFailedLastRun = (job) => Boolean(job.attrs.failedAt) &&
+    job.attrs.failedAt.getTime() === job.attrs.lastFinishedAt?.getTime();
+
+// Returns false when the job has been deferred too often and should fail instead
+const deferJob = (job, error) => {
+    const deferrals = (job.attrs.data.deferrals || 0) + 1;
+    if (deferrals > MAX_JOB_DEFERRALS) return false;
+
+    job.attrs.data.deferrals = deferrals;
+    job.attrs.data.deferredUntil = error.retryAt;
+    job.attrs.data.deferralReason = error.message;
+    job.attrs.nextRunAt = error.retryAt;
+
+    logger.warn(`Job deferred until ${error.retryAt.toISOString()}: ${error.message}`, {
+        jobId: job.attrs._id,
+        deferrals
+    });
+    return true;
+};
+
 const defineJobProcessors = async () => {
     // Import job processors
     const githubAnalysisJob = require('../jobs/githubAnalysisJob');
+    const githubPrReviewJob = require('../jobs/githubPrReviewJob');
     const documentSummaryJob = require('../jobs/documentSummaryJob');
+    const documentComparisonJob = require('../jobs/documentComparisonJob');
     const deepResearchJob = require('../jobs/deepResearchJob');
 
     // Define processors with error handling
@@ -131,21 +213,47 @@ const defineJobProcessors = async () => {
         lockLifetime: parseInt(process.env.JOB_LOCK_LIFETIME) || 600000
     }, async (job, done) => {
         try {
-            const result = await githubAnalysisJob(job);
+            const result = await runWithJobContext(job, () => githubAnalysisJob(job));
             job.attrs.result = result;
+            job.attrs.data.deferredUntil = null;
             done();
         } catch (error) {
+            if (error.retryAt && deferJob(job, error)) {
+                done();
+                return;
+            }
+            job.attrs.data.deferredUntil = null;
             logger.error('GitHub analysis job processor error:', error);
             done(error);
         }
     });
 
+    agenda.define('github-pr-review', {
+        concurrency: parseInt(process.env.DEFAULT_JOB_CONCURRENCY) || 2,
+        lockLifetime: parseInt(process.env.JOB_LOCK_LIFETIME) || 600000
+    }, async (job, done) => {
+        try {
+            const result = await runWithJobContext(job, () => githubPrReviewJob(job));
+            job.attrs.result = result;
+            job.attrs.data.deferredUntil = null;
+            done();
+        } catch (error) {
+            if (error.retryAt && deferJob(job, error)) {
+                done();
+                return;
+            }
+            job.attrs.data.deferredUntil = null;
+            logger.error('Pull request review job processor error:', error);
+            done(error);
+        }
+    });
+
     agenda.define('document-summary', {
         concurrency: parseInt(process.env.DEFAULT_JOB_CONCURRENCY) || 3,
         lockLifetime: parseInt(process.env.JOB_LOCK_LIFETIME) || 600000
     }, async (job, done) => {
         try {
-            const result = await documentSummaryJob(job);
+            const result = await runWithJobContext(job, () => documentSummaryJob(job));
             job.attrs.result = result;
             done();
         } catch (error) {
@@ -153,6 +261,20 @@ const defineJobProcessors = async () => {
             done(error);
         }
     });
+
+    agenda.define('document-comparison', {
+        concurrency: parseInt(process.env.DEFAULT_JOB_CONCURRENCY) || 2,
+        lockLifetime: parseInt(process.env.JOB_LOCK_LIFETIME) || 1800000
+    }, async (job, done) => {
+        try {
+            const result = await runWithJobContext(job, () => documentComparisonJob(job));
+            job.attrs.result = result;
+            done();
+        } catch (error) {
+            logger.error('Document comparison job processor error:', error);
+            done(error);
+        }
+    });
 // deep research concurrency and shi 
     agenda.define('deep-research', {
         concurrency: 1,
@@ -164,7 +286,7 @@ const defineJobProcessors = async () => {
                 topic: job.attrs.data?.topic,
                 timestamp: new Date()
             });
-            const result = await deepResearchJob(job);
+            const result = await runWithJobContext(job, () => deepResearchJob(job));
             job.attrs.result = result;
             logger.info('Deep research processor completed', { jobId: job.attrs._id });
             done();
@@ -183,6 +305,12 @@ const defineJobProcessors = async () => {
     agenda.define('cleanup-finished-jobs', { concurrency: 1 }, cleanupFinishedJobs);
     agenda.define('system-health-check', { concurrency: 1 }, systemHealthCheck);
 
+    // User schedules - each occurrence creates a regular job for the schedule's owner
+    agenda.define('run-schedule', { concurrency: 5 }, async (job) => {
+        const scheduleService = require('../services/scheduleService');
+        await scheduleService.triggerSchedule(job.attrs.data.scheduleId);
+    });
+
     // CRITICAL: Start agenda using IIFE pattern from docs
     (async function () {
         await agenda.start();
@@ -228,6 +356,8 @@ const createJob = async (jobType, jobData, options = {}) => {
         if (options.priority) job.priority(options.priority);
         if (options.delay) job.schedule(new Date(Date.now() + options.delay));
         if (options.runAt) job.schedule(options.runAt);
+        // Held jobs have no run time until their dependencies release them
+        if (options.hold) job.attrs.nextRunAt = null;
 
         await job.save();
 
@@ -248,7 +378,50 @@ const createJob = async (jobType, jobData, options = {}) => {
     }
 };
 
-const cancelJob = async (jobId) => {
+// Recurring job on a cron expression; the first run is the next cron occurrence
+const createRecurringJob = async (jobType, jobData, interval, options = {}) => {
+    try {
+        if (!agenda) {
+            throw new Error('AgendaJS not initialized');
+        }
+
+        const job = agenda.create(jobType, jobData);
+        job.repeatEvery(interval, {
+            timezone: options.timezone,
+            skipImmediate: true
+        });
+
+        await job.save();
+
+        logger.info(`🔁 RECURRING JOB CREATED: ${jobType}`, {
+            jobId: job.attrs._id,
+            interval,
+            nextRunAt: job.attrs.nextRunAt
+        });
+
+        return job;
+    } catch (error) {
+        logger.error(`Error creating recurring job ${jobType}:`, error);
+        throw error;
+    }
+};
+
+// Pause or resume a recurring job. Resuming takes an explicit next run so a
+// long-paused job doesn't fire immediately for the occurrences it missed
+const setJobEnabled = async (jobId, enabled, nextRunAt = null) => {
+    try {
+        const $set = { disabled: !enabled };
+        if (enabled && nextRunAt) $set.nextRunAt = nextRunAt;
+
+        const result = await agenda._collection.updateOne({ _id: new ObjectId(jobId) }, { $set });
+        return result.matchedCount > 0;
+    } catch (error) {
+        logger.error(`Error ${enabled ? 'enabling' : 'disabling'} job ${jobId}:`, error);
+        throw error;
+    }
+};
+
+const cancelJob = async (jobId, extraQuery = {}) => {
     try {
         const { ObjectId } = require('mongodb');
 
@@ -261,7 +434,7 @@ const cancelJob = async (jobId) => {
             query = { _id: jobId };
         }
 
-        const numRemoved = await agenda.cancel(query);
+        const numRemoved = await agenda.cancel({ ...query, ...extraQuery });
         if (numRemoved > 0) {
             await updateJobMetrics(jobId, 'cancelled', { completed_at: new Date() });
         }
@@ -272,6 +445,21 @@ const cancelJob = async (jobId) => {
     }
 };
 
+// Remove a finished job from Agenda, keeping its metrics for cost history
+const deleteJob = async (jobId, extraQuery = {}) => {
+    try {
+        const numRemoved = await agenda.cancel({ _id: new ObjectId(jobId), ...extraQuery });
+        if (numRemoved > 0) {
+            const { updateJobMetric } = require('./database');
+            await updateJobMetric(String(jobId), { deleted_at: new Date() });
+        }
+        return numRemoved > 0;
+    } catch (error) {
+        logger.error(`Error deleting job ${jobId}:`, error);
+        throw error;
+    }
+};
+
 const getJobStatus = async (jobId) => {
     try {
         const { ObjectId } = require('mongodb');
@@ -297,11 +485,15 @@ const listJobs = async (query = {}, limit = 50, skip = 0) => {
 const createJobMetrics = async (jobId, jobType, jobData) => {
     try {
         const { insertJobMetric } = require('./database');
+        // Metrics are returned by the jobs API, so the (encrypted) token stays in job data only
+        const { githubToken, ...metadata } = jobData;
         await insertJobMetric({
-            job_id: jobId,
+            job_id: String(jobId),
             job_type: jobType,
             status: 'created',
-            metadata: jobData
+            tenant_id: jobData.tenantId,
+            created_by: jobData.createdBy,
+            metadata
         });
     } catch (error) {
         logger.error('Error creating job metrics:', error);
@@ -321,7 +513,9 @@ const updateJobMetrics = async (jobId, status, updates = {}) => {
 const cleanupOldJobs = async (job) => {
     try {
         const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+        // Recurring jobs are never "finished" - leave them alone
         const numRemoved = await agenda.cancel({
+            repeatInterval: null,
             $or: [
                 { lastFinishedAt: { $lt: threeDaysAgo } },
                 { failedAt: { $lt: threeDaysAgo } }
@@ -346,6 +540,7 @@ const cleanupFinishedJobs = async (job) => {
     try {
         const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
         const numRemoved = await agenda.cancel({
+            repeatInterval: null,
             $or: [
                 { lastFinishedAt: { $lt: twoHoursAgo } },
                 { failedAt: { $lt: twoHoursAgo } }
@@ -395,9 +590,14 @@ const gracefulShutdown = async () => {
 module.exports = {
     initializeAgenda,
     createJob,
+    createRecurringJob,
+    setJobEnabled,
     cancelJob,
+    deleteJob,
     getJobStatus,
     listJobs,
     getAgenda,
-    gracefulShutdown
+    getJobCategory,
+    gracefulShutdown,
+    SYSTEM_JOB_NAMES
 };
\ No newline at end of file
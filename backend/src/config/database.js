@@ -1,6 +1,7 @@
 // backend/src/config/database.js
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { DEFAULT_TENANT } = require('../utils/tenancy');
 
 let connection = null;
 
@@ -37,6 +38,16 @@ const connectDatabase = async () => {
 
         // Create job metrics collection with indexes
         await createJobMetricsCollection();
+        await createApiKeysCollection();
+        await createAuditEventsCollection();
+        await createJobLogsCollection();
+        await createWorkflowsCollection();
+        await createSchedulesCollection();
+        await createFilesCollection();
+        await createGitHubCredentialsCollection();
+        await createGitHubCacheCollection();
+        await createAdvisoriesCollection();
+        await createRepositoryAnalysesCollection();
 
         return connection;
     } catch (error) {
@@ -58,6 +69,22 @@ const connectDatabase = async () => {
     }
 };
 
+// Create indexes one by one so a single conflict doesn't block the rest
+const createIndexesSafely = async (collection, indexesToCreate) => {
+    for (const { spec, options } of indexesToCreate) {
+        try {
+            await collection.createIndex(spec, options);
+            logger.info(`Created index: ${options.name || 'unnamed'}`);
+        } catch (error) {
+            if (error.message.includes('existing index')) {
+                logger.warn(`Index already exists: ${options.name || 'unnamed'}, skipping...`);
+            } else {
+                logger.error(`Failed to create index ${options.name}:`, error.message);
+            }
+        }
+    }
+};
+
 const createJobMetricsCollection = async () => {
     try {
         const db = mongoose.connection.db;
@@ -77,20 +104,6 @@ const createJobMetricsCollection = async () => {
         const existingIndexes = await jobMetricsCollection.indexes();
         const existingIndexNames = existingIndexes.map(idx => idx.name);
 
-        // Helper function to create index safely
-        const createIndexSafely = async (indexSpec, options) => {
-            try {
-                await jobMetricsCollection.createIndex(indexSpec, options);
-                logger.info(`Created index: ${options.name || 'unnamed'}`);
-            } catch (error) {
-                if (error.message.includes('existing index')) {
-                    logger.warn(`Index already exists: ${options.name || 'unnamed'}, skipping...`);
-                } else {
-                    logger.error(`Failed to create index ${options.name}:`, error.message);
-                }
-            }
-        };
-
         // Create indexes with unique names to avoid conflicts
         const indexesToCreate = [
             { spec: { job_id: 1 }, options: { unique: true, name: "job_id_unique_idx" } },
@@ -99,7 +112,8 @@ const createJobMetricsCollection = async () => {
             { spec: { started_at: 1 }, options: { name: "started_at_idx" } },
             { spec: { completed_at: 1 }, options: { name: "completed_at_idx" } },
             { spec: { job_type: 1, status: 1 }, options: { name: "job_type_status_idx" } },
-            { spec: { started_at: 1, status: 1 }, options: { name: "started_at_status_idx" } }
+            { spec: { started_at: 1, status: 1 }, options: { name: "started_at_status_idx" } },
+            { spec: { tenant_id: 1, started_at: 1 }, options: { name: "tenant_started_at_idx" } }
         ];
 
         // Drop conflicting index if it exists
@@ -112,9 +126,15 @@ const createJobMetricsCollection = async () => {
             }
         }
 
-        // Create all indexes
-        for (const { spec, options } of indexesToCreate) {
-            await createIndexSafely(spec, options);
+        await createIndexesSafely(jobMetricsCollection, indexesToCreate);
+
+        // Metrics used to copy the job's encrypted GitHub token into their metadata
+        const scrubbed = await jobMetricsCollection.updateMany(
+            { 'metadata.githubToken': { $exists: true } },
+            { $unset: { 'metadata.githubToken': '' } }
+        );
+        if (scrubbed.modifiedCount > 0) {
+            logger.warn(`Removed GitHub tokens from the metadata of ${scrubbed.modifiedCount} job metrics`);
         }
 
         logger.info('Job metrics indexes created/verified');
@@ -124,6 +144,190 @@ const createJobMetricsCollection = async () => {
         logger.warn('Continuing without all indexes - some queries may be slower');
     }
 };
+
+const createApiKeysCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('api_keys'), [
+            { spec: { key_hash: 1 }, options: { unique: true, name: "key_hash_unique_idx" } },
+            { spec: { revoked_at: 1 }, options: { name: "revoked_at_idx" } },
+            { spec: { tenant_id: 1 }, options: { name: "tenant_id_idx" } }
+        ]);
+
+        // Keys created before keys had tenants join the default tenant instead of seeing all of them
+        const migrated = await db.collection('api_keys').updateMany(
+            { tenant_id: null },
+            { $set: { tenant_id: DEFAULT_TENANT } }
+        );
+        if (migrated.modifiedCount > 0) {
+            logger.warn(`Moved ${migrated.modifiedCount} API keys without a tenant to the '${DEFAULT_TENANT}' tenant`);
+        }
+
+        logger.info('API key indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating api_keys indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createAuditEventsCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('audit_events'), [
+            { spec: { timestamp: -1 }, options: { name: "timestamp_idx" } },
+            { spec: { action: 1, timestamp: -1 }, options: { name: "action_timestamp_idx" } },
+            { spec: { job_id: 1 }, options: { name: "job_id_idx" } },
+            { spec: { 'actor.keyId': 1, timestamp: -1 }, options: { name: "actor_timestamp_idx" } },
+            { spec: { tenant_id: 1, timestamp: -1 }, options: { name: "tenant_timestamp_idx" } }
+        ]);
+
+        logger.info('Audit event indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating audit_events indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createJobLogsCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+        const retentionDays = parseInt(process.env.JOB_LOG_RETENTION_DAYS) || 30;
+
+        await createIndexesSafely(db.collection('job_logs'), [
+            { spec: { job_id: 1, timestamp: 1 }, options: { name: "job_timestamp_idx" } },
+            { spec: { timestamp: 1 }, options: { name: "timestamp_ttl_idx", expireAfterSeconds: retentionDays * 24 * 60 * 60 } }
+        ]);
+
+        logger.info('Job log indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating job_logs indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createWorkflowsCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('workflows'), [
+            { spec: { tenant_id: 1, created_at: -1 }, options: { name: "tenant_created_idx" } },
+            { spec: { 'nodes.job_id': 1 }, options: { name: "node_job_id_idx" } }
+        ]);
+
+        logger.info('Workflow indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating workflows indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createSchedulesCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('schedules'), [
+            { spec: { tenant_id: 1, created_at: -1 }, options: { name: "tenant_created_idx" } },
+            { spec: { status: 1 }, options: { name: "status_idx" } }
+        ]);
+
+        await createIndexesSafely(db.collection('schedule_runs'), [
+            { spec: { schedule_id: 1, triggered_at: -1 }, options: { name: "schedule_triggered_idx" } },
+            { spec: { job_id: 1 }, options: { name: "job_id_idx" } }
+        ]);
+
+        logger.info('Schedule indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating schedules indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createFilesCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('files'), [
+            { spec: { tenant_id: 1, created_at: -1 }, options: { name: "tenant_created_idx" } },
+            { spec: { sha256: 1 }, options: { name: "sha256_idx" } }
+        ]);
+
+        logger.info('File indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating files indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+const createGitHubCredentialsCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('github_credentials'), [
+            { spec: { tenant_id: 1, host: 1 }, options: { unique: true, name: "tenant_host_unique_idx" } }
+        ]);
+
+        logger.info('GitHub credential indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating github_credentials indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+// Cached GitHub API responses; entries nobody has revalidated for a while expire
+const createGitHubCacheCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+        const retentionDays = parseInt(process.env.GITHUB_CACHE_RETENTION_DAYS) || 30;
+
+        await createIndexesSafely(db.collection('github_cache'), [
+            { spec: { key: 1 }, options: { unique: true, name: "key_unique_idx" } },
+            { spec: { used_at: 1 }, options: { name: "used_at_ttl_idx", expireAfterSeconds: retentionDays * 24 * 60 * 60 } }
+        ]);
+
+        logger.info('GitHub cache indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating github_cache indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+// Imported OSV advisories, looked up by "<ecosystem>:<package>"
+const createAdvisoriesCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('advisories'), [
+            { spec: { packages: 1 }, options: { name: "packages_idx" } },
+            { spec: { imported_at: -1 }, options: { name: "imported_at_idx" } }
+        ]);
+
+        logger.info('Advisory indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating advisories indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
+// github-analysis snapshots, read back per repository newest first
+const createRepositoryAnalysesCollection = async () => {
+    try {
+        const db = mongoose.connection.db;
+
+        await createIndexesSafely(db.collection('repository_analyses'), [
+            { spec: { job_id: 1 }, options: { unique: true, name: "job_id_unique_idx" } },
+            { spec: { tenant_id: 1, full_name_key: 1, host: 1, analyzed_at: -1 }, options: { name: "tenant_repository_analyzed_idx" } },
+            { spec: { tenant_id: 1, analyzed_at: -1 }, options: { name: "tenant_analyzed_idx" } }
+        ]);
+
+        logger.info('Repository analysis indexes created/verified');
+    } catch (error) {
+        logger.error('Error creating repository_analyses indexes:', error);
+        logger.warn('Continuing without all indexes - some queries may be slower');
+    }
+};
+
 const getDatabase = () => {
     if (!connection) {
         throw new Error('Database not initialized. Call connectDatabase() first.');
@@ -164,14 +368,20 @@ const checkDatabaseHealth = async () => {
 const insertJobMetric = async (jobData) => {
     try {
         const db = getDatabase();
+        // Metrics are keyed by the string form of the job's ObjectId
         const result = await db.collection('job_metrics').updateOne(
-            { job_id: jobData.job_id },
+            { job_id: String(jobData.job_id) },
             {
                 $set: {
                     job_type: jobData.job_type,
                     status: jobData.status,
                     metadata: jobData.metadata || {},
-                    updated_at: new Date()
+                    updated_at: new Date(),
+                    // Only tag ownership when known so later upserts don't clear it
+                    ...(jobData.tenant_id && {
+                        tenant_id: jobData.tenant_id,
+                        created_by: jobData.created_by || null
+                    })
                 },
                 $setOnInsert: {
                     created_at: new Date(),
@@ -194,7 +404,7 @@ const updateJobMetric = async (jobId, updates) => {
     try {
         const db = getDatabase();
         const result = await db.collection('job_metrics').updateOne(
-            { job_id: jobId },
+            { job_id: String(jobId) },
             {
                 $set: {
                     ...updates,
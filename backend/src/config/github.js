@@ -0,0 +1,48 @@
+// backend/src/config/github.js
+// GitHub hosts the API can be used for: github.com plus any GitHub Enterprise
+// Server hosts listed in GITHUB_ENTERPRISE_HOSTS, each with its API base URL.
+//
+//   GITHUB_API_URL=https://api.github.com
+//   GITHUB_ENTERPRISE_HOSTS=ghe.example.com,git.corp.net=https://git.corp.net/api/v3
+
+const GITHUB_HOST = 'github.com';
+
+const getGitHubHosts = () => {
+    const hosts = new Map([[GITHUB_HOST, (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '')]]);
+
+    for (const entry of (process.env.GITHUB_ENTERPRISE_HOSTS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const [host, apiUrl] = entry.split('=');
+        // Enterprise Server serves its REST API under /api/v3 unless told otherwise
+        hosts.set(host.toLowerCase(), (apiUrl || `https://${host}/api/v3`).replace(/\/+$/, ''));
+    }
+    return hosts;
+};
+
+// { host, apiUrl, owner, name } for a repository URL on a known GitHub host, else null
+const parseGitHubRepositoryUrl = (url) => {
+    const match = String(url).match(/^(?:https?:\/\/)?(?:www\.)?([^/\s:]+)\/([^/\s]+)\/([^/\s?#]+)/i);
+    if (!match) return null;
+
+    const [, host, owner, name] = match;
+    const apiUrl = getGitHubHosts().get(host.toLowerCase());
+    if (!apiUrl) return null;
+
+    return { host: host.toLowerCase(), apiUrl, owner, name: name.replace(/\.git$/, '') };
+};
+
+// { host, apiUrl, owner, name, number } for a pull request URL
+// (https://github.com/owner/name/pull/123), else null
+const parseGitHubPullRequestUrl = (url) => {
+    const match = String(url).match(/^(?:https?:\/\/)?(?:www\.)?([^/\s:]+\/[^/\s]+\/[^/\s]+)\/pulls?\/(\d+)(?:[/?#].*)?$/i);
+    if (!match) return null;
+
+    const repository = parseGitHubRepositoryUrl(match[1]);
+    return repository ? { ...repository, number: parseInt(match[2]) } : null;
+};
+
+module.exports = {
+    GITHUB_HOST,
+    getGitHubHosts,
+    parseGitHubRepositoryUrl,
+    parseGitHubPullRequestUrl
+};
@@ -12,14 +12,18 @@ const EXCHANGES = {
 
 const QUEUES = {
     GITHUB_ANALYSIS: 'github.analysis.queue',
+    GITHUB_PR_REVIEW: 'github.pr.review.queue',
     DOCUMENT_SUMMARY: 'document.summary.queue',
+    DOCUMENT_COMPARISON: 'document.comparison.queue',
     DEEP_RESEARCH: 'deep.research.queue',
     FAILED_JOBS: 'failed.jobs.queue'
 };
 
 const ROUTING_KEYS = {
     GITHUB_ANALYSIS: 'job.github.analysis',
+    GITHUB_PR_REVIEW: 'job.github.pr.review',
     DOCUMENT_SUMMARY: 'job.document.summary',
+    DOCUMENT_COMPARISON: 'job.document.comparison',
     DEEP_RESEARCH: 'job.deep.research'
 };
 
@@ -104,9 +108,15 @@ const setupQueues = async () => {
     await channel.assertQueue(QUEUES.GITHUB_ANALYSIS, queueOptions);
     await channel.bindQueue(QUEUES.GITHUB_ANALYSIS, EXCHANGES.RESEARCH_DIRECT, ROUTING_KEYS.GITHUB_ANALYSIS);
 
+    await channel.assertQueue(QUEUES.GITHUB_PR_REVIEW, queueOptions);
+    await channel.bindQueue(QUEUES.GITHUB_PR_REVIEW, EXCHANGES.RESEARCH_DIRECT, ROUTING_KEYS.GITHUB_PR_REVIEW);
+
     await channel.assertQueue(QUEUES.DOCUMENT_SUMMARY, queueOptions);
     await channel.bindQueue(QUEUES.DOCUMENT_SUMMARY, EXCHANGES.RESEARCH_DIRECT, ROUTING_KEYS.DOCUMENT_SUMMARY);
 
+    await channel.assertQueue(QUEUES.DOCUMENT_COMPARISON, queueOptions);
+    await channel.bindQueue(QUEUES.DOCUMENT_COMPARISON, EXCHANGES.RESEARCH_DIRECT, ROUTING_KEYS.DOCUMENT_COMPARISON);
+
     await channel.assertQueue(QUEUES.DEEP_RESEARCH, queueOptions);
     await channel.bindQueue(QUEUES.DEEP_RESEARCH, EXCHANGES.RESEARCH_DIRECT, ROUTING_KEYS.DEEP_RESEARCH);
 
@@ -0,0 +1,70 @@
+// backend/src/extractors/htmlExtractor.js
+// Readable text from HTML: markup, scripts and styles are dropped, headings become
+// Markdown-style "#" lines and table rows become "cell | cell" lines.
+const cheerio = require('cheerio');
+const { decodeText } = require('./textExtractors');
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+const BLOCK_TAGS = 'p, div, section, article, header, footer, aside, main, blockquote, pre, ' +
+    'ul, ol, dl, figure, figcaption, table, hr, ' + HEADINGS;
+const LINE_TAGS = 'li, dt, dd, tr';
+
+const cleanText = (text) => {
+    return text
+        .replace(/[ \t\f\v\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+const extractHtml = (html) => {
+    const $ = cheerio.load(html);
+    const title = cleanText($('title').first().text()) || null;
+
+    $('head, script, style, noscript, template, iframe, svg, canvas, nav').remove();
+
+    // Outline first, while the markup is untouched
+    const outline = [];
+    $(`${HEADINGS}, table`).each((_, element) => {
+        if (element.tagName === 'table') {
+            const rows = $(element).find('tr');
+            outline.push({
+                type: 'table',
+                title: cleanText($(element).find('caption').first().text()) || null,
+                rows: rows.length,
+                columns: Math.max(0, ...rows.map((_, row) => $(row).children('td, th').length).get())
+            });
+            return;
+        }
+
+        const text = cleanText($(element).text());
+        if (text) {
+            outline.push({ type: 'heading', level: parseInt(element.tagName[1]), text });
+        }
+    });
+
+    // Cells often wrap their text in paragraphs (mammoth always does), so flatten them first
+    $('td, th').each((_, cell) => {
+        $(cell).text(cleanText($(cell).text()).replace(/\s*\n\s*/g, ' ') + ' | ');
+    });
+    $(HEADINGS).each((_, element) => {
+        $(element).prepend('#'.repeat(parseInt(element.tagName[1])) + ' ');
+    });
+    $('li').prepend('- ');
+    $('br').replaceWith('\n');
+    $(LINE_TAGS).prepend('\n');
+    $(BLOCK_TAGS).prepend('\n').append('\n');
+
+    const text = cleanText($.root().text()).replace(/ \|\s*$/gm, '');
+
+    return { text, outline, details: { title } };
+};
+
+module.exports = {
+    name: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['html', 'htm', 'xhtml'],
+    sniff: (buffer) => /^\s*(<!doctype html|<html)/i.test(buffer.subarray(0, 512).toString('utf8')),
+    extract: async (buffer) => extractHtml(decodeText(buffer)),
+    extractHtml
+};
@@ -0,0 +1,74 @@
+// backend/src/extractors/index.js
+// Registry of document extractors, looked up by MIME type and file extension.
+// An extractor is { name, mimeTypes, extensions, sniff?, extract(buffer, source) }
+// and extract resolves to { text, outline, details }, where outline lists the
+// document's headings, tables, slides and so on for the summary prompts.
+const path = require('path');
+const pdfExtractor = require('./pdfExtractor');
+const htmlExtractor = require('./htmlExtractor');
+const { docxExtractor, pptxExtractor } = require('./officeExtractors');
+const { excelExtractor, csvExtractor } = require('./spreadsheetExtractor');
+const { markdownExtractor, jsonExtractor, plainTextExtractor } = require('./textExtractors');
+
+// Content types that say nothing about the format, so the extension decides
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'text/plain',
+    'application/zip', 'application/x-zip-compressed'];
+
+const extractors = [];
+
+const registerExtractor = (extractor) => {
+    if (!extractor.name || typeof extractor.extract !== 'function') {
+        throw new Error('Extractors need a name and an extract function');
+    }
+    extractors.push({ mimeTypes: [], extensions: [], ...extractor });
+};
+
+const findExtractor = ({ contentType = '', filename = '', buffer = null } = {}) => {
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    const extension = path.extname(filename).slice(1).toLowerCase();
+
+    if (!GENERIC_TYPES.includes(mimeType)) {
+        const byType = extractors.find(extractor => extractor.mimeTypes.includes(mimeType));
+        if (byType) return byType;
+    }
+
+    return (extension && extractors.find(extractor => extractor.extensions.includes(extension))) ||
+        (buffer && extractors.find(extractor => extractor.sniff?.(buffer))) ||
+        plainTextExtractor;
+};
+
+const extractDocument = async (buffer, source = {}) => {
+    const extractor = findExtractor({ ...source, buffer });
+
+    let extracted;
+    try {
+        extracted = await extractor.extract(buffer, source);
+    } catch (error) {
+        throw new Error(`Could not extract ${extractor.name} content: ${error.message}`);
+    }
+
+    return {
+        format: extractor.name,
+        text: extracted.text,
+        outline: extracted.outline || [],
+        details: extracted.details || {}
+    };
+};
+
+[
+    pdfExtractor,
+    docxExtractor,
+    pptxExtractor,
+    excelExtractor,
+    csvExtractor,
+    htmlExtractor,
+    markdownExtractor,
+    jsonExtractor,
+    plainTextExtractor
+].forEach(registerExtractor);
+
+module.exports = {
+    registerExtractor,
+    findExtractor,
+    extractDocument
+};
@@ -0,0 +1,116 @@
+// backend/src/extractors/officeExtractors.js
+// Word and PowerPoint documents. DOCX goes through mammoth's HTML conversion so it
+// shares the HTML extractor's headings and tables; PPTX slides are read straight
+// from the slide XML inside the zip.
+const path = require('path');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const { extractHtml } = require('./htmlExtractor');
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+
+// OOXML files are zips named for their format's main part, e.g. word/document.xml.
+// Entry names are stored uncompressed, so finding one in the bytes is enough
+const isOfficeDocument = (buffer, mainPart) => {
+    return buffer.subarray(0, 4).equals(ZIP_SIGNATURE) && buffer.includes(mainPart, 0, 'latin1');
+};
+
+const docxExtractor = {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['docx'],
+    sniff: (buffer) => isOfficeDocument(buffer, 'word/document.xml'),
+    extract: async (buffer) => {
+        const { value: html } = await mammoth.convertToHtml({ buffer });
+        const { text, outline } = extractHtml(html);
+        return { text, outline, details: {} };
+    }
+};
+
+const slideNumber = (file) => parseInt(file.match(/(\d+)\.xml$/)[1]);
+
+// Slides in presentation order (presentation.xml's slide list), falling back to file names
+const getSlideFiles = async (zip) => {
+    const slideFiles = Object.keys(zip.files)
+        .filter(file => /^ppt\/slides\/slide\d+\.xml$/.test(file))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+    const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+    const relationships = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string');
+    if (!presentation || !relationships) return slideFiles;
+
+    const $rels = cheerio.load(relationships, { xml: true });
+    const targets = {};
+    $rels('Relationship').each((_, rel) => {
+        targets[$rels(rel).attr('Id')] = path.posix.join('ppt', $rels(rel).attr('Target'));
+    });
+
+    const $ = cheerio.load(presentation, { xml: true });
+    const ordered = $('p\\:sldId').map((_, slide) => targets[$(slide).attr('r:id')]).get()
+        .filter(file => slideFiles.includes(file));
+
+    return ordered.length === slideFiles.length ? ordered : slideFiles;
+};
+
+const paragraphs = ($, element) => {
+    return $(element).find('a\\:p')
+        .map((_, paragraph) => $(paragraph).find('a\\:t').map((_, run) => $(run).text()).get().join('').trim())
+        .get()
+        .filter(Boolean);
+};
+
+const pptxExtractor = {
+    name: 'pptx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['pptx'],
+    sniff: (buffer) => isOfficeDocument(buffer, 'ppt/presentation.xml'),
+    extract: async (buffer) => {
+        const zip = await JSZip.loadAsync(buffer);
+        const slideFiles = await getSlideFiles(zip);
+        const outline = [];
+        const sections = [];
+
+        for (const [index, file] of slideFiles.entries()) {
+            const $ = cheerio.load(await zip.file(file).async('string'), { xml: true });
+            const number = index + 1;
+
+            let title = null;
+            const lines = [];
+            $('p\\:sp').each((_, shape) => {
+                const text = paragraphs($, shape);
+                const placeholder = $(shape).find('p\\:ph').attr('type');
+                if (!title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+                    title = text.join(' ') || null;
+                } else {
+                    lines.push(...text);
+                }
+            });
+
+            outline.push({ type: 'slide', number, title });
+
+            $('a\\:tbl').each((_, table) => {
+                const rows = $(table).find('a\\:tr').map((_, row) => {
+                    return $(row).find('a\\:tc').map((_, cell) => paragraphs($, cell).join(' ')).get().join(' | ');
+                }).get();
+                outline.push({
+                    type: 'table',
+                    title: title ? `Slide ${number}: ${title}` : `Slide ${number}`,
+                    rows: rows.length,
+                    columns: Math.max(0, ...$(table).find('a\\:tr').map((_, row) => $(row).find('a\\:tc').length).get())
+                });
+                lines.push(...rows);
+            });
+
+            sections.push([`## Slide ${number}${title ? `: ${title}` : ''}`, ...lines].join('\n'));
+        }
+
+        return { text: sections.join('\n\n'), outline, details: { slideCount: slideFiles.length } };
+    }
+};
+
+module.exports = {
+    isOfficeDocument,
+    docxExtractor,
+    pptxExtractor
+};
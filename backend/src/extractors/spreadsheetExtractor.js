@@ -0,0 +1,98 @@
+// backend/src/extractors/spreadsheetExtractor.js
+// Excel workbooks and CSV/TSV files. Each sheet becomes a block of "cell | cell"
+// rows and a table entry in the outline.
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { decodeText } = require('./textExtractors');
+const { isOfficeDocument } = require('./officeExtractors');
+
+// Enormous sheets are mostly data the summary can't use anyway
+const MAX_ROWS_PER_SHEET = 5000;
+
+// Dates as ISO dates (with the time only when there is one); everything else as Excel shows it
+const cellText = (cell) => {
+    if (cell.value instanceof Date) {
+        const iso = cell.value.toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    return cell.text.trim();
+};
+
+const extractWorkbook = (workbook, { sheetHeadings = true } = {}) => {
+    const outline = [];
+    const sections = [];
+    const truncatedSheets = [];
+
+    for (const sheet of workbook.worksheets) {
+        const rows = [];
+        sheet.eachRow((row) => {
+            const cells = [];
+            for (let column = 1; column <= row.cellCount; column++) {
+                cells.push(cellText(row.getCell(column)));
+            }
+            rows.push(cells);
+        });
+        if (rows.length === 0) continue;
+
+        if (rows.length > MAX_ROWS_PER_SHEET) truncatedSheets.push(sheet.name);
+        const kept = rows.slice(0, MAX_ROWS_PER_SHEET);
+
+        outline.push({
+            type: 'table',
+            title: sheetHeadings ? sheet.name : null,
+            rows: rows.length,
+            columns: Math.max(...kept.map(row => row.length))
+        });
+
+        const lines = kept.map(row => row.join(' | '));
+        sections.push((sheetHeadings ? [`## Sheet: ${sheet.name}`, ...lines] : lines).join('\n'));
+    }
+
+    return {
+        text: sections.join('\n\n'),
+        outline,
+        details: { sheetCount: workbook.worksheets.length, truncatedSheets }
+    };
+};
+
+// Only OOXML workbooks can be read; .xls and .ods keep their types here so they get a clear error
+const excelExtractor = {
+    name: 'xlsx',
+    mimeTypes: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet'
+    ],
+    extensions: ['xlsx', 'xls', 'ods'],
+    sniff: (buffer) => isOfficeDocument(buffer, 'xl/workbook.xml'),
+    extract: async (buffer) => {
+        if (!isOfficeDocument(buffer, 'xl/workbook.xml')) {
+            throw new Error('only .xlsx workbooks are supported - save .xls and .ods files as .xlsx');
+        }
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        return extractWorkbook(workbook);
+    }
+};
+
+// Decode ourselves so UTF-8 CSVs aren't read with a legacy codepage, and keep values
+// as written rather than letting the parser turn them into numbers and dates
+const csvExtractor = {
+    name: 'csv',
+    mimeTypes: ['text/csv', 'text/tab-separated-values'],
+    extensions: ['csv', 'tsv'],
+    extract: async (buffer) => {
+        const text = decodeText(buffer);
+        const [firstLine] = text.split('\n', 1);
+        const delimiter = firstLine.split('\t').length > firstLine.split(',').length ? '\t' : ',';
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.csv.read(Readable.from([text]), { map: value => value, parserOptions: { delimiter } });
+        return extractWorkbook(workbook, { sheetHeadings: false });
+    }
+};
+
+module.exports = {
+    excelExtractor,
+    csvExtractor
+};
@@ -0,0 +1,83 @@
+// backend/src/extractors/textExtractors.js
+// Formats that are already text: Markdown, JSON and plain text.
+
+const decodeText = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+const splitTableRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|');
+
+const markdownExtractor = {
+    name: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['md', 'markdown', 'mdx'],
+    extract: async (buffer) => {
+        const source = decodeText(buffer);
+        const outline = [];
+        let inCodeBlock = false;
+        let table = null;
+
+        for (const line of source.split(/\r?\n/)) {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                continue;
+            }
+            if (inCodeBlock) continue;
+
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                outline.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            }
+
+            if (/^\s*\|.*\|\s*$/.test(line)) {
+                const cells = splitTableRow(line);
+                if (!table) {
+                    table = { type: 'table', title: null, rows: 0, columns: 0 };
+                    outline.push(table);
+                }
+                // The |---|---| line under the header isn't a row
+                if (!cells.every(cell => /^\s*:?-+:?\s*$/.test(cell))) table.rows++;
+                table.columns = Math.max(table.columns, cells.length);
+            } else {
+                table = null;
+            }
+        }
+
+        // Keep the Markdown itself (headings and lists help the model) but drop link targets and comments
+        const text = source
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .trim();
+
+        return { text, outline, details: {} };
+    }
+};
+
+const jsonExtractor = {
+    name: 'json',
+    mimeTypes: ['application/json'],
+    extensions: ['json'],
+    extract: async (buffer) => {
+        const source = decodeText(buffer);
+        let text = source;
+        try {
+            text = JSON.stringify(JSON.parse(source), null, 2);
+        } catch (error) {
+            // Not valid JSON after all - summarise it as it is
+        }
+        return { text, outline: [], details: {} };
+    }
+};
+
+const plainTextExtractor = {
+    name: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['txt', 'text', 'log'],
+    extract: async (buffer) => ({ text: decodeText(buffer), outline: [], details: {} })
+};
+
+module.exports = {
+    decodeText,
+    markdownExtractor,
+    jsonExtractor,
+    plainTextExtractor
+};
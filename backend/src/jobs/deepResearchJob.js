@@ -22,7 +22,7 @@ const deepResearchJob = async (job) => {
 
             // Emit socket event for real-time updates
             const socketService = require('../services/socketService');
-            socketService.emitJobProgress(jobId.toString(), progress, status);
+            socketService.emitJobProgress(jobId.toString(), progress, status, job.attrs.data?.tenantId);
 
 
 
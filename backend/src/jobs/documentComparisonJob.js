@@ -0,0 +1,267 @@
+const alchemystService = require('../services/alchemystService');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+const { detectLanguage, getLanguageName } = require('../utils/language');
+const { reportJobProgress } = require('../utils/jobProgress');
+const {
+    extractDocumentContent,
+    preprocessDocument,
+    summariseDocument,
+    formatSummaryResult,
+    detectDocumentType
+} = require('./documentSummaryJob');
+
+// Per-document summaries only feed the comparison, so they can be shorter than a normal summary
+const DEFAULT_DOCUMENT_SUMMARY_WORDS = 400;
+
+const documentComparisonJob = async (job) => {
+    const { documents, criteria, summaryType, maxLength, options, requestId, tenantId, targetLanguage } = job.attrs.data;
+    const jobId = job.attrs._id;
+
+    logger.info(`Starting document comparison job`, { jobId, documents: documents.length });
+
+    const costs = { totalTokens: 0, totalCost: 0, apiCalls: 0, breakdown: [] };
+    const addCosts = (step, result) => {
+        costs.totalTokens += result?.tokens || 0;
+        costs.totalCost += result?.cost || 0;
+        costs.apiCalls += 1;
+        costs.breakdown.push({ step, tokens: result?.tokens || 0, cost: result?.cost || 0 });
+    };
+
+    try {
+        await reportJobProgress(job, 5);
+
+        // Step 1: Summarise every document with the document-summary pipeline (progress 5-70%)
+        const summaries = [];
+        const labels = documentLabels(documents);
+        const span = 65 / documents.length;
+
+        for (const [index, entry] of documents.entries()) {
+            const start = 5 + span * index;
+            const summary = await summariseForComparison(entry, labels[index], {
+                tenantId,
+                summaryType,
+                options,
+                onProgress: async (progress, details) => {
+                    // Map the single-document 40-65% range onto this document's slice
+                    const scaled = Math.round(start + span * Math.min(Math.max((progress - 40) / 25, 0), 1));
+                    await reportJobProgress(job, scaled, { ...details, document: index + 1, documents: documents.length });
+                }
+            });
+
+            if (summary.costs) addCosts(`summary:${summary.label}`, summary.costs);
+            summaries.push(summary);
+
+            await reportJobProgress(job, Math.round(start + span), {
+                stage: 'summarising-documents',
+                document: index + 1,
+                documents: documents.length
+            });
+        }
+
+        const summarised = summaries.filter(summary => !summary.error);
+        if (summarised.length < 2) {
+            const failures = summaries.filter(summary => summary.error).map(summary => `${summary.label}: ${summary.error}`);
+            throw new Error(`At least two documents must be summarised to compare them. Failed: ${failures.join('; ')}`);
+        }
+
+        // Step 2: Cross-document comparison
+        const comparisonResult = await generateComparison(summarised, criteria, maxLength, targetLanguage);
+        addCosts('comparison', comparisonResult);
+        await reportJobProgress(job, 90);
+
+        // Step 3: Store results and update metrics
+        const result = {
+            documents: summaries.map(({ costs: _costs, ...summary }) => summary),
+            comparison: parseComparison(comparisonResult.content, summarised.map(summary => summary.label)),
+            metadata: {
+                documentCount: documents.length,
+                summarisedCount: summarised.length,
+                criteria: criteria?.length ? criteria : null,
+                summaryType,
+                targetLanguage: targetLanguage || null,
+                processedAt: new Date(),
+                requestId,
+                version: '1.0'
+            }
+        };
+
+        await reportJobProgress(job, 100);
+
+        await updateJobCosts(jobId, costs);
+
+        logger.info(`Document comparison completed`, { jobId, documents: summarised.length });
+        return result;
+
+    } catch (error) {
+        logger.error(`Document comparison failed`, {
+            jobId,
+            error: error.message
+        });
+
+        await updateJobCosts(jobId, costs.apiCalls > 0 ? costs : null, error.message);
+        throw error;
+    }
+};
+
+// Display name for a document: its label, else the file name, URL or position
+const documentLabel = (entry, index) => {
+    if (entry?.label) return String(entry.label);
+    if (typeof entry === 'string' && entry.startsWith('http')) return entry;
+    if (entry?.filename) return entry.filename;
+    if (entry?.url) return entry.url;
+    return `Document ${index + 1}`;
+};
+
+// Labels key the comparison matrix, so they must be unique
+const documentLabels = (documents) => {
+    const seen = {};
+    return documents.map((entry, index) => {
+        const label = documentLabel(entry, index);
+        seen[label] = (seen[label] || 0) + 1;
+        return seen[label] > 1 ? `${label} (${seen[label]})` : label;
+    });
+};
+
+// Summarise one document; failures are recorded on the entry instead of failing the job
+const summariseForComparison = async (entry, label, { tenantId, summaryType, options = {}, onProgress }) => {
+    try {
+        const extracted = await extractDocumentContent(entry, tenantId);
+        const processedContent = await preprocessDocument(extracted.content, options);
+        const language = detectLanguage(processedContent);
+        const pdf = extracted.format === 'pdf' ? extracted.details : null;
+
+        const summary = await summariseDocument(processedContent, summaryType, options.documentSummaryLength || DEFAULT_DOCUMENT_SUMMARY_WORDS, {
+            citePages: !!pdf,
+            outline: extracted.outline,
+            language,
+            options,
+            onProgress
+        });
+        const formatted = await formatSummaryResult(summary, extracted.content, summaryType);
+
+        return {
+            label,
+            type: extracted.format || detectDocumentType(entry),
+            length: extracted.content.length,
+            language: language.code,
+            coverage: summary.coverage,
+            summary: formatted.content,
+            costs: summary.costs
+        };
+    } catch (error) {
+        logger.warn(`Could not summarise document for comparison: ${label}`, { error: error.message });
+        return { label, error: error.message };
+    }
+};
+
+const generateComparison = async (summaries, criteria, maxLength, targetLanguage) => {
+    try {
+        const prompt = createComparisonPrompt(summaries, criteria, maxLength, targetLanguage);
+        return await alchemystService.generateAnalysis(prompt, {
+            maxTokens: Math.min(1000 + summaries.length * 400, 4000),
+            temperature: 0.2
+        });
+    } catch (error) {
+        logger.error('Error generating comparison:', error);
+        throw new Error(`Comparison generation failed: ${error.message}`);
+    }
+};
+
+const createComparisonPrompt = (summaries, criteria, maxLength, targetLanguage) => {
+    const documentsSection = summaries
+        .map(summary => `### ${summary.label}\n${summary.summary}`)
+        .join('\n\n');
+
+    const criteriaSection = criteria?.length
+        ? `Compare the documents on exactly these criteria, in this order:\n${criteria.map(criterion => `- ${criterion}`).join('\n')}`
+        : 'Choose the 5-10 criteria that matter most for comparing these documents.';
+
+    const languageName = targetLanguage ? getLanguageName(targetLanguage) : null;
+
+    return `
+You are comparing ${summaries.length} documents. Each is given below as a summary, headed by its label.
+
+${documentsSection}
+
+${criteriaSection}
+
+Respond with a single JSON object and nothing else, in this shape:
+{
+  "overview": "short comparison of the documents as a whole (at most ${maxLength} words)",
+  "matrix": [
+    { "criterion": "criterion name", "values": { "<document label>": "what this document says about it, or null if it doesn't cover it" } }
+  ],
+  "agreements": ["point every document agrees on"],
+  "differences": [
+    { "topic": "what they differ on", "details": { "<document label>": "this document's position" } }
+  ]
+}
+
+Use the document labels exactly as written above as keys.${languageName ? `\nWrite all text values in ${languageName}.` : ''}
+`;
+};
+
+// Pull the JSON out of the model's answer; if it isn't usable, keep the raw text
+const parseComparison = (content, labels) => {
+    const jsonStart = content.indexOf('{');
+    const jsonEnd = content.lastIndexOf('}') + 1;
+
+    try {
+        if (jsonStart === -1 || jsonEnd === 0) {
+            throw new Error('no JSON object in response');
+        }
+
+        const parsed = JSON.parse(content.substring(jsonStart, jsonEnd));
+        if (!Array.isArray(parsed.matrix)) {
+            throw new Error('missing matrix');
+        }
+
+        return {
+            overview: parsed.overview || null,
+            documents: labels,
+            matrix: parsed.matrix.map(row => ({
+                criterion: row.criterion,
+                values: Object.fromEntries(labels.map(label => [label, row.values?.[label] ?? null]))
+            })),
+            agreements: Array.isArray(parsed.agreements) ? parsed.agreements : [],
+            differences: Array.isArray(parsed.differences) ? parsed.differences : []
+        };
+    } catch (error) {
+        logger.warn(`Comparison response was not valid JSON (${error.message}), returning it as text`);
+        return {
+            overview: content,
+            documents: labels,
+            matrix: null,
+            agreements: [],
+            differences: []
+        };
+    }
+};
+
+const updateJobCosts = async (jobId, costs, errorMessage = null) => {
+    try {
+        const db = getDatabase();
+        const update = { updated_at: new Date() };
+
+        if (costs) {
+            update.cost_usd = costs.totalCost;
+            update.tokens_used = costs.totalTokens;
+            update.api_calls = costs.apiCalls;
+            update.cost_breakdown = costs.breakdown;
+        }
+        if (errorMessage) {
+            update.error_message = errorMessage;
+        }
+
+        await db.collection('job_metrics').updateOne(
+            { job_id: jobId.toString() },
+            { $set: update },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error('Error updating job costs:', error);
+    }
+};
+
+module.exports = documentComparisonJob;
@@ -1,61 +1,139 @@
 const alchemystService = require('../services/alchemystService');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { extractDocument } = require('../extractors');
+const { findPageMarkers, findPageCitations } = require('../extractors/pdfExtractor');
+const { chunkDocument, groupByLength } = require('../utils/documentChunker');
+const { detectLanguage, getLanguageName, isSameLanguage } = require('../utils/language');
+const { compileSchema, formatSchemaErrors } = require('../utils/jsonSchema');
+const { splitSummarySentences, createPassageIndex, findSupportingPassages } = require('../utils/faithfulness');
 const { getPool } = require('../config/database');
+const { reportJobProgress } = require('../utils/jobProgress');
+
+// Documents longer than this are summarised chunk by chunk and the partial summaries combined
+const DEFAULT_MAX_INPUT_LENGTH = 50000; // 50k chars
+const DEFAULT_CHUNK_SIZE = 20000;
+// Upper bound on map calls per job; anything past it is left out and reported in the coverage
+const MAX_CHUNKS = 40;
+const PARTIAL_SUMMARY_WORDS = 400;
+// Reduce rounds before the remaining sections go to the final prompt as they are
+const MAX_REDUCE_ROUNDS = 5;
+// Structured extraction: calls per step before giving up on output that won't parse or validate
+const MAX_EXTRACTION_ATTEMPTS = 3;
+// Faithfulness check: sentences judged per call, and the most checked per summary
+const VERIFICATION_BATCH_SIZE = 8;
+const MAX_VERIFIED_SENTENCES = 60;
 
 const documentSummaryJob = async (job) => {
-    const { document, summaryType, maxLength, options, requestId } = job.attrs.data;
+    const { document, summaryType, maxLength, schema, options, requestId, tenantId, targetLanguage } = job.attrs.data;
     const jobId = job.attrs._id;
 
     logger.info(`Starting document summary job`, { jobId, summaryType });
 
     try {
-        // Update job progress
-        job.progress(10);
-        await job.save();
+        await reportJobProgress(job, 10);
 
         // Step 1: Extract/fetch document content
-        const documentContent = await extractDocumentContent(document);
-        job.progress(25);
-        await job.save();
+        const extracted = await extractDocumentContent(document, tenantId);
+        const documentContent = extracted.content;
+        const pdf = extracted.format === 'pdf' ? extracted.details : null;
+        await reportJobProgress(job, 25);
 
         // Step 2: Preprocess document
         const processedContent = await preprocessDocument(documentContent, options);
-        job.progress(40);
-        await job.save();
-
-        // Step 3: Generate summary using Alchemyst
-        const summary = await generateDocumentSummary(processedContent, summaryType, maxLength);
-        job.progress(70);
-        await job.save();
+        const language = detectLanguage(processedContent);
+        await reportJobProgress(job, 40);
+
+        // Step 3: Generate summary using Alchemyst, chunk by chunk for long documents
+        const extract = summaryType === 'extract';
+        const onProgress = (progress, details) => reportJobProgress(job, progress, details);
+        const documentSummary = extract
+            ? await extractStructuredData(processedContent, schema, {
+                outline: extracted.outline,
+                targetLanguage,
+                options,
+                onProgress
+            })
+            : await summariseDocument(processedContent, summaryType, maxLength, {
+                citePages: !!pdf,
+                outline: extracted.outline,
+                language,
+                options,
+                onProgress
+            });
+        await reportJobProgress(job, 70);
+
+        // Step 3a: Check every summary sentence against the source passages it should come from.
+        // This runs before translation so summary and source are in the same language
+        const verification = !extract && options?.verifyFaithfulness !== false
+            ? await verifySummary(documentSummary.content, documentSummary.coveredContent)
+            : null;
+        await reportJobProgress(job, 80);
+
+        // Step 3b: Translate the summary when the requester wants another language
+        // (extracted values are already written in the target language)
+        const translate = !extract && targetLanguage && !isSameLanguage(targetLanguage, language.code);
+        const summary = translate
+            ? await translateSummary(documentSummary, targetLanguage, language)
+            : documentSummary;
 
         // Step 4: Post-process and format results
-        const formattedResult = await formatSummaryResult(summary, documentContent, summaryType);
-        job.progress(90);
-        await job.save();
+        const formattedResult = extract
+            ? formatExtractionResult(summary)
+            : await formatSummaryResult(summary, documentContent, summaryType);
+        if (verification) {
+            formattedResult.quality.faithfulnessScore = verification.faithfulnessScore;
+        }
+        await reportJobProgress(job, 90);
 
         // Step 5: Store results and update metrics
         const result = {
             document: {
-                type: detectDocumentType(document),
+                type: extracted.format || detectDocumentType(document),
                 length: documentContent.length,
-                source: typeof document === 'string' && document.startsWith('http') ? 'url' : 'text'
+                source: document?.fileId ? 'file' : (typeof document === 'string' && document.startsWith('http') ? 'url' : 'text'),
+                fileId: document?.fileId || undefined,
+                pages: pdf ? {
+                    count: pdf.pageCount,
+                    summarised: findPageMarkers(summary.coveredContent),
+                    empty: pdf.emptyPages
+                } : undefined,
+                outline: extracted.outline.length > 0 ? extracted.outline : undefined
             },
             summary: formattedResult,
+            verification: verification ? {
+                faithfulnessScore: verification.faithfulnessScore,
+                checkedSentences: verification.sentences.length,
+                unsupportedClaims: verification.sentences
+                    .filter(sentence => sentence.verdict === 'unsupported')
+                    .map(sentence => sentence.text),
+                sentences: verification.sentences
+            } : undefined,
             metadata: {
                 summaryType,
                 maxLength,
+                pageReferences: pdf && !extract ? findPageCitations(documentSummary.content) : undefined,
+                coverage: summary.coverage,
+                language: {
+                    detected: language.code,
+                    name: language.name,
+                    confidence: language.confidence,
+                    summaryLanguage: translate || (extract && targetLanguage) ? targetLanguage : language.code,
+                    translated: Boolean(translate)
+                },
                 processedAt: new Date(),
                 requestId,
                 version: '1.0'
             }
         };
 
-        job.progress(100);
-        await job.save();
+        await reportJobProgress(job, 100);
 
         // Update cost metrics
-        await updateJobCosts(jobId, summary.costs);
+        await updateJobCosts(jobId, verification ? {
+            tokens: (summary.costs?.tokens || 0) + verification.costs.tokens,
+            cost: (summary.costs?.cost || 0) + verification.costs.cost
+        } : summary.costs);
 
         logger.info(`Document summary completed`, { jobId, summaryLength: formattedResult.content.length });
         return result;
@@ -71,7 +149,7 @@ const documentSummaryJob = async (job) => {
     }
 };
 
-const extractDocumentContent = async (document) => {
+const extractDocumentContent = async (document, tenantId = null) => {
     try {
         // Handle different document input types
         if (typeof document === 'string') {
@@ -80,12 +158,20 @@ const extractDocumentContent = async (document) => {
                 return await fetchDocumentFromURL(document);
             }
             // Otherwise treat as direct text content
-            return document;
+            return textContent(document);
         }
 
-        // Handle file uploads or base64 content
+        // Files uploaded through /api/files
+        if (document.fileId) {
+            return await readUploadedFile(document.fileId, tenantId);
+        }
+
+        // Handle file uploads or base64 content; a contentType or filename says how to parse it
         if (document.content) {
-            return document.content;
+            if (document.contentType || document.filename) {
+                return await extractBuffer(Buffer.from(document.content, document.encoding || 'utf8'), document);
+            }
+            return textContent(document.content);
         }
 
         if (document.url) {
@@ -99,6 +185,24 @@ const extractDocumentContent = async (document) => {
     }
 };
 
+const readUploadedFile = async (fileId, tenantId) => {
+    const fileService = require('../services/fileService');
+    const { file, buffer } = await fileService.readFile(fileId, tenantId);
+
+    logger.info(`Read uploaded file: ${file.filename}`, { fileId, size: file.size });
+
+    return await extractBuffer(buffer, { contentType: file.contentType, filename: file.filename });
+};
+
+// Extracted documents: text, the format it came from, a structure outline and format-specific details
+const textContent = (content) => ({ content, format: null, outline: [], details: {} });
+
+const extractBuffer = async (buffer, { contentType, filename }) => {
+    const { format, text, outline, details } = await extractDocument(buffer, { contentType, filename });
+    logger.info(`Extracted ${format} document`, { filename, length: text.length, outlineItems: outline.length });
+    return { content: text, format, outline, details };
+};
+
 const fetchDocumentFromURL = async (url) => {
     try {
         logger.info(`Fetching document from URL: ${url}`);
@@ -109,27 +213,21 @@ const fetchDocumentFromURL = async (url) => {
             throw new Error('Only HTTP and HTTPS URLs are supported');
         }
 
+        // Fetch raw bytes - PDFs would be mangled by decoding them as text
         const response = await axios.get(url, {
             timeout: 30000,
             maxContentLength: 10 * 1024 * 1024, // 10MB limit
+            responseType: 'arraybuffer',
             headers: {
                 'User-Agent': 'Alchemyst-Document-Processor/1.0'
             }
         });
 
-        const contentType = response.headers['content-type'] || '';
-
-        // Handle different content types
-        if (contentType.includes('text/')) {
-            return response.data;
-        } else if (contentType.includes('application/json')) {
-            return JSON.stringify(response.data, null, 2);
-        } else if (contentType.includes('application/pdf')) {
-            throw new Error('PDF processing not yet implemented');
-        } else {
-            // Try to process as text
-            return String(response.data);
-        }
+        // The extractor is picked by content type, then by the URL's file extension
+        return await extractBuffer(Buffer.from(response.data), {
+            contentType: response.headers['content-type'] || '',
+            filename: decodeURIComponent(urlObj.pathname.split('/').pop())
+        });
     } catch (error) {
         if (error.code === 'ENOTFOUND') {
             throw new Error('URL not found or inaccessible');
@@ -145,26 +243,23 @@ const preprocessDocument = async (content, options = {}) => {
     try {
         let processedContent = content;
 
-        // Remove excessive whitespace
-        processedContent = processedContent.replace(/\s+/g, ' ').trim();
-
-        // Handle very long documents
-        const maxLength = options.maxInputLength || 50000; // 50k chars max
-        if (processedContent.length > maxLength) {
-            logger.info(`Document too long (${processedContent.length} chars), truncating to ${maxLength}`);
-
-            // Try to truncate at sentence boundaries
-            const truncated = processedContent.substring(0, maxLength);
-            const lastSentence = truncated.lastIndexOf('.');
-            if (lastSentence > maxLength * 0.8) {
-                processedContent = truncated.substring(0, lastSentence + 1);
-            } else {
-                processedContent = truncated;
-            }
-        }
+        // Compose accented characters and split typographic ligatures (common in PDFs)
+        processedContent = processedContent
+            .normalize('NFC')
+            .replace(/[\uFB00-\uFB06]/g, ligature => ligature.normalize('NFKC'));
+
+        // Remove control and invisible format characters, lone surrogates and decoding
+        // replacement characters - but keep whitespace and the zero-width joiners Indic
+        // scripts and emoji need
+        processedContent = processedContent.replace(/(?![\t\n\v\f\r\u200C\u200D])[\p{Cc}\p{Cf}\p{Cs}\uFFFD]/gu, '');
 
-        // Remove or clean problematic characters
-        processedContent = processedContent.replace(/[^\x20-\x7E\n\r\t]/g, '');
+        // Remove excessive whitespace, keeping the line and paragraph breaks chunking relies on
+        processedContent = processedContent
+            .replace(/\r\n?|[\u2028\u2029]/g, '\n')
+            .replace(/[\t\f\v\p{Zs}]+/gu, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
 
         // Add content structure markers if needed
         if (options.preserveStructure) {
@@ -179,7 +274,120 @@ const preprocessDocument = async (content, options = {}) => {
     }
 };
 
-const generateDocumentSummary = async (content, summaryType, maxLength) => {
+// Summarise in one call when the document fits, otherwise map-reduce: summarise each
+// chunk, combine the partial summaries in rounds until they fit in one prompt, then
+// write the requested summary type from them
+const summariseDocument = async (content, summaryType, maxLength, { options = {}, onProgress, ...promptOptions } = {}) => {
+    const languageName = promptOptions.language?.name;
+    const maxInputLength = options.maxInputLength || DEFAULT_MAX_INPUT_LENGTH;
+
+    if (content.length <= maxInputLength) {
+        const summary = await generateDocumentSummary(content, summaryType, maxLength, promptOptions);
+        return {
+            ...summary,
+            coveredContent: content,
+            coverage: {
+                strategy: 'single',
+                totalCharacters: content.length,
+                coveredCharacters: content.length,
+                coveredPercent: 100,
+                chunks: 1,
+                chunksSummarised: 1
+            }
+        };
+    }
+
+    const chunks = chunkDocument(content, { chunkSize: Math.min(options.chunkSize || DEFAULT_CHUNK_SIZE, maxInputLength) });
+    const included = chunks.slice(0, MAX_CHUNKS);
+    if (included.length < chunks.length) {
+        logger.warn(`Document split into ${chunks.length} chunks, summarising the first ${MAX_CHUNKS}`);
+    }
+
+    const costs = { tokens: 0, cost: 0 };
+    const addCosts = (result) => {
+        costs.tokens += result.tokens || 0;
+        costs.cost += result.cost || 0;
+    };
+
+    // Map: one partial summary per chunk (progress 40-65%)
+    const partials = [];
+    for (const [index, chunk] of included.entries()) {
+        const result = await alchemystService.generateSummary(chunk, {
+            maxLength: PARTIAL_SUMMARY_WORDS,
+            context: `This is part ${index + 1} of ${included.length} of a longer document; ` +
+                'summarise only this part, it will be combined with the others later.' +
+                (promptOptions.citePages ? ' Keep page citations in the form (p. N) next to each point.' : '') +
+                (languageName ? ` Write the summary in ${languageName}.` : '')
+        });
+        addCosts(result);
+        partials.push(result.content);
+
+        if (onProgress) {
+            await onProgress(40 + Math.round(25 * (index + 1) / included.length), {
+                stage: 'summarising-chunks',
+                chunk: index + 1,
+                chunks: included.length
+            });
+        }
+    }
+
+    // Reduce: merge neighbouring partial summaries until they fit in a single prompt.
+    // A merged summary can itself be longer than the limit, so stop at one section
+    // or after MAX_REDUCE_ROUNDS rather than asking for more summaries of it
+    let sections = partials;
+    let reduceRounds = 0;
+    while (sections.length > 1 && reduceRounds < MAX_REDUCE_ROUNDS && sections.join('\n\n').length > maxInputLength) {
+        reduceRounds++;
+        const merged = [];
+        for (const group of groupByLength(sections, maxInputLength)) {
+            const result = await alchemystService.generateSummary(group.join('\n\n---\n\n'), {
+                maxLength: PARTIAL_SUMMARY_WORDS,
+                context: 'These are summaries of consecutive sections of one document; merge them into one summary of those sections.' +
+                    (languageName ? ` Write the summary in ${languageName}.` : '')
+            });
+            addCosts(result);
+            merged.push(result.content);
+        }
+        sections = merged;
+
+        if (onProgress) {
+            await onProgress(65, { stage: 'combining-summaries', round: reduceRounds, sections: sections.length });
+        }
+    }
+
+    if (sections.join('\n\n').length > maxInputLength) {
+        logger.warn(`Combined summaries still exceed ${maxInputLength} characters after ${reduceRounds} reduce rounds`);
+    }
+
+    const combined = sections.map((section, index) => `[Section ${index + 1} of ${sections.length}]\n${section}`).join('\n\n');
+    const summary = await generateDocumentSummary(combined, summaryType, maxLength, { ...promptOptions, sectionSummaries: true });
+    addCosts(summary.costs);
+
+    const coveredContent = included.join('\n\n');
+    const coveredCharacters = included.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    return {
+        ...summary,
+        costs,
+        coveredContent,
+        coverage: {
+            strategy: 'map-reduce',
+            totalCharacters: content.length,
+            coveredCharacters,
+            coveredPercent: Math.round(Math.min(coveredCharacters / content.length, 1) * 1000) / 10,
+            chunks: chunks.length,
+            chunksSummarised: included.length,
+            reduceRounds
+        }
+    };
+};
+
+const generateDocumentSummary = async (content, summaryType, maxLength, {
+    citePages = false,
+    outline = [],
+    sectionSummaries = false,
+    language = null
+} = {}) => {
     try {
         let prompt = '';
         let expectedTokens = 500;
@@ -206,6 +414,19 @@ const generateDocumentSummary = async (content, summaryType, maxLength) => {
                 expectedTokens = Math.min(maxLength * 2, 1200);
         }
 
+        if (sectionSummaries) {
+            prompt += SECTION_SUMMARIES_NOTE;
+        }
+        if (outline.length > 0) {
+            prompt += createOutlineSection(outline);
+        }
+        if (citePages) {
+            prompt += PAGE_CITATION_INSTRUCTIONS;
+        }
+        if (language?.name) {
+            prompt += `\nWrite the summary in ${language.name}, the language of the document.\n`;
+        }
+
         const result = await alchemystService.generateAnalysis(prompt, {
             maxTokens: expectedTokens,
             temperature: 0.3
@@ -225,6 +446,345 @@ const generateDocumentSummary = async (content, summaryType, maxLength) => {
     }
 };
 
+// Structured extraction: JSON conforming to the requester's schema instead of prose.
+// Long documents are read chunk by chunk, each call refining the data extracted so far;
+// only the final result has to satisfy the schema, since later chunks can fill in
+// required fields earlier ones didn't have
+const extractStructuredData = async (content, schema, { outline = [], targetLanguage = null, options = {}, onProgress } = {}) => {
+    const validate = compileSchema(schema);
+    const maxInputLength = options.maxInputLength || DEFAULT_MAX_INPUT_LENGTH;
+    const languageName = targetLanguage ? getLanguageName(targetLanguage) : null;
+
+    const chunks = content.length <= maxInputLength
+        ? [content]
+        : chunkDocument(content, { chunkSize: Math.min(options.chunkSize || DEFAULT_CHUNK_SIZE, maxInputLength) });
+    const included = chunks.slice(0, MAX_CHUNKS);
+    if (included.length < chunks.length) {
+        logger.warn(`Document split into ${chunks.length} chunks, extracting from the first ${MAX_CHUNKS}`);
+    }
+
+    const costs = { tokens: 0, cost: 0 };
+    let data;
+    let attempts = 0;
+
+    for (const [index, chunk] of included.entries()) {
+        const last = index === included.length - 1;
+        const result = await requestExtraction(chunk, schema, last ? validate : null, {
+            part: included.length > 1 ? { number: index + 1, total: included.length } : null,
+            previous: data,
+            outline: index === 0 ? outline : [],
+            languageName
+        });
+
+        costs.tokens += result.costs.tokens;
+        costs.cost += result.costs.cost;
+        data = result.data;
+        attempts = result.attempts;
+
+        if (onProgress && included.length > 1) {
+            await onProgress(40 + Math.round(25 * (index + 1) / included.length), {
+                stage: 'extracting-chunks',
+                chunk: index + 1,
+                chunks: included.length
+            });
+        }
+    }
+
+    const coveredCharacters = included.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    return {
+        content: JSON.stringify(data, null, 2),
+        data,
+        type: 'extract',
+        attempts,
+        costs,
+        coveredContent: included.join('\n\n'),
+        coverage: {
+            strategy: included.length > 1 ? 'chunked-extraction' : 'single',
+            totalCharacters: content.length,
+            coveredCharacters,
+            coveredPercent: Math.round(Math.min(coveredCharacters / content.length, 1) * 1000) / 10,
+            chunks: chunks.length,
+            chunksSummarised: included.length
+        }
+    };
+};
+
+// One extraction call, repeated with the parse or validation errors until the output is
+// usable. Without a validate function the output only has to be JSON
+const requestExtraction = async (content, schema, validate, promptOptions) => {
+    const costs = { tokens: 0, cost: 0 };
+    let feedback = null;
+
+    for (let attempt = 1; attempt <= MAX_EXTRACTION_ATTEMPTS; attempt++) {
+        let result;
+        try {
+            result = await alchemystService.generateAnalysis(createExtractionPrompt(content, schema, { ...promptOptions, feedback }), {
+                maxTokens: 2000,
+                temperature: 0.1
+            });
+        } catch (error) {
+            logger.error('Error generating extraction:', error);
+            throw new Error(`Structured extraction failed: ${error.message}`);
+        }
+        costs.tokens += result.tokens || 0;
+        costs.cost += result.cost || 0;
+
+        let data;
+        try {
+            data = parseJsonResponse(result.content);
+        } catch (error) {
+            feedback = { output: result.content, errors: [`The response is not valid JSON: ${error.message}`] };
+            logger.warn(`Extraction attempt ${attempt} did not return JSON`, { error: error.message });
+            continue;
+        }
+
+        if (validate && !validate(data)) {
+            feedback = { output: result.content, errors: formatSchemaErrors(validate.errors) };
+            logger.warn(`Extraction attempt ${attempt} does not match the schema`, { errors: feedback.errors });
+            continue;
+        }
+
+        return { data, attempts: attempt, costs };
+    }
+
+    throw new Error(`Structured extraction failed: no valid result after ${MAX_EXTRACTION_ATTEMPTS} attempts (${feedback.errors.join('; ')})`);
+};
+
+// The JSON value in a response, ignoring any prose or code fences around it
+const parseJsonResponse = (content) => {
+    const start = content.search(/[{[]/);
+    const end = Math.max(content.lastIndexOf('}'), content.lastIndexOf(']')) + 1;
+    if (start === -1 || end <= start) {
+        throw new Error('no JSON object or array in the response');
+    }
+    return JSON.parse(content.substring(start, end));
+};
+
+const createExtractionPrompt = (content, schema, { part = null, previous, outline = [], languageName = null, feedback = null }) => {
+    let prompt = `
+Extract structured data from the following document${part ? ` (part ${part.number} of ${part.total})` : ''}:
+
+${content}
+
+The data must conform to this JSON Schema:
+${JSON.stringify(schema, null, 2)}
+
+Extraction Requirements:
+- Respond with a single JSON value and nothing else - no explanations or code fences
+- Only use information stated in the document; do not guess
+- Leave out optional fields the document doesn't cover, and use null where the schema allows it
+- Copy names, numbers, dates and amounts exactly, in the formats the schema asks for
+`;
+
+    if (previous !== undefined) {
+        prompt += `
+Data extracted from the earlier parts of the document is below. Return it updated with anything
+this part adds or corrects, keeping everything that is still accurate:
+${JSON.stringify(previous, null, 2)}
+`;
+    }
+    if (outline.length > 0) {
+        prompt += createOutlineSection(outline);
+    }
+    if (languageName) {
+        prompt += `\nWrite free-text values in ${languageName}; keep names, codes and identifiers as they are.\n`;
+    }
+    if (feedback) {
+        prompt += `
+Your previous response was rejected:
+${feedback.output}
+
+Problems:
+${feedback.errors.map(error => `- ${error}`).join('\n')}
+
+Fix these problems and respond with the corrected JSON only.
+`;
+    }
+
+    return prompt;
+};
+
+// Faithfulness check: each summary sentence is matched to its best source passages,
+// and the model judges in batches whether those passages support it. Sentences the
+// model can't judge (failed call, unusable answer) fall back to the match scores
+const verifySummary = async (summaryContent, sourceContent) => {
+    const index = createPassageIndex(sourceContent);
+    const sentences = splitSummarySentences(summaryContent).slice(0, MAX_VERIFIED_SENTENCES);
+    const checks = sentences.map(text => ({ text, candidates: findSupportingPassages(text, index) }));
+
+    const costs = { tokens: 0, cost: 0 };
+    const verified = [];
+
+    for (let start = 0; start < checks.length; start += VERIFICATION_BATCH_SIZE) {
+        const batch = checks.slice(start, start + VERIFICATION_BATCH_SIZE);
+        const judged = batch.filter(check => check.candidates.length > 0);
+
+        let verdicts = [];
+        if (judged.length > 0) {
+            try {
+                const result = await alchemystService.generateAnalysis(createVerificationPrompt(judged), {
+                    maxTokens: 200 + judged.length * 120,
+                    temperature: 0
+                });
+                costs.tokens += result.tokens || 0;
+                costs.cost += result.cost || 0;
+                verdicts = parseVerdicts(result.content, judged);
+            } catch (error) {
+                logger.warn(`Faithfulness check fell back to passage matching: ${error.message}`);
+            }
+        }
+
+        for (const check of batch) {
+            const verdict = verdicts[judged.indexOf(check)];
+            verified.push(verdict ? applyVerdict(check, verdict) : matchVerdict(check));
+        }
+    }
+
+    const credit = { supported: 1, partial: 0.5, unsupported: 0 };
+    const faithfulnessScore = verified.length > 0
+        ? Math.round(verified.reduce((sum, sentence) => sum + credit[sentence.verdict], 0) / verified.length * 100)
+        : null;
+
+    logger.info('Faithfulness check completed', {
+        sentences: verified.length,
+        unsupported: verified.filter(sentence => sentence.verdict === 'unsupported').length,
+        faithfulnessScore
+    });
+
+    return { faithfulnessScore, sentences: verified, costs };
+};
+
+// Verdict from the match scores alone, for sentences the model didn't judge
+const matchVerdict = ({ text, candidates }) => {
+    const best = candidates[0]?.score || 0;
+    return {
+        text,
+        verdict: best >= 0.6 ? 'supported' : best >= 0.35 ? 'partial' : 'unsupported',
+        method: 'passage-match',
+        evidence: best >= 0.35 ? candidates.slice(0, 1) : []
+    };
+};
+
+const applyVerdict = ({ text, candidates }, verdict) => {
+    return {
+        text,
+        verdict: verdict.verdict,
+        method: 'model',
+        reason: verdict.reason || undefined,
+        evidence: candidates.filter(candidate => verdict.evidence.includes(candidate.passage))
+    };
+};
+
+const createVerificationPrompt = (checks) => {
+    const claims = checks.map((check, index) => {
+        const passages = check.candidates
+            .map(candidate => `[P${candidate.passage}] ${candidate.text.slice(0, 600)}`)
+            .join('\n');
+        return `Sentence ${index + 1}: ${check.text}\nSource passages:\n${passages}`;
+    }).join('\n\n');
+
+    return `
+You are checking a summary against the document it summarises. For each summary sentence
+below, decide from its source passages alone whether the document supports it.
+
+${claims}
+
+Verdicts:
+- "supported": every fact in the sentence is stated in or directly follows from the passages
+- "partial": some facts are supported, but others are missing, changed or overstated
+- "unsupported": the passages don't back the sentence, or contradict it
+
+Respond with a single JSON array and nothing else, one entry per sentence:
+[{ "sentence": 1, "verdict": "supported", "evidence": ["P12"], "reason": "short explanation if not supported" }]
+`;
+};
+
+// Verdicts indexed like the checks; entries that are missing or malformed stay empty
+const parseVerdicts = (content, checks) => {
+    const jsonStart = content.indexOf('[');
+    const jsonEnd = content.lastIndexOf(']') + 1;
+    if (jsonStart === -1 || jsonEnd === 0) {
+        throw new Error('no JSON array in verification response');
+    }
+
+    const verdicts = [];
+    for (const entry of JSON.parse(content.substring(jsonStart, jsonEnd))) {
+        const index = Number(entry?.sentence) - 1;
+        if (!checks[index] || !['supported', 'partial', 'unsupported'].includes(entry.verdict)) continue;
+
+        verdicts[index] = {
+            verdict: entry.verdict,
+            reason: typeof entry.reason === 'string' ? entry.reason : null,
+            evidence: (Array.isArray(entry.evidence) ? entry.evidence : [])
+                .map(id => Number(String(id).replace(/^P/i, '')))
+        };
+    }
+    return verdicts;
+};
+
+// Translates the finished summary; costs of both steps are added together
+const translateSummary = async (summary, targetLanguage, language) => {
+    try {
+        const translation = await alchemystService.translateText(
+            summary.content,
+            getLanguageName(targetLanguage),
+            language.name || 'auto'
+        );
+
+        return {
+            ...summary,
+            content: translation.content,
+            costs: {
+                tokens: (summary.costs?.tokens || 0) + (translation.tokens || 0),
+                cost: (summary.costs?.cost || 0) + (translation.cost || 0)
+            }
+        };
+    } catch (error) {
+        logger.error('Error translating summary:', error);
+        throw new Error(`Summary translation failed: ${error.message}`);
+    }
+};
+
+// Long outlines (big decks, many tables) are cut short - they only orient the model
+const MAX_OUTLINE_ITEMS = 60;
+
+const describeOutlineItem = (item) => {
+    switch (item.type) {
+        case 'heading':
+            return `${'  '.repeat(item.level - 1)}- ${item.text}`;
+        case 'slide':
+            return `- Slide ${item.number}: ${item.title || '(untitled)'}`;
+        case 'table':
+            return `- Table${item.title ? ` "${item.title}"` : ''}: ${item.rows} rows x ${item.columns} columns`;
+        default:
+            return `- ${item.type}`;
+    }
+};
+
+const createOutlineSection = (outline) => {
+    const items = outline.slice(0, MAX_OUTLINE_ITEMS).map(describeOutlineItem);
+    if (outline.length > MAX_OUTLINE_ITEMS) {
+        items.push(`- ... ${outline.length - MAX_OUTLINE_ITEMS} more`);
+    }
+
+    return `
+Document structure (use it to organise the summary and keep each section's points together):
+${items.join('\n')}
+`;
+};
+
+const SECTION_SUMMARIES_NOTE = `
+The document was too long to read in one pass, so the text above is a series of summaries of its
+consecutive sections. Treat them together as the whole document.
+`;
+
+const PAGE_CITATION_INSTRUCTIONS = `
+The document is a PDF and each page starts with a [Page N] marker.
+Cite the page(s) each key point comes from in the form (p. N) or (pp. N-M).
+Do not reproduce the [Page N] markers themselves.
+`;
+
 const createComprehensiveSummaryPrompt = (content, maxLength) => {
     return `
 Please provide a comprehensive summary of the following document:
@@ -342,6 +902,19 @@ const formatSummaryResult = async (summary, originalContent, summaryType) => {
     };
 };
 
+const formatExtractionResult = (summary) => {
+    return {
+        content: summary.content,
+        data: summary.data,
+        type: 'extract',
+        validation: {
+            valid: true,
+            attempts: summary.attempts
+        },
+        generatedAt: new Date()
+    };
+};
+
 const detectDocumentType = (document) => {
     if (typeof document === 'string') {
         if (document.startsWith('http')) return 'url';
@@ -426,4 +999,14 @@ const updateJobCosts = async (jobId, costs, errorMessage = null) => {
     }
 };
 
-module.exports = documentSummaryJob;
\ No newline at end of file
+module.exports = documentSummaryJob;
+
+// Building blocks shared with jobs that summarise several documents
+Object.assign(module.exports, {
+    extractDocumentContent,
+    preprocessDocument,
+    summariseDocument,
+    translateSummary,
+    formatSummaryResult,
+    detectDocumentType
+});
@@ -1,38 +1,41 @@
-const axios = require('axios');
 const alchemystService = require('../services/alchemystService');
+const githubService = require('../services/githubService');
 const logger = require('../utils/logger');
+const gitRepository = require('../utils/gitRepository');
+const advisoryService = require('../services/advisoryService');
+const repositoryService = require('../services/repositoryService');
+const { isDependencyManifest, parseManifests, buildLicenseInventory } = require('../utils/dependencyManifests');
 const { getPool } = require('../config/database');
+const { reportJobProgress } = require('../utils/jobProgress');
 
 const githubAnalysisJob = async (job) => {
-    const { repository, analysisType, options, requestId } = job.attrs.data;
+    const { repository, analysisType, options, requestId, tenantId, githubToken } = job.attrs.data;
     const jobId = job.attrs._id;
 
     logger.info(`Starting GitHub analysis job for repository: ${repository}`, { jobId });
 
     try {
-        // Update job progress
-        job.progress(10);
-        await job.save();
+        await reportJobProgress(job, 10);
 
-        // Step 1: Fetch repository information
-        const repoInfo = await fetchRepositoryInfo(repository);
-        job.progress(25);
-        await job.save();
+        // Step 1: Fetch repository information, from the GitHub API or from git itself
+        const source = gitRepository.resolveRepositorySource(repository, { clone: options?.clone });
+        const repoInfo = source === 'github'
+            ? await fetchRepositoryInfo(await githubService.getConnection(repository, { tenantId, encryptedToken: githubToken }))
+            : await readLocalRepositoryInfo(repository, source);
+        await reportJobProgress(job, 25);
 
-        // Step 2: Analyze repository structure
+        // Step 2: Analyze repository structure and audit dependencies
         const structureAnalysis = await analyzeRepositoryStructure(repoInfo);
-        job.progress(50);
-        await job.save();
+        const dependencyAudit = await auditDependencies(repoInfo);
+        await reportJobProgress(job, 50);
 
         // Step 3: Perform code analysis using Alchemyst
-        const codeAnalysis = await performCodeAnalysis(repoInfo, structureAnalysis, analysisType);
-        job.progress(75);
-        await job.save();
+        const codeAnalysis = await performCodeAnalysis(repoInfo, structureAnalysis, analysisType, dependencyAudit);
+        await reportJobProgress(job, 75);
 
         // Step 4: Generate comprehensive report
-        const report = await generateAnalysisReport(repoInfo, structureAnalysis, codeAnalysis);
-        job.progress(90);
-        await job.save();
+        const report = await generateAnalysisReport(repoInfo, structureAnalysis, codeAnalysis, dependencyAudit);
+        await reportJobProgress(job, 90);
 
         // Step 5: Store results and update metrics
         const result = {
@@ -40,14 +43,26 @@ const githubAnalysisJob = async (job) => {
             analysisType,
             report,
             metadata: {
+                source,
+                host: repoInfo.host,
+                tokenSource: repoInfo.tokenSource,
+                // GitHub requests made, and how many were answered from the cache (304)
+                ...(repoInfo.apiUsage && {
+                    githubApi: {
+                        ...repoInfo.apiUsage,
+                        quotaUsed: repoInfo.apiUsage.requests - repoInfo.apiUsage.cacheHits
+                    }
+                }),
                 processedAt: new Date(),
                 requestId,
                 analysisVersion: '1.0'
             }
         };
 
-        job.progress(100);
-        await job.save();
+        // Keep the analysis in the repository's history, linked to the one before it
+        result.metadata.previousAnalysis = await repositoryService.recordAnalysis(jobId, tenantId, result, repoInfo);
+
+        await reportJobProgress(job, 100);
 
         // Update cost metrics
         await updateJobCosts(jobId, codeAnalysis.costs);
@@ -56,6 +71,12 @@ const githubAnalysisJob = async (job) => {
         return result;
 
     } catch (error) {
+        // Rate limited: the processor reschedules the job for when the limit resets
+        if (error.retryAt) {
+            logger.warn(`GitHub analysis paused by rate limit until ${error.retryAt.toISOString()}`, { jobId });
+            throw error;
+        }
+
         logger.error(`GitHub analysis failed for repository: ${repository}`, {
             jobId,
             error: error.message
@@ -67,107 +88,424 @@ const githubAnalysisJob = async (job) => {
     }
 };
 
-const fetchRepositoryInfo = async (repository) => {
+// Key files whose contents go into the prompt; the tree and languages cover the rest
+const MAX_KEY_FILES = 12;
+const MAX_KEY_FILE_SIZE = 100 * 1024;
+const MAX_KEY_FILE_PROMPT_LENGTH = 3000;
+// 100 contributors a page
+const MAX_CONTRIBUTOR_PAGES = 5;
+// Manifests and lockfiles for the dependency audit; lockfiles can be large
+const MAX_MANIFESTS = 20;
+const MAX_MANIFEST_SIZE = 5 * 1024 * 1024;
+const MAX_PROMPT_VULNERABILITIES = 25;
+// Vendored and generated code says nothing about the project itself
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|vendor|third_party|dist|build|\.git)\//;
+
+// Files worth reading in full, most important kind first
+const KEY_FILE_KINDS = [
+    { kind: 'readme', test: filePath => /^readme(\.[a-z]+)?$/i.test(filePath) },
+    {
+        kind: 'manifest',
+        test: filePath => filePath.split('/').length <= 3 &&
+            /(^|\/)(package\.json|requirements(-\w+)?\.txt|pyproject\.toml|setup\.py|Pipfile|Gemfile|pom\.xml|build\.gradle(\.kts)?|go\.mod|Cargo\.toml|composer\.json|[\w.-]+\.csproj)$/.test(filePath)
+    },
+    {
+        kind: 'ci',
+        test: filePath => /^(\.github\/workflows\/[^/]+\.ya?ml|\.gitlab-ci\.yml|\.circleci\/config\.yml|Jenkinsfile|\.travis\.yml|azure-pipelines\.yml)$/.test(filePath)
+    },
+    { kind: 'container', test: filePath => /^(Dockerfile|docker-compose\.ya?ml|compose\.ya?ml)$/.test(filePath) }
+];
+
+// Parts of the analysis that can do without: a failure is logged and the fallback used.
+// Rate limits still end the step, so the job is rescheduled rather than left incomplete
+const fetchOptional = async (what, request, fallback) => {
     try {
-        // Extract owner and repo name from URL
-        const match = repository.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-        if (!match) {
-            throw new Error('Invalid GitHub repository URL');
-        }
+        return await request();
+    } catch (error) {
+        if (error.retryAt) throw error;
+        logger.warn(`Could not fetch ${what}: ${error.response?.status || error.message}`);
+        return fallback;
+    }
+};
+
+const fetchRepositoryInfo = async (connection) => {
+    const { owner, name: cleanRepo } = connection;
+    const githubGet = (path, options) => githubService.get(connection, path, options);
 
-        const [, owner, repo] = match;
-        const cleanRepo = repo.replace('.git', '');
+    try {
+        const repoPath = `/repos/${owner}/${cleanRepo}`;
 
         // Fetch repository information from GitHub API
-        const repoResponse = await axios.get(
-            `https://api.github.com/repos/${owner}/${cleanRepo}`,
-            {
-                headers: {
-                    'User-Agent': 'Alchemyst-Platform',
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-
-        // Fetch repository contents
-        const contentsResponse = await axios.get(
-            `https://api.github.com/repos/${owner}/${cleanRepo}/contents`,
-            {
-                headers: {
-                    'User-Agent': 'Alchemyst-Platform',
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-
-        // Fetch recent commits
-        const commitsResponse = await axios.get(
-            `https://api.github.com/repos/${owner}/${cleanRepo}/commits?per_page=10`,
-            {
-                headers: {
-                    'User-Agent': 'Alchemyst-Platform',
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
+        const repoResponse = await githubGet(repoPath);
+        const branch = repoResponse.data.default_branch;
+
+        // Full recursive file tree of the default branch (GitHub truncates very large trees)
+        const tree = await fetchOptional('repository tree', async () => {
+            const response = await githubGet(`${repoPath}/git/trees/${encodeURIComponent(branch)}`, { params: { recursive: 1 } });
+            return { entries: response.data.tree, truncated: Boolean(response.data.truncated) };
+        }, { entries: [], truncated: false });
+
+        const [languages, contributors, commits] = await Promise.all([
+            fetchOptional('languages', async () => (await githubGet(`${repoPath}/languages`)).data, {}),
+            // Empty repositories answer 204 with no body
+            fetchOptional('contributors', () => githubService.getAllPages(connection, `${repoPath}/contributors`, {
+                params: { per_page: 100 },
+                maxPages: MAX_CONTRIBUTOR_PAGES
+            }), []),
+            fetchOptional('commits', async () => (await githubGet(`${repoPath}/commits`, { params: { per_page: 30 } })).data, [])
+        ]);
+
+        const keyFiles = await fetchKeyFiles(githubGet, repoPath, branch, tree.entries);
+        const manifests = await fetchManifests(githubGet, repoPath, branch, tree.entries, keyFiles);
 
         return {
             repository: repoResponse.data,
-            contents: contentsResponse.data,
-            recentCommits: commitsResponse.data,
+            // Top-level entries, in the shape of the contents API
+            contents: tree.entries
+                .filter(entry => !entry.path.includes('/'))
+                .map(entry => ({ name: entry.path, path: entry.path, type: entry.type === 'tree' ? 'dir' : 'file', size: entry.size })),
+            tree: tree.entries,
+            treeTruncated: tree.truncated,
+            languages,
+            contributors,
+            keyFiles,
+            manifests,
+            recentCommits: commits,
             owner,
-            name: cleanRepo
+            name: cleanRepo,
+            host: connection.host,
+            tokenSource: connection.tokenSource,
+            apiUsage: connection.stats
         };
     } catch (error) {
+        if (error.retryAt) {
+            throw error;
+        }
         if (error.response?.status === 404) {
-            throw new Error('Repository not found or is private');
+            throw new Error(connection.token
+                ? 'Repository not found, or the GitHub token has no access to it'
+                : 'Repository not found or is private - add a GitHub token to analyse private repositories');
+        }
+        if (error.response?.status === 401) {
+            throw new Error('GitHub rejected the token - it is invalid or has expired');
         }
         if (error.response?.status === 403) {
-            throw new Error('GitHub API rate limit exceeded');
+            throw new Error('GitHub denied access to the repository');
         }
         throw new Error(`Failed to fetch repository info: ${error.message}`);
     }
 };
 
+// Local paths and cloned git URLs: the same information as fetchRepositoryInfo, computed
+// with git, plus blame statistics. Clones are removed once everything has been read
+const readLocalRepositoryInfo = async (repository, source) => {
+    const checkout = await gitRepository.openRepository(repository, source);
+
+    try {
+        const tree = await gitRepository.listTree(checkout.dir);
+        const [recentCommits, contributors] = await Promise.all([
+            gitRepository.readCommits(checkout.dir),
+            gitRepository.readContributors(checkout.dir)
+        ]);
+
+        const keyFiles = (await Promise.all(selectKeyFiles(tree).map(async ({ entry, kind }) => {
+            try {
+                const content = await gitRepository.readRepositoryFile(checkout.dir, entry.path);
+                return { path: entry.path, kind, size: entry.size, content };
+            } catch (error) {
+                logger.warn(`Could not read file ${entry.path}: ${error.message}`);
+                return null;
+            }
+        }))).filter(Boolean);
+
+        const manifests = (await Promise.all(selectManifests(tree).map(async (entry) => {
+            try {
+                return { path: entry.path, content: await gitRepository.readRepositoryFile(checkout.dir, entry.path) };
+            } catch (error) {
+                logger.warn(`Could not read file ${entry.path}: ${error.message}`);
+                return null;
+            }
+        }))).filter(Boolean);
+
+        // A path inside a checkout analyses the whole checkout, so name it after the checkout
+        const location = source === 'local' ? checkout.dir : repository;
+        const repositoryData = await gitRepository.describeRepository(checkout.dir, location, tree, recentCommits);
+
+        return {
+            repository: repositoryData,
+            contents: tree
+                .filter(entry => !entry.path.includes('/'))
+                .map(entry => ({ name: entry.path, path: entry.path, type: entry.type === 'tree' ? 'dir' : 'file', size: entry.size })),
+            tree,
+            treeTruncated: false,
+            languages: gitRepository.languageBreakdown(tree),
+            contributors,
+            keyFiles,
+            manifests,
+            blame: await gitRepository.collectBlameStatistics(checkout.dir, tree, IGNORED_DIRECTORIES),
+            recentCommits,
+            owner: repositoryData.owner.login,
+            name: repositoryData.name
+        };
+    } catch (error) {
+        throw new Error(`Failed to read repository: ${error.message}`);
+    } finally {
+        await checkout.cleanup();
+    }
+};
+
+const selectKeyFiles = (entries) => {
+    const candidates = [];
+
+    for (const entry of entries) {
+        if (entry.type !== 'blob' || IGNORED_DIRECTORIES.test(entry.path) || entry.size > MAX_KEY_FILE_SIZE) continue;
+
+        const rank = KEY_FILE_KINDS.findIndex(kind => kind.test(entry.path));
+        if (rank !== -1) {
+            candidates.push({ entry, rank, kind: KEY_FILE_KINDS[rank].kind });
+        }
+    }
+
+    // Most important kind first, then the shallowest (root manifests before nested ones)
+    return candidates
+        .sort((a, b) => a.rank - b.rank ||
+            a.entry.path.split('/').length - b.entry.path.split('/').length ||
+            a.entry.path.localeCompare(b.entry.path))
+        .slice(0, MAX_KEY_FILES);
+};
+
+const fetchKeyFiles = async (githubGet, repoPath, branch, entries) => {
+    const files = await Promise.all(selectKeyFiles(entries).map(({ entry, kind }) => {
+        const filePath = entry.path.split('/').map(encodeURIComponent).join('/');
+        return fetchOptional(`file ${entry.path}`, async () => {
+            const response = await githubGet(`${repoPath}/contents/${filePath}`, { params: { ref: branch }, raw: true });
+            return { path: entry.path, kind, size: entry.size, content: response.data };
+        }, null);
+    }));
+
+    return files.filter(Boolean);
+};
+
+// Dependency manifests and lockfiles, shallowest first
+const selectManifests = (entries) => {
+    return entries
+        .filter(entry => entry.type === 'blob' && !IGNORED_DIRECTORIES.test(entry.path) &&
+            entry.size <= MAX_MANIFEST_SIZE && isDependencyManifest(entry.path))
+        .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path))
+        .slice(0, MAX_MANIFESTS);
+};
+
+// Manifest contents, reusing the key files already fetched
+const fetchManifests = async (githubGet, repoPath, branch, entries, keyFiles) => {
+    const files = await Promise.all(selectManifests(entries).map(entry => {
+        const keyFile = keyFiles.find(file => file.path === entry.path);
+        if (keyFile) return { path: entry.path, content: keyFile.content };
+
+        const filePath = entry.path.split('/').map(encodeURIComponent).join('/');
+        return fetchOptional(`file ${entry.path}`, async () => {
+            const response = await githubGet(`${repoPath}/contents/${filePath}`, { params: { ref: branch }, raw: true });
+            return { path: entry.path, content: response.data };
+        }, null);
+    }));
+
+    return files.filter(Boolean);
+};
+
+// Known vulnerabilities (from the imported advisory database) and licenses of the
+// dependencies in the manifests. Deterministic, unlike the LLM's reading of the repository
+const auditDependencies = async (repoInfo) => {
+    const { manifests, dependencies } = parseManifests(repoInfo.manifests || []);
+    const ecosystems = {};
+    dependencies.forEach(item => { ecosystems[item.ecosystem] = (ecosystems[item.ecosystem] || 0) + 1; });
+
+    let vulnerabilities = [];
+    let advisoryDatabase;
+    try {
+        advisoryDatabase = { advisories: await advisoryService.countAdvisories() };
+        vulnerabilities = await advisoryService.findVulnerabilities(dependencies);
+    } catch (error) {
+        logger.warn(`Dependency vulnerability check skipped: ${error.message}`);
+        advisoryDatabase = { advisories: null, error: error.message };
+    }
+
+    return {
+        manifests,
+        totalDependencies: dependencies.length,
+        pinnedDependencies: dependencies.filter(item => item.pinned).length,
+        ecosystems,
+        advisoryDatabase,
+        vulnerabilities,
+        severityCounts: advisoryService.countBySeverity(vulnerabilities),
+        licenses: buildLicenseInventory(manifests, dependencies)
+    };
+};
+
+const describeVulnerabilities = (dependencyAudit) => {
+    if (!dependencyAudit || dependencyAudit.totalDependencies === 0) {
+        return 'No dependency manifests found';
+    }
+    if (!dependencyAudit.advisoryDatabase.advisories) {
+        return `${dependencyAudit.totalDependencies} dependencies, not checked (no advisory database imported)`;
+    }
+
+    const { vulnerabilities, totalDependencies } = dependencyAudit;
+    if (vulnerabilities.length === 0) {
+        return `${totalDependencies} dependencies checked, no known vulnerabilities`;
+    }
+
+    return `${vulnerabilities.length} known vulnerabilities in ${totalDependencies} dependencies:
+${vulnerabilities.slice(0, MAX_PROMPT_VULNERABILITIES).map(finding =>
+        `- [${finding.severity}] ${finding.package}@${finding.version}${finding.pinned ? '' : ' (lowest version the range allows)'} (${finding.manifest}): ${finding.id} ${finding.summary}` +
+        (finding.fixedIn ? ` - fixed in ${finding.fixedIn}` : '')).join('\n')}`;
+};
+
+// Frameworks and tools recognised from file names anywhere in the tree
+const FILE_MARKERS = [
+    { test: name => name === 'package.json', framework: 'Node.js' },
+    { test: name => ['requirements.txt', 'pyproject.toml', 'setup.py', 'Pipfile'].includes(name), framework: 'Python' },
+    { test: name => name === 'Gemfile', framework: 'Ruby' },
+    { test: name => name === 'pom.xml', framework: 'Maven/Java' },
+    { test: name => /^build\.gradle(\.kts)?$/.test(name), framework: 'Gradle/JVM' },
+    { test: name => name === 'go.mod', framework: 'Go' },
+    { test: name => name === 'Cargo.toml', framework: 'Rust' },
+    { test: name => name === 'composer.json', framework: 'PHP' },
+    { test: name => name.endsWith('.csproj'), framework: '.NET' },
+    { test: name => name === 'Dockerfile', buildTool: 'Docker' },
+    { test: name => /^(docker-)?compose\.ya?ml$/.test(name), buildTool: 'Docker Compose' },
+    { test: name => name === 'Makefile', buildTool: 'Make' },
+    { test: name => name === 'tsconfig.json', buildTool: 'TypeScript' },
+    { test: name => /^webpack\.config\./.test(name), buildTool: 'Webpack' },
+    { test: name => /^vite\.config\./.test(name), buildTool: 'Vite' },
+    { test: name => name === 'CMakeLists.txt', buildTool: 'CMake' }
+];
+
+// Frameworks recognised from dependencies declared in manifests
+const DEPENDENCY_MARKERS = [
+    { pattern: /"react"\s*:/, framework: 'React' },
+    { pattern: /"next"\s*:/, framework: 'Next.js' },
+    { pattern: /"vue"\s*:/, framework: 'Vue' },
+    { pattern: /"@angular\/core"\s*:/, framework: 'Angular' },
+    { pattern: /"svelte"\s*:/, framework: 'Svelte' },
+    { pattern: /"express"\s*:/, framework: 'Express' },
+    { pattern: /"fastify"\s*:/, framework: 'Fastify' },
+    { pattern: /"@nestjs\/core"\s*:/, framework: 'NestJS' },
+    { pattern: /^\s*"?django\b/im, framework: 'Django' },
+    { pattern: /^\s*"?flask\b/im, framework: 'Flask' },
+    { pattern: /^\s*"?fastapi\b/im, framework: 'FastAPI' },
+    { pattern: /gem ['"]rails['"]/, framework: 'Rails' },
+    { pattern: /<artifactId>spring-boot/, framework: 'Spring Boot' }
+];
+
+const CI_MARKERS = [
+    { pattern: /^\.github\/workflows\/[^/]+\.ya?ml$/, system: 'GitHub Actions' },
+    { pattern: /^\.gitlab-ci\.yml$/, system: 'GitLab CI' },
+    { pattern: /^\.circleci\/config\.yml$/, system: 'CircleCI' },
+    { pattern: /^Jenkinsfile$/, system: 'Jenkins' },
+    { pattern: /^\.travis\.yml$/, system: 'Travis CI' },
+    { pattern: /^azure-pipelines\.yml$/, system: 'Azure Pipelines' }
+];
+
+const TEST_FILE = /(^|\/)(tests?|__tests__|specs?)\/|\.(test|spec)\.[a-z]+$|_test\.(go|py|rb)$|(^|\/)test_[^/]+\.py$/i;
+const DOCUMENTATION_FILES = {
+    readme: /^readme(\.[a-z]+)?$/i,
+    license: /^(license|licence|copying)(\.[a-z]+)?$/i,
+    contributing: /^contributing(\.[a-z]+)?$/i,
+    changelog: /^(changelog|changes|history)(\.[a-z]+)?$/i,
+    codeOfConduct: /^code_of_conduct(\.[a-z]+)?$/i
+};
+
 const analyzeRepositoryStructure = async (repoInfo) => {
-    const { repository, contents } = repoInfo;
+    const { repository, tree = [], languages = {}, contributors = [], keyFiles = [], recentCommits = [] } = repoInfo;
+
+    const files = tree.filter(entry => entry.type === 'blob');
+    const projectFiles = files.filter(entry => !IGNORED_DIRECTORIES.test(entry.path));
+    const totalLanguageBytes = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+    const frameworks = new Set();
+    const buildTools = new Set();
 
     const analysis = {
-        languages: repository.language ? [repository.language] : [],
+        languages: Object.keys(languages).length > 0
+            ? Object.keys(languages)
+            : (repository.language ? [repository.language] : []),
+        languageBreakdown: Object.entries(languages).map(([language, bytes]) => ({
+            language,
+            bytes,
+            percent: Math.round(bytes / totalLanguageBytes * 1000) / 10
+        })),
         fileTypes: {},
         projectStructure: {},
         frameworks: [],
         buildTools: [],
+        ci: [],
+        tests: {
+            files: projectFiles.filter(entry => TEST_FILE.test(entry.path)).length
+        },
+        documentation: Object.fromEntries(Object.entries(DOCUMENTATION_FILES)
+            .map(([name, pattern]) => [name, files.some(entry => !entry.path.includes('/') && pattern.test(entry.path))])),
+        keyFiles: keyFiles.map(({ path, kind, size }) => ({ path, kind, size })),
+        // Only available when the repository was read with git
+        blame: repoInfo.blame,
+        contributors: {
+            count: contributors.length,
+            top: contributors.slice(0, 10).map(contributor => ({
+                login: contributor.login,
+                contributions: contributor.contributions
+            }))
+        },
+        commitActivity: {
+            recentCommits: recentCommits.length,
+            lastCommitAt: recentCommits[0]?.commit?.author?.date || null,
+            recentAuthors: new Set(recentCommits.map(commit => commit.author?.login || commit.commit?.author?.email)).size
+        },
         metrics: {
-            totalFiles: contents.length,
+            totalFiles: files.length,
+            totalDirectories: tree.filter(entry => entry.type === 'tree').length,
             totalSize: repository.size,
             starCount: repository.stargazers_count,
             forkCount: repository.forks_count,
-            lastUpdate: repository.updated_at
+            lastUpdate: repository.updated_at,
+            treeTruncated: Boolean(repoInfo.treeTruncated)
         }
     };
 
-    // Analyze file structure
-    contents.forEach(item => {
-        if (item.type === 'file') {
-            const extension = item.name.split('.').pop();
-            analysis.fileTypes[extension] = (analysis.fileTypes[extension] || 0) + 1;
-
-            // Detect frameworks and build tools
-            if (item.name === 'package.json') analysis.frameworks.push('Node.js');
-            if (item.name === 'requirements.txt') analysis.frameworks.push('Python');
-            if (item.name === 'Gemfile') analysis.frameworks.push('Ruby');
-            if (item.name === 'pom.xml') analysis.frameworks.push('Maven/Java');
-            if (item.name === 'Dockerfile') analysis.buildTools.push('Docker');
-            if (item.name === 'docker-compose.yml') analysis.buildTools.push('Docker Compose');
-            if (item.name === 'Makefile') analysis.buildTools.push('Make');
+    // File types, directory sizes and framework markers over the whole tree
+    projectFiles.forEach(entry => {
+        const segments = entry.path.split('/');
+        const name = segments[segments.length - 1];
+        const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '(none)';
+        analysis.fileTypes[extension] = (analysis.fileTypes[extension] || 0) + 1;
+
+        // Files and bytes per directory, two levels deep
+        for (let depth = 1; depth < Math.min(segments.length, 3); depth++) {
+            const directory = `${segments.slice(0, depth).join('/')}/`;
+            const stats = analysis.projectStructure[directory] || (analysis.projectStructure[directory] = { files: 0, size: 0 });
+            stats.files += 1;
+            stats.size += entry.size || 0;
         }
+
+        for (const marker of FILE_MARKERS) {
+            if (marker.test(name)) {
+                if (marker.framework) frameworks.add(marker.framework);
+                if (marker.buildTool) buildTools.add(marker.buildTool);
+            }
+        }
+
+        const ci = CI_MARKERS.find(marker => marker.pattern.test(entry.path));
+        if (ci && !analysis.ci.includes(ci.system)) analysis.ci.push(ci.system);
+    });
+
+    keyFiles.filter(file => file.kind === 'manifest').forEach(file => {
+        DEPENDENCY_MARKERS.filter(marker => marker.pattern.test(file.content)).forEach(marker => frameworks.add(marker.framework));
     });
 
+    analysis.frameworks = [...frameworks];
+    analysis.buildTools = [...buildTools];
+    analysis.tests.ratio = projectFiles.length > 0 ? Math.round(analysis.tests.files / projectFiles.length * 1000) / 10 : 0;
+
     return analysis;
 };
 
-const performCodeAnalysis = async (repoInfo, structureAnalysis, analysisType) => {
+const performCodeAnalysis = async (repoInfo, structureAnalysis, analysisType, dependencyAudit) => {
     try {
         const { repository, recentCommits } = repoInfo;
 
@@ -177,7 +515,7 @@ const performCodeAnalysis = async (repoInfo, structureAnalysis, analysisType) =>
 
         switch (analysisType) {
             case 'security':
-                analysisPrompt = createSecurityAnalysisPrompt(repository, structureAnalysis);
+                analysisPrompt = createSecurityAnalysisPrompt(repository, structureAnalysis, dependencyAudit);
                 estimatedCost = 0.15;
                 break;
             case 'performance':
@@ -189,7 +527,7 @@ const performCodeAnalysis = async (repoInfo, structureAnalysis, analysisType) =>
                 estimatedCost = 0.20;
                 break;
             default: // 'full'
-                analysisPrompt = createFullAnalysisPrompt(repository, structureAnalysis, recentCommits);
+                analysisPrompt = createFullAnalysisPrompt(repository, structureAnalysis, recentCommits, repoInfo.keyFiles, dependencyAudit);
                 estimatedCost = 0.25;
         }
 
@@ -214,7 +552,39 @@ const performCodeAnalysis = async (repoInfo, structureAnalysis, analysisType) =>
     }
 };
 
-const createFullAnalysisPrompt = (repository, structureAnalysis, recentCommits) => {
+// Directory layout for prompts: the largest directories, nested two levels deep
+const describeDirectories = (projectStructure, limit = 40) => {
+    const directories = Object.entries(projectStructure)
+        .sort(([, a], [, b]) => b.files - a.files)
+        .slice(0, limit)
+        .map(([directory]) => directory)
+        .sort();
+
+    return directories
+        .map(directory => {
+            const depth = directory.split('/').length - 2;
+            return `${'  '.repeat(depth)}- ${directory} (${projectStructure[directory].files} files)`;
+        })
+        .join('\n') || 'No subdirectories';
+};
+
+const describeKeyFiles = (keyFiles = []) => {
+    return keyFiles.map(file => {
+        const content = file.content.length > MAX_KEY_FILE_PROMPT_LENGTH
+            ? `${file.content.slice(0, MAX_KEY_FILE_PROMPT_LENGTH)}\n... (truncated)`
+            : file.content;
+        return `### ${file.path} (${file.kind})\n\`\`\`\n${content}\n\`\`\``;
+    }).join('\n\n') || 'None found';
+};
+
+const createFullAnalysisPrompt = (repository, structureAnalysis, recentCommits, keyFiles = [], dependencyAudit = null) => {
+    const { metrics, tests, documentation, contributors } = structureAnalysis;
+    const fileTypes = Object.entries(structureAnalysis.fileTypes)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 15)
+        .map(([extension, count]) => `${extension}: ${count}`)
+        .join(', ');
+
     return `
 Perform a comprehensive analysis of this GitHub repository:
 
@@ -223,18 +593,38 @@ Description: ${repository.description || 'No description provided'}
 Language: ${repository.language || 'Not specified'}
 Stars: ${repository.stargazers_count}
 Forks: ${repository.forks_count}
+Open Issues: ${repository.open_issues_count}
+License: ${repository.license?.name || 'None'}
+
+Languages:
+${structureAnalysis.languageBreakdown.map(entry => `- ${entry.language}: ${entry.percent}%`).join('\n') || 'Not available'}
+
+Size: ${metrics.totalFiles} files in ${metrics.totalDirectories} directories${metrics.treeTruncated ? ' (tree truncated by GitHub - the repository is larger)' : ''}
+File Types: ${fileTypes || 'None'}
 
-File Structure:
-${JSON.stringify(structureAnalysis.fileTypes, null, 2)}
+Directory Layout:
+${describeDirectories(structureAnalysis.projectStructure)}
 
 Detected Frameworks: ${structureAnalysis.frameworks.join(', ') || 'None detected'}
 Build Tools: ${structureAnalysis.buildTools.join(', ') || 'None detected'}
+CI: ${structureAnalysis.ci.join(', ') || 'None detected'}
+Tests: ${tests.files > 0 ? `${tests.files} test files (${tests.ratio}% of files)` : 'No test files found'}
+Documentation: ${Object.entries(documentation).filter(([, present]) => present).map(([name]) => name).join(', ') || 'None found'}
 
-Recent Commits (last 5):
-${recentCommits.slice(0, 5).map(commit =>
-        `- ${commit.commit.message} (${commit.commit.author.date})`
+Top Contributors (${contributors.count}${contributors.count >= MAX_CONTRIBUTOR_PAGES * 100 ? '+' : ''} total):
+${contributors.top.map(contributor => `- ${contributor.login}: ${contributor.contributions} commits`).join('\n') || 'Not available'}
+
+Recent Commits (last 10):
+${recentCommits.slice(0, 10).map(commit =>
+        `- ${commit.commit.message.split('\n')[0]} (${commit.commit.author.date})`
     ).join('\n')}
 
+Key Files:
+${describeKeyFiles(keyFiles)}
+
+Dependency Audit (from the advisory database - treat these as confirmed):
+${describeVulnerabilities(dependencyAudit)}
+
 Please provide a comprehensive analysis including:
 1. Code quality assessment
 2. Architecture overview
@@ -244,11 +634,14 @@ Please provide a comprehensive analysis including:
 6. Technology stack evaluation
 7. Best practices adherence
 
-Keep the analysis practical and actionable.
+Base the analysis on the structure and files above, naming the specific files, directories
+and dependencies each point is about. Keep the analysis practical and actionable.
 `;
 };
 
-const createSecurityAnalysisPrompt = (repository, structureAnalysis) => {
+const createSecurityAnalysisPrompt = (repository, structureAnalysis, dependencyAudit = null) => {
+    const copyleft = dependencyAudit?.licenses.copyleft || [];
+
     return `
 Perform a security-focused analysis of this repository:
 
@@ -257,8 +650,12 @@ Language: ${repository.language}
 File Types: ${JSON.stringify(structureAnalysis.fileTypes)}
 Frameworks: ${structureAnalysis.frameworks.join(', ')}
 
+Dependency Audit (from the advisory database - treat these as confirmed):
+${describeVulnerabilities(dependencyAudit)}
+Copyleft Licenses: ${copyleft.slice(0, 10).map(item => `${item.name} (${item.license})`).join(', ') || 'None found'}
+
 Focus on:
-1. Dependency vulnerabilities
+1. Dependency vulnerabilities - explain the impact of the confirmed ones above rather than guessing at others
 2. Authentication and authorization patterns
 3. Input validation practices
 4. Data exposure risks
@@ -301,6 +698,9 @@ Language: ${repository.language}
 Frameworks: ${structureAnalysis.frameworks.join(', ')}
 File Organization: ${JSON.stringify(structureAnalysis.fileTypes)}
 
+Directory Layout:
+${describeDirectories(structureAnalysis.projectStructure)}
+
 Examine:
 1. Overall architecture pattern
 2. Component organization
@@ -314,7 +714,7 @@ Focus on architectural quality and maintainability.
 `;
 };
 
-const generateAnalysisReport = async (repoInfo, structureAnalysis, codeAnalysis) => {
+const generateAnalysisReport = async (repoInfo, structureAnalysis, codeAnalysis, dependencyAudit = null) => {
     const { repository } = repoInfo;
 
     return {
@@ -336,10 +736,11 @@ const generateAnalysisReport = async (repoInfo, structureAnalysis, codeAnalysis)
             license: repository.license?.name
         },
         structure: structureAnalysis,
+        dependencies: dependencyAudit,
         analysis: codeAnalysis.analysis,
         recommendations: extractRecommendations(codeAnalysis.analysis),
         metrics: {
-            analysisScore: calculateAnalysisScore(structureAnalysis, codeAnalysis),
+            analysisScore: calculateAnalysisScore(structureAnalysis, codeAnalysis, dependencyAudit),
             complexity: assessComplexity(structureAnalysis),
             maintainability: assessMaintainability(repository, structureAnalysis)
         }
@@ -360,13 +761,15 @@ const extractRecommendations = (analysisText) => {
     return recommendations.slice(0, 10); // Limit to top 10 recommendations
 };
 
-const calculateAnalysisScore = (structureAnalysis, codeAnalysis) => {
+const calculateAnalysisScore = (structureAnalysis, codeAnalysis, dependencyAudit = null) => {
     // Simple scoring algorithm based on various factors
     let score = 50; // Base score
 
     // Bonus for good structure
     if (structureAnalysis.buildTools.length > 0) score += 10;
     if (structureAnalysis.frameworks.length > 0) score += 10;
+    if (structureAnalysis.tests?.files > 0) score += 5;
+    if (structureAnalysis.ci?.length > 0) score += 5;
 
     // Bonus for repository activity
     if (structureAnalysis.metrics.starCount > 10) score += 5;
@@ -375,6 +778,10 @@ const calculateAnalysisScore = (structureAnalysis, codeAnalysis) => {
     // Analysis quality bonus
     if (codeAnalysis.analysis.length > 500) score += 10;
 
+    // Known vulnerabilities in dependencies
+    const { critical = 0, high = 0 } = dependencyAudit?.severityCounts || {};
+    if (critical + high > 0) score -= 10;
+
     return Math.min(score, 100);
 };
 
@@ -382,8 +789,9 @@ const assessComplexity = (structureAnalysis) => {
     const fileCount = structureAnalysis.metrics.totalFiles;
     const typeCount = Object.keys(structureAnalysis.fileTypes).length;
 
-    if (fileCount > 100 || typeCount > 10) return 'High';
-    if (fileCount > 50 || typeCount > 5) return 'Medium';
+    // Counts cover the whole tree, not just the top level
+    if (fileCount > 1000 || typeCount > 15) return 'High';
+    if (fileCount > 200 || typeCount > 8) return 'Medium';
     return 'Low';
 };
 
@@ -394,8 +802,10 @@ const assessMaintainability = (repository, structureAnalysis) => {
     if (repository.license) score += 1;
     if (structureAnalysis.buildTools.length > 0) score += 1;
     if (repository.open_issues_count < 10) score += 1;
+    if (structureAnalysis.tests?.files > 0) score += 1;
+    if (structureAnalysis.documentation?.readme) score += 1;
 
-    if (score >= 3) return 'High';
+    if (score >= 4) return 'High';
     if (score >= 2) return 'Medium';
     return 'Low';
 };
@@ -0,0 +1,500 @@
+const alchemystService = require('../services/alchemystService');
+const githubService = require('../services/githubService');
+const logger = require('../utils/logger');
+const { getDatabase } = require('../config/database');
+const { parseGitHubPullRequestUrl } = require('../config/github');
+const { reportJobProgress } = require('../utils/jobProgress');
+
+// Diffs go to the model in batches of whole files, up to this many characters each
+const MAX_BATCH_DIFF_LENGTH = 12000;
+const MAX_REVIEWED_FILES = 60;
+const MAX_FILE_PAGES = 30;
+// Findings beyond this go into the review body instead of inline comments
+const MAX_INLINE_COMMENTS = 50;
+// A finding a few lines off a diff line is still anchored to the nearest one
+const MAX_ANCHOR_DISTANCE = 3;
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+const CATEGORIES = ['bug', 'security', 'performance', 'maintainability', 'style', 'tests', 'documentation'];
+
+// Generated files say nothing about the change itself
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Gemfile\.lock|go\.sum|poetry\.lock|Cargo\.lock)$|\.min\.(js|css)$|(^|\/)(dist|vendor|node_modules)\//;
+
+const githubPrReviewJob = async (job) => {
+    const { pullRequest, options = {}, requestId, tenantId, githubToken } = job.attrs.data;
+    const jobId = job.attrs._id;
+
+    logger.info(`Starting pull request review job: ${pullRequest}`, { jobId });
+
+    const costs = { totalTokens: 0, totalCost: 0, apiCalls: 0, breakdown: [] };
+    const addCosts = (step, result) => {
+        costs.totalTokens += result?.tokens || 0;
+        costs.totalCost += result?.cost || 0;
+        costs.apiCalls += 1;
+        costs.breakdown.push({ step, tokens: result?.tokens || 0, cost: result?.cost || 0 });
+    };
+
+    try {
+        await reportJobProgress(job, 10);
+
+        // Step 1: Fetch the pull request, its changed files (with their diffs) and review comments
+        const target = parseGitHubPullRequestUrl(pullRequest);
+        if (!target) {
+            throw new Error('Invalid GitHub pull request URL');
+        }
+        const connection = await githubService.getConnection(pullRequest, { tenantId, encryptedToken: githubToken });
+        const prInfo = await fetchPullRequest(connection, target.number);
+        await reportJobProgress(job, 25);
+
+        // Step 2: Review the diff in batches of files (progress 25-80%)
+        const files = prepareFiles(prInfo.files, prInfo.comments);
+        const batches = createBatches(files.filter(file => file.reviewable));
+        const findings = [];
+
+        for (const [index, batch] of batches.entries()) {
+            const review = await reviewBatch(prInfo.pullRequest, batch, options);
+            addCosts(`review:${index + 1}`, review);
+            findings.push(...review.findings);
+
+            await reportJobProgress(job, Math.round(25 + 55 * (index + 1) / batches.length));
+        }
+
+        const anchored = anchorFindings(findings, files);
+
+        // Step 3: Overall assessment of the change
+        const assessment = await assessPullRequest(prInfo.pullRequest, files, anchored);
+        addCosts('assessment', assessment);
+        await reportJobProgress(job, 90);
+
+        const report = generateReviewReport(prInfo, files, anchored, assessment.content);
+
+        // Step 4: Post the findings back as a review, when asked to
+        const review = options.postReview
+            ? await postReview(connection, prInfo.pullRequest, report)
+            : { requested: false, posted: false };
+        await reportJobProgress(job, 95);
+
+        const result = {
+            pullRequest,
+            repository: `https://${connection.host}/${connection.owner}/${connection.name}`,
+            analysisType: 'pr-review',
+            report,
+            review,
+            metadata: {
+                host: connection.host,
+                tokenSource: connection.tokenSource,
+                githubApi: {
+                    ...connection.stats,
+                    quotaUsed: connection.stats.requests - connection.stats.cacheHits
+                },
+                processedAt: new Date(),
+                requestId,
+                analysisVersion: '1.0'
+            }
+        };
+
+        await reportJobProgress(job, 100);
+
+        await updateJobCosts(jobId, costs);
+
+        logger.info(`Pull request review completed: ${pullRequest}`, { jobId, findings: anchored.length });
+        return result;
+
+    } catch (error) {
+        // Rate limited: the processor reschedules the job for when the limit resets
+        if (error.retryAt) {
+            logger.warn(`Pull request review paused by rate limit until ${error.retryAt.toISOString()}`, { jobId });
+            throw error;
+        }
+
+        logger.error(`Pull request review failed: ${pullRequest}`, {
+            jobId,
+            error: error.message
+        });
+
+        await updateJobCosts(jobId, costs.apiCalls > 0 ? costs : null, error.message);
+        throw error;
+    }
+};
+
+const fetchPullRequest = async (connection, number) => {
+    const prPath = `/repos/${connection.owner}/${connection.name}/pulls/${number}`;
+
+    try {
+        const pullRequest = (await githubService.get(connection, prPath)).data;
+        const [files, comments] = await Promise.all([
+            // GitHub lists at most 3000 files, with the diff of each as `patch`
+            githubService.getAllPages(connection, `${prPath}/files`, { params: { per_page: 100 }, maxPages: MAX_FILE_PAGES }),
+            githubService.getAllPages(connection, `${prPath}/comments`, { params: { per_page: 100 } })
+        ]);
+
+        return { pullRequest, files, comments };
+    } catch (error) {
+        if (error.retryAt) {
+            throw error;
+        }
+        if (error.response?.status === 404) {
+            throw new Error(connection.token
+                ? 'Pull request not found, or the token has no access to it'
+                : 'Pull request not found - private repositories need a GitHub token');
+        }
+        if (error.response?.status === 401) {
+            throw new Error('GitHub rejected the token - it may be expired or revoked');
+        }
+        throw new Error(`Failed to fetch pull request: ${error.message}`);
+    }
+};
+
+// Lines of a unified diff with their new-file line numbers. Added and context lines
+// can carry review comments; removed lines only exist on the old side
+const parsePatch = (patch) => {
+    const lines = [];
+    let newLine = 0;
+
+    for (const text of patch.split('\n')) {
+        const hunk = text.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+        if (hunk) {
+            newLine = parseInt(hunk[1]);
+            lines.push({ type: 'hunk', text });
+        } else if (text.startsWith('+')) {
+            lines.push({ type: 'added', line: newLine++, text: text.slice(1) });
+        } else if (text.startsWith('-')) {
+            lines.push({ type: 'removed', text: text.slice(1) });
+        } else if (!text.startsWith('\\')) {
+            lines.push({ type: 'context', line: newLine++, text: text.slice(1) });
+        }
+    }
+    return lines;
+};
+
+// Changed files with what the review needs: parsed diff, commentable lines and the
+// comments already left on them. Deleted, binary and generated files are skipped
+const prepareFiles = (files, comments) => {
+    return files.map((file, index) => {
+        const prepared = {
+            path: file.filename,
+            status: file.status,
+            additions: file.additions,
+            deletions: file.deletions,
+            existingComments: comments
+                .filter(comment => comment.path === file.filename && comment.line)
+                .map(comment => ({ line: comment.line, user: comment.user?.login, body: comment.body })),
+            reviewable: false
+        };
+
+        if (file.status === 'removed') return { ...prepared, skipped: 'deleted' };
+        if (!file.patch) return { ...prepared, skipped: 'binary or too large for a diff' };
+        if (SKIPPED_FILES.test(file.filename)) return { ...prepared, skipped: 'generated' };
+        if (index >= MAX_REVIEWED_FILES) return { ...prepared, skipped: `only the first ${MAX_REVIEWED_FILES} files are reviewed` };
+
+        const diff = parsePatch(file.patch);
+        return {
+            ...prepared,
+            reviewable: true,
+            diff,
+            commentableLines: diff.filter(line => line.line !== undefined).map(line => line.line)
+        };
+    });
+};
+
+// The diff as the model sees it: new-file line numbers next to added and context lines
+const formatDiff = (file) => {
+    const lines = file.diff.map(line => {
+        if (line.type === 'hunk') return line.text;
+        if (line.type === 'removed') return `      - ${line.text}`;
+        return `${String(line.line).padStart(5)} ${line.type === 'added' ? '+' : ' '} ${line.text}`;
+    }).join('\n');
+
+    return lines.length > MAX_BATCH_DIFF_LENGTH
+        ? `${lines.slice(0, MAX_BATCH_DIFF_LENGTH)}\n... (diff truncated)`
+        : lines;
+};
+
+const createBatches = (files) => {
+    const batches = [];
+    let current = [];
+    let length = 0;
+
+    for (const file of files) {
+        const diffLength = Math.min(formatDiff(file).length, MAX_BATCH_DIFF_LENGTH);
+        if (current.length > 0 && length + diffLength > MAX_BATCH_DIFF_LENGTH) {
+            batches.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(file);
+        length += diffLength;
+    }
+    if (current.length > 0) batches.push(current);
+
+    return batches;
+};
+
+const reviewBatch = async (pullRequest, files, options) => {
+    const response = await alchemystService.generateAnalysis(createReviewPrompt(pullRequest, files, options), {
+        maxTokens: 2000,
+        temperature: 0.2
+    });
+
+    return {
+        findings: parseFindings(response.content, files),
+        tokens: response.tokens,
+        cost: response.cost
+    };
+};
+
+const createReviewPrompt = (pullRequest, files, options = {}) => {
+    const focus = Array.isArray(options.focus) && options.focus.length > 0 ? options.focus.join(', ') : null;
+
+    return `
+Review the following changes from a pull request as an experienced code reviewer.
+
+Pull Request: ${pullRequest.title}
+Description: ${(pullRequest.body || 'No description provided').slice(0, 2000)}
+${focus ? `Focus on: ${focus}\n` : ''}
+Changed files (line numbers are in the new version of each file; "+" marks added lines):
+
+${files.map(file => `### ${file.path} (${file.status})
+${formatDiff(file)}
+${file.existingComments.length > 0 ? `Already discussed (don't repeat these):\n${file.existingComments.map(comment => `- line ${comment.line}: ${comment.body.slice(0, 200)}`).join('\n')}\n` : ''}`).join('\n')}
+
+Report only real problems in the added or changed lines: bugs, security issues, performance problems, missing error handling, unclear code and missing tests. Don't comment on code that wasn't changed, and don't praise.
+
+Respond with only a JSON object:
+{
+  "findings": [
+    {
+      "file": "path exactly as above",
+      "line": <line number from the diff>,
+      "severity": "${SEVERITIES.join('" | "')}",
+      "category": "${CATEGORIES.join('" | "')}",
+      "title": "short summary",
+      "comment": "what is wrong and why",
+      "suggestion": "how to fix it, or null"
+    }
+  ]
+}
+If there is nothing worth raising, return {"findings": []}.
+`;
+};
+
+// Findings from the model's answer, kept only when they name a file in the batch
+const parseFindings = (content, files) => {
+    const jsonStart = content.indexOf('{');
+    const jsonEnd = content.lastIndexOf('}') + 1;
+
+    try {
+        if (jsonStart === -1 || jsonEnd === 0) {
+            throw new Error('no JSON object in response');
+        }
+
+        const parsed = JSON.parse(content.substring(jsonStart, jsonEnd));
+        if (!Array.isArray(parsed.findings)) {
+            throw new Error('missing findings');
+        }
+
+        const paths = new Set(files.map(file => file.path));
+        return parsed.findings
+            .filter(finding => finding && paths.has(finding.file) && (finding.title || finding.comment))
+            .map(finding => ({
+                file: finding.file,
+                line: Number.isInteger(Number(finding.line)) ? Number(finding.line) : null,
+                severity: SEVERITIES.includes(finding.severity) ? finding.severity : 'info',
+                category: CATEGORIES.includes(finding.category) ? finding.category : 'maintainability',
+                title: String(finding.title || finding.comment).slice(0, 200),
+                comment: finding.comment ? String(finding.comment) : null,
+                suggestion: finding.suggestion ? String(finding.suggestion) : null
+            }));
+    } catch (error) {
+        logger.warn(`Review response was not valid JSON (${error.message}), skipping batch of ${files.length} files`);
+        return [];
+    }
+};
+
+// Pin each finding to a line of the diff GitHub will accept a comment on. Findings
+// on lines outside the diff stay in the report, but go into the review body
+const anchorFindings = (findings, files) => {
+    return findings.map(finding => {
+        const file = files.find(item => item.path === finding.file);
+        const nearest = finding.line === null ? null : file.commentableLines.reduce((best, line) =>
+            best === null || Math.abs(line - finding.line) < Math.abs(best - finding.line) ? line : best, null);
+        const anchored = nearest !== null && Math.abs(nearest - finding.line) <= MAX_ANCHOR_DISTANCE;
+
+        return { ...finding, line: anchored ? nearest : finding.line, anchored };
+    }).sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+};
+
+const assessPullRequest = async (pullRequest, files, findings) => {
+    const prompt = `
+Write a short overall review of this pull request for its author.
+
+Pull Request: ${pullRequest.title}
+Description: ${(pullRequest.body || 'No description provided').slice(0, 2000)}
+Changes: ${pullRequest.changed_files} files, +${pullRequest.additions} -${pullRequest.deletions}
+
+Files:
+${files.map(file => `- ${file.path} (${file.status}, +${file.additions} -${file.deletions})${file.skipped ? ` - not reviewed: ${file.skipped}` : ''}`).join('\n')}
+
+Findings from the line-by-line review:
+${findings.map(finding => `- [${finding.severity}] ${finding.file}${finding.line ? `:${finding.line}` : ''} ${finding.title}`).join('\n') || 'None'}
+
+In a few paragraphs: what the change does, the most important problems to fix before merging (refer to the findings), and whether tests cover the change. Don't list every finding again.
+`;
+
+    return alchemystService.generateAnalysis(prompt, {
+        maxTokens: 1000,
+        temperature: 0.3
+    });
+};
+
+const generateReviewReport = (prInfo, files, findings, assessment) => {
+    const { pullRequest, comments } = prInfo;
+    const severityCounts = Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+
+    return {
+        summary: {
+            repository: pullRequest.base?.repo?.name,
+            owner: pullRequest.base?.repo?.owner?.login,
+            pullRequest: pullRequest.number,
+            title: pullRequest.title,
+            analysisType: 'pr-review',
+            completedAt: new Date()
+        },
+        pullRequest: {
+            url: pullRequest.html_url,
+            title: pullRequest.title,
+            author: pullRequest.user?.login,
+            state: pullRequest.merged_at ? 'merged' : pullRequest.state,
+            draft: Boolean(pullRequest.draft),
+            base: pullRequest.base?.ref,
+            head: pullRequest.head?.ref,
+            headSha: pullRequest.head?.sha,
+            commits: pullRequest.commits,
+            additions: pullRequest.additions,
+            deletions: pullRequest.deletions,
+            changedFiles: pullRequest.changed_files,
+            existingComments: comments.length
+        },
+        files: files.map(file => ({
+            path: file.path,
+            status: file.status,
+            additions: file.additions,
+            deletions: file.deletions,
+            reviewed: file.reviewable,
+            skipped: file.skipped || null,
+            findings: findings.filter(finding => finding.file === file.path).length
+        })),
+        findings,
+        analysis: assessment,
+        recommendations: findings
+            .filter(finding => finding.severity === 'high' || finding.severity === 'medium')
+            .slice(0, 10)
+            .map(finding => `${finding.file}${finding.line ? `:${finding.line}` : ''} - ${finding.title}`),
+        metrics: {
+            findings: findings.length,
+            severityCounts,
+            reviewedFiles: files.filter(file => file.reviewable).length,
+            skippedFiles: files.filter(file => !file.reviewable).length
+        }
+    };
+};
+
+const formatFindingComment = (finding) => {
+    return [
+        `**[${finding.severity}] ${finding.title}**`,
+        finding.comment,
+        finding.suggestion ? `Suggestion: ${finding.suggestion}` : null
+    ].filter(Boolean).join('\n\n');
+};
+
+// The review GitHub receives: anchored findings as inline comments on the head
+// commit, everything else listed in the body under the overall assessment
+const createReviewPayload = (pullRequest, report, { inline = true } = {}) => {
+    const comments = inline ? report.findings.filter(finding => finding.anchored).slice(0, MAX_INLINE_COMMENTS) : [];
+    const inBody = report.findings.filter(finding => !comments.includes(finding));
+
+    const body = [
+        report.analysis,
+        inBody.length > 0
+            ? `### Other findings\n${inBody.map(finding => `- **[${finding.severity}]** \`${finding.file}${finding.line ? `:${finding.line}` : ''}\` ${finding.title}`).join('\n')}`
+            : null,
+        '_Automated review by Alchemyst_'
+    ].filter(Boolean).join('\n\n');
+
+    return {
+        commit_id: pullRequest.head?.sha,
+        // Comments only - an automated review never approves or blocks a merge
+        event: 'COMMENT',
+        body,
+        comments: comments.map(finding => ({
+            path: finding.file,
+            line: finding.line,
+            side: 'RIGHT',
+            body: formatFindingComment(finding)
+        }))
+    };
+};
+
+// GITHUB_REVIEW_POSTING: "enabled" posts the review, "dry-run" only returns the payload
+// that would be posted (for testing against GitHub without touching the PR), "disabled"
+// never posts. A failure to post doesn't fail the job - the findings are in the report
+const postReview = async (connection, pullRequest, report) => {
+    const mode = process.env.GITHUB_REVIEW_POSTING || 'enabled';
+    const payload = createReviewPayload(pullRequest, report);
+
+    if (mode === 'disabled') {
+        return { requested: true, posted: false, mode, error: 'Posting reviews is disabled on this server' };
+    }
+    if (mode === 'dry-run') {
+        return { requested: true, posted: false, mode, payload };
+    }
+    if (!connection.token) {
+        return { requested: true, posted: false, mode, error: 'Posting a review needs a GitHub token' };
+    }
+
+    try {
+        let review;
+        try {
+            review = await githubService.createReview(connection, pullRequest.number, payload);
+        } catch (error) {
+            // 422: GitHub rejected an inline comment (usually a line outside the diff) - post without them
+            if (error.response?.status !== 422 || payload.comments.length === 0) throw error;
+            logger.warn('GitHub rejected inline review comments, posting the findings in the review body');
+            review = await githubService.createReview(connection, pullRequest.number, createReviewPayload(pullRequest, report, { inline: false }));
+            payload.comments = [];
+        }
+
+        logger.info(`Posted review on pull request #${pullRequest.number}`, { reviewId: review.id, comments: payload.comments.length });
+        return { requested: true, posted: true, mode, reviewId: review.id, url: review.html_url, comments: payload.comments.length };
+    } catch (error) {
+        logger.warn(`Could not post review on pull request #${pullRequest.number}: ${error.response?.status || error.message}`);
+        return { requested: true, posted: false, mode, error: error.response?.data?.message || error.message };
+    }
+};
+
+const updateJobCosts = async (jobId, costs, errorMessage = null) => {
+    try {
+        const db = getDatabase();
+        const update = { updated_at: new Date() };
+
+        if (costs) {
+            update.cost_usd = costs.totalCost;
+            update.tokens_used = costs.totalTokens;
+            update.api_calls = costs.apiCalls;
+            update.cost_breakdown = costs.breakdown;
+        }
+        if (errorMessage) {
+            update.error_message = errorMessage;
+        }
+
+        await db.collection('job_metrics').updateOne(
+            { job_id: jobId.toString() },
+            { $set: update },
+            { upsert: true }
+        );
+    } catch (error) {
+        logger.error('Error updating job costs:', error);
+    }
+};
+
+module.exports = githubPrReviewJob;
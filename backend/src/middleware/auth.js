@@ -1,8 +1,91 @@
-// Simple auth middleware - can be enhanced later
-const auth = (req, res, next) => {
-    // For now, just pass through
-    // TODO: Implement proper authentication when needed
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// Pull the key from `X-API-Key` or an `Authorization: Bearer` header
+const extractApiKey = (req) => {
+    const headerKey = req.get('X-API-Key');
+    if (headerKey) return headerKey.trim();
+
+    const authorization = req.get('Authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+        return token.trim();
+    }
+
+    return null;
+};
+
+// Verify the API key and attach it to req.apiKey
+const auth = async (req, res, next) => {
+    try {
+        const key = extractApiKey(req);
+
+        if (!key) {
+            return res.status(401).json({
+                error: 'API key required',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            });
+        }
+
+        const apiKey = await apiKeyService.verifyKey(key);
+
+        if (!apiKey) {
+            logger.warn('Rejected invalid API key', { path: req.originalUrl, ip: req.ip });
+            return res.status(401).json({
+                error: 'Invalid or expired API key',
+                timestamp: new Date().toISOString(),
+                path: req.path
+            });
+        }
+
+        req.apiKey = apiKey;
+        next();
+    } catch (error) {
+        logger.error('Error verifying API key:', error);
+        next(error);
+    }
+};
+
+// Require a scope on an already-authenticated request
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.apiKey || !apiKeyService.hasScope(req.apiKey.scopes, scope)) {
+        logger.warn(`API key missing required scope: ${scope}`, {
+            keyId: req.apiKey?.id,
+            path: req.originalUrl
+        });
+        return res.status(403).json({
+            error: `This API key does not have the '${scope}' scope`,
+            timestamp: new Date().toISOString(),
+            path: req.path
+        });
+    }
+
     next();
 };
 
-module.exports = auth;
\ No newline at end of file
+// Socket.IO handshake auth - key comes from `auth.apiKey` or the X-API-Key header
+const socketAuth = async (socket, next) => {
+    try {
+        const key = socket.handshake.auth?.apiKey || socket.handshake.headers['x-api-key'];
+        const apiKey = await apiKeyService.verifyKey(key);
+
+        if (!apiKey) {
+            logger.warn('Rejected socket connection without a valid API key', { socketId: socket.id });
+            return next(new Error('Invalid or missing API key'));
+        }
+
+        socket.data.apiKey = apiKey;
+        next();
+    } catch (error) {
+        logger.error('Error verifying socket API key:', error);
+        next(new Error('Authentication failed'));
+    }
+};
+
+module.exports = {
+    auth,
+    requireScope,
+    socketAuth,
+    extractApiKey
+};
@@ -0,0 +1,106 @@
+const express = require('express');
+const multer = require('multer');
+const advisoryService = require('../services/advisoryService');
+const auditService = require('../services/auditService');
+const { getTenantId } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// OSV's per-ecosystem all.zip files run to tens of megabytes
+const MAX_IMPORT_SIZE = (parseInt(process.env.ADVISORY_IMPORT_MAX_SIZE_MB) || 200) * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_IMPORT_SIZE,
+        files: 1
+    }
+});
+
+// Run multer ourselves so size-limit and parse errors come back as JSON
+const receiveFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `File too large - the limit is ${Math.round(MAX_IMPORT_SIZE / 1024 / 1024)}MB`
+                : error.message;
+            return res.status(status).json({
+                error: message
+            });
+        }
+
+        // Anything else is the multipart parser rejecting a malformed body
+        res.status(400).json({
+            error: 'Invalid multipart upload: ' + error.message
+        });
+    });
+};
+
+// Advisory counts per ecosystem and when they were last imported
+router.get('/', async (req, res) => {
+    try {
+        const statistics = await advisoryService.getStatistics();
+
+        res.json({
+            success: true,
+            ...statistics
+        });
+    } catch (error) {
+        logger.error('Error getting advisory statistics:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Import an OSV dump (multipart/form-data with a `file` field): a zip of OSV JSON
+// files such as https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip, or JSON
+router.post('/import', receiveFile, async (req, res) => {
+    try {
+        // The database is shared by every tenant
+        if (getTenantId(req.apiKey)) {
+            return res.status(403).json({
+                error: 'Only the bootstrap admin key (ADMIN_API_KEY) can import advisories'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file uploaded - send the OSV dump as multipart/form-data in a "file" field'
+            });
+        }
+
+        let summary;
+        try {
+            summary = await advisoryService.importAdvisories(req.file.buffer);
+        } catch (importError) {
+            if (!importError.message.startsWith('Advisories must be')) throw importError;
+            return res.status(400).json({
+                error: importError.message
+            });
+        }
+
+        await auditService.recordEvent({
+            action: 'advisories.imported',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: null,
+            details: { filename: req.file.originalname, ...summary }
+        });
+
+        res.json({
+            success: true,
+            ...summary
+        });
+    } catch (error) {
+        logger.error('Error importing advisories:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
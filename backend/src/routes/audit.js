@@ -0,0 +1,101 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const auditService = require('../services/auditService');
+const { getTenantId } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Pull audit filters from the query string
+const parseFilters = (req) => {
+    const { from, to, actor, action, jobId } = req.query;
+
+    return {
+        from,
+        to,
+        actor,
+        action,
+        jobId,
+        tenantId: getTenantId(req.apiKey)
+    };
+};
+
+const validateFilters = (filters) => {
+    for (const field of ['from', 'to']) {
+        if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+            return `${field} must be a valid date`;
+        }
+    }
+    return null;
+};
+
+// Query audit events
+router.get('/', async (req, res) => {
+    try {
+        const filters = parseFilters(req);
+        const validationError = validateFilters(filters);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        const { limit = 100, skip = 0 } = req.query;
+        const result = await auditService.queryEvents(filters, {
+            limit: Math.min(parseInt(limit) || 100, 1000),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error querying audit events:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Export audit events as NDJSON (one event per line, oldest first)
+router.get('/export', async (req, res) => {
+    const filters = parseFilters(req);
+    const validationError = validateFilters(filters);
+    if (validationError) {
+        return res.status(400).json({
+            error: validationError
+        });
+    }
+
+    try {
+        const cursor = auditService.getEventCursor(filters);
+
+        res.set('Content-Type', 'application/x-ndjson');
+        res.set('Content-Disposition', `attachment; filename="audit-events-${Date.now()}.ndjson"`);
+
+        let exported = 0;
+        // pipeline handles backpressure and closes the cursor if the client goes away
+        await pipeline(
+            cursor.stream(),
+            async function* (events) {
+                for await (const event of events) {
+                    exported++;
+                    yield JSON.stringify(event) + '\n';
+                }
+            },
+            res
+        );
+
+        logger.info(`Exported ${exported} audit events`, { keyId: req.apiKey.id });
+    } catch (error) {
+        logger.error('Error exporting audit events:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const multer = require('multer');
+const { pipeline } = require('stream/promises');
+const fileService = require('../services/fileService');
+const auditService = require('../services/auditService');
+const { requireScope } = require('../middleware/auth');
+const { getTenantId, getOwner } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const FILE_TYPES = ['document'];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: fileService.maxFileSize,
+        files: 1
+    }
+});
+
+// Run multer ourselves so size-limit and parse errors come back as JSON
+const receiveFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+            const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            const message = error.code === 'LIMIT_FILE_SIZE'
+                ? `File too large - the limit is ${Math.round(fileService.maxFileSize / 1024 / 1024)}MB`
+                : error.message;
+            return res.status(status).json({
+                error: message
+            });
+        }
+
+        // Anything else is the multipart parser rejecting a malformed body
+        res.status(400).json({
+            error: 'Invalid multipart upload: ' + error.message
+        });
+    });
+};
+
+// Upload a file (multipart/form-data with a `file` field)
+router.post('/upload', requireScope('submit'), receiveFile, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file uploaded - send it as multipart/form-data in a "file" field'
+            });
+        }
+
+        const type = req.body.type || 'document';
+        if (!FILE_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid file type: ' + type + '. Valid types: ' + FILE_TYPES.join(', ')
+            });
+        }
+
+        const owner = getOwner(req.apiKey);
+        const file = await fileService.saveFile(req.file, { type }, owner);
+
+        await auditService.recordEvent({
+            action: 'file.uploaded',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: owner.tenantId,
+            details: { fileId: String(file.id), filename: file.filename, size: file.size, sha256: file.sha256 }
+        });
+
+        res.status(201).json({
+            success: true,
+            file
+        });
+    } catch (error) {
+        logger.error('Error uploading file:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// List uploaded files
+router.get('/', requireScope('read'), async (req, res) => {
+    try {
+        const { limit = 50, skip = 0 } = req.query;
+
+        const result = await fileService.listFiles({
+            tenantId: getTenantId(req.apiKey),
+            limit: Math.min(parseInt(limit) || 50, 100),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error listing files:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// File metadata and storage status
+router.get('/:id/status', requireScope('read'), async (req, res) => {
+    try {
+        const file = await fileService.getFile(req.params.id, getTenantId(req.apiKey));
+
+        if (!file) {
+            return res.status(404).json({
+                error: 'File not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            file
+        });
+    } catch (error) {
+        logger.error('Error getting file ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Download the original file
+router.get('/:id/download', requireScope('read'), async (req, res) => {
+    const file = await fileService.getFileRecord(req.params.id, getTenantId(req.apiKey)).catch(() => null);
+
+    if (!file || file.status !== 'stored') {
+        return res.status(404).json({
+            error: 'File not found'
+        });
+    }
+
+    try {
+        res.attachment(file.filename);
+        res.set('Content-Type', file.content_type);
+        res.set('Content-Length', String(file.size));
+        res.set('X-Checksum-SHA256', file.sha256);
+
+        await pipeline(fileService.openStorageStream(file), res);
+    } catch (error) {
+        logger.error('Error downloading file ' + req.params.id + ':', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        } else {
+            res.destroy(error);
+        }
+    }
+});
+
+// Delete a file and its stored content
+router.delete('/:id', requireScope('submit'), async (req, res) => {
+    try {
+        const file = await fileService.deleteFile(req.params.id, getTenantId(req.apiKey));
+
+        if (!file) {
+            return res.status(404).json({
+                error: 'File not found'
+            });
+        }
+
+        await auditService.recordEvent({
+            action: 'file.deleted',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: file.tenantId,
+            details: { fileId: String(file.id), filename: file.filename }
+        });
+
+        res.json({
+            success: true,
+            message: 'File deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Error deleting file ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
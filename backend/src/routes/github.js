@@ -0,0 +1,107 @@
+const express = require('express');
+const githubService = require('../services/githubService');
+const auditService = require('../services/auditService');
+const { getTenantId, getOwner } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Tenant-bound admins manage their own tenant's tokens; the bootstrap admin can name
+// a tenant, or leave it out to set the default token for every tenant
+const credentialTenant = (req) => getTenantId(req.apiKey) || req.body?.tenantId || req.query.tenantId || null;
+
+// List stored GitHub tokens (hints only, never the tokens)
+router.get('/credentials', async (req, res) => {
+    try {
+        const credentials = await githubService.listCredentials(getTenantId(req.apiKey));
+
+        res.json({
+            success: true,
+            credentials,
+            total: credentials.length
+        });
+    } catch (error) {
+        logger.error('Error listing GitHub credentials:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Store or replace the token for a host: { token }
+router.put('/credentials/:host', async (req, res) => {
+    try {
+        const { token } = req.body || {};
+        const owner = { ...getOwner(req.apiKey), tenantId: credentialTenant(req) };
+
+        if (req.body?.tenantId && getTenantId(req.apiKey) && req.body.tenantId !== getTenantId(req.apiKey)) {
+            return res.status(403).json({
+                error: 'Cannot store tokens for another tenant'
+            });
+        }
+
+        let host;
+        try {
+            host = githubService.validateHost(req.params.host);
+            if (!token || typeof token !== 'string') {
+                throw new Error('token is required');
+            }
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        const credential = await githubService.saveCredential({ host, token }, owner);
+
+        await auditService.recordEvent({
+            action: 'github_credential.saved',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: owner.tenantId,
+            details: { host, tokenHint: credential.tokenHint }
+        });
+
+        res.json({
+            success: true,
+            credential
+        });
+    } catch (error) {
+        logger.error('Error saving GitHub credential for ' + req.params.host + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Remove the token for a host
+router.delete('/credentials/:host', async (req, res) => {
+    try {
+        const tenantId = credentialTenant(req);
+        const success = await githubService.deleteCredential(req.params.host, tenantId);
+
+        if (!success) {
+            return res.status(404).json({
+                error: 'GitHub credential not found'
+            });
+        }
+
+        await auditService.recordEvent({
+            action: 'github_credential.deleted',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId,
+            details: { host: req.params.host }
+        });
+
+        res.json({
+            success: true,
+            message: 'GitHub credential deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting GitHub credential for ' + req.params.host + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
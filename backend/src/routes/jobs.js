@@ -2,21 +2,90 @@ const express = require('express');
 const jobService = require('../services/jobService');
 const logger = require('../utils/logger');
 const socketService = require('../services/socketService');
+const auditService = require('../services/auditService');
+const quotaService = require('../services/quotaService');
+const jobLogService = require('../services/jobLogService');
+const dependencyService = require('../services/dependencyService');
+const { requireScope } = require('../middleware/auth');
+const { getTenantId, getOwner, jobTenantQuery } = require('../utils/tenancy');
+const { getJobCategory } = require('../config/agenda');
 
 const router = express.Router();
 
-// Clear all jobs - utility function
-router.post('/clear-all', async (req, res) => {
+// Clear jobs (admin only) - dry run by default, filterable by type, status and age
+router.post('/clear-all', requireScope('admin'), async (req, res) => {
     try {
-        const { getAgenda } = require('../config/agenda');
-        const agenda = getAgenda();
-        const cleared = await agenda.cancel({});
-        
-        logger.info('Cleared ' + cleared + ' jobs from system');
-        res.json({ 
-            success: true, 
-            clearedJobs: cleared,
-            message: 'Cleared ' + cleared + ' jobs'
+        const {
+            type,
+            status,
+            olderThan,
+            includeSystem = false,
+            dryRun = true,
+            confirm = false
+        } = req.body || {};
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status: ' + status + '. Valid statuses: ' + JOB_STATUSES.join(', ')
+            });
+        }
+
+        let createdBefore;
+        if (olderThan) {
+            const ageMs = parseDuration(olderThan);
+            if (!ageMs) {
+                return res.status(400).json({
+                    error: 'olderThan must look like 30m, 12h or 7d'
+                });
+            }
+            createdBefore = new Date(Date.now() - ageMs);
+        }
+
+        const isDryRun = dryRun !== false;
+        if (!isDryRun && confirm !== true) {
+            return res.status(400).json({
+                error: 'Set confirm: true to clear jobs, or run with dryRun: true first to preview'
+            });
+        }
+
+        const filters = {
+            type,
+            status,
+            createdBefore,
+            excludeSystem: !includeSystem,
+            tenantId: getTenantId(req.apiKey)
+        };
+
+        const report = await jobService.clearJobs(filters, { dryRun: isDryRun });
+
+        if (!isDryRun) {
+            await auditService.recordEvent({
+                action: 'jobs.cleared',
+                actor: auditService.actorFromApiKey(req.apiKey, req),
+                tenantId: getTenantId(req.apiKey),
+                details: {
+                    filters: { type, status, olderThan, includeSystem },
+                    matched: report.matched,
+                    removed: report.removed,
+                    byType: report.byType
+                }
+            });
+        }
+
+        const message = isDryRun
+            ? 'Dry run: ' + report.matched + ' jobs would be cleared'
+            : 'Cleared ' + report.removed + ' jobs';
+
+        logger.info(message, {
+            keyId: req.apiKey.id,
+            filters: { type, status, olderThan, includeSystem }
+        });
+
+        res.json({
+            success: true,
+            ...report,
+            clearedJobs: report.removed,
+            message
         });
     } catch (error) {
         logger.error('Error clearing jobs:', error);
@@ -25,15 +94,16 @@ router.post('/clear-all', async (req, res) => {
 });
 
 // System status check
-router.get('/system-status', async (req, res) => {
+router.get('/system-status', requireScope('read'), async (req, res) => {
     try {
         const { getAgenda } = require('../config/agenda');
         const agenda = getAgenda();
+        const tenantQuery = jobTenantQuery(getTenantId(req.apiKey));
 
-        const runningJobs = await agenda.jobs({ lockedAt: { $exists: true } });
-        const scheduledJobs = await agenda.jobs({ nextRunAt: { $exists: true }, lockedAt: { $exists: false } });
-        const completedJobs = await agenda.jobs({ lastFinishedAt: { $exists: true } });
-        const failedJobs = await agenda.jobs({ failedAt: { $exists: true } });
+        const runningJobs = await agenda.jobs({ ...tenantQuery, lockedAt: { $exists: true } });
+        const scheduledJobs = await agenda.jobs({ ...tenantQuery, nextRunAt: { $exists: true }, lockedAt: { $exists: false } });
+        const completedJobs = await agenda.jobs({ ...tenantQuery, lastFinishedAt: { $exists: true } });
+        const failedJobs = await agenda.jobs({ ...tenantQuery, failedAt: { $exists: true } });
 
         const formatJobDetails = (jobs) => {
             return jobs.map(job => ({
@@ -80,17 +150,22 @@ router.get('/system-status', async (req, res) => {
     }
 });
 
-// Add this helper function at the bottom of the file
-const getJobCategory = (jobName) => {
-    const systemJobs = ['cleanup-old-jobs', 'cleanup-finished-jobs', 'system-health-check'];
-    if (systemJobs.includes(jobName)) return 'system';
-    return 'user';
+const JOB_STATUSES = ['pending', 'waiting', 'running', 'deferred', 'completed', 'failed'];
+const SUBMITTABLE_JOB_TYPES = ['github-analysis', 'github-pr-review', 'document-summary', 'document-comparison', 'deep-research'];
+
+// Parse durations like 30m, 12h or 7d into milliseconds
+const parseDuration = (value) => {
+    const match = String(value).match(/^(\d+)(m|h|d)$/);
+    if (!match) return null;
+
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1]) * units[match[2]];
 };
 
 // Create a new job
-router.post('/', async (req, res) => {
+router.post('/', requireScope('submit'), async (req, res) => {
     try {
-        const { type, data } = req.body;
+        const { type, data, dependsOn, inputMapping } = req.body;
 
         if (!type || !data) {
             return res.status(400).json({
@@ -98,23 +173,38 @@ router.post('/', async (req, res) => {
             });
         }
 
-        let job;
-        switch (type) {
-            case 'github-analysis':
-                job = await jobService.createGitHubAnalysisJob(data);
-                break;
-            case 'document-summary':
-                job = await jobService.createDocumentSummaryJob(data);
-                break;
-            case 'deep-research':
-                job = await jobService.createDeepResearchJob(data);
-                break;
-            default:
-                return res.status(400).json({
-                    error: 'Unsupported job type: ' + type
-                });
+        if (!SUBMITTABLE_JOB_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Unsupported job type: ' + type
+            });
         }
 
+        let dependencies;
+        try {
+            dependencies = await dependencyService.validateDependencies(
+                { dependsOn, inputMapping },
+                getTenantId(req.apiKey)
+            );
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        // Reject before queueing if the key is over its budget or concurrency limit
+        const quotaCheck = await quotaService.checkSubmission(req.apiKey, type, data);
+        if (!quotaCheck.allowed) {
+            return res.status(quotaCheck.status).json({
+                error: quotaCheck.error,
+                estimatedCost: quotaCheck.estimatedCost,
+                usage: quotaCheck.usage
+            });
+        }
+
+        const job = await jobService.createJobOfType(type, data, getOwner(req.apiKey), dependencies);
+
+        await quotaService.recordEstimate(job.id, quotaCheck.estimatedCost);
+
         // Emit job creation event to connected clients
         socketService.emitJobCreated(job);
         logger.info('Job created via API: ' + type, { jobId: job.id });
@@ -132,7 +222,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get all jobs with filtering
-router.get('/', async (req, res) => {
+router.get('/', requireScope('read'), async (req, res) => {
     try {
         const {
             type,
@@ -143,7 +233,8 @@ router.get('/', async (req, res) => {
 
         const filters = {
             limit: Math.min(parseInt(limit), 100),
-            skip: parseInt(skip)
+            skip: parseInt(skip),
+            tenantId: getTenantId(req.apiKey)
         };
 
         if (type) filters.type = type;
@@ -164,10 +255,10 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific job by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('read'), async (req, res) => {
     try {
         const { id } = req.params;
-        const job = await jobService.getJob(id);
+        const job = await jobService.getJob(id, getTenantId(req.apiKey));
 
         if (!job) {
             return res.status(404).json({
@@ -187,15 +278,62 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Get execution logs for a job (live lines are also pushed to the job room as `job_log`)
+router.get('/:id/logs', requireScope('read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit = 200, skip = 0, level, since } = req.query;
+
+        if (level && !jobLogService.isValidLevel(level)) {
+            return res.status(400).json({
+                error: 'Invalid level: ' + level
+            });
+        }
+
+        if (since && isNaN(new Date(since).getTime())) {
+            return res.status(400).json({
+                error: 'since must be a valid date'
+            });
+        }
+
+        const job = await jobService.getJob(id, getTenantId(req.apiKey));
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const result = await jobLogService.getLogs(id, {
+            limit: Math.min(parseInt(limit) || 200, 1000),
+            skip: parseInt(skip) || 0,
+            level,
+            since
+        });
+
+        res.json({
+            success: true,
+            jobId: id,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error getting logs for job ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
 // Cancel a job
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('submit'), async (req, res) => {
     try {
         const { id } = req.params;
 
         // Add logging to debug
         logger.info(`Attempting to cancel job: ${id}`);
 
-        const success = await jobService.cancelJob(id);
+        const tenantId = getTenantId(req.apiKey);
+        const success = await jobService.cancelJob(id, tenantId);
 
         if (!success) {
             logger.warn(`Job cancellation failed for ID: ${id}`);
@@ -204,8 +342,15 @@ router.delete('/:id', async (req, res) => {
             });
         }
 
+        await auditService.recordEvent({
+            action: 'job.cancelled',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId,
+            jobId: id
+        });
+
         // Emit job cancellation event
-        socketService.emitJobCancelled(id);
+        socketService.emitJobCancelled(id, tenantId);
         logger.info('Job cancelled via API: ' + id);
 
         res.json({
@@ -221,10 +366,10 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get job statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', requireScope('read'), async (req, res) => {
     try {
         const { timeRange = '24h' } = req.query;
-        const stats = await jobService.getJobStatistics(timeRange);
+        const stats = await jobService.getJobStatistics(timeRange, getTenantId(req.apiKey));
 
         res.json({
             success: true,
@@ -240,12 +385,12 @@ router.get('/stats/overview', async (req, res) => {
 
 // Get job progress/status for real-time updates
 // Get job progress/status for real-time updates
-router.get('/:id/progress', async (req, res) => {
+router.get('/:id/progress', requireScope('read'), async (req, res) => {
     try {
         const { id } = req.params;
 
         // Get job from agenda
-        const job = await jobService.getJob(id);
+        const job = await jobService.getJob(id, getTenantId(req.apiKey));
         if (!job) {
             return res.status(404).json({
                 error: 'Job not found'
@@ -281,10 +426,10 @@ router.get('/:id/progress', async (req, res) => {
 });
 
 // Retry a failed job
-router.post('/:id/retry', async (req, res) => {
+router.post('/:id/retry', requireScope('submit'), async (req, res) => {
     try {
         const { id } = req.params;
-        const job = await jobService.getJob(id);
+        const job = await jobService.getJob(id, getTenantId(req.apiKey));
 
         if (!job) {
             return res.status(404).json({
@@ -292,39 +437,29 @@ router.post('/:id/retry', async (req, res) => {
             });
         }
 
-        if (job.status !== 'failed') {
-            return res.status(400).json({
-                error: 'Only failed jobs can be retried'
+        const retry = await retryFailedJob(job, req);
+
+        if (retry.outcome === 'not_found') {
+            return res.status(404).json({
+                error: 'Job not found'
             });
         }
 
-        // Create a new job with the same data
-        const originalData = job.data;
-        let newJob;
-
-        switch (job.name) {
-            case 'github-analysis':
-                newJob = await jobService.createGitHubAnalysisJob(originalData);
-                break;
-            case 'document-summary':
-                newJob = await jobService.createDocumentSummaryJob(originalData);
-                break;
-            case 'deep-research':
-                newJob = await jobService.createDeepResearchJob(originalData);
-                break;
-            default:
-                return res.status(400).json({
-                    error: 'Cannot retry job type: ' + job.name
-                });
+        if (retry.outcome === 'skipped') {
+            return res.status(400).json({
+                error: retry.reason
+            });
         }
 
-        // Emit retry event
-        socketService.emit('job_retried', {
-            originalJobId: id,
-            newJobId: newJob.id,
-            retriedAt: new Date()
-        });
+        if (retry.outcome === 'rejected') {
+            return res.status(retry.status).json({
+                error: retry.reason,
+                estimatedCost: retry.estimatedCost,
+                usage: retry.usage
+            });
+        }
 
+        const { newJob } = retry;
         logger.info('Job retried: ' + id + ' -> ' + newJob.id);
 
         res.json({
@@ -340,8 +475,27 @@ router.post('/:id/retry', async (req, res) => {
     }
 });
 
+// Bulk cancel queued or running jobs, by ID list or filter
+router.post('/bulk-cancel', requireScope('submit'), (req, res) => {
+    runBulkAction(req, res, 'cancel', job => cancelUnfinishedJob(job, req));
+});
+
+// Bulk retry failed jobs, by ID list or filter
+router.post('/bulk-retry', requireScope('submit'), (req, res) => {
+    runBulkAction(req, res, 'retry', async (job) => {
+        const retry = await retryFailedJob(job, req, { bulk: true });
+        const { newJob, ...outcome } = retry;
+        return newJob ? { ...outcome, newJobId: newJob.id } : outcome;
+    });
+});
+
+// Bulk delete finished jobs, by ID list or filter
+router.post('/bulk-delete', requireScope('admin'), (req, res) => {
+    runBulkAction(req, res, 'delete', job => deleteFinishedJob(job, req));
+});
+
 // Job types information endpoint
-router.get('/types/info', (req, res) => {
+router.get('/types/info', requireScope('read'), (req, res) => {
     res.json({
         success: true,
         jobTypes: {
@@ -349,18 +503,34 @@ router.get('/types/info', (req, res) => {
                 name: 'GitHub Repository Analysis',
                 description: 'Analyze GitHub repositories for code quality, architecture, and best practices',
                 requiredFields: ['repository'],
-                optionalFields: ['analysisType', 'options', 'priority'],
+                optionalFields: ['analysisType', 'githubToken', 'options', 'priority'],
                 estimatedDuration: '5-15 minutes',
                 estimatedCost: '$0.10-$0.30'
             },
+            'github-pr-review': {
+                name: 'GitHub Pull Request Review',
+                description: 'Review the diff of a pull request and report findings anchored to files and lines, optionally posting them as a review',
+                requiredFields: ['pullRequest'],
+                optionalFields: ['githubToken', 'options', 'priority'],
+                estimatedDuration: '2-10 minutes',
+                estimatedCost: '$0.05-$0.40'
+            },
             'document-summary': {
                 name: 'Document Summarization',
                 description: 'Generate comprehensive summaries of documents and content',
                 requiredFields: ['document'],
-                optionalFields: ['summaryType', 'maxLength', 'options', 'priority'],
+                optionalFields: ['summaryType', 'maxLength', 'schema', 'targetLanguage', 'options', 'priority'],
                 estimatedDuration: '2-10 minutes',
                 estimatedCost: '$0.05-$0.20'
             },
+            'document-comparison': {
+                name: 'Document Comparison',
+                description: 'Summarise several documents (URLs, text or uploaded files) and compare them in a matrix of agreements and differences',
+                requiredFields: ['documents'],
+                optionalFields: ['criteria', 'summaryType', 'maxLength', 'targetLanguage', 'options', 'priority'],
+                estimatedDuration: '5-30 minutes',
+                estimatedCost: '$0.20-$1.00'
+            },
             'deep-research': {
                 name: 'Deep Research Analysis',
                 description: 'Conduct multi-step research on complex topics with comprehensive deliverables',
@@ -373,6 +543,168 @@ router.get('/types/info', (req, res) => {
     });
 });
 
+const FINISHED_STATUSES = ['completed', 'failed'];
+const MAX_BULK_JOBS = 100;
+
+// Retry one failed job for the requesting key - shared by single and bulk retry
+const retryFailedJob = async (job, req, details = {}) => {
+    if (job.status !== 'failed') {
+        return { outcome: 'skipped', reason: 'Only failed jobs can be retried' };
+    }
+
+    if (!SUBMITTABLE_JOB_TYPES.includes(job.name)) {
+        return { outcome: 'skipped', reason: 'Cannot retry job type: ' + job.name };
+    }
+
+    // job.data is the API view, with the token masked - resubmit what was stored
+    const data = await jobService.getStoredJobData(job.id);
+    if (!data) {
+        return { outcome: 'not_found' };
+    }
+
+    const quotaCheck = await quotaService.checkSubmission(req.apiKey, job.name, data);
+    if (!quotaCheck.allowed) {
+        return {
+            outcome: 'rejected',
+            status: quotaCheck.status,
+            reason: quotaCheck.error,
+            estimatedCost: quotaCheck.estimatedCost,
+            usage: quotaCheck.usage
+        };
+    }
+
+    // Keep the retried job in the original job's tenant
+    const owner = { ...getOwner(req.apiKey), tenantId: data.tenantId || null };
+    const newJob = await jobService.createJobOfType(job.name, data, owner);
+
+    await quotaService.recordEstimate(newJob.id, quotaCheck.estimatedCost);
+
+    await auditService.recordEvent({
+        action: 'job.retried',
+        actor: auditService.actorFromApiKey(req.apiKey, req),
+        tenantId: owner.tenantId,
+        jobId: job.id,
+        details: { jobType: job.name, newJobId: String(newJob.id), ...details }
+    });
+
+    socketService.emitJobRetried(String(job.id), newJob);
+
+    return { outcome: 'retried', newJob };
+};
+
+const cancelUnfinishedJob = async (job, req) => {
+    if (FINISHED_STATUSES.includes(job.status)) {
+        return { outcome: 'skipped', reason: 'Job already ' + job.status };
+    }
+
+    const jobId = String(job.id);
+    const success = await jobService.cancelJob(jobId, getTenantId(req.apiKey));
+    if (!success) {
+        return { outcome: 'not_found' };
+    }
+
+    await auditService.recordEvent({
+        action: 'job.cancelled',
+        actor: auditService.actorFromApiKey(req.apiKey, req),
+        tenantId: job.data?.tenantId || null,
+        jobId,
+        details: { jobType: job.name, bulk: true }
+    });
+
+    socketService.emitJobCancelled(jobId, job.data?.tenantId);
+    return { outcome: 'cancelled' };
+};
+
+const deleteFinishedJob = async (job, req) => {
+    if (!FINISHED_STATUSES.includes(job.status)) {
+        return { outcome: 'skipped', reason: 'Only completed or failed jobs can be deleted - cancel it instead' };
+    }
+
+    const jobId = String(job.id);
+    const success = await jobService.deleteJob(jobId, getTenantId(req.apiKey));
+    if (!success) {
+        return { outcome: 'not_found' };
+    }
+
+    await auditService.recordEvent({
+        action: 'job.deleted',
+        actor: auditService.actorFromApiKey(req.apiKey, req),
+        tenantId: job.data?.tenantId || null,
+        jobId,
+        details: { jobType: job.name, status: job.status, bulk: true }
+    });
+
+    return { outcome: 'deleted' };
+};
+
+// Shared driver for bulk endpoints: resolve targets, apply the action per job, report outcomes
+const runBulkAction = async (req, res, action, handleJob) => {
+    try {
+        const { jobIds, filter } = req.body || {};
+        const hasIds = Array.isArray(jobIds) && jobIds.length > 0;
+
+        if (!hasIds && (!filter || typeof filter !== 'object')) {
+            return res.status(400).json({
+                error: 'Provide a non-empty jobIds array or a filter ({ type, status, from, to })'
+            });
+        }
+
+        if (!hasIds) {
+            if (filter.status && !JOB_STATUSES.includes(filter.status)) {
+                return res.status(400).json({
+                    error: 'Invalid status: ' + filter.status + '. Valid statuses: ' + JOB_STATUSES.join(', ')
+                });
+            }
+            for (const field of ['from', 'to']) {
+                if (filter[field] && isNaN(new Date(filter[field]).getTime())) {
+                    return res.status(400).json({
+                        error: 'filter.' + field + ' must be a valid date'
+                    });
+                }
+            }
+        }
+
+        const { jobs, missing, truncated } = await jobService.findJobsForBulk(
+            { jobIds: hasIds ? jobIds : null, filter },
+            getTenantId(req.apiKey),
+            MAX_BULK_JOBS
+        );
+
+        const results = missing.map(jobId => ({ jobId, outcome: 'not_found' }));
+
+        for (const job of jobs) {
+            const jobId = String(job.id);
+            try {
+                results.push({ jobId, ...(await handleJob(job)) });
+            } catch (error) {
+                logger.error(`Bulk ${action} failed for job ${jobId}:`, error);
+                results.push({ jobId, outcome: 'error', reason: error.message });
+            }
+        }
+
+        const summary = results.reduce((counts, result) => {
+            counts[result.outcome] = (counts[result.outcome] || 0) + 1;
+            return counts;
+        }, {});
+
+        logger.info(`Bulk ${action} processed ${results.length} jobs`, { keyId: req.apiKey.id, summary });
+
+        res.json({
+            success: true,
+            action,
+            requested: results.length,
+            truncated,
+            summary,
+            results
+        });
+    } catch (error) {
+        logger.error(`Error running bulk ${action}:`, error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+};
+
 // Helper function to calculate estimated completion
 const calculateEstimatedCompletion = (job) => {
     if (job.status === 'completed' || job.status === 'failed') {
@@ -0,0 +1,216 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const quotaService = require('../services/quotaService');
+const { requireScope } = require('../middleware/auth');
+const { getTenantId, DEFAULT_TENANT } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Info about the key making the request
+router.get('/me', (req, res) => {
+    res.json({
+        success: true,
+        apiKey: req.apiKey
+    });
+});
+
+// Budget and concurrency usage for the key making the request
+router.get('/me/usage', async (req, res) => {
+    try {
+        const usage = await quotaService.getUsage(req.apiKey);
+
+        res.json({
+            success: true,
+            usage
+        });
+    } catch (error) {
+        logger.error('Error getting API key usage:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// List API keys
+router.get('/', requireScope('admin'), async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys({
+            includeRevoked: req.query.includeRevoked === 'true',
+            tenantId: getTenantId(req.apiKey)
+        });
+
+        res.json({
+            success: true,
+            keys,
+            total: keys.length
+        });
+    } catch (error) {
+        logger.error('Error listing API keys:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Create a new API key
+router.post('/', requireScope('admin'), async (req, res) => {
+    try {
+        const { name, scopes, quota, expiresAt } = req.body;
+
+        // Tenant-bound admins can only mint keys for their own tenant
+        const tenantId = getTenantId(req.apiKey) || req.body.tenantId || DEFAULT_TENANT;
+        if (req.body.tenantId && req.body.tenantId !== tenantId) {
+            return res.status(403).json({
+                error: 'Cannot create keys for another tenant'
+            });
+        }
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Key name is required'
+            });
+        }
+
+        let validScopes;
+        try {
+            validScopes = apiKeyService.validateScopes(scopes || ['read']);
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        let validQuota = null;
+        if (quota) {
+            try {
+                validQuota = quotaService.validateQuota(quota);
+            } catch (validationError) {
+                return res.status(400).json({
+                    error: validationError.message
+                });
+            }
+        }
+
+        if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+            return res.status(400).json({
+                error: 'expiresAt must be a valid date'
+            });
+        }
+
+        const apiKey = await apiKeyService.createKey(
+            { name, scopes: validScopes, tenantId, quota: validQuota, expiresAt },
+            String(req.apiKey.id)
+        );
+
+        await auditService.recordEvent({
+            action: 'api_key.created',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId,
+            details: { keyId: String(apiKey.id), name, scopes: validScopes, quota: validQuota }
+        });
+
+        logger.info('API key created via API: ' + name, { keyId: apiKey.id, createdBy: req.apiKey.id });
+
+        res.status(201).json({
+            success: true,
+            apiKey,
+            message: 'Store this key now - it will not be shown again'
+        });
+    } catch (error) {
+        logger.error('Error creating API key:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Set budget and concurrency limits for an API key
+router.put('/:id/quota', requireScope('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!/^[a-f0-9]{24}$/i.test(id)) {
+            return res.status(400).json({
+                error: 'Invalid key ID'
+            });
+        }
+
+        let quota;
+        try {
+            quota = quotaService.validateQuota(req.body || {});
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        const apiKey = await apiKeyService.updateQuota(id, quota, getTenantId(req.apiKey));
+
+        if (!apiKey) {
+            return res.status(404).json({
+                error: 'API key not found or revoked'
+            });
+        }
+
+        await auditService.recordEvent({
+            action: 'api_key.quota_updated',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: apiKey.tenantId,
+            details: { keyId: id, quota }
+        });
+
+        res.json({
+            success: true,
+            apiKey
+        });
+    } catch (error) {
+        logger.error('Error updating quota for API key ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Revoke an API key
+router.delete('/:id', requireScope('admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!/^[a-f0-9]{24}$/i.test(id)) {
+            return res.status(400).json({
+                error: 'Invalid key ID'
+            });
+        }
+
+        const success = await apiKeyService.revokeKey(id, getTenantId(req.apiKey));
+
+        if (!success) {
+            return res.status(404).json({
+                error: 'API key not found or already revoked'
+            });
+        }
+
+        await auditService.recordEvent({
+            action: 'api_key.revoked',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: getTenantId(req.apiKey),
+            details: { keyId: id }
+        });
+
+        logger.info('API key revoked via API: ' + id, { revokedBy: req.apiKey.id });
+
+        res.json({
+            success: true,
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        logger.error('Error revoking API key ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
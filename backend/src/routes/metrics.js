@@ -4,6 +4,7 @@ const { getDatabase } = require('../config/database');
 const logger = require('../utils/logger');
 const { trackHealthCheck } = require('../telemetry/metrics');
 const promClient = require('prom-client');
+const { getTenantId, metricsTenantQuery } = require('../utils/tenancy');
 
 const router = express.Router();
 
@@ -24,10 +25,11 @@ router.get('/concurrency', async (req, res) => {
     try {
         const db = getDatabase();
         const jobMetrics = db.collection('job_metrics');
+        const tenantQuery = metricsTenantQuery(getTenantId(req.apiKey));
 
         // Get current running jobs
         const runningJobs = await jobMetrics.aggregate([
-            { $match: { status: 'running' } },
+            { $match: { ...tenantQuery, status: 'running' } },
             { $group: { _id: '$job_type', count: { $sum: 1 } } },
             { $project: { job_type: '$_id', count: 1, _id: 0 } }
         ]).toArray();
@@ -35,7 +37,7 @@ router.get('/concurrency', async (req, res) => {
         // Get jobs by status in last hour
         const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
         const statusMetrics = await jobMetrics.aggregate([
-            { $match: { started_at: { $gte: oneHourAgo } } },
+            { $match: { ...tenantQuery, started_at: { $gte: oneHourAgo } } },
             { $group: { _id: '$status', count: { $sum: 1 } } },
             { $project: { status: '$_id', count: 1, _id: 0 } }
         ]).toArray();
@@ -45,6 +47,7 @@ router.get('/concurrency', async (req, res) => {
         const concurrencyPeaks = await jobMetrics.aggregate([
             {
                 $match: {
+                    ...tenantQuery,
                     started_at: { $gte: twentyFourHoursAgo },
                     status: { $in: ['running', 'completed'] }
                 }
@@ -95,7 +98,7 @@ router.get('/costs', async (req, res) => {
         const db = getDatabase();
         const jobMetrics = db.collection('job_metrics');
 
-        let timeFilter = {};
+        let timeFilter = { ...metricsTenantQuery(getTenantId(req.apiKey)) };
         const now = new Date();
 
         switch (timeRange) {
@@ -260,7 +263,7 @@ router.get('/performance', async (req, res) => {
         const db = getDatabase();
         const jobMetrics = db.collection('job_metrics');
 
-        let timeFilter = {};
+        let timeFilter = { ...metricsTenantQuery(getTenantId(req.apiKey)) };
         const now = new Date();
 
         switch (timeRange) {
@@ -480,7 +483,10 @@ router.get('/jobs/:jobId', async (req, res) => {
         const db = getDatabase();
         const jobMetrics = db.collection('job_metrics');
 
-        const jobMetric = await jobMetrics.findOne({ job_id: jobId });
+        const jobMetric = await jobMetrics.findOne({
+            job_id: jobId,
+            ...metricsTenantQuery(getTenantId(req.apiKey))
+        });
 
         if (!jobMetric) {
             return res.status(404).json({
@@ -519,10 +525,11 @@ router.get('/dashboard', async (req, res) => {
         const db = getDatabase();
         const jobMetrics = db.collection('job_metrics');
         const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        const tenantQuery = metricsTenantQuery(getTenantId(req.apiKey));
 
         // Get summary stats for last 24 hours
         const summary = await jobMetrics.aggregate([
-            { $match: { started_at: { $gte: twentyFourHoursAgo } } },
+            { $match: { ...tenantQuery, started_at: { $gte: twentyFourHoursAgo } } },
             {
                 $group: {
                     _id: null,
@@ -544,7 +551,7 @@ router.get('/dashboard', async (req, res) => {
         ]).toArray();
 
         // Get recent activity (last 10 jobs)
-        const recentActivity = await jobMetrics.find({})
+        const recentActivity = await jobMetrics.find(tenantQuery)
             .sort({ started_at: -1 })
             .limit(10)
             .project({
@@ -560,7 +567,7 @@ router.get('/dashboard', async (req, res) => {
 
         // Get job type distribution
         const typeDistribution = await jobMetrics.aggregate([
-            { $match: { started_at: { $gte: twentyFourHoursAgo } } },
+            { $match: { ...tenantQuery, started_at: { $gte: twentyFourHoursAgo } } },
             {
                 $group: {
                     _id: '$job_type',
@@ -576,7 +583,7 @@ router.get('/dashboard', async (req, res) => {
                 $lookup: {
                     from: 'job_metrics',
                     pipeline: [
-                        { $match: { started_at: { $gte: twentyFourHoursAgo } } },
+                        { $match: { ...tenantQuery, started_at: { $gte: twentyFourHoursAgo } } },
                         { $count: 'total' }
                     ],
                     as: 'total_count'
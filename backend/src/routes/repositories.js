@@ -0,0 +1,134 @@
+// backend/src/routes/repositories.js
+const express = require('express');
+const repositoryService = require('../services/repositoryService');
+const { getTenantId } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// "owner/name", "host/owner/name" or a repository URL -> { host, owner, name }
+const parseRepositoryReference = (reference) => {
+    const parts = String(reference || '')
+        .replace(/^[a-z+]+:\/\//i, '')
+        .replace(/^[^@/]+@/, '')
+        .replace(/^([^/:]+):(\d+\/)?/, '$1/')
+        .replace(/\.git$/, '')
+        .split('/')
+        .filter(Boolean);
+    if (parts.length < 2) return null;
+
+    const [owner, name] = parts.slice(-2);
+    return { host: parts.length > 2 ? parts[parts.length - 3].toLowerCase() : null, owner, name };
+};
+
+const repositoryFromParams = (req) => ({
+    owner: req.params.owner,
+    name: req.params.name,
+    host: req.query.host || null
+});
+
+// Repositories with at least one github-analysis, with their latest scores
+router.get('/', async (req, res) => {
+    try {
+        const { limit = 100, skip = 0 } = req.query;
+        const repositories = await repositoryService.listRepositories(getTenantId(req.apiKey), {
+            limit: Math.min(parseInt(limit) || 100, 1000),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            repositories
+        });
+    } catch (error) {
+        logger.error('Error listing repositories:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Latest analyses of two repositories side by side: ?left=owner/name&right=owner/name
+router.get('/compare', async (req, res) => {
+    try {
+        const left = parseRepositoryReference(req.query.left);
+        const right = parseRepositoryReference(req.query.right);
+        if (!left || !right) {
+            return res.status(400).json({
+                error: 'left and right are required, as owner/name, host/owner/name or a repository URL'
+            });
+        }
+
+        const comparison = await repositoryService.compareRepositories(left, right, getTenantId(req.apiKey));
+        if (!comparison) {
+            return res.status(404).json({
+                error: 'Both repositories need a completed github-analysis to compare'
+            });
+        }
+
+        res.json({
+            success: true,
+            comparison
+        });
+    } catch (error) {
+        logger.error('Error comparing repositories:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Score and statistics over time for one repository
+router.get('/:owner/:name/history', async (req, res) => {
+    try {
+        const { analysisType, limit = 50 } = req.query;
+        const history = await repositoryService.getHistory(repositoryFromParams(req), getTenantId(req.apiKey), {
+            analysisType,
+            limit: parseInt(limit) || 50
+        });
+
+        if (!history) {
+            return res.status(404).json({
+                error: 'No analyses found for this repository'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...history
+        });
+    } catch (error) {
+        logger.error('Error getting repository history:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// What changed between two analyses (?from=<jobId>&to=<jobId>, both optional)
+router.get('/:owner/:name/diff', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const diff = await repositoryService.diffAnalyses(repositoryFromParams(req), getTenantId(req.apiKey), { from, to });
+
+        if (!diff) {
+            return res.status(404).json({
+                error: from || to
+                    ? 'Analysis not found for this repository'
+                    : 'This repository needs two analyses for a diff'
+            });
+        }
+
+        res.json({
+            success: true,
+            diff
+        });
+    } catch (error) {
+        logger.error('Error diffing repository analyses:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const scheduleService = require('../services/scheduleService');
+const jobService = require('../services/jobService');
+const auditService = require('../services/auditService');
+const { requireScope } = require('../middleware/auth');
+const { getTenantId, getOwner } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SCHEDULE_STATUSES = ['active', 'paused'];
+
+const recordScheduleEvent = (action, req, schedule, details = {}) => {
+    return auditService.recordEvent({
+        action,
+        actor: auditService.actorFromApiKey(req.apiKey, req),
+        tenantId: schedule.tenantId || schedule.tenant_id || null,
+        details: { scheduleId: String(schedule.id || schedule._id), name: schedule.name, ...details }
+    });
+};
+
+// Create a recurring job: { name, type, data, cron, timezone? }
+router.post('/', requireScope('submit'), async (req, res) => {
+    try {
+        const { name, type, data, cron, timezone } = req.body || {};
+
+        let upcomingRuns;
+        try {
+            upcomingRuns = scheduleService.validateSchedule(
+                { name, type, data, cron, timezone },
+                Object.keys(jobService.jobTypes)
+            );
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        const schedule = await scheduleService.createSchedule(
+            { name, type, data, cron, timezone },
+            getOwner(req.apiKey)
+        );
+
+        await recordScheduleEvent('schedule.created', req, schedule, { type, cron, timezone: timezone || null });
+
+        res.status(201).json({
+            success: true,
+            schedule,
+            upcomingRuns
+        });
+    } catch (error) {
+        logger.error('Error creating schedule:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// List schedules
+router.get('/', requireScope('read'), async (req, res) => {
+    try {
+        const { status, limit = 50, skip = 0 } = req.query;
+
+        if (status && !SCHEDULE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status: ' + status + '. Valid statuses: ' + SCHEDULE_STATUSES.join(', ')
+            });
+        }
+
+        const result = await scheduleService.getSchedules({
+            tenantId: getTenantId(req.apiKey),
+            status,
+            limit: Math.min(parseInt(limit) || 50, 100),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error listing schedules:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Get a schedule with its next run
+router.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+        const schedule = await scheduleService.getSchedule(req.params.id, getTenantId(req.apiKey));
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        logger.error('Error getting schedule ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Run history - one entry per occurrence, linking the job it created
+router.get('/:id/runs', requireScope('read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { limit = 50, skip = 0 } = req.query;
+
+        const schedule = await scheduleService.getScheduleDocument(id, getTenantId(req.apiKey));
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        const result = await scheduleService.getRuns(id, {
+            limit: Math.min(parseInt(limit) || 50, 200),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            scheduleId: id,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error getting runs for schedule ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Pause a schedule
+router.post('/:id/pause', requireScope('submit'), async (req, res) => {
+    try {
+        const schedule = await scheduleService.pauseSchedule(req.params.id, getTenantId(req.apiKey));
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        await recordScheduleEvent('schedule.paused', req, schedule);
+
+        res.json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        logger.error('Error pausing schedule ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Resume a paused schedule from its next occurrence
+router.post('/:id/resume', requireScope('submit'), async (req, res) => {
+    try {
+        const schedule = await scheduleService.resumeSchedule(req.params.id, getTenantId(req.apiKey));
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        await recordScheduleEvent('schedule.resumed', req, schedule);
+
+        res.json({
+            success: true,
+            schedule
+        });
+    } catch (error) {
+        logger.error('Error resuming schedule ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Delete a schedule (jobs it already created are kept)
+router.delete('/:id', requireScope('submit'), async (req, res) => {
+    try {
+        const schedule = await scheduleService.deleteSchedule(req.params.id, getTenantId(req.apiKey));
+
+        if (!schedule) {
+            return res.status(404).json({
+                error: 'Schedule not found'
+            });
+        }
+
+        await recordScheduleEvent('schedule.deleted', req, schedule);
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted successfully'
+        });
+    } catch (error) {
+        logger.error('Error deleting schedule ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const workflowService = require('../services/workflowService');
+const jobService = require('../services/jobService');
+const socketService = require('../services/socketService');
+const auditService = require('../services/auditService');
+const quotaService = require('../services/quotaService');
+const { requireScope } = require('../middleware/auth');
+const { getTenantId, getOwner } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Submit a workflow: { name, description?, jobs: [{ key, type, data, dependsOn?: [keys], inputMapping? }] }
+router.post('/', requireScope('submit'), async (req, res) => {
+    try {
+        const { name, description, jobs } = req.body || {};
+
+        let sortedNodes;
+        try {
+            sortedNodes = workflowService.validateDefinition({ name, jobs }, Object.keys(jobService.jobTypes));
+        } catch (validationError) {
+            return res.status(400).json({
+                error: validationError.message
+            });
+        }
+
+        const quotaCheck = await quotaService.checkWorkflowSubmission(req.apiKey, sortedNodes);
+        if (!quotaCheck.allowed) {
+            return res.status(quotaCheck.status).json({
+                error: quotaCheck.error,
+                estimatedCost: quotaCheck.estimatedCost,
+                usage: quotaCheck.usage
+            });
+        }
+
+        const owner = getOwner(req.apiKey);
+        const { workflow, jobs: createdJobs } = await workflowService.createWorkflow(
+            { name, description },
+            sortedNodes,
+            owner
+        );
+
+        for (const [index, job] of createdJobs.entries()) {
+            await quotaService.recordEstimate(job.id, quotaCheck.estimates[index]);
+            socketService.emitJobCreated(job);
+        }
+
+        await auditService.recordEvent({
+            action: 'workflow.created',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: owner.tenantId,
+            details: {
+                workflowId: String(workflow._id),
+                name,
+                jobIds: workflow.nodes.map(node => node.job_id),
+                estimatedCost: quotaCheck.estimatedCost
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            workflow: await workflowService.getWorkflow(String(workflow._id))
+        });
+    } catch (error) {
+        logger.error('Error creating workflow:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// List workflows
+router.get('/', requireScope('read'), async (req, res) => {
+    try {
+        const { limit = 20, skip = 0 } = req.query;
+
+        const result = await workflowService.getWorkflows({
+            tenantId: getTenantId(req.apiKey),
+            limit: Math.min(parseInt(limit) || 20, 100),
+            skip: parseInt(skip) || 0
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error listing workflows:', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Get a workflow with per-job status and cost roll-up
+router.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+        const workflow = await workflowService.getWorkflow(req.params.id, getTenantId(req.apiKey));
+
+        if (!workflow) {
+            return res.status(404).json({
+                error: 'Workflow not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            workflow
+        });
+    } catch (error) {
+        logger.error('Error getting workflow ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+// Cancel every unfinished job in a workflow
+router.delete('/:id', requireScope('submit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const result = await workflowService.cancelWorkflow(id, getTenantId(req.apiKey));
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Workflow not found'
+            });
+        }
+
+        for (const job of result.cancelled) {
+            socketService.emitJobCancelled(job.jobId, job.tenantId);
+        }
+
+        await auditService.recordEvent({
+            action: 'workflow.cancelled',
+            actor: auditService.actorFromApiKey(req.apiKey, req),
+            tenantId: result.workflow.tenant_id,
+            details: {
+                workflowId: id,
+                name: result.workflow.name,
+                cancelledJobIds: result.cancelled.map(job => job.jobId)
+            }
+        });
+
+        res.json({
+            success: true,
+            message: `Workflow cancelled (${result.cancelled.length} jobs stopped)`,
+            cancelled: result.cancelled.map(({ key, jobId }) => ({ key, jobId }))
+        });
+    } catch (error) {
+        logger.error('Error cancelling workflow ' + req.params.id + ':', error);
+        res.status(500).json({
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
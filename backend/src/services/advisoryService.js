@@ -0,0 +1,248 @@
+// backend/src/services/advisoryService.js
+// Local vulnerability advisory database, imported from OSV dumps (the per-ecosystem
+// all.zip files, or OSV JSON), and matching of dependency versions against it.
+const JSZip = require('jszip');
+const { getDatabase } = require('../config/database');
+const logger = require('../utils/logger');
+
+const IMPORT_BATCH_SIZE = 500;
+const LOOKUP_BATCH_SIZE = 500;
+const ECOSYSTEMS = ['npm', 'PyPI', 'Maven', 'RubyGems', 'Go'];
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// Names as advisories and manifests may spell them differently: PyPI treats
+// "Foo_Bar" and "foo-bar" as the same package
+const packageKey = (ecosystem, name) => {
+    const normalised = ecosystem === 'PyPI' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name.toLowerCase();
+    return `${ecosystem}:${normalised}`;
+};
+
+// Version order across ecosystems: numeric release parts first, then pre-releases
+// (1.0.0-beta, 1.0rc1, 1.0.dev0) before the release and post-releases after it
+const parseVersion = (version) => {
+    const [, release = '', suffix = ''] = String(version).trim().replace(/^v/i, '').match(/^(\d+(?:\.\d+)*)(.*)$/) || [null, '', String(version)];
+    const normalisedSuffix = suffix.replace(/^[.+-]/, '').replace(/\+.*$/, '').toLowerCase();
+    let rank = normalisedSuffix ? -1 : 0;
+    if (/^(final|ga|release|r)$/.test(normalisedSuffix)) rank = 0;
+    if (/^(post|sp|pl|patch|p)\d*/.test(normalisedSuffix)) rank = 1;
+
+    return { release: release ? release.split('.').map(Number) : [], suffix: normalisedSuffix, rank };
+};
+
+const compareVersions = (a, b) => {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+
+    for (let i = 0; i < Math.max(left.release.length, right.release.length); i++) {
+        const difference = (left.release[i] || 0) - (right.release[i] || 0);
+        if (difference !== 0) return Math.sign(difference);
+    }
+    if (left.rank !== right.rank) return Math.sign(left.rank - right.rank);
+    return Math.sign(left.suffix.localeCompare(right.suffix, 'en', { numeric: true }));
+};
+
+// Whether a version falls in an OSV range: introduced <= version < fixed (or <= last_affected)
+const inRange = (version, range) => {
+    let affected = false;
+    const events = [...range.events].sort((a, b) => {
+        const at = (event) => event.introduced ?? event.fixed ?? event.last_affected ?? event.limit;
+        return at(a) === '0' ? -1 : at(b) === '0' ? 1 : compareVersions(at(a), at(b));
+    });
+
+    for (const event of events) {
+        if (event.introduced !== undefined && (event.introduced === '0' || compareVersions(version, event.introduced) >= 0)) {
+            affected = true;
+        } else if (event.fixed !== undefined && compareVersions(version, event.fixed) >= 0) {
+            affected = false;
+        } else if (event.last_affected !== undefined && compareVersions(version, event.last_affected) > 0) {
+            affected = false;
+        } else if (event.limit !== undefined && compareVersions(version, event.limit) >= 0) {
+            affected = false;
+        }
+    }
+    return affected;
+};
+
+const isAffected = (version, affected) => {
+    if ((affected.versions || []).includes(version)) return true;
+    // GIT ranges are commit hashes - nothing to compare a version with
+    return (affected.ranges || []).some(range => range.type !== 'GIT' && inRange(version, range));
+};
+
+// The lowest fixed version above the one in use, if the advisory has one
+const fixedVersion = (version, affected) => {
+    const fixes = (affected.ranges || [])
+        .flatMap(range => range.events.map(event => event.fixed).filter(Boolean))
+        .filter(fixed => compareVersions(fixed, version) > 0)
+        .sort(compareVersions);
+    return fixes[0] || null;
+};
+
+const severityOf = (advisory) => {
+    const severity = String(advisory.database_specific?.severity || '').toLowerCase();
+    if (severity === 'moderate') return 'medium';
+    return SEVERITIES.includes(severity) ? severity : 'unknown';
+};
+
+class AdvisoryService {
+    collection() {
+        return getDatabase().collection('advisories');
+    }
+
+    // The parts of an OSV record needed for matching and reporting, or null when it can't be used
+    normaliseAdvisory(record) {
+        if (!record?.id || !Array.isArray(record.affected) || record.withdrawn) return null;
+
+        const affected = record.affected
+            .filter(item => ECOSYSTEMS.includes(item.package?.ecosystem) && item.package?.name)
+            .map(item => ({
+                ecosystem: item.package.ecosystem,
+                name: item.package.name,
+                ranges: (item.ranges || []).map(range => ({ type: range.type, events: range.events || [] })),
+                versions: item.versions || []
+            }));
+        if (affected.length === 0) return null;
+
+        return {
+            _id: record.id,
+            aliases: record.aliases || [],
+            summary: record.summary || (record.details || '').slice(0, 300),
+            severity: severityOf(record),
+            cvss: (record.severity || []).map(item => item.score),
+            affected,
+            packages: [...new Set(affected.map(item => packageKey(item.ecosystem, item.name)))],
+            references: (record.references || []).slice(0, 5).map(reference => reference.url),
+            published: record.published ? new Date(record.published) : null,
+            modified: record.modified ? new Date(record.modified) : null,
+            imported_at: new Date()
+        };
+    }
+
+    // Every OSV record in an upload: a zip of JSON files (OSV's all.zip), one record,
+    // or a JSON array of records
+    async *readRecords(buffer) {
+        if (buffer.subarray(0, 2).toString() === 'PK') {
+            const zip = await JSZip.loadAsync(buffer);
+            for (const file of Object.values(zip.files)) {
+                if (file.dir || !file.name.endsWith('.json')) continue;
+                try {
+                    yield JSON.parse(await file.async('string'));
+                } catch (error) {
+                    logger.warn(`Skipping unreadable advisory ${file.name}: ${error.message}`);
+                }
+            }
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(buffer.toString('utf8'));
+        } catch (error) {
+            throw new Error('Advisories must be an OSV zip archive or OSV JSON');
+        }
+        yield* (Array.isArray(parsed) ? parsed : parsed.vulns || [parsed]);
+    }
+
+    // Replace advisories by id; returns counts per ecosystem
+    async importAdvisories(buffer) {
+        const summary = { imported: 0, skipped: 0, ecosystems: {} };
+        let batch = [];
+
+        const flush = async () => {
+            if (batch.length === 0) return;
+            await this.collection().bulkWrite(batch.map(advisory => ({
+                replaceOne: { filter: { _id: advisory._id }, replacement: advisory, upsert: true }
+            })), { ordered: false });
+            batch = [];
+        };
+
+        for await (const record of this.readRecords(buffer)) {
+            const advisory = this.normaliseAdvisory(record);
+            if (!advisory) {
+                summary.skipped += 1;
+                continue;
+            }
+
+            batch.push(advisory);
+            summary.imported += 1;
+            for (const ecosystem of new Set(advisory.affected.map(item => item.ecosystem))) {
+                summary.ecosystems[ecosystem] = (summary.ecosystems[ecosystem] || 0) + 1;
+            }
+            if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        logger.info(`Imported ${summary.imported} advisories (${summary.skipped} skipped)`, { ecosystems: summary.ecosystems });
+        return summary;
+    }
+
+    countAdvisories() {
+        return this.collection().estimatedDocumentCount();
+    }
+
+    async getStatistics() {
+        const [totals, lastImport] = await Promise.all([
+            this.collection().aggregate([
+                { $unwind: '$affected' },
+                { $group: { _id: '$affected.ecosystem', advisories: { $addToSet: '$_id' } } },
+                { $project: { advisories: { $size: '$advisories' } } }
+            ]).toArray(),
+            this.collection().find({}, { projection: { imported_at: 1 } }).sort({ imported_at: -1 }).limit(1).toArray()
+        ]);
+
+        return {
+            advisories: await this.collection().countDocuments(),
+            ecosystems: Object.fromEntries(totals.map(total => [total._id, total.advisories])),
+            lastImport: lastImport[0]?.imported_at || null
+        };
+    }
+
+    // Known vulnerabilities of the given dependencies ([{ ecosystem, name, version, ... }]).
+    // Dependencies without a version (ranges with no lower bound) can't be checked
+    async findVulnerabilities(dependencies) {
+        const checkable = dependencies.filter(item => item.version);
+        const findings = [];
+
+        for (let start = 0; start < checkable.length; start += LOOKUP_BATCH_SIZE) {
+            const batch = checkable.slice(start, start + LOOKUP_BATCH_SIZE);
+            const advisories = await this.collection()
+                .find({ packages: { $in: [...new Set(batch.map(item => packageKey(item.ecosystem, item.name)))] } })
+                .toArray();
+            if (advisories.length === 0) continue;
+
+            for (const item of batch) {
+                const key = packageKey(item.ecosystem, item.name);
+                for (const advisory of advisories) {
+                    const affected = advisory.affected.find(entry =>
+                        packageKey(entry.ecosystem, entry.name) === key && isAffected(item.version, entry));
+                    if (!affected) continue;
+
+                    findings.push({
+                        id: advisory._id,
+                        aliases: advisory.aliases,
+                        severity: advisory.severity,
+                        summary: advisory.summary,
+                        ecosystem: item.ecosystem,
+                        package: item.name,
+                        version: item.version,
+                        // Unpinned versions were read from the bottom of a range; the installed one may be newer
+                        pinned: item.pinned,
+                        dev: item.dev,
+                        manifest: item.manifest,
+                        fixedIn: fixedVersion(item.version, affected),
+                        references: advisory.references
+                    });
+                }
+            }
+        }
+
+        return findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+            a.package.localeCompare(b.package));
+    }
+
+    countBySeverity(findings) {
+        return Object.fromEntries(SEVERITIES.map(severity => [severity, findings.filter(finding => finding.severity === severity).length]));
+    }
+}
+
+module.exports = new AdvisoryService();
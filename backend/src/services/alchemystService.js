@@ -267,7 +267,7 @@ class AlchemystService {
         try {
             const prompt = `
 Please provide a comprehensive summary of the following content:
-
+${options.context ? `\nContext: ${options.context}\n` : ''}
 ${text}
 
 Summary requirements:
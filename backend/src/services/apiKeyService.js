@@ -0,0 +1,231 @@
+// backend/src/services/apiKeyService.js
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDatabase } = require('../config/database');
+const logger = require('../utils/logger');
+const { DEFAULT_TENANT } = require('../utils/tenancy');
+
+const KEY_PREFIX = 'alk_';
+
+// Each scope includes the scopes below it
+const SCOPES = {
+    read: ['read'],
+    submit: ['read', 'submit'],
+    admin: ['read', 'submit', 'admin']
+};
+
+class ApiKeyService {
+    constructor() {
+        this.bootstrapKey = process.env.ADMIN_API_KEY;
+
+        if (!this.bootstrapKey) {
+            logger.warn('ADMIN_API_KEY not set. API keys must already exist in MongoDB to access the API.');
+        }
+    }
+
+    hashKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    generateKey() {
+        return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    }
+
+    validateScopes(scopes) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new Error('At least one scope is required');
+        }
+
+        const invalid = scopes.filter(scope => !SCOPES[scope]);
+        if (invalid.length > 0) {
+            throw new Error(`Invalid scopes: ${invalid.join(', ')}. Valid scopes: ${Object.keys(SCOPES).join(', ')}`);
+        }
+
+        return [...new Set(scopes)];
+    }
+
+    hasScope(grantedScopes = [], requiredScope) {
+        return grantedScopes.some(scope => (SCOPES[scope] || []).includes(requiredScope));
+    }
+
+    async createKey({ name, scopes = ['read'], tenantId = DEFAULT_TENANT, quota = null, expiresAt = null }, createdBy = null) {
+        try {
+            if (!name) {
+                throw new Error('Key name is required');
+            }
+
+            const key = this.generateKey();
+            const record = {
+                name,
+                key_prefix: key.substring(0, KEY_PREFIX.length + 6),
+                key_hash: this.hashKey(key),
+                scopes: this.validateScopes(scopes),
+                tenant_id: tenantId,
+                quota: quota ? this.toQuotaRecord(quota) : null,
+                created_at: new Date(),
+                created_by: createdBy,
+                expires_at: expiresAt ? new Date(expiresAt) : null,
+                last_used_at: null,
+                revoked_at: null
+            };
+
+            const db = getDatabase();
+            const result = await db.collection('api_keys').insertOne(record);
+
+            logger.info('API key created:', { keyId: result.insertedId, name, scopes: record.scopes, tenantId });
+
+            // The plaintext key is only ever returned here
+            return {
+                key,
+                ...this.formatKeyResponse({ ...record, _id: result.insertedId })
+            };
+        } catch (error) {
+            logger.error('Error creating API key:', error);
+            throw error;
+        }
+    }
+
+    async verifyKey(key) {
+        if (!key) return null;
+
+        if (this.bootstrapKey && this.safeEqual(key, this.bootstrapKey)) {
+            return this.bootstrapRecord();
+        }
+
+        const db = getDatabase();
+        const record = await db.collection('api_keys').findOne({ key_hash: this.hashKey(key) });
+
+        if (!record || record.revoked_at) return null;
+        if (record.expires_at && record.expires_at < new Date()) return null;
+
+        // Don't hold up the request on the usage timestamp
+        db.collection('api_keys')
+            .updateOne({ _id: record._id }, { $set: { last_used_at: new Date() } })
+            .catch(error => logger.warn('Could not update API key usage:', error.message));
+
+        return this.formatKeyResponse(record);
+    }
+
+    // Look up an active key by ID, for work done on a key's behalf outside a request (e.g. schedules)
+    async getKeyById(keyId) {
+        if (keyId === 'bootstrap') {
+            return this.bootstrapKey ? this.bootstrapRecord() : null;
+        }
+        if (!ObjectId.isValid(keyId)) return null;
+
+        const db = getDatabase();
+        const record = await db.collection('api_keys').findOne({ _id: new ObjectId(keyId) });
+
+        if (!record || record.revoked_at) return null;
+        if (record.expires_at && record.expires_at < new Date()) return null;
+
+        return this.formatKeyResponse(record);
+    }
+
+    bootstrapRecord() {
+        return {
+            id: 'bootstrap',
+            name: 'Bootstrap admin key',
+            scopes: ['admin'],
+            tenantId: null,
+            bootstrap: true
+        };
+    }
+
+    async listKeys({ includeRevoked = false, tenantId = null } = {}) {
+        try {
+            const db = getDatabase();
+            const query = includeRevoked ? {} : { revoked_at: null };
+            if (tenantId) query.tenant_id = tenantId;
+
+            const keys = await db.collection('api_keys')
+                .find(query)
+                .sort({ created_at: -1 })
+                .toArray();
+
+            return keys.map(record => this.formatKeyResponse(record));
+        } catch (error) {
+            logger.error('Error listing API keys:', error);
+            throw error;
+        }
+    }
+
+    async revokeKey(keyId, tenantId = null) {
+        try {
+            const db = getDatabase();
+            const query = { _id: new ObjectId(keyId), revoked_at: null };
+            if (tenantId) query.tenant_id = tenantId;
+
+            const result = await db.collection('api_keys').updateOne(
+                query,
+                { $set: { revoked_at: new Date() } }
+            );
+
+            if (result.modifiedCount > 0) {
+                logger.info(`API key revoked: ${keyId}`);
+            }
+            return result.modifiedCount > 0;
+        } catch (error) {
+            logger.error(`Error revoking API key ${keyId}:`, error);
+            throw error;
+        }
+    }
+
+    async updateQuota(keyId, quota, tenantId = null) {
+        try {
+            const db = getDatabase();
+            const query = { _id: new ObjectId(keyId), revoked_at: null };
+            if (tenantId) query.tenant_id = tenantId;
+
+            const result = await db.collection('api_keys').findOneAndUpdate(
+                query,
+                { $set: { quota: this.toQuotaRecord(quota) } },
+                { returnDocument: 'after' }
+            );
+
+            if (result) {
+                logger.info(`API key quota updated: ${keyId}`, quota);
+            }
+            return result ? this.formatKeyResponse(result) : null;
+        } catch (error) {
+            logger.error(`Error updating quota for API key ${keyId}:`, error);
+            throw error;
+        }
+    }
+
+    toQuotaRecord(quota) {
+        return {
+            budget_usd: quota.budgetUsd ?? null,
+            budget_period: quota.budgetPeriod || 'daily',
+            max_concurrent_jobs: quota.maxConcurrentJobs ?? null
+        };
+    }
+
+    safeEqual(a, b) {
+        const bufA = Buffer.from(this.hashKey(a));
+        const bufB = Buffer.from(this.hashKey(b));
+        return crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    formatKeyResponse(record) {
+        return {
+            id: record._id,
+            name: record.name,
+            prefix: record.key_prefix,
+            scopes: record.scopes,
+            tenantId: record.tenant_id,
+            quota: record.quota ? {
+                budgetUsd: record.quota.budget_usd,
+                budgetPeriod: record.quota.budget_period,
+                maxConcurrentJobs: record.quota.max_concurrent_jobs
+            } : null,
+            createdAt: record.created_at,
+            createdBy: record.created_by,
+            expiresAt: record.expires_at,
+            lastUsedAt: record.last_used_at,
+            revokedAt: record.revoked_at
+        };
+    }
+}
+
+module.exports = new ApiKeyService();
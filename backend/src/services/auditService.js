@@ -0,0 +1,112 @@
+// backend/src/services/auditService.js
+// Append-only audit trail in the `audit_events` collection. Events are only
+// ever inserted - this service deliberately has no update or delete methods.
+const { getDatabase } = require('../config/database');
+const { metricsTenantQuery } = require('../utils/tenancy');
+const logger = require('../utils/logger');
+
+const SYSTEM_ACTOR = { keyId: null, name: 'system', tenantId: null, ip: null };
+
+class AuditService {
+    // Describe the API key behind a request for the audit trail
+    actorFromApiKey(apiKey, req = null) {
+        return {
+            keyId: apiKey?.id ? String(apiKey.id) : null,
+            name: apiKey?.name || null,
+            tenantId: apiKey?.tenantId || null,
+            ip: req?.ip || null
+        };
+    }
+
+    // Actor for job owners when only the owner ({ tenantId, keyId }) is known
+    actorFromOwner(owner = {}) {
+        return {
+            keyId: owner.keyId || null,
+            name: null,
+            tenantId: owner.tenantId || null,
+            ip: null
+        };
+    }
+
+    systemActor(name = 'system') {
+        return { ...SYSTEM_ACTOR, name };
+    }
+
+    async recordEvent({ action, actor = SYSTEM_ACTOR, tenantId = null, jobId = null, details = {} }) {
+        try {
+            const db = getDatabase();
+            const event = {
+                action,
+                actor,
+                tenant_id: tenantId,
+                job_id: jobId ? String(jobId) : null,
+                details,
+                timestamp: new Date()
+            };
+
+            await db.collection('audit_events').insertOne(event);
+            logger.debug(`Audit event recorded: ${action}`, { actor: actor.keyId || actor.name, jobId: event.job_id });
+            return event;
+        } catch (error) {
+            // Never fail the audited action because the audit write failed
+            logger.error(`Error recording audit event ${action}:`, error);
+            return null;
+        }
+    }
+
+    buildQuery(filters = {}) {
+        const query = { ...metricsTenantQuery(filters.tenantId) };
+
+        if (filters.from || filters.to) {
+            query.timestamp = {};
+            if (filters.from) query.timestamp.$gte = new Date(filters.from);
+            if (filters.to) query.timestamp.$lte = new Date(filters.to);
+        }
+
+        if (filters.actor) {
+            query.$or = [
+                { 'actor.keyId': filters.actor },
+                { 'actor.name': filters.actor }
+            ];
+        }
+
+        if (filters.action) {
+            const actions = String(filters.action).split(',').map(action => action.trim()).filter(Boolean);
+            query.action = actions.length === 1 ? actions[0] : { $in: actions };
+        }
+
+        if (filters.jobId) {
+            query.job_id = String(filters.jobId);
+        }
+
+        return query;
+    }
+
+    async queryEvents(filters = {}, { limit = 100, skip = 0 } = {}) {
+        try {
+            const db = getDatabase();
+            const query = this.buildQuery(filters);
+            const collection = db.collection('audit_events');
+
+            const [events, total] = await Promise.all([
+                collection.find(query).sort({ timestamp: -1 }).skip(skip).limit(limit).toArray(),
+                collection.countDocuments(query)
+            ]);
+
+            return { events, total, limit, skip };
+        } catch (error) {
+            logger.error('Error querying audit events:', error);
+            throw error;
+        }
+    }
+
+    // Cursor over matching events, oldest first, for streaming exports
+    getEventCursor(filters = {}) {
+        const db = getDatabase();
+        return db.collection('audit_events')
+            .find(this.buildQuery(filters))
+            .sort({ timestamp: 1 });
+    }
+}
+
+module.exports = new AuditService();
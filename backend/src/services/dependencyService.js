@@ -0,0 +1,250 @@
+// backend/src/services/dependencyService.js
+// Job chaining: a job created with `dependsOn` is held (no nextRunAt) until every
+// parent has completed, then released with parent results mapped into its data.
+// When a parent fails or is cancelled, the failure cascades down the chain.
+const { ObjectId } = require('mongodb');
+const { getAgenda, getJobStatus } = require('../config/agenda');
+const { getDatabase, updateJobMetric } = require('../config/database');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const { canAccessTenant } = require('../utils/tenancy');
+
+const MAX_DEPENDENCIES = 10;
+
+class DependencyService {
+    // Check a submission's dependsOn/inputMapping and return them normalised, or null when there are none.
+    // Throws with a client-facing message when the request is invalid.
+    async validateDependencies({ dependsOn, inputMapping }, tenantId = null) {
+        if (dependsOn === undefined || dependsOn === null) {
+            if (inputMapping) {
+                throw new Error('inputMapping requires dependsOn');
+            }
+            return null;
+        }
+
+        if (!Array.isArray(dependsOn) || dependsOn.length === 0) {
+            throw new Error('dependsOn must be a non-empty array of job IDs');
+        }
+
+        const parentIds = [...new Set(dependsOn.map(String))];
+        if (parentIds.length > MAX_DEPENDENCIES) {
+            throw new Error(`A job can depend on at most ${MAX_DEPENDENCIES} jobs`);
+        }
+
+        for (const parentId of parentIds) {
+            if (!ObjectId.isValid(parentId)) {
+                throw new Error('Invalid job ID in dependsOn: ' + parentId);
+            }
+
+            const parent = await getJobStatus(parentId);
+            if (!parent || !canAccessTenant(tenantId, parent.attrs.data?.tenantId)) {
+                throw new Error('Dependency not found: ' + parentId);
+            }
+            if (parent.attrs.failedAt) {
+                throw new Error('Dependency has already failed: ' + parentId);
+            }
+        }
+
+        const mapping = inputMapping || {};
+        if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw new Error('inputMapping must be an object of { "<data field>": "<jobId>.<result path>" }');
+        }
+
+        for (const [field, source] of Object.entries(mapping)) {
+            const { jobId } = this.parseSource(source);
+            if (!parentIds.includes(jobId)) {
+                throw new Error(`inputMapping.${field} must reference a job listed in dependsOn`);
+            }
+        }
+
+        return { dependsOn: parentIds, inputMapping: mapping };
+    }
+
+    // "<jobId>.<path.in.result>" - the path is optional and defaults to the whole result
+    parseSource(source) {
+        if (typeof source !== 'string' || !source) {
+            throw new Error('inputMapping values must be strings of the form "<jobId>.<result path>"');
+        }
+
+        const [jobId, ...path] = source.split('.');
+        return { jobId, path };
+    }
+
+    // Whether a data field will be filled in from a parent result
+    isMapped(dependencies, field) {
+        return Boolean(dependencies?.inputMapping && field in dependencies.inputMapping);
+    }
+
+    // Data fields stored on a held job
+    holdFields(dependencies) {
+        if (!dependencies) return {};
+
+        return {
+            dependsOn: dependencies.dependsOn,
+            inputMapping: dependencies.inputMapping,
+            dependencyStatus: 'waiting'
+        };
+    }
+
+    resolveInputMapping(inputMapping = {}, parentsById) {
+        const resolved = {};
+
+        for (const [field, source] of Object.entries(inputMapping)) {
+            const { jobId, path } = this.parseSource(source);
+            const value = path.reduce(
+                (current, key) => (current === undefined || current === null ? undefined : current[key]),
+                parentsById[jobId]?.attrs.result
+            );
+
+            if (value === undefined) {
+                throw new Error(`inputMapping.${field} resolved to nothing ("${source}" is not in the parent result)`);
+            }
+
+            resolved[field] = value;
+        }
+
+        return resolved;
+    }
+
+    // Release a held job once all its parents are done, or fail it if one of them failed
+    async releaseIfReady(jobId) {
+        const agenda = getAgenda();
+        const job = await getJobStatus(String(jobId));
+
+        if (!job || job.attrs.data?.dependencyStatus !== 'waiting') return false;
+
+        const parentIds = job.attrs.data.dependsOn || [];
+        const parents = await agenda.jobs({ _id: { $in: parentIds.map(id => new ObjectId(id)) } });
+        const parentsById = Object.fromEntries(parents.map(parent => [String(parent.attrs._id), parent]));
+
+        for (const parentId of parentIds) {
+            const parent = parentsById[parentId];
+            if (!parent) {
+                await this.failJob(job, `Dependency ${parentId} no longer exists`);
+                return false;
+            }
+            if (parent.attrs.failedAt) {
+                await this.failJob(job, `Dependency ${parentId} failed: ${parent.attrs.failReason || 'unknown error'}`);
+                return false;
+            }
+        }
+
+        // Deferred parents have finished a run without succeeding, so go by the recorded
+        // outcome rather than lastFinishedAt
+        const parentMetrics = await getDatabase().collection('job_metrics')
+            .find({ job_id: { $in: parentIds } })
+            .project({ job_id: 1, status: 1 })
+            .toArray();
+        const completedIds = new Set(parentMetrics.filter(metric => metric.status === 'completed').map(metric => metric.job_id));
+
+        const pending = parentIds.filter(parentId => !completedIds.has(parentId));
+        if (pending.length > 0) {
+            logger.debug(`Job ${jobId} still waiting on ${pending.length} dependencies`);
+            return false;
+        }
+
+        let mappedData;
+        try {
+            mappedData = this.resolveInputMapping(job.attrs.data.inputMapping, parentsById);
+        } catch (error) {
+            await this.failJob(job, error.message);
+            return false;
+        }
+
+        const $set = { 'data.dependencyStatus': 'released', nextRunAt: new Date() };
+        for (const [field, value] of Object.entries(mappedData)) {
+            $set[`data.${field}`] = value;
+        }
+
+        // Only release once, even if two parents finish at the same moment
+        const result = await agenda._collection.updateOne(
+            { _id: job.attrs._id, 'data.dependencyStatus': 'waiting' },
+            { $set }
+        );
+
+        if (result.modifiedCount > 0) {
+            logger.info(`Dependencies complete, job released: ${jobId}`, {
+                jobType: job.attrs.name,
+                mappedFields: Object.keys(mappedData)
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    async failJob(job, reason) {
+        const agenda = getAgenda();
+        const jobId = String(job.attrs._id);
+        const tenantId = job.attrs.data?.tenantId || null;
+
+        const result = await agenda._collection.updateOne(
+            { _id: job.attrs._id, 'data.dependencyStatus': 'waiting' },
+            {
+                $set: {
+                    'data.dependencyStatus': 'failed',
+                    failedAt: new Date(),
+                    failReason: reason,
+                    nextRunAt: null
+                }
+            }
+        );
+
+        if (result.modifiedCount === 0) return;
+
+        logger.warn(`Job failed through its dependencies: ${jobId}`, { reason });
+
+        await updateJobMetric(jobId, {
+            status: 'failed',
+            completed_at: new Date(),
+            error_message: reason
+        });
+
+        await auditService.recordEvent({
+            action: 'job.failed',
+            actor: auditService.systemActor('dependencies'),
+            tenantId,
+            jobId,
+            details: { jobType: job.attrs.name, error: reason, dependencyFailure: true }
+        });
+
+        const socketService = require('./socketService');
+        socketService.emitJobFailed(jobId, new Error(reason), tenantId);
+
+        await this.failDependents(jobId, `Dependency ${jobId} failed: ${reason}`);
+    }
+
+    findWaitingDependents(jobId) {
+        return getAgenda().jobs({
+            'data.dependsOn': String(jobId),
+            'data.dependencyStatus': 'waiting'
+        });
+    }
+
+    // Agenda complete hook, once the job's metrics say 'completed' - release children
+    // whose parents are now all complete
+    async onJobSucceeded(jobId) {
+        try {
+            const dependents = await this.findWaitingDependents(jobId);
+            for (const dependent of dependents) {
+                await this.releaseIfReady(dependent.attrs._id);
+            }
+        } catch (error) {
+            logger.error(`Error releasing dependents of job ${jobId}:`, error);
+        }
+    }
+
+    // Agenda fail hook, also used when a parent is cancelled
+    async failDependents(jobId, reason) {
+        try {
+            const dependents = await this.findWaitingDependents(jobId);
+            for (const dependent of dependents) {
+                await this.failJob(dependent, reason);
+            }
+        } catch (error) {
+            logger.error(`Error failing dependents of job ${jobId}:`, error);
+        }
+    }
+}
+
+module.exports = new DependencyService();
@@ -0,0 +1,187 @@
+// backend/src/services/fileService.js
+// Uploaded files: metadata (checksum, size, owner) lives in the `files` collection,
+// bytes live on local disk or in GridFS depending on FILE_STORAGE.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { ObjectId } = require('mongodb');
+const { getDatabase } = require('../config/database');
+const logger = require('../utils/logger');
+const { metricsTenantQuery, canAccessTenant } = require('../utils/tenancy');
+
+const STORAGE_TYPES = ['local', 'gridfs'];
+const GRIDFS_BUCKET = 'uploads';
+
+class FileService {
+    constructor() {
+        this.storageType = STORAGE_TYPES.includes(process.env.FILE_STORAGE) ? process.env.FILE_STORAGE : 'local';
+        this.storageDir = path.resolve(process.env.FILE_STORAGE_DIR || 'uploads');
+        this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+    }
+
+    getBucket() {
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+    }
+
+    checksum(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    async writeToStorage(fileId, buffer, filename) {
+        if (this.storageType === 'gridfs') {
+            const upload = this.getBucket().openUploadStreamWithId(fileId, filename);
+            await new Promise((resolve, reject) => {
+                upload.on('finish', resolve);
+                upload.on('error', reject);
+                upload.end(buffer);
+            });
+            return String(fileId);
+        }
+
+        // Never trust the client's filename on disk - the file ID is the name
+        await fs.promises.mkdir(this.storageDir, { recursive: true });
+        const storagePath = path.join(this.storageDir, String(fileId));
+        await fs.promises.writeFile(storagePath, buffer);
+        return storagePath;
+    }
+
+    // Callers must have checked tenant access to the file already
+    openStorageStream(file) {
+        if (file.storage === 'gridfs') {
+            return this.getBucket().openDownloadStream(new ObjectId(file.storage_ref));
+        }
+        return fs.createReadStream(file.storage_ref);
+    }
+
+    async removeFromStorage(file) {
+        if (file.storage === 'gridfs') {
+            await this.getBucket().delete(new ObjectId(file.storage_ref));
+            return;
+        }
+        await fs.promises.unlink(file.storage_ref).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    async saveFile({ buffer, originalname, mimetype }, { type = 'document' } = {}, owner = {}) {
+        try {
+            const fileId = new ObjectId();
+            const record = {
+                _id: fileId,
+                filename: originalname,
+                content_type: mimetype || 'application/octet-stream',
+                size: buffer.length,
+                sha256: this.checksum(buffer),
+                type,
+                storage: this.storageType,
+                storage_ref: null,
+                status: 'uploading',
+                tenant_id: owner.tenantId || null,
+                uploaded_by: owner.keyId || null,
+                created_at: new Date()
+            };
+
+            const collection = getDatabase().collection('files');
+            await collection.insertOne(record);
+
+            try {
+                record.storage_ref = await this.writeToStorage(fileId, buffer, originalname);
+                record.status = 'stored';
+            } catch (error) {
+                await collection.deleteOne({ _id: fileId });
+                throw error;
+            }
+
+            await collection.updateOne(
+                { _id: fileId },
+                { $set: { storage_ref: record.storage_ref, status: record.status } }
+            );
+
+            logger.info(`File stored: ${originalname}`, { fileId, size: record.size, storage: record.storage });
+            return this.formatFile(record);
+        } catch (error) {
+            logger.error(`Error storing file ${originalname}:`, error);
+            throw error;
+        }
+    }
+
+    async getFileRecord(fileId, tenantId = null) {
+        if (!ObjectId.isValid(fileId)) return null;
+
+        const file = await getDatabase().collection('files').findOne({ _id: new ObjectId(fileId) });
+        if (!file || !canAccessTenant(tenantId, file.tenant_id)) return null;
+        return file;
+    }
+
+    async getFile(fileId, tenantId = null) {
+        const file = await this.getFileRecord(fileId, tenantId);
+        return file ? this.formatFile(file) : null;
+    }
+
+    async listFiles({ tenantId = null, limit = 50, skip = 0 } = {}) {
+        const collection = getDatabase().collection('files');
+        const query = { ...metricsTenantQuery(tenantId), status: 'stored' };
+
+        const [files, total] = await Promise.all([
+            collection.find(query).sort({ created_at: -1 }).skip(skip).limit(limit).toArray(),
+            collection.countDocuments(query)
+        ]);
+
+        return { files: files.map(file => this.formatFile(file)), total, limit, skip };
+    }
+
+    // Whole file in memory, verified against the stored checksum - used by jobs
+    async readFile(fileId, tenantId = null) {
+        const file = await this.getFileRecord(fileId, tenantId);
+        if (!file || file.status !== 'stored') {
+            throw new Error('File not found: ' + fileId);
+        }
+
+        const chunks = [];
+        for await (const chunk of this.openStorageStream(file)) {
+            chunks.push(chunk);
+        }
+        const buffer = Buffer.concat(chunks);
+
+        if (this.checksum(buffer) !== file.sha256) {
+            throw new Error(`Checksum mismatch for file ${fileId} - stored content is corrupted`);
+        }
+
+        return { file: this.formatFile(file), buffer };
+    }
+
+    async deleteFile(fileId, tenantId = null) {
+        try {
+            const file = await this.getFileRecord(fileId, tenantId);
+            if (!file) return null;
+
+            await this.removeFromStorage(file);
+            await getDatabase().collection('files').deleteOne({ _id: file._id });
+
+            logger.info(`File deleted: ${file.filename}`, { fileId });
+            return this.formatFile(file);
+        } catch (error) {
+            logger.error(`Error deleting file ${fileId}:`, error);
+            throw error;
+        }
+    }
+
+    formatFile(file) {
+        return {
+            id: file._id,
+            filename: file.filename,
+            contentType: file.content_type,
+            size: file.size,
+            sha256: file.sha256,
+            type: file.type,
+            storage: file.storage,
+            status: file.status,
+            tenantId: file.tenant_id,
+            uploadedBy: file.uploaded_by,
+            createdAt: file.created_at
+        };
+    }
+}
+
+module.exports = new FileService();
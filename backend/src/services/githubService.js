@@ -0,0 +1,304 @@
+// backend/src/services/githubService.js
+// GitHub REST API access for jobs: GitHub Enterprise hosts, tokens per tenant (kept
+// encrypted in `github_credentials`) or per job, and rate limits. A rate-limited call
+// waits for the reset when it is close; otherwise it fails with `retryAt` set on the
+// error, so the job can be rescheduled for then instead of failing.
+//
+// Responses are cached in `github_cache` and revalidated with If-None-Match, so
+// unchanged data comes back as a 304, which doesn't count against the rate limit.
+const crypto = require('crypto');
+const axios = require('axios');
+const { getDatabase } = require('../config/database');
+const { GITHUB_HOST, getGitHubHosts, parseGitHubRepositoryUrl } = require('../config/github');
+const { encryptSecret, decryptSecret, secretHint } = require('../utils/secrets');
+const logger = require('../utils/logger');
+
+// Longest rate-limit reset worth waiting for in-process; later resets reschedule the job
+const MAX_INLINE_WAIT_MS = parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT_MS) || 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const REQUEST_TIMEOUT = 30000;
+// Bigger responses (huge trees) are fetched every time rather than bloating the cache
+const MAX_CACHED_BODY_LENGTH = 8 * 1024 * 1024;
+
+class GitHubService {
+    collection() {
+        return getDatabase().collection('github_credentials');
+    }
+
+    // Throws with a client-facing message for hosts that aren't configured
+    validateHost(host) {
+        const normalised = String(host || '').toLowerCase();
+        if (!getGitHubHosts().has(normalised)) {
+            throw new Error(`Unknown GitHub host: ${host}. Use github.com or a host listed in GITHUB_ENTERPRISE_HOSTS`);
+        }
+        return normalised;
+    }
+
+    // Store (or replace) the token a tenant uses for a host. Without a tenant the
+    // token is the default for every tenant that has none of its own
+    async saveCredential({ host, token }, owner = {}) {
+        const normalised = this.validateHost(host);
+        if (!token || typeof token !== 'string') {
+            throw new Error('token is required');
+        }
+
+        const now = new Date();
+        await this.collection().updateOne(
+            { tenant_id: owner.tenantId || null, host: normalised },
+            {
+                $set: {
+                    token: encryptSecret(token),
+                    token_hint: secretHint(token),
+                    updated_by: owner.keyId || null,
+                    updated_at: now
+                },
+                $setOnInsert: { created_at: now }
+            },
+            { upsert: true }
+        );
+
+        logger.info(`GitHub credential saved for ${normalised}`, { tenantId: owner.tenantId || null });
+        return this.formatCredential(await this.collection().findOne({ tenant_id: owner.tenantId || null, host: normalised }));
+    }
+
+    async listCredentials(tenantId = null) {
+        const query = tenantId ? { tenant_id: { $in: [tenantId, null] } } : {};
+        const credentials = await this.collection().find(query).sort({ host: 1 }).toArray();
+        return credentials.map(credential => this.formatCredential(credential));
+    }
+
+    async deleteCredential(host, tenantId = null) {
+        const result = await this.collection().deleteOne({ tenant_id: tenantId || null, host: String(host).toLowerCase() });
+        return result.deletedCount > 0;
+    }
+
+    // Never returns the token itself
+    formatCredential(credential) {
+        return {
+            id: String(credential._id),
+            host: credential.host,
+            apiUrl: getGitHubHosts().get(credential.host) || null,
+            tenantId: credential.tenant_id,
+            tokenHint: credential.token_hint,
+            createdAt: credential.created_at,
+            updatedAt: credential.updated_at
+        };
+    }
+
+    // Everything needed to call the API for a repository. The token is the job's own
+    // (encrypted in job data), else the tenant's, else the default one for the host,
+    // else GITHUB_TOKEN for github.com
+    async getConnection(repositoryUrl, { tenantId = null, encryptedToken = null } = {}) {
+        const repository = parseGitHubRepositoryUrl(repositoryUrl);
+        if (!repository) {
+            throw new Error('Invalid GitHub repository URL');
+        }
+
+        let token = null;
+        let tokenSource = null;
+
+        if (encryptedToken) {
+            token = decryptSecret(encryptedToken);
+            tokenSource = 'job';
+        } else {
+            const credentials = await this.collection()
+                .find({ host: repository.host, tenant_id: { $in: [tenantId, null] } })
+                .toArray();
+            const credential = credentials.find(item => tenantId && item.tenant_id === tenantId) ||
+                credentials.find(item => item.tenant_id === null);
+
+            if (credential) {
+                token = decryptSecret(credential.token);
+                tokenSource = credential.tenant_id ? 'tenant' : 'default';
+            } else if (repository.host === GITHUB_HOST && process.env.GITHUB_TOKEN) {
+                token = process.env.GITHUB_TOKEN;
+                tokenSource = 'environment';
+            }
+        }
+
+        return {
+            ...repository,
+            token,
+            tokenSource,
+            // API usage of everything fetched through this connection
+            stats: { requests: 0, cacheHits: 0, rateLimitRemaining: null }
+        };
+    }
+
+    // Responses differ by token (private repositories), so the token is part of the key
+    cacheKey(connection, url, raw) {
+        return crypto.createHash('sha256')
+            .update([connection.token || '', raw ? 'raw' : 'json', url].join('\n'))
+            .digest('hex');
+    }
+
+    // The cache is an optimisation: without a database, requests just go uncached
+    async readCache(key) {
+        try {
+            return await getDatabase().collection('github_cache').findOne({ key });
+        } catch (error) {
+            logger.debug(`GitHub cache unavailable: ${error.message}`);
+            return null;
+        }
+    }
+
+    async writeCache(key, url, response, raw) {
+        const body = raw ? response.data : JSON.stringify(response.data);
+        if (!response.headers?.etag || typeof body !== 'string' || body.length > MAX_CACHED_BODY_LENGTH) return;
+
+        try {
+            await getDatabase().collection('github_cache').updateOne(
+                { key },
+                {
+                    $set: {
+                        url,
+                        etag: response.headers.etag,
+                        link: response.headers.link || null,
+                        body,
+                        stored_at: new Date(),
+                        used_at: new Date()
+                    }
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            logger.debug(`Could not cache GitHub response: ${error.message}`);
+        }
+    }
+
+    async touchCache(key) {
+        try {
+            await getDatabase().collection('github_cache').updateOne({ key }, { $set: { used_at: new Date() } });
+        } catch (error) {
+            logger.debug(`Could not update GitHub cache entry: ${error.message}`);
+        }
+    }
+
+    // GET an API path (e.g. /repos/o/r/languages) or a full API URL (pagination links);
+    // raw returns file contents as text. Cached responses are marked fromCache
+    async get(connection, path, { params, raw = false } = {}, attempt = 1) {
+        const url = new URL(path.startsWith('http') ? path : `${connection.apiUrl}${path}`);
+        Object.entries(params || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+
+        const key = this.cacheKey(connection, url.toString(), raw);
+        const cached = await this.readCache(key);
+
+        try {
+            connection.stats.requests += 1;
+            const response = await axios.get(url.toString(), {
+                timeout: REQUEST_TIMEOUT,
+                headers: {
+                    'User-Agent': 'Alchemyst-Platform',
+                    'Accept': raw ? 'application/vnd.github.v3.raw' : 'application/vnd.github.v3+json',
+                    ...(connection.token && { 'Authorization': `Bearer ${connection.token}` }),
+                    ...(cached && { 'If-None-Match': cached.etag })
+                },
+                validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+                // Raw file contents stay text, even when they happen to be JSON
+                ...(raw && { responseType: 'text', transformResponse: [data => data] })
+            });
+
+            if (response.headers?.['x-ratelimit-remaining'] !== undefined) {
+                connection.stats.rateLimitRemaining = parseInt(response.headers['x-ratelimit-remaining']);
+            }
+
+            if (response.status === 304) {
+                connection.stats.cacheHits += 1;
+                await this.touchCache(key);
+                return {
+                    status: 200,
+                    data: raw ? cached.body : JSON.parse(cached.body),
+                    headers: { ...response.headers, etag: cached.etag, link: cached.link || undefined },
+                    fromCache: true
+                };
+            }
+
+            await this.writeCache(key, url.toString(), response, raw);
+            return response;
+        } catch (error) {
+            const retryAt = this.getRateLimitReset(error.response);
+            if (!retryAt) throw error;
+
+            const wait = retryAt.getTime() - Date.now();
+            if (wait <= MAX_INLINE_WAIT_MS && attempt < MAX_ATTEMPTS) {
+                logger.warn(`GitHub rate limit hit, retrying in ${Math.ceil(wait / 1000)}s`, { host: connection.host, path });
+                await new Promise(resolve => setTimeout(resolve, Math.max(wait, 0)));
+                return this.get(connection, path, { params, raw }, attempt + 1);
+            }
+
+            logger.warn(`GitHub rate limit hit, resets at ${retryAt.toISOString()}`, { host: connection.host, path });
+            throw Object.assign(new Error(`GitHub API rate limit exceeded until ${retryAt.toISOString()}`), {
+                code: 'GITHUB_RATE_LIMITED',
+                retryAt
+            });
+        }
+    }
+
+    // POST to an API path. Not cached, and not retried: writes shouldn't be repeated blindly
+    async post(connection, path, body) {
+        try {
+            connection.stats.requests += 1;
+            return await axios.post(`${connection.apiUrl}${path}`, body, {
+                timeout: REQUEST_TIMEOUT,
+                headers: {
+                    'User-Agent': 'Alchemyst-Platform',
+                    'Accept': 'application/vnd.github.v3+json',
+                    ...(connection.token && { 'Authorization': `Bearer ${connection.token}` })
+                }
+            });
+        } catch (error) {
+            const retryAt = this.getRateLimitReset(error.response);
+            if (!retryAt) throw error;
+
+            throw Object.assign(new Error(`GitHub API rate limit exceeded until ${retryAt.toISOString()}`), {
+                code: 'GITHUB_RATE_LIMITED',
+                retryAt
+            });
+        }
+    }
+
+    // Submit a pull request review: { commit_id, event, body, comments: [{ path, line, side, body }] }
+    async createReview(connection, number, review) {
+        const response = await this.post(connection, `/repos/${connection.owner}/${connection.name}/pulls/${number}/reviews`, review);
+        return response.data;
+    }
+
+    // Every item of a paginated list, following Link rel="next" up to maxPages pages.
+    // Each page is cached on its own, so an unchanged list costs no quota at all
+    async getAllPages(connection, path, { params, maxPages = 10 } = {}) {
+        const items = [];
+        let next = path;
+        let options = { params };
+
+        for (let page = 0; next && page < maxPages; page++) {
+            const response = await this.get(connection, next, options);
+            if (!Array.isArray(response.data)) break;
+            items.push(...response.data);
+
+            next = response.headers?.link?.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+            // Only follow links back to the same API - the token goes with the request
+            if (next && !next.startsWith(connection.apiUrl)) next = null;
+            options = {};
+        }
+
+        return items;
+    }
+
+    // When a rate-limited response may be retried, or null if it isn't a rate limit.
+    // Secondary limits send Retry-After; primary ones exhaust X-RateLimit-Remaining
+    getRateLimitReset(response) {
+        if (!response || ![403, 429].includes(response.status)) return null;
+
+        const headers = response.headers || {};
+        // A second of slack, since GitHub's clock and ours may differ slightly
+        if (headers['retry-after']) {
+            return new Date(Date.now() + (parseInt(headers['retry-after']) + 1) * 1000);
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            return new Date((parseInt(headers['x-ratelimit-reset']) + 1) * 1000);
+        }
+        return response.status === 429 ? new Date(Date.now() + 60 * 1000) : null;
+    }
+}
+
+module.exports = new GitHubService();
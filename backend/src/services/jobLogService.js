@@ -0,0 +1,106 @@
+// backend/src/services/jobLogService.js
+// Per-job execution logs, captured from the winston logger into the `job_logs`
+// collection and streamed live to the job's Socket.IO room.
+const { getDatabase } = require('../config/database');
+const { getJobContext } = require('../utils/jobContext');
+
+const LEVEL = Symbol.for('level');
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+// Fields winston adds itself - everything else is the caller's metadata
+const RESERVED_FIELDS = ['level', 'message', 'timestamp', 'jobId', 'splat', 'stack'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'debug'];
+
+class JobLogService {
+    // Called by the logger transport - must never log through the logger itself
+    append(info) {
+        try {
+            const entry = this.toEntry(info);
+
+            getDatabase().collection('job_logs').insertOne({ ...entry })
+                .catch(error => console.error(`Failed to store log line for job ${entry.job_id}:`, error.message));
+
+            const socketService = require('./socketService');
+            socketService.emitJobLog(entry.job_id, this.formatEntry(entry));
+        } catch (error) {
+            // Database not connected yet (e.g. during startup) - the line still reaches the other transports
+        }
+    }
+
+    toEntry(info) {
+        const context = getJobContext();
+        const level = info[LEVEL] || String(info.level).replace(ANSI_PATTERN, '');
+        const message = typeof info.message === 'string'
+            ? info.message.replace(ANSI_PATTERN, '')
+            : String(info.message);
+
+        return {
+            job_id: String(info.jobId),
+            tenant_id: context?.jobId === String(info.jobId) ? context.tenantId : null,
+            level,
+            message,
+            meta: this.extractMeta(info),
+            timestamp: new Date()
+        };
+    }
+
+    extractMeta(info) {
+        const meta = {};
+        for (const [key, value] of Object.entries(info)) {
+            if (!RESERVED_FIELDS.includes(key)) meta[key] = value;
+        }
+        if (info.stack) meta.stack = info.stack;
+
+        if (Object.keys(meta).length === 0) return null;
+
+        try {
+            // Drop anything that can't be stored (circular refs, functions, ...)
+            return JSON.parse(JSON.stringify(meta));
+        } catch {
+            return { unserializable: true };
+        }
+    }
+
+    formatEntry(entry) {
+        return {
+            jobId: entry.job_id,
+            level: entry.level,
+            message: entry.message,
+            meta: entry.meta,
+            timestamp: entry.timestamp
+        };
+    }
+
+    // Paginated logs for one job, oldest first
+    async getLogs(jobId, { limit = 200, skip = 0, level, since } = {}) {
+        const query = { job_id: String(jobId) };
+
+        if (level) {
+            // "warn" returns warnings and errors, "info" adds info lines, and so on
+            const maxIndex = LOG_LEVELS.indexOf(level);
+            query.level = { $in: LOG_LEVELS.slice(0, maxIndex + 1) };
+        }
+
+        if (since) {
+            query.timestamp = { $gt: new Date(since) };
+        }
+
+        const collection = getDatabase().collection('job_logs');
+        const [logs, total] = await Promise.all([
+            collection.find(query).sort({ timestamp: 1, _id: 1 }).skip(skip).limit(limit).toArray(),
+            collection.countDocuments(query)
+        ]);
+
+        return {
+            logs: logs.map(entry => this.formatEntry(entry)),
+            total,
+            limit,
+            skip
+        };
+    }
+
+    isValidLevel(level) {
+        return LOG_LEVELS.includes(level);
+    }
+}
+
+module.exports = new JobLogService();
@@ -1,8 +1,24 @@
 // backend/src/services/jobService.js
-const { createJob, cancelJob, getJobStatus, listJobs } = require('../config/agenda');
+const { createJob, cancelJob, deleteJob, getJobStatus, listJobs, SYSTEM_JOB_NAMES } = require('../config/agenda');
 const { publishMessage, ROUTING_KEYS } = require('../config/rabbitmq');
 const { getDatabase } = require('../config/database');
+const auditService = require('./auditService');
+const dependencyService = require('./dependencyService');
+const fileService = require('./fileService');
 const logger = require('../utils/logger');
+const { jobTenantQuery, metricsTenantQuery, canAccessTenant } = require('../utils/tenancy');
+const { normaliseLanguageCode } = require('../utils/language');
+const { compileSchema } = require('../utils/jsonSchema');
+const { resolveRepositorySource } = require('../utils/gitRepository');
+const { parseGitHubPullRequestUrl } = require('../config/github');
+const { encryptSecret, isEncryptedSecret } = require('../utils/secrets');
+
+const MAX_COMPARISON_DOCUMENTS = 10;
+// Bounds for the client-supplied document chunking options; each value is an LLM call budget
+const DOCUMENT_OPTION_LIMITS = {
+    maxInputLength: { min: 5000, max: 100000 },
+    chunkSize: { min: 1000, max: 50000 }
+};
 
 const isAgendaAvailable = () => {
     try {
@@ -16,30 +32,76 @@ class JobService {
     constructor() {
         this.jobTypes = {
             'github-analysis': ROUTING_KEYS.GITHUB_ANALYSIS,
+            'github-pr-review': ROUTING_KEYS.GITHUB_PR_REVIEW,
             'document-summary': ROUTING_KEYS.DOCUMENT_SUMMARY,
+            'document-comparison': ROUTING_KEYS.DOCUMENT_COMPARISON,
             'deep-research': ROUTING_KEYS.DEEP_RESEARCH
         };
     }
 
-    async createGitHubAnalysisJob(data) {
+    // Tokens submitted with a job are kept encrypted in job data; already-encrypted
+    // values (e.g. from a schedule) are stored as they are
+    protectToken(token) {
+        if (!token) return null;
+        if (typeof token !== 'string') {
+            throw new Error('githubToken must be a string');
+        }
+        return isEncryptedSecret(token) ? token : encryptSecret(token);
+    }
+
+    // Chunking options decide how many model calls a document costs, so they are
+    // checked here and clamped to DOCUMENT_OPTION_LIMITS
+    normaliseDocumentOptions(options) {
+        if (typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('options must be an object');
+        }
+
+        const normalised = { ...options };
+        for (const [name, { min, max }] of Object.entries(DOCUMENT_OPTION_LIMITS)) {
+            if (normalised[name] === undefined || normalised[name] === null) continue;
+            if (!Number.isFinite(normalised[name]) || normalised[name] <= 0) {
+                throw new Error(`options.${name} must be a positive number`);
+            }
+            normalised[name] = Math.min(Math.max(Math.floor(normalised[name]), min), max);
+        }
+        return normalised;
+    }
+
+    // Ownership fields stored on every job's data
+    ownerFields(owner = {}) {
+        return {
+            tenantId: owner.tenantId || null,
+            createdBy: owner.keyId || null
+        };
+    }
+
+    async createGitHubAnalysisJob(data, owner = {}, dependencies = null) {
         try {
             const jobData = {
                 repository: data.repository,
                 analysisType: data.analysisType || 'full',
                 options: data.options || {},
+                githubToken: this.protectToken(data.githubToken),
                 requestId: data.requestId || `req_${Date.now()}`,
-                createdAt: new Date()
+                createdAt: new Date(),
+                ...this.ownerFields(owner),
+                ...dependencyService.holdFields(dependencies)
             };
 
             // Validate required fields
-            if (!jobData.repository) {
+            if (!jobData.repository && !dependencyService.isMapped(dependencies, 'repository')) {
                 throw new Error('Repository URL is required');
             }
+            // Reject unsupported URLs and paths outside LOCAL_REPOSITORY_ROOTS before queueing
+            if (jobData.repository) {
+                resolveRepositorySource(jobData.repository, { clone: jobData.options.clone });
+            }
 
             // Create job in AgendaJS
             const job = await createJob('github-analysis', jobData, {
                 priority: data.priority || 'normal',
-                delay: data.delay
+                delay: data.delay,
+                hold: Boolean(dependencies)
             });
 
             // Publish to RabbitMQ for processing
@@ -48,6 +110,7 @@ class JobService {
                 ...jobData
             });
 
+            await this.recordJobCreated(job, owner);
             logger.info('GitHub analysis job created:', { jobId: job.attrs._id });
             return this.formatJobResponse(job);
         } catch (error) {
@@ -56,25 +119,82 @@ class JobService {
         }
     }
 
-    async createDocumentSummaryJob(data) {
+    async createGitHubPrReviewJob(data, owner = {}, dependencies = null) {
+        try {
+            const jobData = {
+                pullRequest: data.pullRequest,
+                options: data.options || {},
+                githubToken: this.protectToken(data.githubToken),
+                requestId: data.requestId || `req_${Date.now()}`,
+                createdAt: new Date(),
+                ...this.ownerFields(owner),
+                ...dependencyService.holdFields(dependencies)
+            };
+
+            // Validate required fields
+            if (!jobData.pullRequest && !dependencyService.isMapped(dependencies, 'pullRequest')) {
+                throw new Error('Pull request URL is required');
+            }
+            if (jobData.pullRequest && !parseGitHubPullRequestUrl(jobData.pullRequest)) {
+                throw new Error('pullRequest must be a pull request URL on github.com or a host in GITHUB_ENTERPRISE_HOSTS, like https://github.com/owner/repo/pull/123');
+            }
+            if (jobData.options.postReview && process.env.GITHUB_REVIEW_POSTING === 'disabled') {
+                throw new Error('Posting reviews is disabled on this server');
+            }
+
+            const job = await createJob('github-pr-review', jobData, {
+                priority: data.priority || 'normal',
+                delay: data.delay,
+                hold: Boolean(dependencies)
+            });
+
+            await publishMessage(ROUTING_KEYS.GITHUB_PR_REVIEW, {
+                jobId: String(job.attrs._id),
+                ...jobData
+            });
+
+            await this.recordJobCreated(job, owner);
+            logger.info('Pull request review job created:', { jobId: job.attrs._id });
+            return this.formatJobResponse(job);
+        } catch (error) {
+            logger.error('Error creating pull request review job:', error);
+            throw error;
+        }
+    }
+
+    async createDocumentSummaryJob(data, owner = {}, dependencies = null) {
         try {
             const jobData = {
                 document: data.document,
                 summaryType: data.summaryType || 'comprehensive',
                 maxLength: data.maxLength || 1000,
-                options: data.options || {},
+                schema: data.schema || null,
+                options: this.normaliseDocumentOptions(data.options || {}),
+                targetLanguage: data.targetLanguage ? normaliseLanguageCode(data.targetLanguage) : null,
                 requestId: data.requestId || `req_${Date.now()}`,
-                createdAt: new Date()
+                createdAt: new Date(),
+                ...this.ownerFields(owner),
+                ...dependencyService.holdFields(dependencies)
             };
 
             // Validate required fields
-            if (!jobData.document) {
-                throw new Error('Document content or URL is required');
+            if (!jobData.document && !dependencyService.isMapped(dependencies, 'document')) {
+                throw new Error('Document content, URL or fileId is required');
             }
+            // Structured extraction needs a schema to extract into; fail on a bad one now, not in the worker
+            if (jobData.summaryType === 'extract') {
+                if (!jobData.schema) {
+                    throw new Error('A JSON Schema (schema) is required when summaryType is "extract"');
+                }
+                compileSchema(jobData.schema);
+            }
+
+            jobData.document = await this.resolveDocumentFile(jobData.document, owner);
 
             const job = await createJob('document-summary', jobData, {
                 priority: data.priority || 'normal',
-                delay: data.delay
+                delay: data.delay,
+                hold: Boolean(dependencies)
             });
 
             await publishMessage(ROUTING_KEYS.DOCUMENT_SUMMARY, {
@@ -82,6 +202,7 @@ class JobService {
                 ...jobData
             });
 
+            await this.recordJobCreated(job, owner);
             logger.info('Document summary job created:', { jobId: job.attrs._id });
             return this.formatJobResponse(job);
         } catch (error) {
@@ -90,7 +211,78 @@ class JobService {
         }
     }
 
-    async createDeepResearchJob(data) {
+    // Uploaded files must exist and belong to the submitting tenant
+    async resolveDocumentFile(document, owner = {}) {
+        if (!document?.fileId) return document;
+
+        const file = await fileService.getFile(document.fileId, owner.tenantId);
+        if (!file) {
+            throw new Error('File not found: ' + document.fileId);
+        }
+        return { ...(document.label && { label: document.label }), fileId: String(file.id), filename: file.filename };
+    }
+
+    async createDocumentComparisonJob(data, owner = {}, dependencies = null) {
+        try {
+            const jobData = {
+                documents: data.documents,
+                criteria: data.criteria || [],
+                summaryType: data.summaryType || 'comprehensive',
+                maxLength: data.maxLength || 500,
+                options: this.normaliseDocumentOptions(data.options || {}),
+                targetLanguage: data.targetLanguage ? normaliseLanguageCode(data.targetLanguage) : null,
+                requestId: data.requestId || `req_${Date.now()}`,
+                createdAt: new Date(),
+                ...this.ownerFields(owner),
+                ...dependencyService.holdFields(dependencies)
+            };
+
+            // Documents (or single entries, as "documents.2") can come from parent jobs instead
+            const documentsMapped = Object.keys(dependencies?.inputMapping || {})
+                .some(field => field === 'documents' || field.startsWith('documents.'));
+
+            if (!documentsMapped) {
+                if (!Array.isArray(jobData.documents) || jobData.documents.length < 2) {
+                    throw new Error('At least two documents are required for a comparison');
+                }
+                if (jobData.documents.length > MAX_COMPARISON_DOCUMENTS) {
+                    throw new Error(`A comparison can include at most ${MAX_COMPARISON_DOCUMENTS} documents`);
+                }
+            }
+            if (Array.isArray(jobData.documents)) {
+                if (jobData.documents.some(document => !document)) {
+                    throw new Error('Each document needs content, a URL or a fileId');
+                }
+                jobData.documents = await Promise.all(jobData.documents.map(document => this.resolveDocumentFile(document, owner)));
+            }
+            if (!Array.isArray(jobData.criteria) || jobData.criteria.some(criterion => typeof criterion !== 'string')) {
+                throw new Error('criteria must be an array of strings');
+            }
+            if (jobData.summaryType === 'extract') {
+                throw new Error('Structured extraction is only available for document-summary jobs');
+            }
+
+            const job = await createJob('document-comparison', jobData, {
+                priority: data.priority || 'normal',
+                delay: data.delay,
+                hold: Boolean(dependencies)
+            });
+
+            await publishMessage(ROUTING_KEYS.DOCUMENT_COMPARISON, {
+                jobId: String(job.attrs._id),
+                ...jobData
+            });
+
+            await this.recordJobCreated(job, owner);
+            logger.info('Document comparison job created:', { jobId: job.attrs._id, documents: jobData.documents?.length });
+            return this.formatJobResponse(job);
+        } catch (error) {
+            logger.error('Error creating document comparison job:', error);
+            throw error;
+        }
+    }
+
+    async createDeepResearchJob(data, owner = {}, dependencies = null) {
         try {
             const jobData = {
                 topic: data.topic,
@@ -99,10 +291,12 @@ class JobService {
                 deliverables: data.deliverables || ['summary', 'citations'],
                 options: data.options || {},
                 requestId: data.requestId || `req_${Date.now()}`,
-                createdAt: new Date()
+                createdAt: new Date(),
+                ...this.ownerFields(owner),
+                ...dependencyService.holdFields(dependencies)
             };
 
-            if (!jobData.topic) {
+            if (!jobData.topic && !dependencyService.isMapped(dependencies, 'topic')) {
                 throw new Error('Research topic is required');
             }
 
@@ -110,7 +304,8 @@ class JobService {
             const createJobWithTimeout = Promise.race([
                 createJob('deep-research', jobData, {
                     priority: data.priority || 'high',
-                    delay: data.delay
+                    delay: data.delay,
+                    hold: Boolean(dependencies)
                 }),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error('Job creation timeout')), 5000)
@@ -131,6 +326,7 @@ class JobService {
                 logger.warn('RabbitMQ notification failed, job will still be processed by Agenda:', mqError.message);
             }
 
+            await this.recordJobCreated(job, owner);
             logger.info('Deep research job created:', { jobId: job.attrs._id });
             return this.formatJobResponse(job);
         } catch (error) {
@@ -140,10 +336,56 @@ class JobService {
     }
 
 
-    async getJob(jobId) {
+    async createJobOfType(type, data, owner = {}, dependencies = null) {
+        let job;
+        switch (type) {
+            case 'github-analysis':
+                job = await this.createGitHubAnalysisJob(data, owner, dependencies);
+                break;
+            case 'github-pr-review':
+                job = await this.createGitHubPrReviewJob(data, owner, dependencies);
+                break;
+            case 'document-summary':
+                job = await this.createDocumentSummaryJob(data, owner, dependencies);
+                break;
+            case 'document-comparison':
+                job = await this.createDocumentComparisonJob(data, owner, dependencies);
+                break;
+            case 'deep-research':
+                job = await this.createDeepResearchJob(data, owner, dependencies);
+                break;
+            default:
+                throw new Error('Unsupported job type: ' + type);
+        }
+
+        if (dependencies) {
+            // Parents may have finished (or failed) while this job was being created
+            if (await dependencyService.releaseIfReady(job.id)) {
+                return this.getJob(String(job.id));
+            }
+        }
+
+        return job;
+    }
+
+    async recordJobCreated(job, owner = {}) {
+        await auditService.recordEvent({
+            action: 'job.created',
+            actor: auditService.actorFromOwner(owner),
+            tenantId: owner.tenantId || null,
+            jobId: job.attrs._id,
+            details: {
+                jobType: job.attrs.name,
+                requestId: job.attrs.data?.requestId,
+                nextRunAt: job.attrs.nextRunAt
+            }
+        });
+    }
+
+    async getJob(jobId, tenantId = null) {
         try {
             const job = await getJobStatus(jobId);
-            if (!job) {
+            if (!job || !canAccessTenant(tenantId, job.attrs.data?.tenantId)) {
                 return null;
             }
 
@@ -163,34 +405,69 @@ class JobService {
         }
     }
 
-    async getJobs(filters = {}) {
-        try {
-            const query = {};
+    // Job data as stored, encrypted token included - for resubmitting a job, never for responses
+    async getStoredJobData(jobId) {
+        const job = await getJobStatus(String(jobId));
+        return job ? job.attrs.data : null;
+    }
 
-            // Apply filters
-            if (filters.type) {
-                query.name = filters.type;
-            }
+    // Build an Agenda query from API filters (type, status, tenant, creation window)
+    buildJobQuery(filters = {}) {
+        const query = { ...jobTenantQuery(filters.tenantId) };
 
-            if (filters.status) {
-                // Map status to agenda query
-                switch (filters.status) {
-                    case 'pending':
-                        query.nextRunAt = { $exists: true };
-                        query.lockedAt = { $exists: false };
-                        break;
-                    case 'running':
-                        query.lockedAt = { $exists: true };
-                        break;
-                    case 'completed':
-                        query.lastFinishedAt = { $exists: true };
-                        query.failedAt = { $exists: false };
-                        break;
-                    case 'failed':
-                        query.failedAt = { $exists: true };
-                        break;
-                }
+        // Apply filters
+        if (filters.type) {
+            query.name = filters.type;
+        } else if (filters.excludeSystem) {
+            query.name = { $nin: SYSTEM_JOB_NAMES };
+        }
+
+        if (filters.status) {
+            // Map status to agenda query. Agenda nulls lockedAt and nextRunAt rather than
+            // removing them, so `null` (missing or null) is the test, never $exists
+            switch (filters.status) {
+                case 'pending':
+                    query.nextRunAt = { $ne: null };
+                    query.lockedAt = null;
+                    query.failedAt = null;
+                    query['data.dependencyStatus'] = { $ne: 'waiting' };
+                    query['data.deferredUntil'] = null;
+                    break;
+                case 'waiting':
+                    query['data.dependencyStatus'] = 'waiting';
+                    break;
+                case 'running':
+                    query.lockedAt = { $ne: null };
+                    break;
+                case 'completed':
+                    query.lastFinishedAt = { $ne: null };
+                    query.failedAt = null;
+                    query['data.deferredUntil'] = null;
+                    break;
+                case 'deferred':
+                    query['data.deferredUntil'] = { $ne: null };
+                    query.lockedAt = null;
+                    query.failedAt = null;
+                    break;
+                case 'failed':
+                    query.failedAt = { $ne: null };
+                    break;
             }
+        }
+
+        // Creation window uses data.createdAt, so system jobs never match it
+        if (filters.createdBefore || filters.createdAfter) {
+            query['data.createdAt'] = {};
+            if (filters.createdAfter) query['data.createdAt'].$gte = new Date(filters.createdAfter);
+            if (filters.createdBefore) query['data.createdAt'].$lt = new Date(filters.createdBefore);
+        }
+
+        return query;
+    }
+
+    async getJobs(filters = {}) {
+        try {
+            const query = this.buildJobQuery(filters);
 
             const limit = Math.min(filters.limit || 50, 100);
             const skip = filters.skip || 0;
@@ -209,11 +486,127 @@ class JobService {
         }
     }
 
-    async cancelJob(jobId) {
+    // Remove every job matching the filters, or just report what would go
+    async clearJobs(filters = {}, { dryRun = true } = {}) {
+        try {
+            const { getAgenda } = require('../config/agenda');
+            const agenda = getAgenda();
+            const query = this.buildJobQuery(filters);
+
+            const [matched, byType, sample] = await Promise.all([
+                agenda._collection.countDocuments(query),
+                agenda._collection.aggregate([
+                    { $match: query },
+                    { $group: { _id: '$name', count: { $sum: 1 } } },
+                    { $project: { type: '$_id', count: 1, _id: 0 } },
+                    { $sort: { count: -1 } }
+                ]).toArray(),
+                listJobs(query, 20, 0)
+            ]);
+
+            const report = {
+                dryRun,
+                matched,
+                byType,
+                sample: sample.map(job => ({
+                    id: job.attrs._id,
+                    name: job.attrs.name,
+                    status: this.getJobStatus(job),
+                    tenantId: job.attrs.data?.tenantId || null,
+                    createdAt: job.attrs.data?.createdAt
+                })),
+                removed: 0
+            };
+
+            if (!dryRun && matched > 0) {
+                const jobIds = (await agenda._collection.find(query).project({ _id: 1 }).toArray())
+                    .map(job => String(job._id));
+
+                report.removed = await agenda.cancel(query);
+
+                // Close out metrics so cleared jobs stop counting as active
+                await getDatabase().collection('job_metrics').updateMany(
+                    { job_id: { $in: jobIds }, status: { $in: ['created', 'running'] } },
+                    { $set: { status: 'cancelled', completed_at: new Date(), updated_at: new Date() } }
+                );
+
+                logger.warn(`Cleared ${report.removed} jobs`, { query: JSON.stringify(query) });
+            }
+
+            return report;
+        } catch (error) {
+            logger.error('Error clearing jobs:', error);
+            throw error;
+        }
+    }
+
+    // Resolve the jobs a bulk action targets, from explicit IDs or a filter
+    async findJobsForBulk({ jobIds, filter }, tenantId = null, maxJobs = 100) {
         try {
-            const success = await cancelJob(jobId);
+            if (Array.isArray(jobIds) && jobIds.length > 0) {
+                const uniqueIds = [...new Set(jobIds.map(String))];
+                const jobs = [];
+                const missing = [];
+
+                for (const jobId of uniqueIds.slice(0, maxJobs)) {
+                    let job = null;
+                    try {
+                        job = await getJobStatus(jobId);
+                    } catch {
+                        // Malformed IDs are reported as not found
+                    }
+
+                    if (job && canAccessTenant(tenantId, job.attrs.data?.tenantId)) {
+                        jobs.push(this.formatJobResponse(job));
+                    } else {
+                        missing.push(jobId);
+                    }
+                }
+
+                return { jobs, missing, truncated: uniqueIds.length > maxJobs };
+            }
+
+            const query = this.buildJobQuery({
+                type: filter.type,
+                status: filter.status,
+                createdAfter: filter.from,
+                createdBefore: filter.to,
+                excludeSystem: true,
+                tenantId
+            });
+
+            const matched = await listJobs(query, maxJobs + 1, 0);
+
+            return {
+                jobs: matched.slice(0, maxJobs).map(job => this.formatJobResponse(job)),
+                missing: [],
+                truncated: matched.length > maxJobs
+            };
+        } catch (error) {
+            logger.error('Error resolving bulk job targets:', error);
+            throw error;
+        }
+    }
+
+    async deleteJob(jobId, tenantId = null) {
+        try {
+            const success = await deleteJob(jobId, jobTenantQuery(tenantId));
+            if (success) {
+                logger.info(`Job deleted: ${jobId}`);
+            }
+            return success;
+        } catch (error) {
+            logger.error(`Error deleting job ${jobId}:`, error);
+            throw error;
+        }
+    }
+
+    async cancelJob(jobId, tenantId = null) {
+        try {
+            const success = await cancelJob(jobId, jobTenantQuery(tenantId));
             if (success) {
                 logger.info(`Job cancelled: ${jobId}`);
+                await dependencyService.failDependents(jobId, `Dependency ${jobId} was cancelled`);
             } else {
                 logger.warn(`Job not found or already completed: ${jobId}`);
             }
@@ -235,13 +628,13 @@ class JobService {
         }
     }
 
-    async getJobStatistics(timeRange = '24h') {
+    async getJobStatistics(timeRange = '24h', tenantId = null) {
         try {
             const db = getDatabase();
             const jobMetrics = db.collection('job_metrics');
 
             // Calculate time filter
-            let timeFilter = {};
+            let timeFilter = { ...metricsTenantQuery(tenantId) };
             const now = new Date();
 
             switch (timeRange) {
@@ -327,10 +720,13 @@ class JobService {
     }
 
     formatJobResponse(job) {
+        // Job tokens are stored encrypted, but even those stay server-side
+        const { githubToken, ...data } = job.attrs.data || {};
+
         return {
             id: job.attrs._id,
             name: job.attrs.name,
-            data: job.attrs.data,
+            data: githubToken ? { ...data, githubToken: '[encrypted]' } : job.attrs.data,
             priority: job.attrs.priority,
             nextRunAt: job.attrs.nextRunAt,
             lastRunAt: job.attrs.lastRunAt,
@@ -347,6 +743,9 @@ class JobService {
 
     getJobStatus(job) {
         if (job.attrs.failedAt) return 'failed';
+        if (job.attrs.data?.dependencyStatus === 'waiting') return 'waiting';
+        // Rescheduled after a rate limit: finished once, but not done
+        if (job.attrs.data?.deferredUntil) return job.attrs.lockedAt ? 'running' : 'deferred';
         if (job.attrs.lastFinishedAt) return 'completed';
         if (job.attrs.lockedAt) return 'running';
         if (job.attrs.nextRunAt) return 'scheduled';
@@ -0,0 +1,215 @@
+// backend/src/services/quotaService.js
+const { getDatabase, updateJobMetric } = require('../config/database');
+const costTracker = require('../utils/costTracker');
+const logger = require('../utils/logger');
+
+const BUDGET_PERIODS = ['daily', 'monthly'];
+const ACTIVE_STATUSES = ['created', 'running'];
+
+class QuotaService {
+    constructor() {
+        // Defaults for keys without their own quota - unset means unlimited
+        this.defaultQuota = {
+            budgetUsd: parseFloat(process.env.DEFAULT_KEY_BUDGET_USD) || null,
+            budgetPeriod: process.env.DEFAULT_KEY_BUDGET_PERIOD || 'daily',
+            maxConcurrentJobs: parseInt(process.env.DEFAULT_KEY_MAX_CONCURRENT_JOBS) || null
+        };
+    }
+
+    validateQuota(quota = {}) {
+        const { budgetUsd, budgetPeriod, maxConcurrentJobs } = quota;
+
+        if (budgetUsd !== undefined && budgetUsd !== null && !(typeof budgetUsd === 'number' && budgetUsd >= 0)) {
+            throw new Error('budgetUsd must be a non-negative number');
+        }
+        if (budgetPeriod !== undefined && !BUDGET_PERIODS.includes(budgetPeriod)) {
+            throw new Error(`budgetPeriod must be one of: ${BUDGET_PERIODS.join(', ')}`);
+        }
+        if (maxConcurrentJobs !== undefined && maxConcurrentJobs !== null &&
+            !(Number.isInteger(maxConcurrentJobs) && maxConcurrentJobs > 0)) {
+            throw new Error('maxConcurrentJobs must be a positive integer');
+        }
+
+        return {
+            budgetUsd: budgetUsd ?? null,
+            budgetPeriod: budgetPeriod || 'daily',
+            maxConcurrentJobs: maxConcurrentJobs ?? null
+        };
+    }
+
+    // Effective quota for a key (bootstrap key is never limited)
+    getQuota(apiKey) {
+        if (!apiKey || apiKey.bootstrap) {
+            return { budgetUsd: null, budgetPeriod: 'daily', maxConcurrentJobs: null };
+        }
+
+        return {
+            budgetUsd: apiKey.quota?.budgetUsd ?? this.defaultQuota.budgetUsd,
+            budgetPeriod: apiKey.quota?.budgetPeriod || this.defaultQuota.budgetPeriod,
+            maxConcurrentJobs: apiKey.quota?.maxConcurrentJobs ?? this.defaultQuota.maxConcurrentJobs
+        };
+    }
+
+    getPeriodBounds(period, now = new Date()) {
+        if (period === 'monthly') {
+            return {
+                start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+                end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+            };
+        }
+
+        return {
+            start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+            end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+        };
+    }
+
+    async getUsage(apiKey) {
+        const quota = this.getQuota(apiKey);
+        const { start, end } = this.getPeriodBounds(quota.budgetPeriod);
+        const keyId = String(apiKey.id);
+
+        const db = getDatabase();
+        const jobMetrics = db.collection('job_metrics');
+
+        // Jobs still queued or running count at their estimate until real costs come in
+        const [spendResult, activeJobs] = await Promise.all([
+            jobMetrics.aggregate([
+                { $match: { created_by: keyId, started_at: { $gte: start } } },
+                {
+                    $group: {
+                        _id: null,
+                        spent: {
+                            $sum: {
+                                $cond: [
+                                    { $in: ['$status', ACTIVE_STATUSES] },
+                                    { $max: [{ $ifNull: ['$cost_usd', 0] }, { $ifNull: ['$estimated_cost_usd', 0] }] },
+                                    { $ifNull: ['$cost_usd', 0] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            ]).toArray(),
+            jobMetrics.countDocuments({ created_by: keyId, status: { $in: ACTIVE_STATUSES } })
+        ]);
+
+        const spentUsd = spendResult[0]?.spent || 0;
+
+        return {
+            quota,
+            period: {
+                type: quota.budgetPeriod,
+                start,
+                resetsAt: end
+            },
+            spentUsd: Math.round(spentUsd * 10000) / 10000,
+            remainingUsd: quota.budgetUsd === null ? null : Math.max(0, quota.budgetUsd - spentUsd),
+            activeJobs
+        };
+    }
+
+    async estimateJobCost(jobType, data = {}) {
+        let inputSize = JSON.stringify(data).length;
+
+        // Uploaded documents are referenced by ID, so size them from the file records
+        const documents = Array.isArray(data.documents) ? [data.document, ...data.documents] : [data.document];
+        const fileIds = documents.map(document => document?.fileId).filter(Boolean);
+        if (fileIds.length > 0) {
+            const fileService = require('./fileService');
+            const files = await Promise.all(fileIds.map(fileId => fileService.getFile(fileId).catch(() => null)));
+            inputSize += files.reduce((sum, file) => sum + (file?.size || 0), 0);
+        }
+
+        return costTracker.calculateEstimatedCost(jobType, inputSize, {
+            researchDepth: data.researchDepth
+        });
+    }
+
+    // Decide whether a key may submit another job of this type
+    async checkSubmission(apiKey, jobType, data) {
+        const estimatedCost = await this.estimateJobCost(jobType, data);
+        const quota = this.getQuota(apiKey);
+
+        if (quota.budgetUsd === null && quota.maxConcurrentJobs === null) {
+            return { allowed: true, estimatedCost };
+        }
+
+        const usage = await this.getUsage(apiKey);
+
+        if (quota.maxConcurrentJobs !== null && usage.activeJobs >= quota.maxConcurrentJobs) {
+            logger.warn('Job rejected: concurrent job limit reached', { keyId: apiKey.id, activeJobs: usage.activeJobs });
+            return {
+                allowed: false,
+                status: 429,
+                error: `Concurrent job limit reached: ${usage.activeJobs} jobs queued or running, limit is ${quota.maxConcurrentJobs}`,
+                usage
+            };
+        }
+
+        if (quota.budgetUsd !== null && estimatedCost > usage.remainingUsd) {
+            logger.warn('Job rejected: budget exceeded', { keyId: apiKey.id, estimatedCost, remaining: usage.remainingUsd });
+            return {
+                allowed: false,
+                status: 402,
+                error: `Budget exceeded: this ${jobType} job is estimated at $${estimatedCost.toFixed(2)} but only ` +
+                    `$${usage.remainingUsd.toFixed(2)} of the ${quota.budgetPeriod} $${quota.budgetUsd.toFixed(2)} budget remains`,
+                estimatedCost,
+                usage
+            };
+        }
+
+        return { allowed: true, estimatedCost, usage };
+    }
+
+    // Same checks for a set of jobs submitted together (a workflow): every job counts
+    // towards the concurrency limit and the summed estimate against the budget
+    async checkWorkflowSubmission(apiKey, jobs) {
+        const estimates = await Promise.all(jobs.map(job => this.estimateJobCost(job.type, job.data)));
+        const estimatedCost = estimates.reduce((sum, cost) => sum + cost, 0);
+        const quota = this.getQuota(apiKey);
+
+        if (quota.budgetUsd === null && quota.maxConcurrentJobs === null) {
+            return { allowed: true, estimatedCost, estimates };
+        }
+
+        const usage = await this.getUsage(apiKey);
+
+        if (quota.maxConcurrentJobs !== null && usage.activeJobs + jobs.length > quota.maxConcurrentJobs) {
+            logger.warn('Workflow rejected: concurrent job limit reached', { keyId: apiKey.id, activeJobs: usage.activeJobs, jobs: jobs.length });
+            return {
+                allowed: false,
+                status: 429,
+                error: `Concurrent job limit reached: ${usage.activeJobs} jobs queued or running plus ${jobs.length} in this workflow, ` +
+                    `limit is ${quota.maxConcurrentJobs}`,
+                estimatedCost,
+                usage
+            };
+        }
+
+        if (quota.budgetUsd !== null && estimatedCost > usage.remainingUsd) {
+            logger.warn('Workflow rejected: budget exceeded', { keyId: apiKey.id, estimatedCost, remaining: usage.remainingUsd });
+            return {
+                allowed: false,
+                status: 402,
+                error: `Budget exceeded: this workflow is estimated at $${estimatedCost.toFixed(2)} but only ` +
+                    `$${usage.remainingUsd.toFixed(2)} of the ${quota.budgetPeriod} $${quota.budgetUsd.toFixed(2)} budget remains`,
+                estimatedCost,
+                usage
+            };
+        }
+
+        return { allowed: true, estimatedCost, estimates, usage };
+    }
+
+    // Keep the estimate on the job's metrics so in-flight jobs count against the budget
+    async recordEstimate(jobId, estimatedCost) {
+        try {
+            await updateJobMetric(String(jobId), { estimated_cost_usd: estimatedCost });
+        } catch (error) {
+            logger.error(`Error recording cost estimate for job ${jobId}:`, error);
+        }
+    }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,304 @@
+// backend/src/services/repositoryService.js
+// History of github-analysis results per repository. Each completed analysis is kept as a
+// snapshot in `repository_analyses`, linked to the previous one for the same repository,
+// so scores can be charted over time, two analyses diffed and two repositories compared.
+const { getDatabase, updateJobMetric } = require('../config/database');
+const logger = require('../utils/logger');
+const { metricsTenantQuery } = require('../utils/tenancy');
+
+const MAX_HISTORY = 200;
+// Ordinal ratings as numbers, so they can be charted next to the score
+const RATINGS = { Low: 1, Medium: 2, High: 3 };
+const STATS = ['totalFiles', 'totalDirectories', 'totalSize', 'stars', 'forks', 'openIssues', 'contributors', 'testFiles', 'testRatio', 'dependencies', 'vulnerabilities'];
+
+// Host of a repository URL: github.com, an Enterprise host, a git server, or 'local' for paths
+const repositoryHost = (url, metadata = {}) => {
+    if (metadata.host) return metadata.host.toLowerCase();
+    if (metadata.source === 'local') return 'local';
+    const match = String(url).match(/^(?:[a-z+]+:\/\/)?(?:[^@/]+@)?([^/:]+)/i);
+    return match ? match[1].toLowerCase() : 'unknown';
+};
+
+const setChanges = (before = [], after = []) => ({
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item))
+});
+
+const languagePercent = (snapshot, language) => snapshot.languages.find(entry => entry.language === language)?.percent ?? 0;
+const vulnerabilityKey = (finding) => `${finding.id} ${finding.package}@${finding.version}`;
+
+const numericChange = (before, after) => ({
+    from: before ?? null,
+    to: after ?? null,
+    change: typeof before === 'number' && typeof after === 'number' ? Math.round((after - before) * 100) / 100 : null
+});
+
+class RepositoryService {
+    collection() {
+        return getDatabase().collection('repository_analyses');
+    }
+
+    // The comparable parts of a github-analysis result
+    createSnapshot(jobId, tenantId, result, repoInfo = {}) {
+        const { report, metadata = {} } = result;
+        const structure = report.structure || {};
+        const dependencies = report.dependencies;
+        const host = repositoryHost(result.repository, metadata);
+        const owner = report.summary.owner;
+        const name = report.summary.repository;
+
+        return {
+            job_id: String(jobId),
+            tenant_id: tenantId || null,
+            host,
+            owner,
+            name,
+            full_name_key: `${owner}/${name}`.toLowerCase(),
+            url: report.repository.url,
+            source: metadata.source || 'github',
+            analysis_type: result.analysisType,
+            head_sha: repoInfo.recentCommits?.[0]?.sha || null,
+            analyzed_at: metadata.processedAt || new Date(),
+            metrics: report.metrics,
+            stats: {
+                totalFiles: structure.metrics?.totalFiles ?? null,
+                totalDirectories: structure.metrics?.totalDirectories ?? null,
+                totalSize: structure.metrics?.totalSize ?? null,
+                stars: report.repository.stars ?? null,
+                forks: report.repository.forks ?? null,
+                openIssues: report.repository.openIssues ?? null,
+                contributors: structure.contributors?.count ?? null,
+                testFiles: structure.tests?.files ?? null,
+                testRatio: structure.tests?.ratio ?? null,
+                dependencies: dependencies?.totalDependencies ?? null,
+                vulnerabilities: dependencies ? dependencies.vulnerabilities.length : null
+            },
+            languages: (structure.languageBreakdown || []).map(({ language, percent }) => ({ language, percent })),
+            frameworks: structure.frameworks || [],
+            build_tools: structure.buildTools || [],
+            ci: structure.ci || [],
+            vulnerabilities: (dependencies?.vulnerabilities || []).map(finding => ({
+                id: finding.id,
+                package: finding.package,
+                version: finding.version,
+                severity: finding.severity
+            })),
+            recommendations: report.recommendations || []
+        };
+    }
+
+    // Store a completed analysis and link it to the previous analysis of the same
+    // repository. Returns that previous analysis (summarised), or null for the first one.
+    // History is a by-product of the job, so failures are logged rather than thrown
+    async recordAnalysis(jobId, tenantId, result, repoInfo) {
+        try {
+            const snapshot = this.createSnapshot(jobId, tenantId, result, repoInfo);
+            const previous = await this.collection().findOne(
+                { tenant_id: snapshot.tenant_id, host: snapshot.host, full_name_key: snapshot.full_name_key, job_id: { $ne: snapshot.job_id } },
+                { sort: { analyzed_at: -1 } }
+            );
+
+            snapshot.previous_job_id = previous?.job_id || null;
+            await this.collection().updateOne({ job_id: snapshot.job_id }, { $set: snapshot }, { upsert: true });
+
+            // job_metrics has no report, so keep the headline ratings there too
+            await updateJobMetric(snapshot.job_id, {
+                repository: `${snapshot.host}/${snapshot.owner}/${snapshot.name}`,
+                analysis_score: snapshot.metrics.analysisScore,
+                complexity: snapshot.metrics.complexity,
+                maintainability: snapshot.metrics.maintainability
+            });
+
+            return previous ? this.summarise(previous) : null;
+        } catch (error) {
+            logger.error('Error recording repository analysis:', error);
+            return null;
+        }
+    }
+
+    summarise(snapshot) {
+        return {
+            jobId: snapshot.job_id,
+            analyzedAt: snapshot.analyzed_at,
+            analysisType: snapshot.analysis_type,
+            headSha: snapshot.head_sha,
+            ...snapshot.metrics
+        };
+    }
+
+    repositoryQuery({ owner, name, host }, tenantId) {
+        return {
+            ...metricsTenantQuery(tenantId),
+            full_name_key: `${owner}/${name}`.toLowerCase(),
+            ...(host && { host: host.toLowerCase() })
+        };
+    }
+
+    // Repositories with at least one analysis, most recently analysed first
+    async listRepositories(tenantId = null, { limit = 100, skip = 0 } = {}) {
+        const repositories = await this.collection().aggregate([
+            { $match: metricsTenantQuery(tenantId) },
+            { $sort: { analyzed_at: -1 } },
+            {
+                $group: {
+                    _id: { host: '$host', fullName: '$full_name_key' },
+                    owner: { $first: '$owner' },
+                    name: { $first: '$name' },
+                    url: { $first: '$url' },
+                    analyses: { $sum: 1 },
+                    lastAnalyzedAt: { $first: '$analyzed_at' },
+                    latest: { $first: '$metrics' }
+                }
+            },
+            { $sort: { lastAnalyzedAt: -1 } },
+            { $skip: skip },
+            { $limit: limit }
+        ]).toArray();
+
+        return repositories.map(({ _id, ...repository }) => ({ host: _id.host, ...repository }));
+    }
+
+    // Analyses of a repository, oldest first, with chartable series and the overall trend
+    async getHistory(repository, tenantId = null, { analysisType, limit = 50 } = {}) {
+        const snapshots = (await this.collection()
+            .find({ ...this.repositoryQuery(repository, tenantId), ...(analysisType && { analysis_type: analysisType }) })
+            .sort({ analyzed_at: -1 })
+            .limit(Math.min(limit, MAX_HISTORY))
+            .toArray()).reverse();
+
+        if (snapshots.length === 0) return null;
+
+        const series = {
+            analyzedAt: snapshots.map(snapshot => snapshot.analyzed_at),
+            jobIds: snapshots.map(snapshot => snapshot.job_id),
+            analysisScore: snapshots.map(snapshot => snapshot.metrics.analysisScore ?? null),
+            complexity: snapshots.map(snapshot => RATINGS[snapshot.metrics.complexity] ?? null),
+            maintainability: snapshots.map(snapshot => RATINGS[snapshot.metrics.maintainability] ?? null),
+            ...Object.fromEntries(STATS.map(stat => [stat, snapshots.map(snapshot => snapshot.stats[stat] ?? null)]))
+        };
+
+        const latest = snapshots[snapshots.length - 1];
+        return {
+            repository: { host: latest.host, owner: latest.owner, name: latest.name, url: latest.url },
+            // Hosts differ when the same owner/name exists on several (pass ?host= to pick one)
+            hosts: [...new Set(snapshots.map(snapshot => snapshot.host))],
+            analyses: snapshots.map(snapshot => ({ ...this.summarise(snapshot), previousJobId: snapshot.previous_job_id, stats: snapshot.stats })),
+            series,
+            ratingScale: RATINGS,
+            trend: Object.fromEntries(['analysisScore', 'complexity', 'maintainability', ...STATS].map(metric => {
+                const values = series[metric].filter(value => typeof value === 'number');
+                if (values.length === 0) return [metric, null];
+                return [metric, {
+                    first: values[0],
+                    latest: values[values.length - 1],
+                    change: Math.round((values[values.length - 1] - values[0]) * 100) / 100,
+                    min: Math.min(...values),
+                    max: Math.max(...values)
+                }];
+            }))
+        };
+    }
+
+    // An analysis of the given repository by job ID, or its latest analysis
+    async getAnalysis(repository, tenantId = null, jobId = null) {
+        return this.collection().findOne(
+            { ...this.repositoryQuery(repository, tenantId), ...(jobId && { job_id: String(jobId) }) },
+            { sort: { analyzed_at: -1 } }
+        );
+    }
+
+    // What changed between two analyses of the same repository, or null when there
+    // aren't two. `to` defaults to the latest analysis and `from` to the one before `to`
+    async diffAnalyses(repository, tenantId = null, { from, to } = {}) {
+        let after = await this.getAnalysis(repository, tenantId, to);
+        let before = from
+            ? await this.getAnalysis(repository, tenantId, from)
+            : after?.previous_job_id && await this.getAnalysis(repository, tenantId, after.previous_job_id);
+
+        if (!before || !after || before.job_id === after.job_id) return null;
+        // Always diff older -> newer
+        if (before.analyzed_at > after.analyzed_at) [before, after] = [after, before];
+
+        const beforeVulnerabilities = before.vulnerabilities.map(vulnerabilityKey);
+        const afterVulnerabilities = after.vulnerabilities.map(vulnerabilityKey);
+        const languages = [...new Set([...before.languages, ...after.languages].map(entry => entry.language))];
+
+        return {
+            repository: { host: after.host, owner: after.owner, name: after.name, url: after.url },
+            from: this.summarise(before),
+            to: this.summarise(after),
+            commitChanged: Boolean(before.head_sha && after.head_sha && before.head_sha !== after.head_sha),
+            metrics: {
+                analysisScore: numericChange(before.metrics.analysisScore, after.metrics.analysisScore),
+                complexity: { from: before.metrics.complexity, to: after.metrics.complexity, changed: before.metrics.complexity !== after.metrics.complexity },
+                maintainability: { from: before.metrics.maintainability, to: after.metrics.maintainability, changed: before.metrics.maintainability !== after.metrics.maintainability }
+            },
+            stats: Object.fromEntries(STATS.map(stat => [stat, numericChange(before.stats[stat], after.stats[stat])])),
+            languages: languages
+                .map(language => ({ language, ...numericChange(languagePercent(before, language), languagePercent(after, language)) }))
+                .filter(change => change.change !== 0)
+                .sort((a, b) => Math.abs(b.change) - Math.abs(a.change)),
+            frameworks: setChanges(before.frameworks, after.frameworks),
+            buildTools: setChanges(before.build_tools, after.build_tools),
+            ci: setChanges(before.ci, after.ci),
+            vulnerabilities: {
+                introduced: after.vulnerabilities.filter(finding => !beforeVulnerabilities.includes(vulnerabilityKey(finding))),
+                resolved: before.vulnerabilities.filter(finding => !afterVulnerabilities.includes(vulnerabilityKey(finding)))
+            },
+            recommendations: setChanges(before.recommendations, after.recommendations)
+        };
+    }
+
+    // Latest analyses of two repositories side by side, or null unless both have one
+    async compareRepositories(left, right, tenantId = null) {
+        const [leftAnalysis, rightAnalysis] = await Promise.all([
+            this.getAnalysis(left, tenantId),
+            this.getAnalysis(right, tenantId)
+        ]);
+        if (!leftAnalysis || !rightAnalysis) return null;
+
+        const describe = (analysis) => ({
+            host: analysis.host,
+            owner: analysis.owner,
+            name: analysis.name,
+            url: analysis.url,
+            ...this.summarise(analysis)
+        });
+        const sides = (field) => ({
+            shared: leftAnalysis[field].filter(item => rightAnalysis[field].includes(item)),
+            leftOnly: leftAnalysis[field].filter(item => !rightAnalysis[field].includes(item)),
+            rightOnly: rightAnalysis[field].filter(item => !leftAnalysis[field].includes(item))
+        });
+        const languages = [...new Set([...leftAnalysis.languages, ...rightAnalysis.languages].map(entry => entry.language))];
+
+        return {
+            left: describe(leftAnalysis),
+            right: describe(rightAnalysis),
+            metrics: [
+                ...['analysisScore', 'complexity', 'maintainability'].map(metric => ({
+                    metric,
+                    left: leftAnalysis.metrics[metric] ?? null,
+                    right: rightAnalysis.metrics[metric] ?? null
+                })),
+                ...STATS.map(stat => ({ metric: stat, left: leftAnalysis.stats[stat], right: rightAnalysis.stats[stat] }))
+            ].map(row => ({
+                ...row,
+                difference: typeof row.left === 'number' && typeof row.right === 'number' ? Math.round((row.right - row.left) * 100) / 100 : null
+            })),
+            languages: languages.map(language => ({
+                language,
+                left: languagePercent(leftAnalysis, language),
+                right: languagePercent(rightAnalysis, language)
+            })),
+            frameworks: sides('frameworks'),
+            buildTools: sides('build_tools'),
+            ci: sides('ci'),
+            vulnerabilities: {
+                left: leftAnalysis.vulnerabilities,
+                right: rightAnalysis.vulnerabilities
+            }
+        };
+    }
+}
+
+module.exports = new RepositoryService();
@@ -0,0 +1,331 @@
+// backend/src/services/scheduleService.js
+// User-defined recurring jobs. Each schedule owns one recurring `run-schedule`
+// Agenda job; every occurrence creates a regular job on behalf of the schedule's
+// creator and records it in `schedule_runs`.
+const cronParser = require('cron-parser');
+const { ObjectId } = require('mongodb');
+const { getDatabase } = require('../config/database');
+const { createRecurringJob, setJobEnabled, deleteJob, getJobStatus } = require('../config/agenda');
+const jobService = require('./jobService');
+const apiKeyService = require('./apiKeyService');
+const quotaService = require('./quotaService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+const { metricsTenantQuery, canAccessTenant } = require('../utils/tenancy');
+
+// Guard against schedules that would burn through budgets (e.g. "* * * * *")
+const MIN_INTERVAL_MINUTES = parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES) || 15;
+
+class ScheduleService {
+    // Parse a cron expression and return its next occurrences; throws on invalid input
+    getUpcomingRuns(cron, timezone = null, count = 3, from = new Date()) {
+        const options = { currentDate: from };
+        if (timezone) options.tz = timezone;
+
+        const interval = cronParser.parseExpression(cron, options);
+        const runs = [];
+        for (let i = 0; i < count; i++) {
+            runs.push(interval.next().toDate());
+        }
+        return runs;
+    }
+
+    // Throws with a client-facing message when the schedule definition is invalid
+    validateSchedule({ name, type, data, cron, timezone }, supportedTypes) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Schedule name is required');
+        }
+        if (!supportedTypes.includes(type)) {
+            throw new Error('Unsupported job type: ' + type);
+        }
+        if (!data || typeof data !== 'object') {
+            throw new Error('Job data is required');
+        }
+        if (!cron || typeof cron !== 'string') {
+            throw new Error('cron expression is required');
+        }
+
+        let upcoming;
+        try {
+            upcoming = this.getUpcomingRuns(cron, timezone);
+        } catch (error) {
+            throw new Error(`Invalid cron expression or timezone: ${error.message}`);
+        }
+
+        if (upcoming.some(date => isNaN(date.getTime()))) {
+            throw new Error('Invalid timezone: ' + timezone);
+        }
+
+        const gapMinutes = (upcoming[1] - upcoming[0]) / 60000;
+        if (gapMinutes < MIN_INTERVAL_MINUTES) {
+            throw new Error(`Schedules can run at most every ${MIN_INTERVAL_MINUTES} minutes`);
+        }
+
+        return upcoming;
+    }
+
+    async createSchedule({ name, type, data, cron, timezone }, owner = {}) {
+        try {
+            const collection = getDatabase().collection('schedules');
+            const schedule = {
+                name,
+                job_type: type,
+                // A GitHub token is encrypted once here and reused by every run
+                job_data: data.githubToken ? { ...data, githubToken: jobService.protectToken(data.githubToken) } : data,
+                cron,
+                timezone: timezone || null,
+                status: 'active',
+                tenant_id: owner.tenantId || null,
+                created_by: owner.keyId || null,
+                agenda_job_id: null,
+                run_count: 0,
+                last_run_at: null,
+                paused_reason: null,
+                created_at: new Date(),
+                updated_at: new Date()
+            };
+
+            const { insertedId } = await collection.insertOne(schedule);
+
+            try {
+                const trigger = await createRecurringJob('run-schedule', { scheduleId: String(insertedId) }, cron, { timezone });
+                schedule.agenda_job_id = String(trigger.attrs._id);
+            } catch (error) {
+                await collection.deleteOne({ _id: insertedId });
+                throw error;
+            }
+
+            await collection.updateOne({ _id: insertedId }, { $set: { agenda_job_id: schedule.agenda_job_id } });
+            logger.info(`Schedule created: ${name}`, { scheduleId: insertedId, cron, jobType: type });
+
+            return this.getSchedule(String(insertedId));
+        } catch (error) {
+            logger.error('Error creating schedule:', error);
+            throw error;
+        }
+    }
+
+    async getScheduleDocument(scheduleId, tenantId = null) {
+        if (!ObjectId.isValid(scheduleId)) return null;
+
+        const schedule = await getDatabase().collection('schedules').findOne({ _id: new ObjectId(scheduleId) });
+        if (!schedule || !canAccessTenant(tenantId, schedule.tenant_id)) return null;
+        return schedule;
+    }
+
+    async getSchedule(scheduleId, tenantId = null) {
+        const schedule = await this.getScheduleDocument(scheduleId, tenantId);
+        if (!schedule) return null;
+
+        const trigger = schedule.agenda_job_id
+            ? await getJobStatus(schedule.agenda_job_id).catch(() => null)
+            : null;
+
+        return this.formatSchedule(schedule, trigger);
+    }
+
+    async getSchedules({ tenantId = null, status, limit = 50, skip = 0 } = {}) {
+        try {
+            const query = metricsTenantQuery(tenantId);
+            if (status) query.status = status;
+
+            const collection = getDatabase().collection('schedules');
+            const [schedules, total] = await Promise.all([
+                collection.find(query).sort({ created_at: -1 }).skip(skip).limit(limit).toArray(),
+                collection.countDocuments(query)
+            ]);
+
+            return {
+                schedules: schedules.map(schedule => this.formatSchedule(schedule)),
+                total,
+                limit,
+                skip
+            };
+        } catch (error) {
+            logger.error('Error listing schedules:', error);
+            throw error;
+        }
+    }
+
+    async pauseSchedule(scheduleId, tenantId = null, reason = null) {
+        const schedule = await this.getScheduleDocument(scheduleId, tenantId);
+        if (!schedule) return null;
+
+        if (schedule.status !== 'paused') {
+            await setJobEnabled(schedule.agenda_job_id, false);
+            await getDatabase().collection('schedules').updateOne(
+                { _id: schedule._id },
+                { $set: { status: 'paused', paused_reason: reason, updated_at: new Date() } }
+            );
+            logger.info(`Schedule paused: ${schedule.name}`, { scheduleId, reason });
+        }
+
+        return this.getSchedule(scheduleId);
+    }
+
+    async resumeSchedule(scheduleId, tenantId = null) {
+        const schedule = await this.getScheduleDocument(scheduleId, tenantId);
+        if (!schedule) return null;
+
+        if (schedule.status !== 'active') {
+            const [nextRunAt] = this.getUpcomingRuns(schedule.cron, schedule.timezone, 1);
+            await setJobEnabled(schedule.agenda_job_id, true, nextRunAt);
+            await getDatabase().collection('schedules').updateOne(
+                { _id: schedule._id },
+                { $set: { status: 'active', paused_reason: null, updated_at: new Date() } }
+            );
+            logger.info(`Schedule resumed: ${schedule.name}`, { scheduleId, nextRunAt });
+        }
+
+        return this.getSchedule(scheduleId);
+    }
+
+    // Removes the schedule and its trigger; jobs it already created and the run history are kept
+    async deleteSchedule(scheduleId, tenantId = null) {
+        const schedule = await this.getScheduleDocument(scheduleId, tenantId);
+        if (!schedule) return null;
+
+        if (schedule.agenda_job_id) {
+            await deleteJob(schedule.agenda_job_id);
+        }
+        await getDatabase().collection('schedules').deleteOne({ _id: schedule._id });
+
+        logger.info(`Schedule deleted: ${schedule.name}`, { scheduleId });
+        return schedule;
+    }
+
+    // Called by the `run-schedule` Agenda job on every occurrence
+    async triggerSchedule(scheduleId) {
+        const schedule = await this.getScheduleDocument(scheduleId);
+        if (!schedule) {
+            logger.warn(`Schedule ${scheduleId} no longer exists, skipping run`);
+            return;
+        }
+        if (schedule.status !== 'active') return;
+
+        const run = {
+            schedule_id: String(schedule._id),
+            tenant_id: schedule.tenant_id,
+            job_id: null,
+            status: 'created',
+            reason: null,
+            triggered_at: new Date()
+        };
+
+        try {
+            // Runs are billed to, and limited by, the key that created the schedule
+            const apiKey = await apiKeyService.getKeyById(schedule.created_by);
+            if (!apiKey) {
+                run.status = 'skipped';
+                run.reason = 'The API key that created this schedule is revoked or expired';
+                await this.pauseSchedule(String(schedule._id), null, run.reason);
+            } else {
+                const quotaCheck = await quotaService.checkSubmission(apiKey, schedule.job_type, schedule.job_data);
+
+                if (!quotaCheck.allowed) {
+                    run.status = 'skipped';
+                    run.reason = quotaCheck.error;
+                } else {
+                    const job = await jobService.createJobOfType(
+                        schedule.job_type,
+                        schedule.job_data,
+                        { tenantId: schedule.tenant_id, keyId: schedule.created_by }
+                    );
+                    run.job_id = String(job.id);
+
+                    await quotaService.recordEstimate(job.id, quotaCheck.estimatedCost);
+
+                    const socketService = require('./socketService');
+                    socketService.emitJobCreated(job);
+                }
+            }
+        } catch (error) {
+            logger.error(`Error running schedule ${scheduleId}:`, error);
+            run.status = 'error';
+            run.reason = error.message;
+        }
+
+        const db = getDatabase();
+        await db.collection('schedule_runs').insertOne(run);
+        await db.collection('schedules').updateOne(
+            { _id: schedule._id },
+            { $set: { last_run_at: run.triggered_at }, $inc: { run_count: 1 } }
+        );
+
+        await auditService.recordEvent({
+            action: 'schedule.triggered',
+            actor: auditService.systemActor('scheduler'),
+            tenantId: schedule.tenant_id,
+            jobId: run.job_id,
+            details: { scheduleId: String(schedule._id), status: run.status, reason: run.reason }
+        });
+
+        logger.info(`Schedule run ${run.status}: ${schedule.name}`, { scheduleId, jobId: run.job_id });
+    }
+
+    // Run history, newest first, joined with each job's metrics
+    async getRuns(scheduleId, { limit = 50, skip = 0 } = {}) {
+        try {
+            const db = getDatabase();
+            const query = { schedule_id: String(scheduleId) };
+
+            const [runs, total] = await Promise.all([
+                db.collection('schedule_runs').find(query).sort({ triggered_at: -1 }).skip(skip).limit(limit).toArray(),
+                db.collection('schedule_runs').countDocuments(query)
+            ]);
+
+            const jobIds = runs.map(run => run.job_id).filter(Boolean);
+            const metrics = await db.collection('job_metrics').find({ job_id: { $in: jobIds } }).toArray();
+            const metricsByJobId = Object.fromEntries(metrics.map(metric => [metric.job_id, metric]));
+
+            return {
+                runs: runs.map(run => {
+                    const metric = run.job_id ? metricsByJobId[run.job_id] : null;
+                    return {
+                        triggeredAt: run.triggered_at,
+                        status: run.status,
+                        reason: run.reason,
+                        jobId: run.job_id,
+                        jobStatus: metric ? (metric.status === 'created' ? 'pending' : metric.status) : null,
+                        costUsd: metric?.cost_usd || 0,
+                        completedAt: metric?.completed_at || null,
+                        resultUrl: run.job_id ? `/api/jobs/${run.job_id}` : null
+                    };
+                }),
+                total,
+                limit,
+                skip
+            };
+        } catch (error) {
+            logger.error(`Error getting runs for schedule ${scheduleId}:`, error);
+            throw error;
+        }
+    }
+
+    formatSchedule(schedule, trigger = null) {
+        let nextRunAt = null;
+        if (schedule.status === 'active') {
+            nextRunAt = trigger?.attrs.nextRunAt || this.getUpcomingRuns(schedule.cron, schedule.timezone, 1)[0];
+        }
+
+        return {
+            id: schedule._id,
+            name: schedule.name,
+            type: schedule.job_type,
+            data: schedule.job_data?.githubToken ? { ...schedule.job_data, githubToken: '[encrypted]' } : schedule.job_data,
+            cron: schedule.cron,
+            timezone: schedule.timezone,
+            status: schedule.status,
+            pausedReason: schedule.paused_reason,
+            tenantId: schedule.tenant_id,
+            createdBy: schedule.created_by,
+            runCount: schedule.run_count,
+            lastRunAt: schedule.last_run_at,
+            nextRunAt,
+            createdAt: schedule.created_at,
+            updatedAt: schedule.updated_at
+        };
+    }
+}
+
+module.exports = new ScheduleService();
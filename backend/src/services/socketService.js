@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { tenantRoom, ALL_TENANTS_ROOM } = require('../utils/tenancy');
 
 class SocketService {
     constructor() {
@@ -46,9 +47,19 @@ class SocketService {
         }
     }
 
+    // Emit to a tenant's sockets and to unrestricted (admin) sockets
+    emitToTenant(tenantId, event, data) {
+        if (this.io) {
+            this.io.to(tenantRoom(tenantId)).to(ALL_TENANTS_ROOM).emit(event, data);
+            logger.debug(`Socket event emitted to tenant ${tenantId || 'unowned'}: ${event}`);
+        } else {
+            logger.warn(`Attempted to emit ${event} to tenant ${tenantId} but socket.io not initialized`);
+        }
+    }
+
     // Job-specific events
     emitJobCreated(jobData) {
-        this.emit('job_created', {
+        this.emitToTenant(jobData.data?.tenantId, 'job_created', {
             jobId: jobData.id,
             type: jobData.name,
             status: jobData.status,
@@ -57,23 +68,25 @@ class SocketService {
         });
     }
 
-    emitJobProgress(jobId, progress, status) {
+    emitJobProgress(jobId, progress, status, tenantId = null, details = null) {
         const progressData = {
             jobId,
             progress,
             status,
             timestamp: new Date()
         };
+        // Optional step detail, e.g. which chunk of a long document is being summarised
+        if (details) progressData.details = details;
 
-        // Emit to all connected clients
-        this.emit('job_progress', progressData);
+        // Emit to the owning tenant's clients
+        this.emitToTenant(tenantId, 'job_progress', progressData);
         // Also emit to specific job room if anyone is subscribed
         this.emitToRoom(`job_${jobId}`, 'progress_update', progressData);
         logger.debug(`Job progress emitted: ${jobId} - ${progress}%`);
     }
 
     emitJobCompleted(jobData) {
-        this.emit('job_completed', {
+        this.emitToTenant(jobData.data?.tenantId, 'job_completed', {
             jobId: jobData.id,
             status: jobData.status,
             completedAt: new Date(),
@@ -87,8 +100,8 @@ class SocketService {
         });
     }
 
-    emitJobFailed(jobId, error) {
-        this.emit('job_failed', {
+    emitJobFailed(jobId, error, tenantId = null) {
+        this.emitToTenant(tenantId, 'job_failed', {
             jobId,
             error: error.message,
             failedAt: new Date()
@@ -100,8 +113,15 @@ class SocketService {
         });
     }
 
-    emitJobCancelled(jobId) {
-        this.emit('job_cancelled', {
+    // Live log lines for a job - deliberately not logged, since logging here would feed back into job logs
+    emitJobLog(jobId, entry) {
+        if (this.io) {
+            this.io.to(`job_${jobId}`).emit('job_log', entry);
+        }
+    }
+
+    emitJobCancelled(jobId, tenantId = null) {
+        this.emitToTenant(tenantId, 'job_cancelled', {
             jobId,
             cancelledAt: new Date()
         });
@@ -111,6 +131,14 @@ class SocketService {
         });
     }
 
+    emitJobRetried(originalJobId, newJob) {
+        this.emitToTenant(newJob.data?.tenantId, 'job_retried', {
+            originalJobId,
+            newJobId: newJob.id,
+            retriedAt: new Date()
+        });
+    }
+
     // Metrics events
     emitMetricsUpdate(metrics) {
         this.emitToRoom('metrics_updates', 'metrics_update', {
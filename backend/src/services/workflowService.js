@@ -0,0 +1,325 @@
+// backend/src/services/workflowService.js
+// Workflows: a DAG of jobs submitted together. Nodes reference each other by
+// `key`; each node becomes a regular job, chained through dependsOn/inputMapping.
+const { ObjectId } = require('mongodb');
+const { getDatabase } = require('../config/database');
+const { getJobStatus } = require('../config/agenda');
+const jobService = require('./jobService');
+const logger = require('../utils/logger');
+const { metricsTenantQuery, canAccessTenant } = require('../utils/tenancy');
+
+const MAX_WORKFLOW_JOBS = 25;
+const NODE_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class WorkflowService {
+    // Validate the graph and return its nodes in dependency order.
+    // Throws with a client-facing message when the definition is invalid.
+    validateDefinition({ name, jobs }, supportedTypes) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Workflow name is required');
+        }
+
+        if (!Array.isArray(jobs) || jobs.length === 0) {
+            throw new Error('jobs must be a non-empty array');
+        }
+
+        if (jobs.length > MAX_WORKFLOW_JOBS) {
+            throw new Error(`A workflow can have at most ${MAX_WORKFLOW_JOBS} jobs`);
+        }
+
+        const nodesByKey = {};
+        for (const node of jobs) {
+            if (!node?.key || !NODE_KEY_PATTERN.test(node.key)) {
+                throw new Error('Every job needs a key made of letters, numbers, "-" or "_"');
+            }
+            if (nodesByKey[node.key]) {
+                throw new Error('Duplicate job key: ' + node.key);
+            }
+            if (!supportedTypes.includes(node.type)) {
+                throw new Error(`Unsupported job type for ${node.key}: ${node.type}`);
+            }
+            if (!node.data || typeof node.data !== 'object') {
+                throw new Error(`Job ${node.key} needs a data object`);
+            }
+            if (node.dependsOn !== undefined && !Array.isArray(node.dependsOn)) {
+                throw new Error(`dependsOn for ${node.key} must be an array of job keys`);
+            }
+            nodesByKey[node.key] = node;
+        }
+
+        for (const node of jobs) {
+            const parents = node.dependsOn || [];
+            for (const parentKey of parents) {
+                if (!nodesByKey[parentKey]) {
+                    throw new Error(`Job ${node.key} depends on unknown job key: ${parentKey}`);
+                }
+            }
+
+            for (const [field, source] of Object.entries(node.inputMapping || {})) {
+                const sourceKey = typeof source === 'string' ? source.split('.')[0] : null;
+                if (!parents.includes(sourceKey)) {
+                    throw new Error(`inputMapping.${field} of ${node.key} must reference a job key in its dependsOn`);
+                }
+            }
+        }
+
+        return this.sortNodes(jobs, nodesByKey);
+    }
+
+    // Kahn's algorithm - parents always come before their children, cycles are rejected
+    sortNodes(jobs, nodesByKey) {
+        const remainingParents = {};
+        const children = {};
+        for (const node of jobs) {
+            remainingParents[node.key] = new Set(node.dependsOn || []).size;
+            for (const parentKey of new Set(node.dependsOn || [])) {
+                (children[parentKey] = children[parentKey] || []).push(node.key);
+            }
+        }
+
+        const ready = jobs.filter(node => remainingParents[node.key] === 0).map(node => node.key);
+        const sorted = [];
+
+        while (ready.length > 0) {
+            const key = ready.shift();
+            sorted.push(nodesByKey[key]);
+            for (const childKey of children[key] || []) {
+                remainingParents[childKey]--;
+                if (remainingParents[childKey] === 0) ready.push(childKey);
+            }
+        }
+
+        if (sorted.length !== jobs.length) {
+            const cyclic = jobs.filter(node => remainingParents[node.key] > 0).map(node => node.key);
+            throw new Error('Workflow has a dependency cycle between: ' + cyclic.join(', '));
+        }
+
+        return sorted;
+    }
+
+    // Create every job in dependency order, rolling back if one of them can't be created
+    async createWorkflow({ name, description }, sortedNodes, owner = {}) {
+        const jobIdsByKey = {};
+        const createdJobs = [];
+
+        try {
+            for (const node of sortedNodes) {
+                const parentKeys = [...new Set(node.dependsOn || [])];
+                const dependencies = parentKeys.length > 0 ? {
+                    dependsOn: parentKeys.map(key => jobIdsByKey[key]),
+                    inputMapping: this.translateInputMapping(node.inputMapping, jobIdsByKey)
+                } : null;
+
+                const job = await jobService.createJobOfType(node.type, node.data, owner, dependencies);
+                jobIdsByKey[node.key] = String(job.id);
+                createdJobs.push({ node, job });
+            }
+        } catch (error) {
+            logger.error(`Error creating workflow ${name}, rolling back ${createdJobs.length} jobs:`, error);
+            for (const { job } of createdJobs.reverse()) {
+                await jobService.cancelJob(String(job.id)).catch(() => {});
+            }
+            throw error;
+        }
+
+        const workflow = {
+            name,
+            description: description || null,
+            tenant_id: owner.tenantId || null,
+            created_by: owner.keyId || null,
+            nodes: sortedNodes.map(node => ({
+                key: node.key,
+                type: node.type,
+                job_id: jobIdsByKey[node.key],
+                depends_on: [...new Set(node.dependsOn || [])]
+            })),
+            cancelled_at: null,
+            created_at: new Date()
+        };
+
+        const result = await getDatabase().collection('workflows').insertOne(workflow);
+        logger.info(`Workflow created: ${name}`, { workflowId: result.insertedId, jobCount: createdJobs.length });
+
+        return {
+            workflow: { _id: result.insertedId, ...workflow },
+            jobs: createdJobs.map(({ job }) => job)
+        };
+    }
+
+    // Node-key references ("repoA.report.analysis") become job ID references
+    translateInputMapping(inputMapping = {}, jobIdsByKey) {
+        const translated = {};
+        for (const [field, source] of Object.entries(inputMapping)) {
+            const [key, ...path] = source.split('.');
+            translated[field] = [jobIdsByKey[key], ...path].join('.');
+        }
+        return translated;
+    }
+
+    async getWorkflowDocument(workflowId, tenantId = null) {
+        if (!ObjectId.isValid(workflowId)) return null;
+
+        const workflow = await getDatabase().collection('workflows').findOne({ _id: new ObjectId(workflowId) });
+        if (!workflow || !canAccessTenant(tenantId, workflow.tenant_id)) return null;
+        return workflow;
+    }
+
+    // Metrics outlive Agenda jobs (finished jobs are cleaned up), so they are the
+    // fallback for status and the source of truth for cost
+    async getNodeMetrics(workflows) {
+        const jobIds = workflows.flatMap(workflow => workflow.nodes.map(node => node.job_id));
+        const metrics = await getDatabase().collection('job_metrics')
+            .find({ job_id: { $in: jobIds } })
+            .toArray();
+        return Object.fromEntries(metrics.map(metric => [metric.job_id, metric]));
+    }
+
+    deriveStatus(workflow, nodeStatuses) {
+        if (workflow.cancelled_at) return 'cancelled';
+        if (nodeStatuses.includes('failed')) {
+            return nodeStatuses.every(status => FINISHED_STATUSES.includes(status)) ? 'failed' : 'failing';
+        }
+        if (nodeStatuses.every(status => status === 'completed')) return 'completed';
+        if (nodeStatuses.some(status => status === 'running' || status === 'completed')) return 'running';
+        return 'pending';
+    }
+
+    rollUpCosts(workflow, metricsByJobId) {
+        const totals = { costUsd: 0, estimatedCostUsd: 0, tokensUsed: 0, apiCalls: 0 };
+        for (const node of workflow.nodes) {
+            const metric = metricsByJobId[node.job_id];
+            if (!metric) continue;
+            totals.costUsd += metric.cost_usd || 0;
+            totals.estimatedCostUsd += metric.estimated_cost_usd || 0;
+            totals.tokensUsed += metric.tokens_used || 0;
+            totals.apiCalls += metric.api_calls || 0;
+        }
+        totals.costUsd = Math.round(totals.costUsd * 10000) / 10000;
+        totals.estimatedCostUsd = Math.round(totals.estimatedCostUsd * 10000) / 10000;
+        return totals;
+    }
+
+    formatWorkflow(workflow, nodes, metricsByJobId) {
+        const statusCounts = nodes.reduce((counts, node) => {
+            counts[node.status] = (counts[node.status] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            id: workflow._id,
+            name: workflow.name,
+            description: workflow.description,
+            tenantId: workflow.tenant_id,
+            createdBy: workflow.created_by,
+            status: this.deriveStatus(workflow, nodes.map(node => node.status)),
+            statusCounts,
+            cost: this.rollUpCosts(workflow, metricsByJobId),
+            nodes,
+            createdAt: workflow.created_at,
+            cancelledAt: workflow.cancelled_at
+        };
+    }
+
+    async getWorkflow(workflowId, tenantId = null) {
+        try {
+            const workflow = await this.getWorkflowDocument(workflowId, tenantId);
+            if (!workflow) return null;
+
+            const metricsByJobId = await this.getNodeMetrics([workflow]);
+            const nodes = [];
+
+            for (const node of workflow.nodes) {
+                const job = await getJobStatus(node.job_id).catch(() => null);
+                const metric = metricsByJobId[node.job_id];
+
+                nodes.push({
+                    key: node.key,
+                    type: node.type,
+                    jobId: node.job_id,
+                    dependsOn: node.depends_on,
+                    status: job ? jobService.getJobStatus(job) : (metric?.status || 'unknown'),
+                    progress: job?.attrs.progress || metric?.progress || 0,
+                    failReason: job?.attrs.failReason || metric?.error_message || null,
+                    costUsd: metric?.cost_usd || 0
+                });
+            }
+
+            return this.formatWorkflow(workflow, nodes, metricsByJobId);
+        } catch (error) {
+            logger.error(`Error getting workflow ${workflowId}:`, error);
+            throw error;
+        }
+    }
+
+    // List view uses metric statuses only, to avoid a job lookup per node
+    async getWorkflows({ tenantId = null, limit = 20, skip = 0 } = {}) {
+        try {
+            const collection = getDatabase().collection('workflows');
+            const query = metricsTenantQuery(tenantId);
+
+            const [workflows, total] = await Promise.all([
+                collection.find(query).sort({ created_at: -1 }).skip(skip).limit(limit).toArray(),
+                collection.countDocuments(query)
+            ]);
+
+            const metricsByJobId = await this.getNodeMetrics(workflows);
+
+            return {
+                workflows: workflows.map(workflow => this.formatWorkflow(
+                    workflow,
+                    workflow.nodes.map(node => ({
+                        key: node.key,
+                        type: node.type,
+                        jobId: node.job_id,
+                        dependsOn: node.depends_on,
+                        status: this.metricStatus(metricsByJobId[node.job_id])
+                    })),
+                    metricsByJobId
+                )),
+                total,
+                limit,
+                skip
+            };
+        } catch (error) {
+            logger.error('Error listing workflows:', error);
+            throw error;
+        }
+    }
+
+    metricStatus(metric) {
+        if (!metric) return 'unknown';
+        return metric.status === 'created' ? 'pending' : metric.status;
+    }
+
+    // Cancel every unfinished job, children first so they are cancelled rather than failed by the cascade
+    async cancelWorkflow(workflowId, tenantId = null) {
+        try {
+            const workflow = await this.getWorkflowDocument(workflowId, tenantId);
+            if (!workflow) return null;
+
+            const cancelled = [];
+            for (const node of [...workflow.nodes].reverse()) {
+                const job = await getJobStatus(node.job_id).catch(() => null);
+                if (!job || ['completed', 'failed'].includes(jobService.getJobStatus(job))) continue;
+
+                if (await jobService.cancelJob(node.job_id, tenantId)) {
+                    cancelled.push({ key: node.key, jobId: node.job_id, tenantId: job.attrs.data?.tenantId || null });
+                }
+            }
+
+            await getDatabase().collection('workflows').updateOne(
+                { _id: workflow._id },
+                { $set: { cancelled_at: new Date() } }
+            );
+
+            logger.info(`Workflow cancelled: ${workflow.name}`, { workflowId, cancelledJobs: cancelled.length });
+            return { workflow, cancelled };
+        } catch (error) {
+            logger.error(`Error cancelling workflow ${workflowId}:`, error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new WorkflowService();
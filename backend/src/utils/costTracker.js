@@ -158,18 +158,28 @@ class CostTracker {
         }
     }
 
-    calculateEstimatedCost(jobType, inputSize) {
+    calculateEstimatedCost(jobType, inputSize, options = {}) {
         // Simple cost estimation based on job type and input size
         const baseCosts = {
             'github-analysis': 0.15,
+            'github-pr-review': 0.12,
             'document-summary': 0.08,
+            'document-comparison': 0.12,
             'deep-research': 0.25
         };
 
+        // Same depth multipliers the deep research planner uses
+        const depthMultipliers = {
+            shallow: 0.5,
+            medium: 1.0,
+            deep: 1.8
+        };
+
         const baseCost = baseCosts[jobType] || 0.10;
         const sizeMultiplier = Math.max(1, inputSize / 1000); // Scale with input size
+        const depthMultiplier = depthMultipliers[options.researchDepth] || 1.0;
 
-        return baseCost * sizeMultiplier;
+        return baseCost * sizeMultiplier * depthMultiplier;
     }
 
     async getCostAlerts(resolved = false) {
@@ -0,0 +1,299 @@
+// backend/src/utils/dependencyManifests.js
+// Dependencies declared in a repository's manifests and lockfiles, by OSV ecosystem
+// (npm, PyPI, Maven, RubyGems, Go), plus the licenses the files declare.
+const path = require('path');
+const cheerio = require('cheerio');
+
+// Lockfiles pin exact versions, so they win over the ranges in the manifest next to them
+const MANIFESTS = [
+    { file: 'package-lock.json', ecosystem: 'npm', lockfile: true, parse: (content) => parsePackageLock(content) },
+    { file: 'yarn.lock', ecosystem: 'npm', lockfile: true, parse: (content) => parseYarnLock(content) },
+    { file: 'package.json', ecosystem: 'npm', lockfile: false, parse: (content) => parsePackageJson(content) },
+    { file: /^requirements([-_.][\w.-]*)?\.txt$/, ecosystem: 'PyPI', lockfile: false, parse: (content) => parseRequirements(content) },
+    { file: 'pom.xml', ecosystem: 'Maven', lockfile: false, parse: (content) => parsePom(content) },
+    { file: 'Gemfile.lock', ecosystem: 'RubyGems', lockfile: true, parse: (content) => parseGemfileLock(content) },
+    { file: 'Gemfile', ecosystem: 'RubyGems', lockfile: false, parse: (content) => parseGemfile(content) },
+    { file: 'go.mod', ecosystem: 'Go', lockfile: true, parse: (content) => parseGoMod(content) }
+];
+
+// Licenses whose terms reach the code that uses them
+const COPYLEFT = /\b(A?GPL|LGPL|MPL|EPL|EUPL|CDDL|SSPL|OSL|CC-BY-SA)\b|General Public License|Mozilla Public License|Eclipse Public License/i;
+
+const findManifest = (filePath) => {
+    const name = path.posix.basename(filePath);
+    return MANIFESTS.find(manifest => typeof manifest.file === 'string' ? manifest.file === name : manifest.file.test(name)) || null;
+};
+
+const isDependencyManifest = (filePath) => Boolean(findManifest(filePath));
+
+// The lowest version a range allows ("^1.2.3" or Maven's "[1.2.3,2)" -> "1.2.3"), or null when there is none
+const lowerBound = (range) => {
+    const match = String(range || '').match(/(?:^|[\s,([]|>=|~>|\^|~|==|===|=)\s*v?(\d+(?:\.[\w-]+)*)/);
+    // "1.x" allows 1.0 upwards
+    return match ? match[1].replace(/\.[x*]$/i, '') : null;
+};
+
+const isExactVersion = (version) => /^v?\d+(\.\d+)*([-.+][\w.+-]*)?$/.test(String(version || '').trim());
+
+const dependency = (name, version, { pinned, dev = false, license = null } = {}) => ({
+    name,
+    version: pinned ? String(version).replace(/^v/, '') : lowerBound(version),
+    pinned: Boolean(pinned) && Boolean(version),
+    dev,
+    license
+});
+
+const licenseName = (license) => {
+    if (!license) return null;
+    if (typeof license === 'string') return license;
+    if (Array.isArray(license)) return license.map(licenseName).filter(Boolean).join(' OR ') || null;
+    return license.type || license.name || null;
+};
+
+const parsePackageJson = (content) => {
+    const manifest = JSON.parse(content);
+    const dependencies = [];
+
+    for (const [field, dev] of [['dependencies', false], ['optionalDependencies', false], ['devDependencies', true]]) {
+        for (const [name, range] of Object.entries(manifest[field] || {})) {
+            // git, file: and workspace: specifiers have no registry version to check
+            if (typeof range !== 'string' || /^(git|file|link|workspace|https?):|\//.test(range)) continue;
+            dependencies.push(dependency(name, range, { pinned: isExactVersion(range), dev }));
+        }
+    }
+
+    return { dependencies, license: licenseName(manifest.license || manifest.licenses) };
+};
+
+const parsePackageLock = (content) => {
+    const lock = JSON.parse(content);
+    const dependencies = [];
+
+    if (lock.packages) {
+        // lockfileVersion 2 and 3: "node_modules/a/node_modules/b" -> b
+        for (const [location, entry] of Object.entries(lock.packages)) {
+            if (!location || !entry.version || entry.link) continue;
+            const name = entry.name || location.split('node_modules/').pop();
+            dependencies.push(dependency(name, entry.version, { pinned: true, dev: Boolean(entry.dev), license: licenseName(entry.license) }));
+        }
+        return { dependencies, license: licenseName(lock.packages['']?.license) };
+    }
+
+    // lockfileVersion 1 nests dependencies inside dependencies
+    const walk = (entries = {}) => {
+        for (const [name, entry] of Object.entries(entries)) {
+            if (entry.version && isExactVersion(entry.version)) {
+                dependencies.push(dependency(name, entry.version, { pinned: true, dev: Boolean(entry.dev) }));
+            }
+            walk(entry.dependencies);
+        }
+    };
+    walk(lock.dependencies);
+    return { dependencies, license: null };
+};
+
+const parseYarnLock = (content) => {
+    const dependencies = [];
+    let names = [];
+
+    for (const line of content.split('\n')) {
+        if (/^\S/.test(line) && line.trim().endsWith(':') && !line.startsWith('#')) {
+            // "lodash@^4.17.0", "@babel/core@^7.0.0", lodash@npm:^4.17.0:
+            names = line.slice(0, -1).split(',')
+                .map(spec => spec.trim().replace(/^"|"$/g, ''))
+                .map(spec => spec.slice(0, spec.indexOf('@', 1)))
+                .filter(Boolean);
+            continue;
+        }
+
+        const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/)?.[1];
+        if (version && names.length > 0) {
+            dependencies.push(dependency(names[0], version, { pinned: true }));
+            names = [];
+        }
+    }
+
+    return { dependencies, license: null };
+};
+
+const parseRequirements = (content) => {
+    const dependencies = [];
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.replace(/\s+#.*$/, '').trim();
+        // Options (-r, -e, --hash), URLs and comments aren't packages
+        if (!line || /^[#-]/.test(line) || /:\/\//.test(line)) continue;
+
+        const match = line.match(/^([A-Za-z0-9][\w.-]*)(\[[^\]]*\])?\s*(.*?)\s*(;.*)?$/);
+        if (!match) continue;
+
+        const [, name, , specifier] = match;
+        const exact = specifier.match(/^===?\s*([^\s,]+)$/);
+        dependencies.push(dependency(name, exact ? exact[1] : specifier, { pinned: Boolean(exact) }));
+    }
+
+    return { dependencies, license: null };
+};
+
+const parsePom = (content) => {
+    const $ = cheerio.load(content, { xml: true });
+    const properties = {};
+
+    $('project > properties').children().each((_, element) => {
+        properties[element.tagName] = $(element).text().trim();
+    });
+    properties['project.version'] = $('project > version').first().text().trim() || $('project > parent > version').first().text().trim();
+
+    const resolve = (value) => value.replace(/\$\{([^}]+)\}/g, (placeholder, name) => properties[name] ?? placeholder);
+    const dependencies = [];
+
+    $('dependencies > dependency').each((_, element) => {
+        const groupId = resolve($(element).children('groupId').text().trim());
+        const artifactId = resolve($(element).children('artifactId').text().trim());
+        // Versions managed by a parent POM or a BOM aren't in this file
+        const version = resolve($(element).children('version').text().trim());
+        if (!groupId || !artifactId) return;
+
+        const resolved = version && !version.includes('${') ? version : null;
+        const range = resolved && /[[(]/.test(resolved);
+        dependencies.push(dependency(`${groupId}:${artifactId}`, resolved, {
+            pinned: Boolean(resolved) && !range,
+            dev: $(element).children('scope').text().trim() === 'test'
+        }));
+    });
+
+    const licenses = $('project > licenses > license > name').map((_, element) => $(element).text().trim()).get();
+    return { dependencies, license: licenses.join(' OR ') || null };
+};
+
+const parseGemfile = (content) => {
+    const dependencies = [];
+
+    for (const line of content.split('\n')) {
+        const match = line.match(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/);
+        if (!match) continue;
+
+        const [, name, requirement] = match;
+        dependencies.push(dependency(name, requirement || null, { pinned: isExactVersion(requirement) }));
+    }
+
+    return { dependencies, license: null };
+};
+
+const parseGemfileLock = (content) => {
+    const dependencies = [];
+    let inSpecs = false;
+
+    for (const line of content.split('\n')) {
+        if (/^\S/.test(line)) {
+            inSpecs = false;
+        } else if (line.trim() === 'specs:') {
+            inSpecs = true;
+        } else if (inSpecs) {
+            // Exactly four spaces: the gems themselves, not their requirements
+            const match = line.match(/^ {4}([^\s(]+) \(([^)]+)\)$/);
+            if (match) {
+                dependencies.push(dependency(match[1], match[2].replace(/-[a-z][\w-]*$/, ''), { pinned: true }));
+            }
+        }
+    }
+
+    return { dependencies, license: null };
+};
+
+const parseGoMod = (content) => {
+    const dependencies = [];
+    let inRequire = false;
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.replace(/\/\/.*$/, '').trim();
+
+        if (/^require\s*\($/.test(line)) {
+            inRequire = true;
+            continue;
+        }
+        if (inRequire && line === ')') {
+            inRequire = false;
+            continue;
+        }
+
+        const requirement = inRequire ? line : line.match(/^require\s+(.+)$/)?.[1];
+        const match = requirement?.match(/^(\S+)\s+(v\S+)$/);
+        if (match) {
+            dependencies.push(dependency(match[1], match[2], { pinned: true }));
+        }
+    }
+
+    return { dependencies, license: null };
+};
+
+// Parse every manifest in `files` ([{ path, content }]) into one list of dependencies,
+// one entry per ecosystem, name and version. Versions from a lockfile replace the
+// ranges of the manifest in the same directory
+const parseManifests = (files) => {
+    const manifests = [];
+    const dependencies = new Map();
+    const lockedDirectories = new Set();
+
+    const parsed = files.map(file => ({ file, manifest: findManifest(file.path) }))
+        .filter(({ manifest }) => manifest)
+        // Lockfiles first, so their directories are known when the manifests are read
+        .sort((a, b) => Number(b.manifest.lockfile) - Number(a.manifest.lockfile));
+
+    for (const { file, manifest } of parsed) {
+        const directory = path.posix.dirname(file.path);
+        const lockKey = `${manifest.ecosystem}:${directory}`;
+
+        let result;
+        try {
+            result = manifest.parse(file.content);
+        } catch (error) {
+            manifests.push({ path: file.path, ecosystem: manifest.ecosystem, dependencies: 0, error: `Could not parse: ${error.message}` });
+            continue;
+        }
+
+        manifests.push({ path: file.path, ecosystem: manifest.ecosystem, dependencies: result.dependencies.length, license: result.license });
+        if (!manifest.lockfile && lockedDirectories.has(lockKey)) continue;
+        if (manifest.lockfile) lockedDirectories.add(lockKey);
+
+        for (const item of result.dependencies) {
+            const key = `${manifest.ecosystem}:${item.name}@${item.version}`;
+            const existing = dependencies.get(key);
+            if (existing) {
+                existing.dev = existing.dev && item.dev;
+                existing.license = existing.license || item.license;
+            } else {
+                dependencies.set(key, { ecosystem: manifest.ecosystem, ...item, manifest: file.path });
+            }
+        }
+    }
+
+    return { manifests, dependencies: [...dependencies.values()] };
+};
+
+// Dependencies per declared license, plus the copyleft ones worth a closer look
+const buildLicenseInventory = (manifests, dependencies) => {
+    const licenses = {};
+
+    for (const item of dependencies) {
+        const license = item.license || 'Unknown';
+        licenses[license] = licenses[license] || { license, packages: 0, copyleft: COPYLEFT.test(license), examples: [] };
+        licenses[license].packages += 1;
+        if (licenses[license].examples.length < 5) licenses[license].examples.push(item.name);
+    }
+
+    return {
+        project: manifests.filter(manifest => manifest.license).map(manifest => ({ manifest: manifest.path, license: manifest.license })),
+        inventory: Object.values(licenses).sort((a, b) => b.packages - a.packages),
+        unknown: licenses.Unknown?.packages || 0,
+        copyleft: dependencies
+            .filter(item => item.license && COPYLEFT.test(item.license))
+            .map(item => ({ name: item.name, version: item.version, license: item.license, ecosystem: item.ecosystem }))
+    };
+};
+
+module.exports = {
+    isDependencyManifest,
+    parseManifests,
+    buildLicenseInventory
+};
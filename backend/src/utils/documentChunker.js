@@ -0,0 +1,78 @@
+// backend/src/utils/documentChunker.js
+// Splits long documents into chunks for map-reduce summarisation. Chunks break on
+// the most structural boundary available: headings, PDF page markers and slides
+// first, then paragraphs, lines and sentences, and only as a last resort mid-text.
+
+// A block that starts a new section - a good place to start a new chunk
+const SECTION_START = /^(#{1,6} |\[Page \d+\])/;
+
+// Pieces of an oversized block, split on progressively finer boundaries
+const splitOversized = (block, chunkSize) => {
+    // CJK full stops are not followed by a space, so they split on their own
+    for (const separator of [/\n/, /(?<=[.!?])\s+|(?<=[\u3002\uff01\uff1f])\s*/]) {
+        const parts = block.split(separator).filter(part => part.trim());
+        if (parts.length > 1) {
+            return parts.flatMap(part => part.length > chunkSize ? splitOversized(part, chunkSize) : [part]);
+        }
+    }
+
+    const parts = [];
+    for (let start = 0; start < block.length; start += chunkSize) {
+        parts.push(block.slice(start, start + chunkSize));
+    }
+    return parts;
+};
+
+const chunkDocument = (text, { chunkSize = 20000 } = {}) => {
+    const blocks = text.split(/\n{2,}/)
+        .filter(block => block.trim())
+        .flatMap(block => block.length > chunkSize ? splitOversized(block, chunkSize) : [block]);
+
+    const chunks = [];
+    let current = '';
+
+    for (const block of blocks) {
+        const tooBig = current.length + block.length + 2 > chunkSize;
+        // Prefer starting a section in a fresh chunk once the current one is reasonably full
+        const newSection = SECTION_START.test(block) && current.length > chunkSize / 2;
+
+        if (current && (tooBig || newSection)) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n\n${block}` : block;
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+};
+
+// Group consecutive texts so each group stays under maxLength; every group gets at
+// least two texts so each reduce round is guaranteed to shrink the list
+const groupByLength = (texts, maxLength) => {
+    const groups = [];
+    let current = [];
+    let length = 0;
+
+    for (const text of texts) {
+        if (current.length >= 2 && length + text.length > maxLength) {
+            groups.push(current);
+            current = [];
+            length = 0;
+        }
+        current.push(text);
+        length += text.length;
+    }
+
+    if (current.length === 1 && groups.length > 0) {
+        groups[groups.length - 1].push(current[0]);
+    } else if (current.length > 0) {
+        groups.push(current);
+    }
+    return groups;
+};
+
+module.exports = {
+    chunkDocument,
+    groupByLength
+};
@@ -0,0 +1,98 @@
+// backend/src/utils/faithfulness.js
+// Groundwork for checking a summary against its source: splits the summary into
+// checkable sentences and the source into passages, and ranks the passages sharing
+// the most distinctive terms with each sentence. The verdicts themselves are made
+// by the job; this ranking is also its fallback when the model can't judge.
+const { chunkDocument } = require('./documentChunker');
+
+const PASSAGE_SIZE = 800;
+const PAGE_MARKER = /\[Page (\d+)\]/g;
+// Scripts written without spaces between words are matched on character pairs instead
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+// Sentence ends, except after page citations and common abbreviations; CJK full stops
+// are not followed by a space, so they split on their own
+const SENTENCE_END = /(?<=[.!?])(?<!\b(?:pp?|e\.g|i\.e|vs|Dr|Mr|Mrs|Ms|No)\.)\s+|(?<=[\u3002\uff01\uff1f])\s*/;
+
+const tokenize = (text) => {
+    const tokens = [];
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+        if (UNSPACED_SCRIPT.test(word)) {
+            if (word.length === 1) tokens.push(word);
+            for (let i = 0; i < word.length - 1; i++) tokens.push(word.slice(i, i + 2));
+        } else if (word.length > 2 || /\d/.test(word)) {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+};
+
+// Sentences that state something: list markers and emphasis are dropped, and headings,
+// lead-ins ending in a colon and fragments of one or two words are skipped
+const splitSummarySentences = (summary) => {
+    return summary
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:[-*+\u2022]|\d+[.)])\s+/, '').replace(/[*_`]/g, '').trim())
+        .filter(line => line && !line.startsWith('#') && !line.endsWith(':'))
+        .flatMap(line => line.split(SENTENCE_END))
+        .map(sentence => sentence.trim())
+        .filter(sentence => tokenize(sentence).length >= 3);
+};
+
+// Passages of the source, numbered from 1, with the PDF pages each one spans
+const splitPassages = (source) => {
+    let page = null;
+
+    return chunkDocument(source, { chunkSize: PASSAGE_SIZE }).map((chunk, index) => {
+        const pages = page && !chunk.startsWith('[Page ') ? [page] : [];
+        for (const [, number] of chunk.matchAll(PAGE_MARKER)) {
+            page = Number(number);
+            if (!pages.includes(page)) pages.push(page);
+        }
+
+        const text = chunk.replace(PAGE_MARKER, '').replace(/\n{3,}/g, '\n\n').trim();
+        return { id: index + 1, text, pages, tokens: new Set(tokenize(text)) };
+    });
+};
+
+const createPassageIndex = (source) => {
+    const passages = splitPassages(source);
+    const documentFrequency = new Map();
+    for (const passage of passages) {
+        for (const token of passage.tokens) {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+    }
+
+    // Rare terms weigh most; terms missing from the source entirely weigh the most of all,
+    // since an invented name or figure is exactly what the check is looking for
+    const weight = (token) => Math.log(1 + passages.length / (documentFrequency.get(token) || 0.5));
+    return { passages, weight };
+};
+
+// Best-matching passages for a sentence, scored by the share of its (weighted) terms they contain
+const findSupportingPassages = (sentence, { passages, weight }, limit = 3) => {
+    const tokens = [...new Set(tokenize(sentence))];
+    const total = tokens.reduce((sum, token) => sum + weight(token), 0);
+    if (!total) return [];
+
+    return passages
+        .map(passage => ({
+            passage,
+            score: tokens.filter(token => passage.tokens.has(token)).reduce((sum, token) => sum + weight(token), 0) / total
+        }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ passage, score }) => ({
+            passage: passage.id,
+            pages: passage.pages.length > 0 ? passage.pages : undefined,
+            text: passage.text,
+            score: Math.round(score * 100) / 100
+        }));
+};
+
+module.exports = {
+    splitSummarySentences,
+    createPassageIndex,
+    findSupportingPassages
+};
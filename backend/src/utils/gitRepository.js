@@ -0,0 +1,245 @@
+// backend/src/utils/gitRepository.js
+// Repositories analysed with git itself instead of the GitHub API: local checkouts under
+// LOCAL_REPOSITORY_ROOTS, or any git URL cloned into a throwaway sandbox directory.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const logger = require('./logger');
+const { parseGitHubRepositoryUrl } = require('../config/github');
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT = 60 * 1000;
+const MAX_GIT_OUTPUT = 50 * 1024 * 1024;
+// Blame is the slow part, so it covers a sample: the largest source files
+const MAX_BLAME_FILES = 30;
+const MAX_BLAME_FILE_SIZE = 200 * 1024;
+const SYMLINK_MODE = '120000';
+
+// Transports that reach a remote; file://, ext:: and friends could touch the server itself
+const GIT_URL = /^(https?|ssh|git):\/\/[^\s]+$|^[\w.-]+@[\w.-]+:[^\s]+$/;
+
+// Languages by file extension, for the bytes-per-language breakdown GitHub would give
+const LANGUAGES = {
+    js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript',
+    py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin', scala: 'Scala',
+    c: 'C', h: 'C', cc: 'C++', cpp: 'C++', hpp: 'C++', cs: 'C#', php: 'PHP', swift: 'Swift',
+    m: 'Objective-C', dart: 'Dart', ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', hs: 'Haskell',
+    clj: 'Clojure', lua: 'Lua', r: 'R', pl: 'Perl', sh: 'Shell', bash: 'Shell', ps1: 'PowerShell',
+    html: 'HTML', css: 'CSS', scss: 'SCSS', less: 'Less', vue: 'Vue', svelte: 'Svelte', sql: 'SQL'
+};
+
+const LICENSES = [
+    { pattern: /MIT License|Permission is hereby granted, free of charge/i, name: 'MIT License' },
+    { pattern: /Apache License,? Version 2\.0/i, name: 'Apache License 2.0' },
+    { pattern: /GNU AFFERO GENERAL PUBLIC LICENSE/i, name: 'GNU Affero General Public License' },
+    { pattern: /GNU LESSER GENERAL PUBLIC LICENSE/i, name: 'GNU Lesser General Public License' },
+    { pattern: /GNU GENERAL PUBLIC LICENSE/i, name: 'GNU General Public License' },
+    { pattern: /Mozilla Public License/i, name: 'Mozilla Public License 2.0' },
+    { pattern: /Redistribution and use in source and binary forms/i, name: 'BSD License' },
+    { pattern: /This is free and unencumbered software released into the public domain/i, name: 'The Unlicense' }
+];
+
+const git = async (args, { cwd, timeout = GIT_TIMEOUT } = {}) => {
+    const { stdout } = await execFileAsync('git', args, {
+        cwd,
+        timeout,
+        maxBuffer: MAX_GIT_OUTPUT,
+        // Never wait for credentials on a terminal nobody is watching
+        env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    return stdout;
+};
+
+const allowedRoots = () => {
+    return (process.env.LOCAL_REPOSITORY_ROOTS || '')
+        .split(path.delimiter)
+        .filter(Boolean)
+        .map(root => path.resolve(root));
+};
+
+// github.com and the GitHub Enterprise hosts in GITHUB_ENTERPRISE_HOSTS
+const isGitHubRepository = (repository) => Boolean(parseGitHubRepositoryUrl(repository));
+
+// Where a repository comes from: 'github' (the API), 'clone' (a git URL) or 'local' (a path).
+// Throws when it is none of these, or a path outside LOCAL_REPOSITORY_ROOTS
+const resolveRepositorySource = (repository, { clone = false } = {}) => {
+    if (typeof repository !== 'string' || !repository.trim()) {
+        throw new Error('Repository URL is required');
+    }
+    if (isGitHubRepository(repository) && !clone) {
+        return 'github';
+    }
+    if (GIT_URL.test(repository)) {
+        return 'clone';
+    }
+    if (path.isAbsolute(repository)) {
+        const resolved = path.resolve(repository);
+        const roots = allowedRoots();
+        if (roots.length === 0) {
+            throw new Error('Local repository paths are disabled - set LOCAL_REPOSITORY_ROOTS to allow them');
+        }
+        if (!roots.some(root => resolved === root || resolved.startsWith(root + path.sep))) {
+            throw new Error('Local repository path is outside LOCAL_REPOSITORY_ROOTS');
+        }
+        return 'local';
+    }
+
+    throw new Error('Repository must be a GitHub URL, a git URL or an absolute local path');
+};
+
+// A working copy to read from, and how to get rid of it afterwards. Clones are
+// single-branch into a fresh sandbox directory; local paths are read in place
+const openRepository = async (repository, source) => {
+    if (source === 'local') {
+        const dir = (await git(['rev-parse', '--show-toplevel'], { cwd: repository }).catch(() => {
+            throw new Error(`Not a git repository: ${repository}`);
+        })).trim();
+        return { dir, cleanup: async () => {} };
+    }
+
+    const sandbox = path.resolve(process.env.GIT_SANDBOX_DIR || path.join(os.tmpdir(), 'alchemyst-repos'));
+    await fs.promises.mkdir(sandbox, { recursive: true });
+    const dir = await fs.promises.mkdtemp(path.join(sandbox, 'clone-'));
+    const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true })
+        .catch(error => logger.warn(`Could not remove clone ${dir}: ${error.message}`));
+
+    try {
+        logger.info(`Cloning repository: ${repository}`);
+        await git(['clone', '--single-branch', '--no-tags', '--', repository, dir], {
+            timeout: parseInt(process.env.GIT_CLONE_TIMEOUT_MS) || 5 * 60 * 1000
+        });
+    } catch (error) {
+        await cleanup();
+        throw new Error(`git clone failed: ${error.killed ? 'timed out' : error.stderr?.trim() || error.message}`);
+    }
+    return { dir, cleanup };
+};
+
+// Files and directories at HEAD, in the shape of GitHub's recursive tree. Symlinks are
+// left out: a cloned repository could point one at any file on this server
+const listTree = async (dir) => {
+    const output = await git(['ls-tree', '-r', '-t', '-l', '-z', 'HEAD'], { cwd: dir });
+    return output.split('\0').filter(Boolean).map(line => {
+        const [meta, filePath] = line.split('\t');
+        const [mode, type, , size] = meta.split(/\s+/);
+        return { path: filePath, mode, type, size: type === 'blob' ? parseInt(size) || 0 : undefined };
+    }).filter(entry => (entry.type === 'blob' && entry.mode !== SYMLINK_MODE) || entry.type === 'tree');
+};
+
+// Recent commits, in the shape of GitHub's commits API
+const readCommits = async (dir, limit = 30) => {
+    const output = await git(['log', `-n${limit}`, '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1e'], { cwd: dir });
+    return output.split('\x1e').map(record => record.trim()).filter(Boolean).map(record => {
+        const [sha, name, email, date, message] = record.split('\x1f');
+        return {
+            sha,
+            author: { login: name },
+            commit: { message: message.trim(), author: { name, email, date } }
+        };
+    });
+};
+
+// Commit counts per author, in the shape of GitHub's contributors API
+const readContributors = async (dir) => {
+    const output = await git(['shortlog', '-sne', 'HEAD'], { cwd: dir });
+    return output.split('\n').filter(Boolean).map(line => {
+        const [, count, name, email] = line.match(/^\s*(\d+)\t(.*?)\s*<(.*)>$/) || [];
+        return { login: name, email, contributions: parseInt(count) };
+    }).filter(contributor => contributor.login);
+};
+
+const languageBreakdown = (tree) => {
+    const languages = {};
+    for (const entry of tree) {
+        const language = entry.type === 'blob' && LANGUAGES[path.extname(entry.path).slice(1).toLowerCase()];
+        if (language) {
+            languages[language] = (languages[language] || 0) + entry.size;
+        }
+    }
+    return Object.fromEntries(Object.entries(languages).sort(([, a], [, b]) => b - a));
+};
+
+// Lines last touched by each author, over the largest source files
+const collectBlameStatistics = async (dir, tree, ignored = null) => {
+    const files = tree
+        .filter(entry => entry.type === 'blob' && entry.size <= MAX_BLAME_FILE_SIZE &&
+            LANGUAGES[path.extname(entry.path).slice(1).toLowerCase()] && !ignored?.test(entry.path))
+        .sort((a, b) => b.size - a.size)
+        .slice(0, MAX_BLAME_FILES);
+
+    const lines = {};
+    let totalLines = 0;
+    for (const file of files) {
+        try {
+            const output = await git(['blame', '--line-porcelain', 'HEAD', '--', file.path], { cwd: dir });
+            for (const [, author] of output.matchAll(/^author (.*)$/gm)) {
+                lines[author] = (lines[author] || 0) + 1;
+                totalLines++;
+            }
+        } catch (error) {
+            logger.warn(`Could not blame ${file.path}: ${error.message}`);
+        }
+    }
+
+    return {
+        filesSampled: files.length,
+        linesSampled: totalLines,
+        authors: Object.entries(lines)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([name, count]) => ({ name, lines: count, percent: Math.round(count / totalLines * 1000) / 10 }))
+    };
+};
+
+// File contents at HEAD, from git's object store rather than the working tree, so a
+// symlink yields its target path and never the file it points to
+const readRepositoryFile = (dir, filePath) => git(['cat-file', 'blob', `HEAD:${filePath}`], { cwd: dir });
+
+const detectLicense = async (dir, tree) => {
+    const licenseFile = tree.find(entry => entry.type === 'blob' && /^(license|licence|copying)(\.[a-z]+)?$/i.test(entry.path));
+    if (!licenseFile) return null;
+
+    const text = await readRepositoryFile(dir, licenseFile.path).catch(() => '');
+    return { name: LICENSES.find(license => license.pattern.test(text))?.name || 'Other' };
+};
+
+// Repository metadata in the shape of GitHub's repository API, as far as git can tell
+const describeRepository = async (dir, repository, tree, commits) => {
+    const branch = (await git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: dir })).trim();
+    const segments = repository.replace(/\.git$/, '').replace(/\/+$/, '').split(/[/:]/);
+    const name = segments.pop();
+    const owner = segments.pop() || 'local';
+
+    return {
+        name,
+        full_name: `${owner}/${name}`,
+        owner: { login: owner },
+        description: null,
+        html_url: repository,
+        default_branch: branch,
+        language: Object.keys(languageBreakdown(tree))[0] || null,
+        size: Math.round(tree.reduce((sum, entry) => sum + (entry.size || 0), 0) / 1024),
+        stargazers_count: 0,
+        forks_count: 0,
+        open_issues_count: 0,
+        updated_at: commits[0]?.commit.author.date || null,
+        license: await detectLicense(dir, tree)
+    };
+};
+
+module.exports = {
+    isGitHubRepository,
+    resolveRepositorySource,
+    openRepository,
+    listTree,
+    readCommits,
+    readContributors,
+    languageBreakdown,
+    collectBlameStatistics,
+    readRepositoryFile,
+    describeRepository
+};
@@ -0,0 +1,22 @@
+// backend/src/utils/jobContext.js
+// Tracks which job the current async call chain is running for, so log lines
+// written anywhere during job execution can be attributed to that job.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const jobContext = new AsyncLocalStorage();
+
+const runWithJobContext = (job, fn) => {
+    return jobContext.run({
+        jobId: String(job.attrs._id),
+        tenantId: job.attrs.data?.tenantId || null
+    }, fn);
+};
+
+const getJobContext = () => {
+    return jobContext.getStore() || null;
+};
+
+module.exports = {
+    runWithJobContext,
+    getJobContext
+};
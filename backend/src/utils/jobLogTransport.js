@@ -0,0 +1,17 @@
+// backend/src/utils/jobLogTransport.js
+// Winston transport that hands every log entry tagged with a jobId to the job log service.
+const { Transport } = require('winston');
+
+class JobLogTransport extends Transport {
+    log(info, callback) {
+        if (info.jobId) {
+            // Required lazily - the service depends on the database module, which depends on the logger
+            const jobLogService = require('../services/jobLogService');
+            jobLogService.append(info);
+        }
+
+        callback();
+    }
+}
+
+module.exports = JobLogTransport;
@@ -0,0 +1,30 @@
+// backend/src/utils/jobProgress.js
+// Progress reporting for running jobs. Agenda 5 has no job.progress(), so the percentage
+// is kept in job.attrs.progress (what the jobs API returns), copied to the job's metrics
+// and pushed to socket clients.
+const { updateJobMetric } = require('../config/database');
+const logger = require('./logger');
+
+// A failed progress update is logged, never allowed to fail the job
+const reportJobProgress = async (job, progress, details = null) => {
+    const jobId = String(job.attrs._id);
+
+    try {
+        job.attrs.progress = progress;
+        await job.save();
+
+        await updateJobMetric(jobId, {
+            progress,
+            status: 'running'
+        });
+
+        const socketService = require('../services/socketService');
+        socketService.emitJobProgress(jobId, progress, 'running', job.attrs.data?.tenantId, details);
+    } catch (error) {
+        logger.error(`Error updating job progress for ${jobId}:`, error);
+    }
+};
+
+module.exports = {
+    reportJobProgress
+};
@@ -0,0 +1,43 @@
+// backend/src/utils/jsonSchema.js
+// JSON Schema validation for user-supplied schemas (structured extraction).
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const RE2 = require('re2');
+
+// Schemas travel inside job data and prompts, so keep them reasonably small
+const MAX_SCHEMA_LENGTH = 20000;
+
+// A fresh instance per schema: ajv caches every compiled schema (and rejects a second
+// schema with the same $id), which would grow without bound across jobs. Patterns come
+// from the client, so they run on RE2, which has no catastrophic backtracking
+const createAjv = () => {
+    const ajv = new Ajv({ allErrors: true, strict: false, code: { regExp: RE2 } });
+    addFormats(ajv);
+    return ajv;
+};
+
+// Compile a schema into a validate function; throws with a client-facing message
+const compileSchema = (schema) => {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('schema must be a JSON Schema object');
+    }
+    if (JSON.stringify(schema).length > MAX_SCHEMA_LENGTH) {
+        throw new Error(`schema is too large (limit is ${MAX_SCHEMA_LENGTH} characters)`);
+    }
+
+    try {
+        return createAjv().compile(schema);
+    } catch (error) {
+        throw new Error(`Invalid JSON Schema: ${error.message}`);
+    }
+};
+
+// One readable line per validation error, e.g. "/total must be number"
+const formatSchemaErrors = (errors = []) => {
+    return errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+};
+
+module.exports = {
+    compileSchema,
+    formatSchemaErrors
+};
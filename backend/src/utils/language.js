@@ -0,0 +1,71 @@
+// backend/src/utils/language.js
+// Language detection for documents and validation of requested output languages.
+// Languages are identified by BCP 47 codes ("de", "hi", "pt-BR").
+const { detectAll } = require('tinyld');
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+// Detection on a few samples spread through the text is as good as on all of it, and much faster
+const SAMPLE_LENGTH = 2000;
+const SAMPLE_COUNT = 3;
+// Shorter texts don't carry enough signal and get confidently misclassified
+const MIN_DETECTION_LENGTH = 40;
+
+// English name for a language code, or null when the code isn't a known language
+const getLanguageName = (code) => {
+    try {
+        return displayNames.of(code) || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const detectLanguage = (text) => {
+    if (text.trim().length < MIN_DETECTION_LENGTH) {
+        return { code: null, name: null, confidence: 0 };
+    }
+
+    const step = Math.max(Math.floor((text.length - SAMPLE_LENGTH) / (SAMPLE_COUNT - 1)), SAMPLE_LENGTH);
+    const samples = [];
+    for (let start = 0; start < text.length && samples.length < SAMPLE_COUNT; start += step) {
+        samples.push(text.slice(start, start + SAMPLE_LENGTH));
+    }
+
+    const [best] = detectAll(samples.join('\n'));
+    if (!best) {
+        return { code: null, name: null, confidence: 0 };
+    }
+
+    return {
+        code: best.lang,
+        name: getLanguageName(best.lang),
+        confidence: Math.round(best.accuracy * 100) / 100
+    };
+};
+
+// Canonical form of a requested language code; throws when it isn't one
+const normaliseLanguageCode = (code) => {
+    let canonical;
+    try {
+        [canonical] = Intl.getCanonicalLocales(code);
+    } catch (error) {
+        canonical = null;
+    }
+
+    if (!canonical || !getLanguageName(canonical)) {
+        throw new Error(`Unknown language "${code}" - use a language code such as "de", "hi" or "pt-BR"`);
+    }
+    return canonical;
+};
+
+// True when two codes name the same base language ("pt-BR" and "pt")
+const isSameLanguage = (a, b) => {
+    return Boolean(a && b) && a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+};
+
+module.exports = {
+    detectLanguage,
+    getLanguageName,
+    normaliseLanguageCode,
+    isSameLanguage
+};
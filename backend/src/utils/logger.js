@@ -1,4 +1,6 @@
 const winston = require('winston');
+const { getJobContext } = require('./jobContext');
+const JobLogTransport = require('./jobLogTransport');
 
 // Define log levels
 const levels = {
@@ -21,11 +23,23 @@ const colors = {
 // Tell winston about the colors
 winston.addColors(colors);
 
+// Tag lines written while a job is running with that job's ID
+const tagJobId = winston.format((info) => {
+    if (info.jobId) {
+        info.jobId = String(info.jobId);
+    } else {
+        const context = getJobContext();
+        if (context) info.jobId = context.jobId;
+    }
+    return info;
+});
+
 // Create the logger
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     levels,
     format: winston.format.combine(
+        tagJobId(),
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
         winston.format.colorize({ all: true }),
         winston.format.printf(
@@ -56,6 +70,9 @@ const logger = winston.createLogger({
                 winston.format.json()
             )
         }),
+
+        // Per-job log capture (job_logs collection + job room)
+        new JobLogTransport(),
     ],
 });
 
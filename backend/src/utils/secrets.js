@@ -0,0 +1,48 @@
+// backend/src/utils/secrets.js
+// Encryption for secrets kept in the database (GitHub tokens). AES-256-GCM with a key
+// derived from SECRETS_ENCRYPTION_KEY; values are stored as "v1:<iv>:<tag>:<ciphertext>".
+const crypto = require('crypto');
+
+const PREFIX = 'v1';
+
+const getKey = () => {
+    if (!process.env.SECRETS_ENCRYPTION_KEY) {
+        throw new Error('SECRETS_ENCRYPTION_KEY is not set - it is needed to store tokens');
+    }
+    return crypto.createHash('sha256').update(process.env.SECRETS_ENCRYPTION_KEY).digest();
+};
+
+const isEncryptedSecret = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [PREFIX, iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64')).join(':');
+};
+
+const decryptSecret = (value) => {
+    if (!isEncryptedSecret(value)) {
+        throw new Error('Not an encrypted secret');
+    }
+
+    const [, iv, tag, ciphertext] = value.split(':').map((part, index) => index === 0 ? part : Buffer.from(part, 'base64'));
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error('Could not decrypt secret - was SECRETS_ENCRYPTION_KEY changed?');
+    }
+};
+
+// Last few characters, so a stored token can be recognised without revealing it
+const secretHint = (plaintext) => `...${String(plaintext).slice(-4)}`;
+
+module.exports = {
+    isEncryptedSecret,
+    encryptSecret,
+    decryptSecret,
+    secretHint
+};
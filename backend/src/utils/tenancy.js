@@ -0,0 +1,48 @@
+// backend/src/utils/tenancy.js
+// Helpers for scoping jobs, metrics and socket rooms to the tenant of an API key.
+// Only the bootstrap admin key (ADMIN_API_KEY) can see every tenant: its tenant is null.
+
+const ALL_TENANTS_ROOM = 'tenant_all';
+const DEFAULT_TENANT = 'default';
+
+// Any other key without a tenant belongs to the default tenant rather than to all of them
+const getTenantId = (apiKey) => {
+    if (apiKey?.bootstrap) return null;
+    return apiKey?.tenantId || DEFAULT_TENANT;
+};
+
+const getOwner = (apiKey) => {
+    return {
+        tenantId: getTenantId(apiKey),
+        keyId: apiKey?.id ? String(apiKey.id) : null
+    };
+};
+
+// Query fragment for Agenda jobs (owner lives in job data)
+const jobTenantQuery = (tenantId) => {
+    return tenantId ? { 'data.tenantId': tenantId } : {};
+};
+
+// Query fragment for job_metrics documents
+const metricsTenantQuery = (tenantId) => {
+    return tenantId ? { tenant_id: tenantId } : {};
+};
+
+const canAccessTenant = (tenantId, resourceTenantId) => {
+    return !tenantId || tenantId === resourceTenantId;
+};
+
+const tenantRoom = (tenantId) => {
+    return tenantId ? `tenant_${tenantId}` : ALL_TENANTS_ROOM;
+};
+
+module.exports = {
+    ALL_TENANTS_ROOM,
+    DEFAULT_TENANT,
+    getTenantId,
+    getOwner,
+    jobTenantQuery,
+    metricsTenantQuery,
+    canAccessTenant,
+    tenantRoom
+};
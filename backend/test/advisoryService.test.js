@@ -0,0 +1,147 @@
+const { setupTestEnvironment, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+
+const advisoryService = require('../src/services/advisoryService');
+
+const osv = (id, ecosystem, name, ranges, extra = {}) => ({
+    id,
+    summary: `${name} advisory`,
+    affected: [{ package: { ecosystem, name }, ranges }],
+    ...extra
+});
+
+const semver = (...events) => [{ type: 'SEMVER', events }];
+
+const ADVISORIES = [
+    osv('GHSA-lodash', 'npm', 'lodash', semver({ introduced: '0' }, { fixed: '4.17.21' }), { database_specific: { severity: 'HIGH' } }),
+    osv('GHSA-qs', 'npm', 'qs', semver({ introduced: '6.0.0' }, { fixed: '6.2.4' }, { introduced: '6.5.0' }, { fixed: '6.5.3' }), { database_specific: { severity: 'MODERATE' } }),
+    osv('PYSEC-django', 'PyPI', 'Django', [{ type: 'ECOSYSTEM', events: [{ introduced: '4.2' }, { last_affected: '4.2.2' }] }]),
+    osv('GO-net', 'Go', 'golang.org/x/net', [{ type: 'GIT', events: [{ introduced: 'abc123' }] }], { affected: [{ package: { ecosystem: 'Go', name: 'golang.org/x/net' }, versions: ['0.17.0'] }] }),
+    osv('WITHDRAWN', 'npm', 'express', semver({ introduced: '0' }), { withdrawn: '2024-01-01T00:00:00Z' }),
+    osv('CRATE', 'crates.io', 'serde', semver({ introduced: '0' }))
+];
+
+const dependency = (ecosystem, name, version, pinned = true) => ({ ecosystem, name, version, pinned, dev: false, manifest: 'manifest' });
+
+// Package and version of each finding, in report order
+const matched = (findings) => findings.map(finding => `${finding.package}@${finding.version}`);
+
+describe('advisoryService', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+    });
+
+    beforeEach(() => database.reset());
+
+    describe('importAdvisories', () => {
+        it('imports the usable records of an OSV zip and skips the rest', async () => {
+            const zip = new JSZip();
+            ADVISORIES.forEach(advisory => zip.file(`${advisory.id}.json`, JSON.stringify(advisory)));
+            zip.file('broken.json', '{');
+
+            const summary = await advisoryService.importAdvisories(await zip.generateAsync({ type: 'nodebuffer' }));
+
+            assert.deepEqual(summary, { imported: 4, skipped: 2, ecosystems: { npm: 2, PyPI: 1, Go: 1 } });
+            const qs = await database.collection('advisories').findOne({ _id: 'GHSA-qs' });
+            assert.equal(qs.severity, 'medium');
+            assert.deepEqual(qs.packages, ['npm:qs']);
+        });
+
+        it('replaces advisories by id when the same records are imported again', async () => {
+            await advisoryService.importAdvisories(Buffer.from(JSON.stringify(ADVISORIES)));
+            await advisoryService.importAdvisories(Buffer.from(JSON.stringify({ vulns: [{ ...ADVISORIES[0], summary: 'Updated' }] })));
+
+            assert.equal(await advisoryService.countAdvisories(), 4);
+            assert.equal((await database.collection('advisories').findOne({ _id: 'GHSA-lodash' })).summary, 'Updated');
+            assert.deepEqual((await advisoryService.getStatistics()).ecosystems, { npm: 2, PyPI: 1, Go: 1 });
+        });
+
+        it('rejects uploads that are neither a zip nor JSON', async () => {
+            await assert.rejects(advisoryService.importAdvisories(Buffer.from('not an advisory')), /OSV zip archive or OSV JSON/);
+        });
+    });
+
+    describe('findVulnerabilities', () => {
+        beforeEach(() => advisoryService.importAdvisories(Buffer.from(JSON.stringify(ADVISORIES))));
+
+        it('matches versions inside the affected ranges, most severe first', async () => {
+            const findings = await advisoryService.findVulnerabilities([
+                dependency('npm', 'qs', '6.1.0'),
+                dependency('npm', 'lodash', '4.17.20'),
+                dependency('npm', 'qs', '6.3.0'),
+                dependency('npm', 'qs', '6.5.2'),
+                dependency('npm', 'lodash', '4.17.21')
+            ]);
+
+            assert.deepEqual(matched(findings), ['lodash@4.17.20', 'qs@6.1.0', 'qs@6.5.2']);
+            assert.deepEqual(findings.map(finding => finding.fixedIn), ['4.17.21', '6.2.4', '6.5.3']);
+            assert.equal(findings[0].severity, 'high');
+        });
+
+        it('honours last_affected, listed versions and PyPI name normalisation', async () => {
+            const findings = await advisoryService.findVulnerabilities([
+                dependency('PyPI', 'django', '4.2.2'),
+                dependency('PyPI', 'Django', '4.2.3'),
+                dependency('PyPI', 'Django', '4.2rc1'),
+                dependency('Go', 'golang.org/x/net', '0.17.0'),
+                dependency('Go', 'golang.org/x/net', '0.18.0')
+            ]);
+
+            assert.deepEqual(matched(findings), ['django@4.2.2', 'golang.org/x/net@0.17.0']);
+            assert.equal(findings[0].fixedIn, null);
+        });
+
+        it('skips dependencies without a version and keeps ecosystems apart', async () => {
+            const findings = await advisoryService.findVulnerabilities([
+                dependency('npm', 'lodash', null, false),
+                dependency('PyPI', 'lodash', '1.0.0'),
+                dependency('npm', 'lodash', '1.0.0', false)
+            ]);
+
+            assert.deepEqual(matched(findings), ['lodash@1.0.0']);
+            assert.equal(findings[0].pinned, false);
+            assert.deepEqual(advisoryService.countBySeverity(findings), { critical: 0, high: 1, medium: 0, low: 0, unknown: 0 });
+        });
+    });
+
+    describe('import route', () => {
+        const upload = (content) => {
+            const body = new FormData();
+            body.append('file', new Blob([content]), 'advisories.json');
+            return body;
+        };
+
+        it('imports for the bootstrap admin key and records an audit event', async () => {
+            const app = await startApp('/api/advisories', require('../src/routes/advisories'), apiKey({ bootstrap: true, tenantId: null }));
+            try {
+                const { status, body } = await app.request('POST', '/import', upload(JSON.stringify(ADVISORIES)));
+
+                assert.equal(status, 200);
+                assert.equal(body.imported, 4);
+                assert.ok(await database.collection('audit_events').findOne({ action: 'advisories.imported' }));
+            } finally {
+                await app.close();
+            }
+        });
+
+        it('refuses tenant keys and unreadable uploads', async () => {
+            const tenantApp = await startApp('/api/advisories', require('../src/routes/advisories'), apiKey());
+            const adminApp = await startApp('/api/advisories', require('../src/routes/advisories'), apiKey({ bootstrap: true, tenantId: null }));
+            try {
+                assert.equal((await tenantApp.request('POST', '/import', upload('[]'))).status, 403);
+
+                const { status, body } = await adminApp.request('POST', '/import', upload('not an advisory'));
+                assert.equal(status, 400);
+                assert.match(body.error, /OSV zip archive or OSV JSON/);
+            } finally {
+                await tenantApp.close();
+                await adminApp.close();
+            }
+        });
+    });
+});
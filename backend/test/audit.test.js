@@ -0,0 +1,101 @@
+const { setupTestEnvironment, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const auditService = require('../src/services/auditService');
+const { getDatabase } = require('../src/config/database');
+
+const record = async (action, { tenantId = 'tenant-a', actor = 'key-a', jobId = null, at }) => {
+    const event = await auditService.recordEvent({
+        action,
+        actor: auditService.actorFromOwner({ tenantId, keyId: actor }),
+        tenantId,
+        jobId
+    });
+    if (at) {
+        await getDatabase().collection('audit_events')
+            .updateOne({ action, 'actor.keyId': actor, job_id: event.job_id }, { $set: { timestamp: new Date(at) } });
+    }
+    return event;
+};
+
+describe('audit trail', () => {
+    let database;
+    let app;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+        app = await startApp('/api/audit', require('../src/routes/audit'), apiKey());
+    });
+
+    after(() => app.close());
+
+    beforeEach(async () => {
+        database.reset();
+        await record('job.created', { jobId: 'job-1', at: '2024-01-01T00:00:00Z' });
+        await record('job.cancelled', { jobId: 'job-1', actor: 'key-b', at: '2024-01-02T00:00:00Z' });
+        await record('jobs.cleared', { at: '2024-01-03T00:00:00Z' });
+        await record('job.created', { tenantId: 'tenant-b', actor: 'key-c', jobId: 'job-2', at: '2024-01-02T12:00:00Z' });
+    });
+
+    describe('auditService.queryEvents', () => {
+        it('returns the tenant\'s events newest first', async () => {
+            const { events, total } = await auditService.queryEvents({ tenantId: 'tenant-a' });
+
+            assert.equal(total, 3);
+            assert.deepEqual(events.map(event => event.action), ['jobs.cleared', 'job.cancelled', 'job.created']);
+        });
+
+        it('filters by action list, actor, job and time window', async () => {
+            const query = (filters) => auditService.queryEvents({ tenantId: 'tenant-a', ...filters })
+                .then(({ events }) => events.map(event => event.action));
+
+            assert.deepEqual(await query({ action: 'job.created, job.cancelled' }), ['job.cancelled', 'job.created']);
+            assert.deepEqual(await query({ actor: 'key-b' }), ['job.cancelled']);
+            assert.deepEqual(await query({ jobId: 'job-1' }), ['job.cancelled', 'job.created']);
+            assert.deepEqual(await query({ from: '2024-01-02T00:00:00Z', to: '2024-01-02T23:59:59Z' }), ['job.cancelled']);
+        });
+
+        it('spans tenants only without a tenant filter', async () => {
+            const { total } = await auditService.queryEvents({ tenantId: null });
+
+            assert.equal(total, 4);
+        });
+    });
+
+    describe('GET /export', () => {
+        it('streams the tenant\'s events as NDJSON, oldest first', async () => {
+            const { status, headers, body } = await app.request('GET', '/export?action=job.created,job.cancelled');
+
+            assert.equal(status, 200);
+            assert.equal(headers.get('content-type'), 'application/x-ndjson');
+            assert.match(headers.get('content-disposition'), /^attachment; filename="audit-events-\d+\.ndjson"$/);
+
+            const events = body.trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(events.map(event => [event.action, event.actor.keyId, event.tenant_id]), [
+                ['job.created', 'key-a', 'tenant-a'],
+                ['job.cancelled', 'key-b', 'tenant-a']
+            ]);
+        });
+
+        it('rejects an invalid date', async () => {
+            const { status, body } = await app.request('GET', '/export?from=yesterday');
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'from must be a valid date');
+        });
+    });
+
+    it('never fails the audited action when the write fails', async () => {
+        mock.method(getDatabase().collection('audit_events'), 'insertOne', async () => {
+            throw new Error('disk full');
+        });
+
+        try {
+            assert.equal(await auditService.recordEvent({ action: 'job.created' }), null);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+});
@@ -0,0 +1,118 @@
+const { setupTestEnvironment, runJob, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const alchemystService = require('../src/services/alchemystService');
+const { createJob, getAgenda, getJobStatus } = require('../src/config/agenda');
+const jobService = require('../src/services/jobService');
+
+const summaryJob = (document, tenantId = 'tenant-a') => createJob('document-summary', {
+    document,
+    summaryType: 'brief',
+    maxLength: 200,
+    options: { verifyFaithfulness: false },
+    requestId: 'req_test',
+    createdAt: new Date(),
+    tenantId,
+    createdBy: 'key-a'
+});
+
+// One document-summary job in each state, plus a pending job of another tenant
+const createJobsInEveryState = async () => {
+    const pending = await summaryJob('Pending document.');
+    const running = await summaryJob('Running document.');
+    const completed = await summaryJob('Completed document.');
+    const failed = await summaryJob({ unsupported: true });
+    const otherTenant = await summaryJob('Another tenant.', 'tenant-b');
+
+    await runJob(completed.attrs._id);
+    await runJob(failed.attrs._id);
+    await getAgenda()._collection.updateOne({ _id: running.attrs._id }, { $set: { lockedAt: new Date() } });
+
+    const ids = { pending, running, completed, failed, otherTenant };
+    return Object.fromEntries(Object.entries(ids).map(([state, job]) => [state, String(job.attrs._id)]));
+};
+
+const outcomes = (body) => Object.fromEntries(body.results.map(result => [result.jobId, result.outcome]));
+
+describe('bulk job endpoints', () => {
+    let database;
+    let app;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true, rabbitmq: true });
+        app = await startApp('/api/jobs', require('../src/routes/jobs'), apiKey());
+    });
+
+    after(() => app.close());
+
+    beforeEach(() => {
+        database.reset();
+        mock.method(alchemystService, 'generateAnalysis', async () => ({ content: 'A short summary.', tokens: 10, cost: 0.001 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    for (const status of ['pending', 'running', 'completed', 'failed']) {
+        it(`selects only ${status} jobs of the key's tenant for a status filter`, async () => {
+            const ids = await createJobsInEveryState();
+
+            const { jobs, truncated } = await jobService.findJobsForBulk({ filter: { status } }, 'tenant-a', 100);
+
+            assert.deepEqual(jobs.map(job => String(job.id)), [ids[status]]);
+            assert.equal(truncated, false);
+        });
+    }
+
+    it('bulk-cancels by filter without touching finished jobs', async () => {
+        const ids = await createJobsInEveryState();
+
+        const { status, body } = await app.request('POST', '/bulk-cancel', { filter: { status: 'running' } });
+
+        assert.equal(status, 200);
+        assert.deepEqual(outcomes(body), { [ids.running]: 'cancelled' });
+        assert.equal(await getJobStatus(ids.running), null);
+        assert.ok(await getJobStatus(ids.completed));
+        assert.ok(await getJobStatus(ids.failed));
+    });
+
+    it('bulk-deletes only completed jobs for a completed filter', async () => {
+        const ids = await createJobsInEveryState();
+
+        const { body } = await app.request('POST', '/bulk-delete', { filter: { status: 'completed', type: 'document-summary' } });
+
+        assert.deepEqual(outcomes(body), { [ids.completed]: 'deleted' });
+        assert.equal(await getJobStatus(ids.completed), null);
+        for (const state of ['pending', 'running', 'failed', 'otherTenant']) {
+            assert.ok(await getJobStatus(ids[state]), `${state} job was removed`);
+        }
+    });
+
+    it('bulk-retries failed jobs and skips the rest of an ID list', async () => {
+        const ids = await createJobsInEveryState();
+
+        const { body } = await app.request('POST', '/bulk-retry', {
+            jobIds: [ids.failed, ids.completed, ids.otherTenant, '000000000000000000000000']
+        });
+
+        assert.deepEqual(outcomes(body), {
+            [ids.failed]: 'retried',
+            [ids.completed]: 'skipped',
+            [ids.otherTenant]: 'not_found',
+            '000000000000000000000000': 'not_found'
+        });
+
+        const retried = body.results.find(result => result.outcome === 'retried');
+        const newJob = await getJobStatus(retried.newJobId);
+        assert.deepEqual(newJob.attrs.data.document, { unsupported: true });
+        assert.equal(newJob.attrs.data.tenantId, 'tenant-a');
+    });
+
+    it('rejects an unknown status filter', async () => {
+        const { status, body } = await app.request('POST', '/bulk-cancel', { filter: { status: 'finished' } });
+
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid status/);
+    });
+});
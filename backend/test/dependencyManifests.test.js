@@ -0,0 +1,163 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isDependencyManifest, parseManifests, buildLicenseInventory } = require('../src/utils/dependencyManifests');
+
+// Name, version and pinned for each dependency, in order
+const versions = (dependencies) => dependencies.map(item => [item.name, item.version, item.pinned]);
+
+const parseOne = (path, content) => parseManifests([{ path, content }]);
+
+describe('dependencyManifests', () => {
+    it('recognises manifests and lockfiles by file name', () => {
+        for (const file of ['package.json', 'web/yarn.lock', 'requirements-dev.txt', 'pom.xml', 'Gemfile.lock', 'go.mod']) {
+            assert.equal(isDependencyManifest(file), true, file);
+        }
+        assert.equal(isDependencyManifest('src/package.js'), false);
+        assert.equal(isDependencyManifest('requirements.md'), false);
+    });
+
+    describe('npm', () => {
+        it('reads ranges from package.json and skips non-registry specifiers', () => {
+            const { dependencies, manifests } = parseOne('package.json', JSON.stringify({
+                license: 'MIT',
+                dependencies: { express: '^4.18.2', lodash: '4.17.20', local: 'file:../local', fork: 'github:octo/fork' },
+                devDependencies: { jest: '~29.0.0' }
+            }));
+
+            assert.deepEqual(versions(dependencies), [['express', '4.18.2', false], ['lodash', '4.17.20', true], ['jest', '29.0.0', false]]);
+            assert.equal(dependencies.find(item => item.name === 'jest').dev, true);
+            assert.equal(manifests[0].license, 'MIT');
+        });
+
+        it('prefers the versions pinned by a lockfile in the same directory', () => {
+            const lock = JSON.stringify({
+                lockfileVersion: 3,
+                packages: {
+                    '': { name: 'app', license: 'MIT' },
+                    'node_modules/express': { version: '4.19.2', license: 'MIT' },
+                    'node_modules/express/node_modules/qs': { version: '6.11.0', license: 'BSD-3-Clause', dev: true }
+                }
+            });
+
+            const { dependencies, manifests } = parseManifests([
+                { path: 'package.json', content: JSON.stringify({ dependencies: { express: '^4.18.2' } }) },
+                { path: 'package-lock.json', content: lock },
+                { path: 'tools/package.json', content: JSON.stringify({ dependencies: { express: '^4.0.0' } }) }
+            ]);
+
+            assert.deepEqual(versions(dependencies), [['express', '4.19.2', true], ['qs', '6.11.0', true], ['express', '4.0.0', false]]);
+            assert.deepEqual(manifests.map(manifest => [manifest.path, manifest.dependencies]), [
+                ['package-lock.json', 2], ['package.json', 1], ['tools/package.json', 1]
+            ]);
+        });
+
+        it('reads yarn.lock entries, including scoped packages', () => {
+            const { dependencies } = parseOne('yarn.lock', [
+                '# yarn lockfile v1',
+                '',
+                '"@babel/core@^7.0.0", "@babel/core@^7.1.0":',
+                '  version "7.24.0"',
+                '',
+                'lodash@^4.17.0:',
+                '  version "4.17.21"'
+            ].join('\n'));
+
+            assert.deepEqual(versions(dependencies), [['@babel/core', '7.24.0', true], ['lodash', '4.17.21', true]]);
+        });
+    });
+
+    it('reads requirements files, pinning only exact versions', () => {
+        const { dependencies } = parseOne('requirements.txt', [
+            '# web',
+            'Django==4.2.1',
+            'requests[security]>=2.28,<3  # http',
+            'uvicorn; python_version >= "3.8"',
+            '-r base.txt',
+            'git+https://github.com/octo/lib.git'
+        ].join('\n'));
+
+        assert.deepEqual(versions(dependencies), [['Django', '4.2.1', true], ['requests', '2.28', false], ['uvicorn', null, false]]);
+    });
+
+    it('resolves pom.xml properties and leaves managed versions unpinned', () => {
+        const { dependencies, manifests } = parseOne('pom.xml', `<?xml version="1.0"?>
+<project>
+  <version>1.0.0</version>
+  <properties><jackson.version>2.15.2</jackson.version></properties>
+  <licenses><license><name>Apache-2.0</name></license></licenses>
+  <dependencies>
+    <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId><version>\${jackson.version}</version></dependency>
+    <dependency><groupId>org.slf4j</groupId><artifactId>slf4j-api</artifactId></dependency>
+    <dependency><groupId>junit</groupId><artifactId>junit</artifactId><version>[4.0,5.0)</version><scope>test</scope></dependency>
+  </dependencies>
+</project>`);
+
+        assert.deepEqual(versions(dependencies), [
+            ['com.fasterxml.jackson.core:jackson-databind', '2.15.2', true],
+            ['org.slf4j:slf4j-api', null, false],
+            ['junit:junit', '4.0', false]
+        ]);
+        assert.equal(dependencies[2].dev, true);
+        assert.equal(manifests[0].license, 'Apache-2.0');
+    });
+
+    it('reads the gems of Gemfile.lock specs but not their requirements', () => {
+        const { dependencies } = parseOne('Gemfile.lock', [
+            'GEM',
+            '  remote: https://rubygems.org/',
+            '  specs:',
+            '    nokogiri (1.15.4-x86_64-linux)',
+            '      racc (~> 1.4)',
+            '    rails (7.0.8)',
+            '',
+            'PLATFORMS',
+            '  x86_64-linux'
+        ].join('\n'));
+
+        assert.deepEqual(versions(dependencies), [['nokogiri', '1.15.4', true], ['rails', '7.0.8', true]]);
+    });
+
+    it('reads single and grouped go.mod requirements', () => {
+        const { dependencies } = parseOne('go.mod', [
+            'module example.com/app',
+            '',
+            'require github.com/pkg/errors v0.9.1',
+            '',
+            'require (',
+            '\tgolang.org/x/net v0.17.0 // indirect',
+            ')'
+        ].join('\n'));
+
+        assert.deepEqual(versions(dependencies), [['github.com/pkg/errors', '0.9.1', true], ['golang.org/x/net', '0.17.0', true]]);
+    });
+
+    it('reports a manifest it cannot parse instead of failing', () => {
+        const { manifests, dependencies } = parseOne('package.json', '{ not json');
+
+        assert.deepEqual(dependencies, []);
+        assert.match(manifests[0].error, /^Could not parse:/);
+    });
+
+    it('groups dependencies by license and flags copyleft ones', () => {
+        const { manifests, dependencies } = parseManifests([{
+            path: 'package-lock.json',
+            content: JSON.stringify({
+                packages: {
+                    '': { license: 'MIT' },
+                    'node_modules/a': { version: '1.0.0', license: 'MIT' },
+                    'node_modules/b': { version: '1.0.0', license: 'MIT' },
+                    'node_modules/c': { version: '2.0.0', license: 'GPL-3.0-only' },
+                    'node_modules/d': { version: '3.0.0' }
+                }
+            })
+        }]);
+
+        const inventory = buildLicenseInventory(manifests, dependencies);
+
+        assert.deepEqual(inventory.project, [{ manifest: 'package-lock.json', license: 'MIT' }]);
+        assert.deepEqual(inventory.inventory[0], { license: 'MIT', packages: 2, copyleft: false, examples: ['a', 'b'] });
+        assert.equal(inventory.unknown, 1);
+        assert.deepEqual(inventory.copyleft, [{ name: 'c', version: '2.0.0', license: 'GPL-3.0-only', ecosystem: 'npm' }]);
+    });
+});
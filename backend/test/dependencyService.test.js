@@ -0,0 +1,80 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJob, getAgenda, getJobStatus } = require('../src/config/agenda');
+const dependencyService = require('../src/services/dependencyService');
+
+const owner = { tenantId: 'tenant-a', createdBy: 'key-a' };
+
+const createChild = async (parents) => {
+    const dependencies = { dependsOn: parents.map(parent => String(parent.attrs._id)), inputMapping: {} };
+    return createJob('test-succeeds', { ...owner, ...dependencyService.holdFields(dependencies) }, { hold: true });
+};
+
+const dependencyStatus = async (job) => (await getJobStatus(String(job.attrs._id))).attrs.data.dependencyStatus;
+
+describe('dependencyService', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        getAgenda().define('test-succeeds', async (job) => {
+            job.attrs.result = { ok: true };
+        });
+        // Defers its first run the way deferJob() does after a rate limit, then succeeds
+        getAgenda().define('test-defers', async (job) => {
+            if (!job.attrs.data.deferrals) {
+                job.attrs.data.deferrals = 1;
+                job.attrs.data.deferredUntil = new Date(Date.now() + 60000);
+                job.attrs.nextRunAt = job.attrs.data.deferredUntil;
+                return;
+            }
+            job.attrs.data.deferredUntil = null;
+        });
+        getAgenda().define('test-fails', async () => {
+            throw new Error('boom');
+        });
+    });
+
+    beforeEach(() => database.reset());
+
+    it('releases a dependent once every parent has completed', async () => {
+        const first = await createJob('test-succeeds', owner);
+        const second = await createJob('test-succeeds', owner);
+        const child = await createChild([first, second]);
+
+        await runJob(first.attrs._id);
+        assert.equal(await dependencyStatus(child), 'waiting');
+
+        await runJob(second.attrs._id);
+        assert.equal(await dependencyStatus(child), 'released');
+    });
+
+    it('keeps a dependent waiting while a parent is deferred', async () => {
+        const deferred = await createJob('test-defers', owner);
+        const completed = await createJob('test-succeeds', owner);
+        const child = await createChild([deferred, completed]);
+
+        await runJob(deferred.attrs._id);
+        assert.ok((await getJobStatus(String(deferred.attrs._id))).attrs.lastFinishedAt);
+
+        await runJob(completed.attrs._id);
+        assert.equal(await dependencyStatus(child), 'waiting');
+        assert.equal(await dependencyService.releaseIfReady(child.attrs._id), false);
+
+        await runJob(deferred.attrs._id);
+        assert.equal(await dependencyStatus(child), 'released');
+    });
+
+    it('fails a dependent when a parent fails', async () => {
+        const parent = await createJob('test-fails', owner);
+        const child = await createChild([parent]);
+
+        await runJob(parent.attrs._id);
+
+        assert.equal(await dependencyStatus(child), 'failed');
+        const metric = await database.collection('job_metrics').findOne({ job_id: String(child.attrs._id) });
+        assert.equal(metric.status, 'failed');
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkDocument, groupByLength } = require('../src/utils/documentChunker');
+
+const paragraph = (label, length) => `${label} ` + 'x'.repeat(length - label.length - 1);
+
+describe('documentChunker', () => {
+    describe('chunkDocument', () => {
+        it('returns a short document as one chunk', () => {
+            assert.deepEqual(chunkDocument('One paragraph.\n\nAnother one.', { chunkSize: 1000 }), ['One paragraph.\n\nAnother one.']);
+        });
+
+        it('packs paragraphs into chunks no larger than chunkSize', () => {
+            const text = ['a', 'b', 'c', 'd', 'e'].map(label => paragraph(label, 300)).join('\n\n');
+
+            const chunks = chunkDocument(text, { chunkSize: 700 });
+
+            assert.deepEqual(chunks.map(chunk => chunk.split('\n\n').map(block => block[0])), [['a', 'b'], ['c', 'd'], ['e']]);
+            assert.ok(chunks.every(chunk => chunk.length <= 700));
+            assert.equal(chunks.join('\n\n'), text);
+        });
+
+        it('starts a heading or page marker in a new chunk once the current one is half full', () => {
+            const text = [paragraph('intro', 600), '## Costs', paragraph('costs', 100), '[Page 2]', paragraph('more', 100)].join('\n\n');
+
+            const chunks = chunkDocument(text, { chunkSize: 1000 });
+
+            assert.equal(chunks.length, 2);
+            assert.ok(chunks[1].startsWith('## Costs'));
+            assert.ok(chunks[1].includes('[Page 2]'));
+        });
+
+        it('splits an oversized block on lines, then sentences, then characters', () => {
+            const lines = chunkDocument(`${'a'.repeat(60)}\n${'b'.repeat(60)}`, { chunkSize: 100 });
+            assert.deepEqual(lines, ['a'.repeat(60), 'b'.repeat(60)]);
+
+            const sentences = chunkDocument(`${'First sentence here. '.repeat(4)}Last one.`, { chunkSize: 50 });
+            assert.ok(sentences.length > 1);
+            assert.ok(sentences.every(chunk => chunk.length <= 50));
+            assert.ok(sentences[0].startsWith('First sentence here.'));
+
+            const characters = chunkDocument('x'.repeat(250), { chunkSize: 100 });
+            assert.deepEqual(characters.map(chunk => chunk.length), [100, 100, 50]);
+        });
+
+        it('splits after CJK sentence endings', () => {
+            const text = '今日は晴れです。'.repeat(10);
+
+            const chunks = chunkDocument(text, { chunkSize: 30 });
+
+            assert.ok(chunks.length > 1);
+            assert.ok(chunks.every(chunk => chunk.endsWith('。')));
+        });
+    });
+
+    describe('groupByLength', () => {
+        it('groups neighbouring texts under the length limit', () => {
+            const texts = ['aaaa', 'bbbb', 'cccc', 'dddd', 'eeee', 'ffff'];
+
+            assert.deepEqual(groupByLength(texts, 10), [['aaaa', 'bbbb'], ['cccc', 'dddd'], ['eeee', 'ffff']]);
+        });
+
+        it('puts at least two texts in every group so each round shrinks the list', () => {
+            assert.deepEqual(groupByLength(['a'.repeat(50), 'b'.repeat(50), 'c'.repeat(50)], 10), [['a'.repeat(50), 'b'.repeat(50), 'c'.repeat(50)]]);
+            assert.deepEqual(groupByLength(['x'.repeat(50), 'y'.repeat(50), 'z'.repeat(50), 'w'.repeat(50)], 10).map(group => group.length), [2, 2]);
+        });
+
+        it('leaves a single text in a group of one', () => {
+            assert.deepEqual(groupByLength(['only'], 2), [['only']]);
+        });
+    });
+});
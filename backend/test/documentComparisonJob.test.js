@@ -0,0 +1,103 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+
+const alchemystService = require('../src/services/alchemystService');
+const socketService = require('../src/services/socketService');
+const { createJob } = require('../src/config/agenda');
+const documentComparisonJob = require('../src/jobs/documentComparisonJob');
+
+const DOCUMENTS = [
+    { label: 'Plan A', content: 'Plan A costs 10 dollars a month and includes email support only.' },
+    { label: 'Plan B', content: 'Plan B costs 25 dollars a month and includes phone and email support.' }
+];
+
+const COMPARISON = JSON.stringify({
+    overview: 'Plan B costs more and adds phone support.',
+    matrix: [{ criterion: 'Price', values: { 'Plan A': '$10/month', 'Plan B': '$25/month' } }],
+    agreements: ['Both include email support'],
+    differences: [{ topic: 'Support', details: { 'Plan A': 'email', 'Plan B': 'phone and email' } }]
+});
+
+const jobData = (data = {}) => ({
+    documents: DOCUMENTS,
+    criteria: ['Price'],
+    summaryType: 'comprehensive',
+    maxLength: 500,
+    options: { verifyFaithfulness: false },
+    targetLanguage: null,
+    requestId: 'req_test',
+    createdAt: new Date(),
+    tenantId: 'tenant-a',
+    createdBy: 'key-a',
+    ...data
+});
+
+describe('document-comparison processor', () => {
+    let database;
+    let progress;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+    });
+
+    beforeEach(() => {
+        database.reset();
+        progress = [];
+        mock.method(alchemystService, 'generateAnalysis', async (prompt) => ({
+            content: prompt.includes('You are comparing') ? COMPARISON : 'A monthly plan with support.',
+            tokens: 100,
+            cost: 0.001
+        }));
+        mock.method(socketService, 'emitJobProgress', (jobId, value, status, tenantId, details) => {
+            progress.push({ jobId, value, tenantId, details });
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('reports progress on a bare job object without job.progress()', async () => {
+        const job = {
+            attrs: { _id: new ObjectId(), name: 'document-comparison', data: jobData() },
+            save: mock.fn(async () => job)
+        };
+
+        const result = await documentComparisonJob(job);
+
+        assert.equal(job.attrs.progress, 100);
+        assert.equal(job.save.mock.callCount(), progress.length);
+        assert.deepEqual(progress.map(update => update.value), [5, 38, 70, 90, 100]);
+        assert.deepEqual(progress[1].details, { stage: 'summarising-documents', document: 1, documents: 2 });
+        assert.deepEqual(result.comparison.matrix, [{ criterion: 'Price', values: { 'Plan A': '$10/month', 'Plan B': '$25/month' } }]);
+    });
+
+    it('runs to completion through Agenda and records the outcome', async () => {
+        const created = await createJob('document-comparison', jobData());
+        const jobId = String(created.attrs._id);
+
+        const job = await runJob(jobId);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        assert.equal(job.attrs.progress, 100);
+        assert.deepEqual(job.attrs.result.documents.map(document => document.label), ['Plan A', 'Plan B']);
+        assert.deepEqual(job.attrs.result.comparison.agreements, ['Both include email support']);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.status, 'completed');
+        assert.equal(metric.progress, 100);
+        assert.equal(metric.api_calls, 3);
+    });
+
+    it('fails when fewer than two documents can be summarised', async () => {
+        const created = await createJob('document-comparison', jobData({
+            documents: [DOCUMENTS[0], { label: 'Broken' }]
+        }));
+
+        const job = await runJob(created.attrs._id);
+
+        assert.match(job.attrs.failReason, /At least two documents must be summarised/);
+        const metric = await database.collection('job_metrics').findOne({ job_id: String(created.attrs._id) });
+        assert.equal(metric.status, 'failed');
+    });
+});
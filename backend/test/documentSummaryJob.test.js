@@ -0,0 +1,153 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const alchemystService = require('../src/services/alchemystService');
+const socketService = require('../src/services/socketService');
+const { createJob } = require('../src/config/agenda');
+const jobService = require('../src/services/jobService');
+
+// Job data as jobService.createDocumentSummaryJob stores it
+const createSummaryJob = (data) => createJob('document-summary', {
+    summaryType: 'comprehensive',
+    maxLength: 1000,
+    schema: null,
+    options: {},
+    targetLanguage: null,
+    requestId: 'req_test',
+    createdAt: new Date(),
+    tenantId: 'tenant-a',
+    createdBy: 'key-a',
+    ...data
+});
+
+const DOCUMENT = Array.from({ length: 40 }, (_, index) =>
+    `Paragraph ${index + 1}. The quarterly report shows revenue grew in every region while costs held steady.`
+).join('\n\n');
+
+describe('document-summary processor', () => {
+    let database;
+    let progress;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+    });
+
+    beforeEach(() => {
+        database.reset();
+        progress = [];
+        mock.method(alchemystService, 'generateAnalysis', async () => ({
+            content: 'Revenue grew in every region. Costs held steady.',
+            tokens: 120,
+            cost: 0.002
+        }));
+        mock.method(socketService, 'emitJobProgress', (jobId, value, status, tenantId, details) => {
+            progress.push({ jobId, value, tenantId, details });
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('runs to completion, recording progress on the job, its metrics and the socket', async () => {
+        const created = await createSummaryJob({ document: DOCUMENT, summaryType: 'brief', options: { verifyFaithfulness: false } });
+        const jobId = String(created.attrs._id);
+
+        const job = await runJob(jobId);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        assert.equal(job.attrs.progress, 100);
+        assert.match(job.attrs.result.summary.content, /Revenue grew/);
+
+        assert.deepEqual(progress.map(update => update.value), [10, 25, 40, 70, 80, 90, 100]);
+        assert.ok(progress.every(update => update.jobId === jobId && update.tenantId === 'tenant-a'));
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.status, 'completed');
+        assert.equal(metric.progress, 100);
+    });
+
+    it('reports chunk progress for a long document', async () => {
+        const created = await createSummaryJob({
+            document: DOCUMENT,
+            options: { maxInputLength: 2000, chunkSize: 2000, verifyFaithfulness: false }
+        });
+
+        const job = await runJob(created.attrs._id);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        const chunkUpdates = progress.filter(update => update.details?.stage === 'summarising-chunks');
+        assert.ok(chunkUpdates.length > 1);
+        assert.equal(chunkUpdates.at(-1).value, 65);
+    });
+
+    it('stops reducing when merged summaries stay longer than maxInputLength', async () => {
+        const longSummary = 'The quarterly report covers revenue and costs in detail. '.repeat(55);
+        const summary = mock.method(alchemystService, 'generateSummary', async () => ({ content: longSummary, tokens: 700, cost: 0.01 }));
+        const created = await createSummaryJob({
+            document: DOCUMENT,
+            options: { maxInputLength: 2000, chunkSize: 2000, verifyFaithfulness: false }
+        });
+
+        const job = await runJob(created.attrs._id);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        const { chunks, reduceRounds } = job.attrs.result.metadata.coverage;
+        assert.ok(reduceRounds <= 5);
+        // Every round at least halves the sections, so the calls stay under twice the chunk count
+        assert.ok(summary.mock.callCount() < chunks * 2);
+    });
+
+    it('scores the summary against the source with the model verdicts', async () => {
+        mock.method(alchemystService, 'generateAnalysis', async (prompt) => prompt.includes('You are checking a summary')
+            ? {
+                content: '[{ "sentence": 1, "verdict": "supported", "evidence": ["P1"] }, ' +
+                    '{ "sentence": 2, "verdict": "unsupported", "evidence": [], "reason": "not in the document" }]',
+                tokens: 80,
+                cost: 0.001
+            }
+            : { content: 'Revenue grew in every region while costs held steady. The company opened three stores in Lisbon.', tokens: 120, cost: 0.002 });
+        const created = await createSummaryJob({ document: DOCUMENT, summaryType: 'brief' });
+
+        const job = await runJob(created.attrs._id);
+
+        const { verification, summary } = job.attrs.result;
+        assert.equal(verification.faithfulnessScore, 50);
+        assert.equal(summary.quality.faithfulnessScore, 50);
+        assert.equal(verification.checkedSentences, 2);
+        assert.deepEqual(verification.unsupportedClaims, ['The company opened three stores in Lisbon.']);
+        assert.equal(verification.sentences[0].method, 'model');
+        assert.deepEqual(verification.sentences[0].evidence.map(evidence => evidence.passage), [1]);
+    });
+
+    it('falls back to passage matching when the verdicts are unusable', async () => {
+        mock.method(alchemystService, 'generateAnalysis', async (prompt) => prompt.includes('You are checking a summary')
+            ? { content: 'I cannot judge these sentences.', tokens: 20, cost: 0.001 }
+            : { content: 'Revenue grew in every region while costs held steady. The company opened three stores in Lisbon.', tokens: 120, cost: 0.002 });
+        const created = await createSummaryJob({ document: DOCUMENT, summaryType: 'brief' });
+
+        const job = await runJob(created.attrs._id);
+
+        const { verification } = job.attrs.result;
+        assert.deepEqual(verification.sentences.map(sentence => [sentence.method, sentence.verdict]), [
+            ['passage-match', 'supported'],
+            ['passage-match', 'unsupported']
+        ]);
+        assert.equal(verification.faithfulnessScore, 50);
+    });
+});
+
+describe('jobService.normaliseDocumentOptions', () => {
+    it('clamps chunking options to the server limits', () => {
+        assert.deepEqual(
+            jobService.normaliseDocumentOptions({ maxInputLength: 10, chunkSize: 1e9, verifyFaithfulness: false }),
+            { maxInputLength: 5000, chunkSize: 50000, verifyFaithfulness: false }
+        );
+        assert.deepEqual(jobService.normaliseDocumentOptions({}), {});
+    });
+
+    it('rejects chunking options that are not positive numbers', () => {
+        assert.throws(() => jobService.normaliseDocumentOptions({ maxInputLength: '2000' }), /options.maxInputLength must be a positive number/);
+        assert.throws(() => jobService.normaliseDocumentOptions({ chunkSize: -1 }), /options.chunkSize must be a positive number/);
+        assert.throws(() => jobService.normaliseDocumentOptions([]), /options must be an object/);
+    });
+});
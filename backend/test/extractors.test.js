@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+
+const { extractDocument, findExtractor } = require('../src/extractors');
+
+const createWorkbook = async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Revenue');
+    sheet.addRow(['Region', 'Quarter', 'Revenue']);
+    sheet.addRow(['North', new Date(Date.UTC(2024, 2, 31)), 1200]);
+    sheet.addRow([]);
+    sheet.addRow(['South', new Date(Date.UTC(2024, 2, 31)), { formula: '1000+50', result: 1050 }]);
+    workbook.addWorksheet('Empty');
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const createDocx = async () => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>');
+    zip.file('word/document.xml', '<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        '<w:body><w:p><w:r><w:t>Quarterly results were strong.</w:t></w:r></w:p></w:body></w:document>');
+    return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// Two slides, stored out of order so presentation.xml has to decide it
+const createPptx = async () => {
+    const ns = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const shape = (text, placeholder) => `<p:sp>${placeholder ? `<p:nvSpPr><p:nvPr><p:ph type="${placeholder}"/></p:nvPr></p:nvSpPr>` : ''}` +
+        `<p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+    const slide = (...shapes) => `<?xml version="1.0"?><p:sld ${ns}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+    const zip = new JSZip();
+    zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${ns}><p:sldIdLst>` +
+        '<p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst></p:presentation>');
+    zip.file('ppt/_rels/presentation.xml.rels', '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Target="slides/slide1.xml"/><Relationship Id="rId2" Target="slides/slide2.xml"/></Relationships>');
+    zip.file('ppt/slides/slide1.xml', slide(shape('Results', 'title'), shape('Revenue up 12%')));
+    zip.file('ppt/slides/slide2.xml', slide(shape('Agenda', 'ctrTitle'), shape('Review the quarter')));
+    return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('extractors', () => {
+    describe('html', () => {
+        it('keeps headings, lists and tables and drops scripts and navigation', async () => {
+            const html = '<!DOCTYPE html><html><head><title>Report</title><style>p{}</style></head><body>' +
+                '<nav>Home | About</nav><h1>Results</h1><p>Revenue   grew.<br>Costs fell.</p><script>alert(1)</script>' +
+                '<ul><li>North</li><li>South</li></ul>' +
+                '<table><caption>Totals</caption><tr><th>Region</th><th>Revenue</th></tr><tr><td><p>North</p></td><td>1200</td></tr></table></body></html>';
+
+            const extracted = await extractDocument(Buffer.from(html), { contentType: 'application/octet-stream' });
+
+            assert.equal(extracted.format, 'html');
+            assert.equal(extracted.text, '# Results\n\nRevenue grew.\nCosts fell.\n\n- North\n- South\n\nTotals\nRegion | Revenue\nNorth | 1200');
+            assert.deepEqual(extracted.outline, [
+                { type: 'heading', level: 1, text: 'Results' },
+                { type: 'table', title: 'Totals', rows: 2, columns: 2 }
+            ]);
+            assert.deepEqual(extracted.details, { title: 'Report' });
+        });
+    });
+
+    describe('markdown', () => {
+        it('outlines headings and tables outside code blocks and drops link targets', async () => {
+            const markdown = '# Plan\n\nSee [the docs](https://example.com).\n\n```\n# not a heading\n```\n\n## Costs\n\n| Item | Cost |\n|---|---|\n| Hosting | 10 |\n';
+
+            const extracted = await extractDocument(Buffer.from(markdown), { filename: 'plan.md' });
+
+            assert.equal(extracted.format, 'markdown');
+            assert.match(extracted.text, /See the docs\./);
+            assert.deepEqual(extracted.outline, [
+                { type: 'heading', level: 1, text: 'Plan' },
+                { type: 'heading', level: 2, text: 'Costs' },
+                { type: 'table', title: null, rows: 2, columns: 2 }
+            ]);
+        });
+    });
+
+    describe('pptx', () => {
+        it('reads slides in presentation order with their titles', async () => {
+            const extracted = await extractDocument(await createPptx(), { filename: 'deck.pptx' });
+
+            assert.equal(extracted.text, '## Slide 1: Agenda\nReview the quarter\n\n## Slide 2: Results\nRevenue up 12%');
+            assert.deepEqual(extracted.outline, [
+                { type: 'slide', number: 1, title: 'Agenda' },
+                { type: 'slide', number: 2, title: 'Results' }
+            ]);
+            assert.deepEqual(extracted.details, { slideCount: 2 });
+        });
+    });
+
+    describe('xlsx', () => {
+        it('turns each non-empty sheet into rows of cells', async () => {
+            const extracted = await extractDocument(await createWorkbook(), { filename: 'revenue.xlsx' });
+
+            assert.equal(extracted.format, 'xlsx');
+            assert.equal(extracted.text, [
+                '## Sheet: Revenue',
+                'Region | Quarter | Revenue',
+                'North | 2024-03-31 | 1200',
+                'South | 2024-03-31 | 1050'
+            ].join('\n'));
+            assert.deepEqual(extracted.outline, [{ type: 'table', title: 'Revenue', rows: 3, columns: 3 }]);
+            assert.deepEqual(extracted.details, { sheetCount: 2, truncatedSheets: [] });
+        });
+
+        it('rejects legacy workbooks it cannot read', async () => {
+            await assert.rejects(
+                extractDocument(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), { filename: 'old.xls' }),
+                /Could not extract xlsx content: only .xlsx workbooks are supported/
+            );
+        });
+    });
+
+    describe('content sniffing', () => {
+        it('recognises OOXML files sent as application/octet-stream without an extension', async () => {
+            const source = { contentType: 'application/octet-stream', filename: 'upload' };
+
+            assert.equal(findExtractor({ ...source, buffer: await createWorkbook() }).name, 'xlsx');
+
+            const extracted = await extractDocument(await createDocx(), source);
+            assert.equal(extracted.format, 'docx');
+            assert.match(extracted.text, /Quarterly results were strong\./);
+        });
+
+        it('treats other zips and unknown bytes as plain text', async () => {
+            const zip = new JSZip();
+            zip.file('notes.txt', 'hello');
+
+            assert.equal(findExtractor({ buffer: await zip.generateAsync({ type: 'nodebuffer' }) }).name, 'text');
+            assert.equal(findExtractor({ buffer: Buffer.from('word/document.xml') }).name, 'text');
+        });
+    });
+
+    describe('csv', () => {
+        it('keeps quoted fields and values as written', async () => {
+            const csv = 'name,amount,date\n"Smith, Jane",007,2024-01-02\n';
+
+            const extracted = await extractDocument(Buffer.from(csv), { filename: 'people.csv' });
+
+            assert.equal(extracted.text, 'name | amount | date\nSmith, Jane | 007 | 2024-01-02');
+            assert.deepEqual(extracted.outline, [{ type: 'table', title: null, rows: 2, columns: 3 }]);
+        });
+
+        it('reads tab-separated files', async () => {
+            const extracted = await extractDocument(Buffer.from('a\tb\n1,5\t2\n'), { contentType: 'text/tab-separated-values' });
+
+            assert.equal(extracted.text, 'a | b\n1,5 | 2');
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitSummarySentences, createPassageIndex, findSupportingPassages } = require('../src/utils/faithfulness');
+
+const paragraph = (text) => text.padEnd(700, ` ${text}`);
+
+// Three passages over two PDF pages
+const SOURCE = [
+    '[Page 1]',
+    paragraph('Revenue grew twelve percent in the northern region during the quarter.'),
+    paragraph('Operating costs held steady because hosting contracts were renegotiated.'),
+    '[Page 2]',
+    paragraph('The board approved a new warehouse in Rotterdam for next year.')
+].join('\n\n');
+
+describe('faithfulness', () => {
+    describe('splitSummarySentences', () => {
+        it('keeps statements and drops headings, lead-ins, list markers and fragments', () => {
+            const summary = [
+                '## Key points',
+                'The report covers:',
+                '- **Revenue** grew in the north. Costs held steady.',
+                '2) The board approved a *new* warehouse.',
+                'In short.'
+            ].join('\n');
+
+            assert.deepEqual(splitSummarySentences(summary), [
+                'Revenue grew in the north.',
+                'Costs held steady.',
+                'The board approved a new warehouse.'
+            ]);
+        });
+
+        it('does not split after page citations and abbreviations', () => {
+            const summary = 'Costs fell (p. 3) in most regions, e.g. the north. Dr. Smith signed the report. Revenue rose again.';
+
+            assert.deepEqual(splitSummarySentences(summary), [
+                'Costs fell (p. 3) in most regions, e.g. the north.',
+                'Dr. Smith signed the report.',
+                'Revenue rose again.'
+            ]);
+        });
+
+        it('splits CJK sentences on full-width punctuation', () => {
+            assert.deepEqual(splitSummarySentences('北部地区收入增长。成本保持稳定！'), ['北部地区收入增长。', '成本保持稳定！']);
+        });
+    });
+
+    describe('createPassageIndex', () => {
+        it('numbers passages and records the pages they span without the markers', () => {
+            const { passages } = createPassageIndex(SOURCE);
+
+            assert.deepEqual(passages.map(passage => [passage.id, passage.pages]), [[1, [1]], [2, [1]], [3, [2]]]);
+            assert.ok(passages.every(passage => !passage.text.includes('[Page')));
+        });
+
+        it('weighs terms missing from the source above common ones', () => {
+            const { weight } = createPassageIndex(SOURCE);
+
+            assert.ok(weight('antwerp') > weight('rotterdam'));
+            assert.ok(weight('rotterdam') > weight('the'));
+        });
+    });
+
+    describe('findSupportingPassages', () => {
+        it('ranks the passage sharing the most distinctive terms first', () => {
+            const matches = findSupportingPassages('The board approved a warehouse in Rotterdam.', createPassageIndex(SOURCE));
+
+            assert.equal(matches[0].passage, 3);
+            assert.deepEqual(matches[0].pages, [2]);
+            assert.match(matches[0].text, /^The board approved/);
+            assert.ok(matches[0].score >= 0.9);
+            assert.ok(matches.slice(1).every(match => match.score < matches[0].score));
+        });
+
+        it('scores an invented name well below a supported sentence', () => {
+            const index = createPassageIndex(SOURCE);
+
+            const [supported] = findSupportingPassages('The board approved a new warehouse in Rotterdam.', index);
+            const [invented] = findSupportingPassages('The board approved a new warehouse in Antwerp.', index);
+
+            assert.equal(invented.passage, 3);
+            assert.ok(invented.score < supported.score - 0.2);
+        });
+
+        it('returns nothing for a sentence that shares no terms with the source', () => {
+            assert.deepEqual(findSupportingPassages('Quantum entanglement puzzles physicists.', createPassageIndex(SOURCE)), []);
+        });
+
+        it('matches unspaced scripts on character pairs', () => {
+            const index = createPassageIndex('北部地区的收入增长了百分之十二。\n\n董事会批准在鹿特丹新建仓库。');
+
+            const [match] = findSupportingPassages('董事会批准新建仓库。', index);
+
+            assert.match(match.text, /董事会/);
+            assert.ok(match.score > 0.5);
+        });
+    });
+});
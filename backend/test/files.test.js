@@ -0,0 +1,67 @@
+const { setupTestEnvironment, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fileService = require('../src/services/fileService');
+
+const form = (...files) => {
+    const body = new FormData();
+    for (const [name, content] of files) {
+        body.append('file', new Blob([content], { type: 'text/plain' }), name);
+    }
+    return body;
+};
+
+describe('file upload route', () => {
+    let database;
+    let app;
+    let maxFileSize;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+        // The upload limits are read when the router is loaded
+        maxFileSize = fileService.maxFileSize;
+        fileService.maxFileSize = 1024;
+        app = await startApp('/api/files', require('../src/routes/files'), apiKey());
+    });
+
+    after(async () => {
+        fileService.maxFileSize = maxFileSize;
+        await app.close();
+    });
+
+    beforeEach(() => database.reset());
+
+    it('stores a file within the limits', async () => {
+        const { status, body } = await app.request('POST', '/upload', form(['notes.txt', 'Meeting notes.']));
+
+        assert.equal(status, 201);
+        assert.equal(body.file.filename, 'notes.txt');
+        assert.equal(body.file.size, 14);
+    });
+
+    it('rejects a file over the size limit with 413', async () => {
+        const { status, body } = await app.request('POST', '/upload', form(['big.txt', 'x'.repeat(2048)]));
+
+        assert.equal(status, 413);
+        assert.equal(body.error, 'File too large - the limit is 0MB');
+    });
+
+    it('rejects more than one file with 400', async () => {
+        const { status, body } = await app.request('POST', '/upload', form(['a.txt', 'a'], ['b.txt', 'b']));
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Too many files');
+    });
+
+    it('answers a malformed multipart body without taking the server down', async () => {
+        const { status, body } = await app.request('POST', '/upload', '--boundary\r\nContent-Disposition: form-data; name="file"; filename="a.txt"\r\n\r\nunterminated', {
+            'content-type': 'multipart/form-data; boundary=boundary'
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid multipart upload: Unexpected end of form');
+        assert.equal((await app.request('POST', '/upload', form(['notes.txt', 'Still up.']))).status, 201);
+    });
+});
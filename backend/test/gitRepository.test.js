@@ -0,0 +1,110 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const gitRepository = require('../src/utils/gitRepository');
+
+const GIT_ENV = { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' };
+
+// A repository whose README and LICENSE are symlinks to a file outside it
+const createRepository = (root) => {
+    const secret = path.join(root, 'secret.env');
+    fs.writeFileSync(secret, 'DATABASE_PASSWORD=hunter2\nPermission is hereby granted, free of charge\n');
+
+    const dir = path.join(root, 'app');
+    fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src', 'index.js'), 'module.exports = 42;\n');
+    fs.writeFileSync(path.join(dir, 'src', 'style.css'), 'body { margin: 0; }\n');
+    fs.symlinkSync(secret, path.join(dir, 'README.md'));
+    fs.symlinkSync(secret, path.join(dir, 'LICENSE'));
+
+    const git = (...args) => execFileSync('git', args, { cwd: dir, env: GIT_ENV });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'Initial commit');
+    return dir;
+};
+
+describe('gitRepository', () => {
+    let root;
+    let repository;
+
+    before(() => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'git-repository-test-')));
+        repository = createRepository(root);
+    });
+
+    after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    afterEach(() => {
+        delete process.env.LOCAL_REPOSITORY_ROOTS;
+    });
+
+    describe('resolveRepositorySource', () => {
+        it('tells GitHub URLs, git URLs and local paths apart', () => {
+            process.env.LOCAL_REPOSITORY_ROOTS = root;
+
+            assert.equal(gitRepository.resolveRepositorySource('https://github.com/octo/app'), 'github');
+            assert.equal(gitRepository.resolveRepositorySource('https://github.com/octo/app', { clone: true }), 'clone');
+            assert.equal(gitRepository.resolveRepositorySource('git@gitlab.com:octo/app.git'), 'clone');
+            assert.equal(gitRepository.resolveRepositorySource(repository), 'local');
+        });
+
+        it('rejects local paths outside LOCAL_REPOSITORY_ROOTS and unreachable transports', () => {
+            assert.throws(() => gitRepository.resolveRepositorySource(repository), /Local repository paths are disabled/);
+
+            process.env.LOCAL_REPOSITORY_ROOTS = repository;
+            assert.throws(() => gitRepository.resolveRepositorySource(root), /outside LOCAL_REPOSITORY_ROOTS/);
+            assert.throws(() => gitRepository.resolveRepositorySource(repository + '-other'), /outside LOCAL_REPOSITORY_ROOTS/);
+            assert.throws(() => gitRepository.resolveRepositorySource('file:///etc'), /must be a GitHub URL/);
+            assert.throws(() => gitRepository.resolveRepositorySource(''), /Repository URL is required/);
+        });
+    });
+
+    describe('listTree', () => {
+        it('lists files and directories but leaves symlinks out', async () => {
+            const tree = await gitRepository.listTree(repository);
+
+            assert.deepEqual(tree.map(entry => [entry.path, entry.type]).sort(), [
+                ['src', 'tree'],
+                ['src/index.js', 'blob'],
+                ['src/style.css', 'blob']
+            ]);
+            assert.equal(tree.find(entry => entry.path === 'src/index.js').size, 21);
+        });
+    });
+
+    describe('readRepositoryFile', () => {
+        it('reads committed content from git, not the file a symlink points to', async () => {
+            assert.equal(await gitRepository.readRepositoryFile(repository, 'src/index.js'), 'module.exports = 42;\n');
+            assert.equal(await gitRepository.readRepositoryFile(repository, 'README.md'), path.join(root, 'secret.env'));
+        });
+
+        it('ignores uncommitted changes in the working tree', async () => {
+            fs.writeFileSync(path.join(repository, 'src', 'index.js'), 'module.exports = 43;\n');
+            try {
+                assert.equal(await gitRepository.readRepositoryFile(repository, 'src/index.js'), 'module.exports = 42;\n');
+            } finally {
+                execFileSync('git', ['checkout', '--', 'src/index.js'], { cwd: repository });
+            }
+        });
+    });
+
+    describe('describeRepository', () => {
+        it('reports languages by size and no license for a symlinked LICENSE', async () => {
+            const tree = await gitRepository.listTree(repository);
+            const commits = await gitRepository.readCommits(repository);
+
+            const described = await gitRepository.describeRepository(repository, repository, tree, commits);
+
+            assert.equal(described.name, 'app');
+            assert.equal(described.language, 'JavaScript');
+            assert.equal(described.license, null);
+            assert.equal(commits[0].commit.message, 'Initial commit');
+            assert.deepEqual(gitRepository.languageBreakdown(tree), { JavaScript: 21, CSS: 20 });
+        });
+    });
+});
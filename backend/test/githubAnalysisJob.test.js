@@ -0,0 +1,131 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const alchemystService = require('../src/services/alchemystService');
+const socketService = require('../src/services/socketService');
+const { createJob } = require('../src/config/agenda');
+
+// A small git repository on disk, analysed as a local path
+const createRepository = (root) => {
+    const dir = path.join(root, 'app');
+    fs.mkdirSync(path.join(dir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'README.md'), '# App\n\nA tiny HTTP client.\n');
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'app', license: 'MIT', dependencies: { axios: '^1.6.0' } }, null, 2));
+    fs.writeFileSync(path.join(dir, 'src', 'client.js'), 'module.exports = () => fetch("https://example.com");\n');
+
+    const git = (...args) => execFileSync('git', args, {
+        cwd: dir,
+        env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+    });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'Initial commit');
+    return dir;
+};
+
+describe('github-analysis processor on a local repository', () => {
+    let database;
+    let root;
+    let repository;
+    let progress;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-test-')));
+        repository = createRepository(root);
+        process.env.LOCAL_REPOSITORY_ROOTS = root;
+    });
+
+    after(() => {
+        delete process.env.LOCAL_REPOSITORY_ROOTS;
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        database.reset();
+        progress = [];
+        mock.method(alchemystService, 'generateAnalysis', async () => ({
+            content: 'A small, well-structured HTTP client.',
+            tokens: 300,
+            cost: 0.004
+        }));
+        mock.method(socketService, 'emitJobProgress', (jobId, value) => progress.push(value));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('runs to completion, recording progress on the job, its metrics and the socket', async () => {
+        const created = await createJob('github-analysis', {
+            repository,
+            analysisType: 'full',
+            options: {},
+            githubToken: null,
+            requestId: 'req_test',
+            createdAt: new Date(),
+            tenantId: 'tenant-a',
+            createdBy: 'key-a'
+        });
+        const jobId = String(created.attrs._id);
+
+        const job = await runJob(jobId);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        assert.equal(job.attrs.progress, 100);
+        assert.deepEqual(progress, [10, 25, 50, 75, 90, 100]);
+        assert.equal(job.attrs.result.metadata.source, 'local');
+        assert.equal(job.attrs.result.metadata.previousAnalysis, null);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.status, 'completed');
+        assert.equal(metric.progress, 100);
+    });
+
+    it('leaves a README symlinked outside the repository out of the prompt and report', async () => {
+        const secret = path.join(root, 'secret.env');
+        fs.writeFileSync(secret, 'DATABASE_PASSWORD=hunter2\n');
+        const linked = path.join(root, 'linked');
+        fs.cpSync(repository, linked, { recursive: true });
+        fs.rmSync(path.join(linked, 'README.md'));
+        fs.symlinkSync(secret, path.join(linked, 'README.md'));
+        execFileSync('git', ['commit', '-q', '-am', 'Link README'], {
+            cwd: linked,
+            env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+        });
+
+        const created = await createJob('github-analysis', {
+            repository: linked,
+            analysisType: 'full',
+            options: {},
+            tenantId: 'tenant-a',
+            createdBy: 'key-a'
+        });
+
+        const job = await runJob(created.attrs._id);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        const prompts = alchemystService.generateAnalysis.mock.calls.map(call => call.arguments[0]);
+        assert.ok(prompts.length > 0);
+        assert.ok(prompts.every(prompt => !prompt.includes('hunter2')));
+        assert.ok(!JSON.stringify(job.attrs.result).includes('hunter2'));
+    });
+
+    it('fails the job for a path outside LOCAL_REPOSITORY_ROOTS', async () => {
+        const created = await createJob('github-analysis', {
+            repository: os.homedir(),
+            analysisType: 'full',
+            options: {},
+            tenantId: 'tenant-a',
+            createdBy: 'key-a'
+        });
+
+        const job = await runJob(created.attrs._id);
+
+        assert.match(job.attrs.failReason, /outside LOCAL_REPOSITORY_ROOTS/);
+        assert.deepEqual(progress, [10]);
+    });
+});
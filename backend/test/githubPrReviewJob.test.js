@@ -0,0 +1,134 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { startGitHubStub } = require('./helpers/githubStub');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const alchemystService = require('../src/services/alchemystService');
+const socketService = require('../src/services/socketService');
+const { createJob } = require('../src/config/agenda');
+
+const PULL_REQUEST = {
+    number: 7,
+    title: 'Add retry to the HTTP client',
+    body: 'Retries failed requests.',
+    state: 'open',
+    user: { login: 'octocat' },
+    base: { ref: 'main', repo: { name: 'app', owner: { login: 'octo' } } },
+    head: { ref: 'retry', sha: 'abc123' },
+    commits: 1,
+    additions: 3,
+    deletions: 0,
+    changed_files: 2
+};
+
+const FILES = [
+    { filename: 'src/client.js', status: 'modified', additions: 3, deletions: 0, patch: '@@ -1,2 +1,5 @@\n const get = () => {};\n+const retry = (fn) => {\n+    while (true) fn();\n+};\n module.exports = get;' },
+    { filename: 'package-lock.json', status: 'modified', additions: 10, deletions: 2, patch: '@@ -1 +1 @@\n-{}\n+{}' }
+];
+
+const FINDINGS = JSON.stringify({
+    findings: [{
+        file: 'src/client.js',
+        line: 3,
+        severity: 'high',
+        category: 'bug',
+        title: 'Retry loop never ends',
+        comment: 'The loop has no exit condition.',
+        suggestion: 'Cap the number of attempts.'
+    }]
+});
+
+const jobData = (options = {}) => ({
+    pullRequest: 'https://github.com/octo/app/pull/7',
+    options,
+    requestId: 'req_test',
+    createdAt: new Date(),
+    tenantId: 'tenant-a',
+    createdBy: 'key-a',
+    githubToken: null
+});
+
+describe('github-pr-review processor against a local GitHub stub', () => {
+    let database;
+    let stub;
+    let progress;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        stub = await startGitHubStub({
+            'GET /repos/octo/app/pulls/7': () => ({ body: PULL_REQUEST }),
+            'GET /repos/octo/app/pulls/7/files': () => ({ body: FILES }),
+            'GET /repos/octo/app/pulls/7/comments': () => ({ body: [] }),
+            'POST /repos/octo/app/pulls/7/reviews': () => ({ status: 200, body: { id: 99, html_url: 'https://github.com/octo/app/pull/7#review-99' } })
+        });
+    });
+
+    after(() => stub.close());
+
+    beforeEach(() => {
+        database.reset();
+        stub.requests.length = 0;
+        progress = [];
+        process.env.GITHUB_TOKEN = 'test-token';
+        mock.method(alchemystService, 'generateAnalysis', async (prompt) => ({
+            content: prompt.includes('Review the following changes') ? FINDINGS : 'Adds a retry helper that never stops retrying.',
+            tokens: 200,
+            cost: 0.003
+        }));
+        mock.method(socketService, 'emitJobProgress', (jobId, value) => progress.push(value));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete process.env.GITHUB_TOKEN;
+        delete process.env.GITHUB_REVIEW_POSTING;
+    });
+
+    it('reviews the diff, reports progress and posts an inline review', async () => {
+        const created = await createJob('github-pr-review', jobData({ postReview: true }));
+        const jobId = String(created.attrs._id);
+
+        const job = await runJob(jobId);
+
+        assert.equal(job.attrs.failedAt, undefined);
+        assert.equal(job.attrs.progress, 100);
+        assert.deepEqual(progress, [10, 25, 80, 90, 95, 100]);
+
+        const { report, review } = job.attrs.result;
+        assert.deepEqual(report.findings.map(finding => [finding.file, finding.line, finding.anchored]), [['src/client.js', 3, true]]);
+        assert.equal(report.files.find(file => file.path === 'package-lock.json').skipped, 'generated');
+        assert.equal(review.posted, true);
+        assert.equal(review.reviewId, 99);
+
+        const [posted] = stub.requestsTo('/repos/octo/app/pulls/7/reviews', 'POST');
+        assert.equal(posted.body.event, 'COMMENT');
+        assert.equal(posted.body.commit_id, 'abc123');
+        assert.deepEqual(posted.body.comments.map(comment => [comment.path, comment.line, comment.side]), [['src/client.js', 3, 'RIGHT']]);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.status, 'completed');
+        assert.equal(metric.progress, 100);
+        assert.equal(metric.api_calls, 2);
+    });
+
+    it('returns the payload without posting in dry-run mode', async () => {
+        process.env.GITHUB_REVIEW_POSTING = 'dry-run';
+        const created = await createJob('github-pr-review', jobData({ postReview: true }));
+
+        const job = await runJob(created.attrs._id);
+
+        assert.equal(job.attrs.result.review.posted, false);
+        assert.equal(job.attrs.result.review.payload.comments.length, 1);
+        assert.equal(stub.requestsTo('/repos/octo/app/pulls/7/reviews', 'POST').length, 0);
+    });
+
+    it('fails the job when the pull request does not exist', async () => {
+        const created = await createJob('github-pr-review', { ...jobData(), pullRequest: 'https://github.com/octo/app/pull/8' });
+
+        const job = await runJob(created.attrs._id);
+
+        assert.ok(job.attrs.failedAt);
+        const metric = await database.collection('job_metrics').findOne({ job_id: String(created.attrs._id) });
+        assert.equal(metric.status, 'failed');
+    });
+});
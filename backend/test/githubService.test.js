@@ -0,0 +1,102 @@
+const { setupTestEnvironment } = require('./helpers');
+const { startGitHubStub } = require('./helpers/githubStub');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const githubService = require('../src/services/githubService');
+
+const contributorsPage = (stub, page, last) => ({
+    body: [{ login: `user${page}`, contributions: 10 - page }],
+    headers: page < last ? { link: `<${stub.baseUrl}/repos/octo/app/contributors?per_page=100&page=${page + 1}>; rel="next"` } : {}
+});
+
+describe('githubService against a local GitHub stub', () => {
+    let database;
+    let stub;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+        stub = await startGitHubStub({
+            'GET /repos/octo/app': () => ({ body: { name: 'app', owner: { login: 'octo' } } }),
+            'GET /repos/octo/app/contributors': (request, self) => contributorsPage(self, parseInt(request.query.page || '1'), 3),
+            'GET /repos/octo/elsewhere/contributors': () => ({
+                body: [{ login: 'user1', contributions: 1 }],
+                headers: { link: '<https://evil.example.com/steal?page=2>; rel="next"' }
+            })
+        });
+    });
+
+    after(() => stub.close());
+
+    beforeEach(() => {
+        database.reset();
+        stub.requests.length = 0;
+    });
+
+    it('revalidates a cached response with its ETag and serves the 304 from the cache', async () => {
+        const first = await githubService.getConnection('https://github.com/octo/app');
+        const fresh = await githubService.get(first, '/repos/octo/app');
+        assert.equal(fresh.fromCache, undefined);
+        assert.deepEqual(first.stats, { requests: 1, cacheHits: 0, rateLimitRemaining: 4999 });
+
+        const second = await githubService.getConnection('https://github.com/octo/app');
+        const cached = await githubService.get(second, '/repos/octo/app');
+
+        assert.equal(cached.fromCache, true);
+        assert.deepEqual(cached.data, fresh.data);
+        assert.deepEqual(second.stats, { requests: 1, cacheHits: 1, rateLimitRemaining: 4999 });
+
+        const [, revalidation] = stub.requestsTo('/repos/octo/app');
+        assert.equal(revalidation.headers['if-none-match'], fresh.headers.etag);
+    });
+
+    it('keeps cache entries apart per token', async () => {
+        process.env.GITHUB_TOKEN = 'token-one';
+        await githubService.get(await githubService.getConnection('https://github.com/octo/app'), '/repos/octo/app');
+
+        process.env.GITHUB_TOKEN = 'token-two';
+        const other = await githubService.getConnection('https://github.com/octo/app');
+        await githubService.get(other, '/repos/octo/app');
+        delete process.env.GITHUB_TOKEN;
+
+        assert.equal(other.stats.cacheHits, 0);
+        assert.equal(stub.requestsTo('/repos/octo/app')[1].headers['if-none-match'], undefined);
+        assert.equal(stub.requestsTo('/repos/octo/app')[1].headers.authorization, 'Bearer token-two');
+    });
+
+    it('follows Link rel="next" through every page of contributors', async () => {
+        const connection = await githubService.getConnection('https://github.com/octo/app');
+        const contributors = await githubService.getAllPages(connection, '/repos/octo/app/contributors', { params: { per_page: 100 } });
+
+        assert.deepEqual(contributors.map(contributor => contributor.login), ['user1', 'user2', 'user3']);
+        assert.deepEqual(stub.requestsTo('/repos/octo/app/contributors').map(request => request.query.page || '1'), ['1', '2', '3']);
+        assert.equal(stub.requestsTo('/repos/octo/app/contributors')[0].query.per_page, '100');
+    });
+
+    it('answers an unchanged list entirely from the cache on the next run', async () => {
+        const first = await githubService.getConnection('https://github.com/octo/app');
+        await githubService.getAllPages(first, '/repos/octo/app/contributors', { params: { per_page: 100 } });
+
+        const second = await githubService.getConnection('https://github.com/octo/app');
+        const contributors = await githubService.getAllPages(second, '/repos/octo/app/contributors', { params: { per_page: 100 } });
+
+        assert.equal(contributors.length, 3);
+        assert.equal(second.stats.requests, 3);
+        assert.equal(second.stats.cacheHits, 3);
+    });
+
+    it('stops at maxPages', async () => {
+        const connection = await githubService.getConnection('https://github.com/octo/app');
+        const contributors = await githubService.getAllPages(connection, '/repos/octo/app/contributors', { maxPages: 2 });
+
+        assert.deepEqual(contributors.map(contributor => contributor.login), ['user1', 'user2']);
+    });
+
+    it('does not follow pagination links to another host', async () => {
+        const connection = await githubService.getConnection('https://github.com/octo/elsewhere');
+        const contributors = await githubService.getAllPages(connection, '/repos/octo/elsewhere/contributors');
+
+        assert.equal(contributors.length, 1);
+        assert.equal(connection.stats.requests, 1);
+    });
+});
@@ -0,0 +1,38 @@
+// backend/test/helpers/agenda.js
+// Agenda on the fake database. initializeAgenda() runs as it does in production - same
+// processors, same event listeners - but nothing polls for jobs: tests run them with
+// job.run(), which goes through the full start/success/fail/complete lifecycle.
+const Agenda = require('agenda');
+const mongoose = require('mongoose');
+
+// Installed when the helpers are first required, so src/config/agenda.js picks it up
+// however early a test file requires it. It uses whichever fake database is connected
+const useFakeAgenda = () => {
+    class TestAgenda extends Agenda {
+        constructor(config) {
+            super({ ...config, db: undefined, mongo: mongoose.connection.db.withLegacyResults() });
+        }
+
+        async start() {}
+    }
+
+    require.cache[require.resolve('agenda')].exports = TestAgenda;
+};
+
+// Listeners write metrics and audit events without awaiting them - let them finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Run a job by ID through its processor, as Agenda would when it comes due
+const runJob = async (jobId) => {
+    const { getJobStatus } = require('../../src/config/agenda');
+    const job = await getJobStatus(String(jobId));
+    await job.run();
+    await settle();
+    return getJobStatus(String(jobId));
+};
+
+module.exports = {
+    useFakeAgenda,
+    settle,
+    runJob
+};
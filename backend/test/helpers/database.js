@@ -0,0 +1,297 @@
+// backend/test/helpers/database.js
+// In-memory stand-in for MongoDB. Queries, updates and aggregation pipelines are run by
+// mingo; the collection API covers what the services and Agenda call. It is connected
+// through connectDatabase(), so the real config/database.js helpers are exercised.
+require('mingo/init/system');
+const { Query, Aggregator, update: applyUpdate } = require('mingo');
+const { ObjectId } = require('mongodb');
+const mongoose = require('mongoose');
+
+// Deep copy that keeps ObjectIds, Dates and Buffers usable (structuredClone would not).
+// undefined becomes null, as the driver serializes it by default
+const clone = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return new Date(value);
+    if (value instanceof ObjectId || Buffer.isBuffer(value) || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(clone);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const isOperatorObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) &&
+    !(value instanceof ObjectId) && Object.keys(value).some(key => key.startsWith('$'));
+
+const setPath = (document, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => (current[key] = current[key] ?? {}), document);
+    parent[last] = value;
+};
+
+const sortDocuments = (documents, sort) => {
+    if (!sort || Object.keys(sort).length === 0) return documents;
+    return new Aggregator([{ $sort: sort }]).run(documents);
+};
+
+class FakeCursor {
+    constructor(load) {
+        this.load = load;
+        this.options = { sort: null, skip: 0, limit: 0, projection: null };
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    skip(skip) { this.options.skip = skip; return this; }
+    limit(limit) { this.options.limit = limit; return this; }
+    project(projection) { this.options.projection = projection; return this; }
+    batchSize() { return this; }
+
+    async toArray() {
+        const { sort, skip, limit, projection } = this.options;
+        let documents = sortDocuments(this.load(), sort).slice(skip || 0);
+        if (limit) documents = documents.slice(0, limit);
+        if (projection && Object.keys(projection).length > 0) {
+            documents = new Aggregator([{ $project: projection }]).run(documents);
+        }
+        return documents.map(clone);
+    }
+
+    async hasNext() {
+        return (await this.toArray()).length > 0;
+    }
+
+    stream() {
+        const { Readable } = require('stream');
+        return Readable.from(this);
+    }
+
+    async *[Symbol.asyncIterator]() {
+        yield* await this.toArray();
+    }
+}
+
+class FakeCollection {
+    constructor(name, database) {
+        this.collectionName = name;
+        this.database = database;
+        this.documents = [];
+    }
+
+    match(filter = {}) {
+        const query = new Query(filter);
+        return this.documents.filter(document => query.test(document));
+    }
+
+    find(filter = {}, options = {}) {
+        const cursor = new FakeCursor(() => this.match(filter));
+        if (options.sort) cursor.sort(options.sort);
+        if (options.skip) cursor.skip(options.skip);
+        if (options.limit) cursor.limit(options.limit);
+        if (options.projection) cursor.project(options.projection);
+        return cursor;
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [document] = await this.find(filter, { ...options, limit: 1 }).toArray();
+        return document || null;
+    }
+
+    async insertOne(document) {
+        const stored = clone(document);
+        stored._id = stored._id ?? new ObjectId();
+        this.documents.push(stored);
+        document._id = stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(documents) {
+        const insertedIds = {};
+        for (const [index, document] of documents.entries()) {
+            insertedIds[index] = (await this.insertOne(document)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: documents.length, insertedIds };
+    }
+
+    applyUpdate(document, update, inserting) {
+        for (const [operator, fields] of Object.entries(clone(update))) {
+            if (operator === '$setOnInsert') {
+                if (inserting) applyUpdate(document, { $set: fields });
+                continue;
+            }
+            applyUpdate(document, { [operator]: fields });
+        }
+    }
+
+    upsertDocument(filter, update) {
+        const document = {};
+        for (const [path, value] of Object.entries(filter)) {
+            if (!path.startsWith('$') && !isOperatorObject(value)) setPath(document, path, clone(value));
+        }
+        this.applyUpdate(document, update, true);
+        document._id = document._id ?? new ObjectId();
+        this.documents.push(document);
+        return document;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const [document] = sortDocuments(this.match(filter), options.sort);
+        if (!document) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const inserted = this.upsertDocument(filter, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+
+        const before = JSON.stringify(document);
+        this.applyUpdate(document, update, false);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: JSON.stringify(document) === before ? 0 : 1, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const documents = this.match(filter);
+        if (documents.length === 0 && options.upsert) return this.updateOne(filter, update, options);
+
+        let modifiedCount = 0;
+        for (const document of documents) {
+            const before = JSON.stringify(document);
+            this.applyUpdate(document, update, false);
+            if (JSON.stringify(document) !== before) modifiedCount += 1;
+        }
+        return { acknowledged: true, matchedCount: documents.length, modifiedCount, upsertedCount: 0 };
+    }
+
+    async replaceOne(filter, replacement, options = {}) {
+        const [document] = this.match(filter);
+        if (!document) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+            const { insertedId } = await this.insertOne({ ...clone(replacement), _id: replacement._id ?? filter._id });
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+        }
+
+        const { _id } = document;
+        Object.keys(document).forEach(key => delete document[key]);
+        Object.assign(document, clone(replacement), { _id });
+        return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+
+    // Driver 6 returns the document; driver 4 (Agenda's) wraps it in { value }
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [existing] = sortDocuments(this.match(filter), options.sort);
+        let document = existing;
+        const before = existing ? clone(existing) : null;
+
+        if (existing) {
+            this.applyUpdate(existing, update, false);
+        } else if (options.upsert) {
+            document = this.upsertDocument(filter, update);
+        }
+
+        const returned = options.returnDocument === 'after' ? document : before;
+        const value = returned ? clone(returned) : null;
+        return this.database.legacyResults || options.includeResultMetadata ? { value, ok: 1 } : value;
+    }
+
+    async deleteOne(filter = {}) {
+        const [document] = this.match(filter);
+        if (document) this.documents.splice(this.documents.indexOf(document), 1);
+        return { acknowledged: true, deletedCount: document ? 1 : 0 };
+    }
+
+    async deleteMany(filter = {}) {
+        const matched = new Set(this.match(filter));
+        this.documents = this.documents.filter(document => !matched.has(document));
+        return { acknowledged: true, deletedCount: matched.size };
+    }
+
+    async countDocuments(filter = {}) {
+        return this.match(filter).length;
+    }
+
+    async estimatedDocumentCount() {
+        return this.documents.length;
+    }
+
+    async distinct(field, filter = {}) {
+        return [...new Set(this.match(filter).map(document => document[field]))];
+    }
+
+    aggregate(pipeline = []) {
+        return new FakeCursor(() => new Aggregator(pipeline).run(this.documents.map(clone)));
+    }
+
+    async bulkWrite(operations) {
+        for (const operation of operations) {
+            const [type, { filter, update, replacement, document, upsert }] = Object.entries(operation)[0];
+            if (type === 'insertOne') await this.insertOne(document);
+            if (type === 'updateOne') await this.updateOne(filter, update, { upsert });
+            if (type === 'updateMany') await this.updateMany(filter, update, { upsert });
+            if (type === 'replaceOne') await this.replaceOne(filter, replacement, { upsert });
+            if (type === 'deleteOne') await this.deleteOne(filter);
+            if (type === 'deleteMany') await this.deleteMany(filter);
+        }
+        return { acknowledged: true };
+    }
+
+    async indexes() {
+        return [];
+    }
+
+    // Indexes aren't enforced; Agenda passes a callback, the app awaits
+    createIndex(spec, options, callback) {
+        if (typeof callback === 'function') {
+            callback(null, options?.name || 'index');
+            return undefined;
+        }
+        return Promise.resolve(options?.name || 'index');
+    }
+}
+
+class FakeDatabase {
+    constructor({ collections = new Map(), legacyResults = false } = {}) {
+        this.collections = collections;
+        this.legacyResults = legacyResults;
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(name, this));
+        return this.collections.get(name);
+    }
+
+    // The same collections, answering like the MongoDB 4 driver Agenda is built against
+    withLegacyResults() {
+        return new FakeDatabase({ collections: this.collections, legacyResults: true });
+    }
+
+    listCollections(filter = {}) {
+        const names = [...this.collections.keys()].filter(name => !filter.name || name === filter.name);
+        return new FakeCursor(() => names.map(name => ({ name, type: 'collection' })));
+    }
+
+    async createCollection(name) {
+        return this.collection(name);
+    }
+
+    // Every collection emptied, between tests
+    reset() {
+        for (const collection of this.collections.values()) collection.documents = [];
+    }
+
+    admin() {
+        return { ping: async () => ({ ok: 1 }) };
+    }
+}
+
+// Point config/database.js at a fresh FakeDatabase and run its normal connect path
+const connectFakeDatabase = async () => {
+    const database = new FakeDatabase();
+    mongoose.connect = async () => {
+        mongoose.connection.db = database;
+        return { connection: { host: 'memory', port: 0, name: 'test' } };
+    };
+
+    const { connectDatabase } = require('../../src/config/database');
+    await connectDatabase();
+    return database;
+};
+
+module.exports = {
+    FakeDatabase,
+    connectFakeDatabase
+};
@@ -0,0 +1,62 @@
+// backend/test/helpers/githubStub.js
+// Local stand-in for the GitHub REST API, picked up through GITHUB_API_URL. Routes map
+// "METHOD /path" to a handler returning { status, body, headers }. GET responses carry
+// an ETag and answer a matching If-None-Match with 304, as GitHub does.
+const crypto = require('crypto');
+const http = require('http');
+
+const startGitHubStub = async (routes) => {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let rawBody = '';
+        for await (const chunk of req) rawBody += chunk;
+
+        const request = {
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body: rawBody ? JSON.parse(rawBody) : null
+        };
+        requests.push(request);
+
+        const handler = routes[`${req.method} ${url.pathname}`];
+        const { status = 200, body = null, headers = {} } = handler
+            ? await handler(request, stub)
+            : { status: 404, body: { message: 'Not Found' } };
+
+        const payload = typeof body === 'string' ? body : JSON.stringify(body);
+        const etag = `"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+        const responseHeaders = { 'content-type': 'application/json', 'x-ratelimit-remaining': '4999', ...headers };
+
+        if (req.method === 'GET' && status === 200) {
+            responseHeaders.etag = etag;
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304, responseHeaders);
+                return res.end();
+            }
+        }
+
+        res.writeHead(status, responseHeaders);
+        res.end(payload);
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const stub = {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        // Requests whose path matches, e.g. stub.requestsTo('/repos/o/r/contributors')
+        requestsTo: (path, method = 'GET') => requests.filter(request => request.path === path && request.method === method),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+    process.env.GITHUB_API_URL = stub.baseUrl;
+
+    return stub;
+};
+
+module.exports = {
+    startGitHubStub
+};
@@ -0,0 +1,38 @@
+// backend/test/helpers/http.js
+// Mounts one router on a local Express app, behind a stand-in for the auth middleware
+// that attaches the given API key, and sends requests to it: objects as JSON, strings
+// and FormData as they are.
+const express = require('express');
+
+const startApp = async (mountPath, router, apiKey) => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.apiKey = apiKey;
+        next();
+    });
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        request: async (method, path, body, headers = {}) => {
+            const json = body && typeof body !== 'string' && !(body instanceof FormData);
+            const response = await fetch(baseUrl + mountPath + path, {
+                method,
+                headers: json ? { 'content-type': 'application/json', ...headers } : headers,
+                body: json ? JSON.stringify(body) : body
+            });
+            const isJson = response.headers.get('content-type')?.includes('application/json');
+            return { status: response.status, headers: response.headers, body: isJson ? await response.json() : await response.text() };
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+module.exports = {
+    startApp
+};
@@ -0,0 +1,49 @@
+// backend/test/helpers/index.js
+// Require this first in every test file: it sets the environment before any module
+// under src/ reads it.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SECRETS_ENCRYPTION_KEY = process.env.SECRETS_ENCRYPTION_KEY || 'test-secrets-key';
+process.env.ALCHEMYST_API_KEY = process.env.ALCHEMYST_API_KEY || 'test-alchemyst-key';
+delete process.env.ADMIN_API_KEY;
+
+const { FakeDatabase, connectFakeDatabase } = require('./database');
+const { useFakeAgenda, settle, runJob } = require('./agenda');
+const { connectFakeRabbitMQ, publishedMessages } = require('./rabbitmq');
+
+useFakeAgenda();
+
+// Fake database, and optionally Agenda on top of it with every processor defined and
+// a RabbitMQ connection for the job services to publish to
+const setupTestEnvironment = async ({ agenda = false, rabbitmq = false } = {}) => {
+    const database = await connectFakeDatabase();
+
+    if (rabbitmq) {
+        await connectFakeRabbitMQ();
+    }
+
+    if (agenda) {
+        const { initializeAgenda } = require('../../src/config/agenda');
+        await initializeAgenda();
+    }
+
+    return database;
+};
+
+// An API key as the auth middleware attaches it to a request
+const apiKey = (overrides = {}) => ({
+    id: 'key-' + Math.random().toString(36).slice(2, 10),
+    name: 'Test key',
+    scopes: ['admin'],
+    tenantId: 'tenant-a',
+    quota: null,
+    ...overrides
+});
+
+module.exports = {
+    FakeDatabase,
+    setupTestEnvironment,
+    settle,
+    runJob,
+    publishedMessages,
+    apiKey
+};
@@ -0,0 +1,38 @@
+// backend/test/helpers/rabbitmq.js
+// In-memory RabbitMQ connection for config/rabbitmq.js: exchanges and queues are accepted
+// and ignored, published messages are kept so tests can look at them.
+const amqp = require('amqplib');
+const { EventEmitter } = require('events');
+
+const publishedMessages = [];
+
+const fakeChannel = {
+    assertExchange: async () => ({}),
+    assertQueue: async (queue) => ({ queue, messageCount: 0, consumerCount: 0 }),
+    bindQueue: async () => ({}),
+    deleteQueue: async () => ({ messageCount: 0 }),
+    prefetch: async () => {},
+    publish: (exchange, routingKey, content, options) => {
+        publishedMessages.push({ exchange, routingKey, message: JSON.parse(content.toString()), options });
+        return true;
+    },
+    consume: async () => ({ consumerTag: 'test' }),
+    ack: () => {},
+    nack: () => {},
+    close: async () => {}
+};
+
+const connectFakeRabbitMQ = async () => {
+    amqp.connect = async () => Object.assign(new EventEmitter(), {
+        createChannel: async () => fakeChannel,
+        close: async () => {}
+    });
+
+    const { connectRabbitMQ } = require('../../src/config/rabbitmq');
+    await connectRabbitMQ();
+};
+
+module.exports = {
+    connectFakeRabbitMQ,
+    publishedMessages
+};
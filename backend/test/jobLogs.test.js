@@ -0,0 +1,105 @@
+const { setupTestEnvironment, settle, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const logger = require('../src/utils/logger');
+const jobLogService = require('../src/services/jobLogService');
+const socketService = require('../src/services/socketService');
+const { runWithJobContext } = require('../src/utils/jobContext');
+const { createJob } = require('../src/config/agenda');
+
+const jobData = (tenantId) => ({ document: 'Text.', summaryType: 'brief', options: {}, tenantId, createdBy: 'key-a', createdAt: new Date() });
+
+describe('job execution logs', () => {
+    let database;
+    let app;
+    let level;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        app = await startApp('/api/jobs', require('../src/routes/jobs'), apiKey());
+        level = logger.level;
+        logger.level = 'debug';
+    });
+
+    after(async () => {
+        logger.level = level;
+        await app.close();
+    });
+
+    beforeEach(() => database.reset());
+
+    // Log lines written while a job runs, captured by the job log transport
+    const logDuringJob = async (job) => {
+        await runWithJobContext(job, async () => {
+            logger.info('Fetching document');
+            await Promise.resolve();
+            logger.warn('Document is \u001b[33mlong\u001b[39m', { characters: 120000 });
+            logger.debug('Chunked', { chunks: 6 });
+        });
+        logger.info('Outside any job');
+        await settle();
+    };
+
+    it('stores lines logged inside the job context, oldest first and without colour codes', async () => {
+        const emitted = [];
+        mock.method(socketService, 'emitJobLog', (jobId, entry) => emitted.push(jobId));
+        const job = await createJob('document-summary', jobData('tenant-a'));
+        const jobId = String(job.attrs._id);
+
+        await logDuringJob(job);
+        mock.restoreAll();
+
+        const { logs, total } = await jobLogService.getLogs(jobId);
+        // The first line is createJob's own, logged with the new job's ID
+        assert.equal(total, 4);
+        assert.deepEqual(logs.map(entry => [entry.level, entry.message]), [
+            ['info', '📋 USER JOB CREATED: document-summary'],
+            ['info', 'Fetching document'],
+            ['warn', 'Document is long'],
+            ['debug', 'Chunked']
+        ]);
+        assert.deepEqual(logs[2].meta, { characters: 120000 });
+        assert.deepEqual(emitted, [jobId, jobId, jobId, jobId]);
+
+        const stored = await database.collection('job_logs').findOne({ job_id: jobId, message: 'Fetching document' });
+        assert.equal(stored.tenant_id, 'tenant-a');
+    });
+
+    it('filters by level and time', async () => {
+        const job = await createJob('document-summary', jobData('tenant-a'));
+        const jobId = String(job.attrs._id);
+        await logDuringJob(job);
+
+        const warnings = await jobLogService.getLogs(jobId, { level: 'warn' });
+        assert.deepEqual(warnings.logs.map(entry => entry.message), ['Document is long']);
+
+        const { logs } = await jobLogService.getLogs(jobId, { limit: 1, skip: 2 });
+        assert.deepEqual(logs.map(entry => entry.message), ['Document is long']);
+
+        const later = await jobLogService.getLogs(jobId, { since: new Date(Date.now() + 1000) });
+        assert.equal(later.total, 0);
+    });
+
+    describe('GET /:id/logs', () => {
+        it('returns the logs of one of the tenant\'s jobs', async () => {
+            const job = await createJob('document-summary', jobData('tenant-a'));
+            await logDuringJob(job);
+
+            const { status, body } = await app.request('GET', `/${job.attrs._id}/logs?level=info`);
+
+            assert.equal(status, 200);
+            assert.equal(body.jobId, String(job.attrs._id));
+            assert.deepEqual(body.logs.map(entry => entry.message).slice(1), ['Fetching document', 'Document is long']);
+        });
+
+        it('hides other tenants\' jobs and rejects bad filters', async () => {
+            const job = await createJob('document-summary', jobData('tenant-b'));
+
+            assert.equal((await app.request('GET', `/${job.attrs._id}/logs`)).status, 404);
+            assert.deepEqual(await app.request('GET', `/${job.attrs._id}/logs?level=verbose`).then(({ status, body }) => [status, body.error]), [400, 'Invalid level: verbose']);
+            assert.deepEqual(await app.request('GET', `/${job.attrs._id}/logs?since=soon`).then(({ status, body }) => [status, body.error]), [400, 'since must be a valid date']);
+        });
+    });
+});
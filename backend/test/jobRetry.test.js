@@ -0,0 +1,88 @@
+const { setupTestEnvironment, runJob, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { startGitHubStub } = require('./helpers/githubStub');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { connectDatabase } = require('../src/config/database');
+const { getJobStatus } = require('../src/config/agenda');
+const jobService = require('../src/services/jobService');
+const { decryptSecret, isEncryptedSecret } = require('../src/utils/secrets');
+const { getOwner } = require('../src/utils/tenancy');
+
+describe('retrying a job submitted with a GitHub token', () => {
+    let database;
+    let stub;
+    let app;
+    const key = apiKey();
+
+    const createReview = async () => {
+        const created = await jobService.createGitHubPrReviewJob(
+            { pullRequest: 'https://github.com/octo/app/pull/7', githubToken: 'ghp_secret' },
+            getOwner(key)
+        );
+        return String(created.id);
+    };
+
+    // The stub has no such pull request, so the review fails
+    const createFailedReview = async () => {
+        const jobId = await createReview();
+        await runJob(jobId);
+        return jobId;
+    };
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true, rabbitmq: true });
+        stub = await startGitHubStub({});
+        app = await startApp('/api/jobs', require('../src/routes/jobs'), key);
+    });
+
+    after(async () => {
+        await app.close();
+        await stub.close();
+    });
+
+    beforeEach(() => database.reset());
+
+    it('resubmits the stored token, not the masked one', async () => {
+        const jobId = await createFailedReview();
+        const original = await getJobStatus(jobId);
+
+        const { status, body } = await app.request('POST', `/${jobId}/retry`);
+
+        assert.equal(status, 200);
+        assert.equal(body.newJob.data.githubToken, '[encrypted]');
+
+        const retried = await getJobStatus(String(body.newJob.id));
+        assert.ok(isEncryptedSecret(retried.attrs.data.githubToken));
+        assert.equal(retried.attrs.data.githubToken, original.attrs.data.githubToken);
+        assert.equal(decryptSecret(retried.attrs.data.githubToken), 'ghp_secret');
+    });
+
+    it('keeps the token out of job metrics and GET /jobs/:id', async () => {
+        const jobId = await createReview();
+        const { attrs } = await getJobStatus(jobId);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.metadata.githubToken, undefined);
+        assert.equal(metric.metadata.pullRequest, 'https://github.com/octo/app/pull/7');
+
+        const { status, body } = await app.request('GET', `/${jobId}`);
+
+        assert.equal(status, 200);
+        assert.equal(body.job.data.githubToken, '[encrypted]');
+        assert.equal(JSON.stringify(body).includes(attrs.data.githubToken), false);
+    });
+
+    it('removes tokens already copied into metrics at startup', async () => {
+        const jobId = await createReview();
+        const { attrs } = await getJobStatus(jobId);
+        await database.collection('job_metrics').updateOne({ job_id: jobId }, { $set: { 'metadata.githubToken': attrs.data.githubToken } });
+
+        await connectDatabase();
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: jobId });
+        assert.equal(metric.metadata.githubToken, undefined);
+        assert.equal(metric.metadata.pullRequest, 'https://github.com/octo/app/pull/7');
+    });
+});
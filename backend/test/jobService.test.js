@@ -0,0 +1,95 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJob, getAgenda, getJobStatus } = require('../src/config/agenda');
+const jobService = require('../src/services/jobService');
+
+// One job in each state Agenda leaves behind, all for tenant-a
+const createJobsInEveryState = async () => {
+    const owner = { tenantId: 'tenant-a', createdBy: 'key-a', createdAt: new Date() };
+
+    const pending = await createJob('test-succeeds', owner);
+    const completed = await createJob('test-succeeds', owner);
+    const failed = await createJob('test-fails', owner);
+    const running = await createJob('test-succeeds', owner);
+
+    await runJob(completed.attrs._id);
+    await runJob(failed.attrs._id);
+    await getAgenda()._collection.updateOne({ _id: running.attrs._id }, { $set: { lockedAt: new Date() } });
+
+    return { pending, completed, failed, running };
+};
+
+const remainingStatuses = async () => {
+    const jobs = await getAgenda().jobs({ name: /^test-/ });
+    return jobs.map(job => jobService.getJobStatus(job)).sort();
+};
+
+describe('jobService.clearJobs', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        getAgenda().define('test-succeeds', async () => {});
+        getAgenda().define('test-fails', async () => {
+            throw new Error('boom');
+        });
+    });
+
+    beforeEach(() => database.reset());
+
+    it('leaves finished jobs in the state Agenda stores them, with null lockedAt and nextRunAt', async () => {
+        const { completed } = await createJobsInEveryState();
+        const stored = await database.collection('agendaJobs').findOne({ _id: completed.attrs._id });
+
+        assert.equal(stored.lockedAt, null);
+        assert.equal(stored.nextRunAt, null);
+        assert.ok('lockedAt' in stored);
+    });
+
+    for (const status of ['pending', 'running', 'completed', 'failed']) {
+        it(`counts only ${status} jobs on a dry run`, async () => {
+            const jobs = await createJobsInEveryState();
+
+            const report = await jobService.clearJobs({ status, excludeSystem: true }, { dryRun: true });
+
+            assert.equal(report.matched, 1);
+            assert.deepEqual(report.byType, [{ type: jobs[status].attrs.name, count: 1 }]);
+            assert.deepEqual(report.sample.map(job => String(job.id)), [String(jobs[status].attrs._id)]);
+            assert.equal(report.removed, 0);
+            assert.equal((await remainingStatuses()).length, 4);
+        });
+    }
+
+    it('removes only running jobs and cancels their metrics', async () => {
+        const { running } = await createJobsInEveryState();
+
+        const report = await jobService.clearJobs({ status: 'running' }, { dryRun: false });
+
+        assert.equal(report.removed, 1);
+        assert.equal(await getJobStatus(String(running.attrs._id)), null);
+        assert.deepEqual(await remainingStatuses(), ['completed', 'failed', 'scheduled']);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: String(running.attrs._id) });
+        assert.equal(metric.status, 'cancelled');
+    });
+
+    it('removes only pending jobs', async () => {
+        await createJobsInEveryState();
+
+        const report = await jobService.clearJobs({ status: 'pending' }, { dryRun: false });
+
+        assert.equal(report.removed, 1);
+        assert.deepEqual(await remainingStatuses(), ['completed', 'failed', 'running']);
+    });
+
+    it('keeps other tenants out of a clear', async () => {
+        await createJobsInEveryState();
+
+        const report = await jobService.clearJobs({ tenantId: 'tenant-b' }, { dryRun: false });
+
+        assert.equal(report.matched, 0);
+        assert.equal((await remainingStatuses()).length, 4);
+    });
+});
@@ -0,0 +1,120 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compileSchema, formatSchemaErrors } = require('../src/utils/jsonSchema');
+const alchemystService = require('../src/services/alchemystService');
+const { createJob } = require('../src/config/agenda');
+
+const INVOICE = {
+    type: 'object',
+    required: ['number', 'total'],
+    properties: {
+        number: { type: 'string', pattern: '^INV-[0-9]+$' },
+        total: { type: 'number' },
+        issued: { type: 'string', format: 'date' }
+    }
+};
+
+describe('jsonSchema', () => {
+    describe('compileSchema', () => {
+        it('accepts output that matches the schema', () => {
+            const validate = compileSchema(INVOICE);
+
+            assert.equal(validate({ number: 'INV-42', total: 10.5, issued: '2024-03-31' }), true);
+        });
+
+        it('reports every way the output fails the schema', () => {
+            const validate = compileSchema(INVOICE);
+
+            assert.equal(validate({ number: 'invoice 42', issued: 'yesterday' }), false);
+            assert.deepEqual(formatSchemaErrors(validate.errors).sort(), [
+                '(root) must have required property \'total\'',
+                '/issued must match format "date"',
+                '/number must match pattern "^INV-[0-9]+$"'
+            ]);
+        });
+
+        it('rejects schemas that are not objects, too large or invalid', () => {
+            assert.throws(() => compileSchema(null), /schema must be a JSON Schema object/);
+            assert.throws(() => compileSchema([INVOICE]), /schema must be a JSON Schema object/);
+            assert.throws(() => compileSchema({ description: 'x'.repeat(20001) }), /schema is too large/);
+            assert.throws(() => compileSchema({ type: 'object', required: 'total' }), /Invalid JSON Schema: schema is invalid/);
+        });
+
+        it('runs client patterns without catastrophic backtracking', () => {
+            const validate = compileSchema({
+                type: 'object',
+                properties: { name: { type: 'string', pattern: '^(a+)+$' } },
+                patternProperties: { '^(x+x+)+y$': { type: 'number' } }
+            });
+
+            const started = Date.now();
+            assert.equal(validate({ name: 'a'.repeat(5000) + '!', ['x'.repeat(5000)]: 'not a number' }), false);
+            assert.ok(Date.now() - started < 1000);
+            assert.deepEqual(formatSchemaErrors(validate.errors), ['/name must match pattern "^(a+)+$"']);
+        });
+
+        it('rejects patterns RE2 cannot run', () => {
+            assert.throws(
+                () => compileSchema({ type: 'string', pattern: '^(?=a)a$' }),
+                /Invalid JSON Schema/
+            );
+        });
+    });
+});
+
+describe('document-summary structured extraction', () => {
+    let database;
+    let responses;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+    });
+
+    beforeEach(() => {
+        database.reset();
+        mock.method(alchemystService, 'generateAnalysis', async () => ({ content: responses.shift(), tokens: 50, cost: 0.001 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const extract = async () => {
+        const created = await createJob('document-summary', {
+            document: 'Invoice INV-42 was issued on 31 March 2024 for a total of 10.50 EUR.',
+            summaryType: 'extract',
+            schema: INVOICE,
+            options: {},
+            tenantId: 'tenant-a',
+            createdBy: 'key-a'
+        });
+        return runJob(created.attrs._id);
+    };
+
+    it('retries with the validation errors until the output matches the schema', async () => {
+        responses = [
+            'Here is the data you asked for.',
+            '{"number": "42", "total": "10.50"}',
+            '```json\n{"number": "INV-42", "total": 10.5, "issued": "2024-03-31"}\n```'
+        ];
+
+        const job = await extract();
+
+        assert.equal(job.attrs.failedAt, undefined);
+        assert.deepEqual(job.attrs.result.summary.data, { number: 'INV-42', total: 10.5, issued: '2024-03-31' });
+        assert.deepEqual(job.attrs.result.summary.validation, { valid: true, attempts: 3 });
+
+        const prompts = alchemystService.generateAnalysis.mock.calls.map(call => call.arguments[0]);
+        assert.match(prompts[1], /The response is not valid JSON/);
+        assert.match(prompts[2], /\/number must match pattern/);
+        assert.match(prompts[2], /\/total must be number/);
+    });
+
+    it('fails the job when no attempt matches the schema', async () => {
+        responses = ['{"number": "INV-1"}', '{"number": "INV-1"}', '{"number": "INV-1"}'];
+
+        const job = await extract();
+
+        assert.match(job.attrs.failReason, /no valid result after 3 attempts \(\(root\) must have required property 'total'\)/);
+    });
+});
@@ -0,0 +1,117 @@
+const { setupTestEnvironment, runJob } = require('./helpers');
+const { describe, it, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLanguage, getLanguageName, normaliseLanguageCode, isSameLanguage } = require('../src/utils/language');
+const { preprocessDocument } = require('../src/jobs/documentSummaryJob');
+const alchemystService = require('../src/services/alchemystService');
+const { createJob } = require('../src/config/agenda');
+
+const GERMAN = 'Der Umsatz ist in allen Regionen gestiegen, während die Kosten stabil geblieben sind. ' +
+    'Die Geschäftsführung erwartet für das nächste Quartal ein weiteres Wachstum.';
+const HINDI = 'इस तिमाही में सभी क्षेत्रों में राजस्व बढ़ा है, जबकि लागत स्थिर रही। ' +
+    'प्रबंधन को अगली तिमाही में और वृद्धि की उम्मीद है।';
+
+describe('language', () => {
+    describe('detectLanguage', () => {
+        it('detects the language of a document', () => {
+            assert.deepEqual(
+                [detectLanguage(GERMAN), detectLanguage(HINDI)].map(({ code, name }) => [code, name]),
+                [['de', 'German'], ['hi', 'Hindi']]
+            );
+            assert.ok(detectLanguage(GERMAN).confidence > 0.5);
+        });
+
+        it('samples long documents instead of reading all of them', () => {
+            assert.equal(detectLanguage(GERMAN.repeat(500)).code, 'de');
+        });
+
+        it('returns no language for text too short to tell', () => {
+            assert.deepEqual(detectLanguage('Hallo Welt'), { code: null, name: null, confidence: 0 });
+        });
+    });
+
+    describe('normaliseLanguageCode', () => {
+        it('canonicalises known language codes', () => {
+            assert.equal(normaliseLanguageCode('pt-br'), 'pt-BR');
+            assert.equal(normaliseLanguageCode('DE'), 'de');
+            assert.equal(getLanguageName('pt-BR'), 'Brazilian Portuguese');
+        });
+
+        it('rejects codes that are not languages', () => {
+            assert.throws(() => normaliseLanguageCode('klingon!'), /Unknown language "klingon!"/);
+            assert.throws(() => normaliseLanguageCode('zz'), /Unknown language "zz"/);
+            assert.equal(getLanguageName('zz'), null);
+        });
+    });
+
+    it('compares languages by their base code', () => {
+        assert.equal(isSameLanguage('pt-BR', 'pt'), true);
+        assert.equal(isSameLanguage('de', 'en'), false);
+        assert.equal(isSameLanguage(null, 'en'), false);
+    });
+});
+
+describe('preprocessDocument', () => {
+    it('keeps non-ASCII text and normalises it to composed form', async () => {
+        const decomposed = 'Cafe\u0301 in Zu\u0308rich, \u0926\u0947\u0935\u0928\u093E\u0917\u0930\u0940 and \u4E2D\u6587 \u{1F600}';
+
+        assert.equal(await preprocessDocument(decomposed), 'Café in Zürich, देवनागरी and 中文 😀');
+    });
+
+    it('splits ligatures and drops invisible and broken characters but keeps joiners', async () => {
+        const text = 'E\uFB03cient\u200B \uFFFDflow\u0007 \u0915\u094D\u200D\u0937 \u{1F469}\u200D\u{1F4BB}';
+
+        assert.equal(await preprocessDocument(text), 'Efficient flow \u0915\u094D\u200D\u0937 \u{1F469}\u200D\u{1F4BB}');
+    });
+
+    it('collapses spaces but keeps paragraph breaks', async () => {
+        assert.equal(await preprocessDocument('One  two\t three\r\n\r\n\r\n Four five'), 'One two three\n\nFour\nfive');
+    });
+});
+
+describe('document-summary languages', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+    });
+
+    beforeEach(() => {
+        database.reset();
+        mock.method(alchemystService, 'generateAnalysis', async () => ({ content: 'Der Umsatz ist gestiegen.', tokens: 20, cost: 0.001 }));
+        mock.method(alchemystService, 'translateText', async () => ({ content: 'Revenue grew.', tokens: 10, cost: 0.001 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const summarise = async (targetLanguage = null) => {
+        const created = await createJob('document-summary', {
+            document: GERMAN,
+            summaryType: 'brief',
+            options: { verifyFaithfulness: false },
+            targetLanguage,
+            tenantId: 'tenant-a',
+            createdBy: 'key-a'
+        });
+        return runJob(created.attrs._id);
+    };
+
+    it('writes the summary in the document\'s own language', async () => {
+        const job = await summarise();
+
+        const [prompt] = alchemystService.generateAnalysis.mock.calls[0].arguments;
+        assert.match(prompt, /Write the summary in German, the language of the document\./);
+        assert.equal(alchemystService.translateText.mock.callCount(), 0);
+        assert.deepEqual(job.attrs.result.metadata.language, { detected: 'de', name: 'German', confidence: job.attrs.result.metadata.language.confidence, summaryLanguage: 'de', translated: false });
+    });
+
+    it('translates the summary when another language is requested', async () => {
+        const job = await summarise('en');
+
+        assert.deepEqual(alchemystService.translateText.mock.calls[0].arguments, ['Der Umsatz ist gestiegen.', 'English', 'German']);
+        assert.equal(job.attrs.result.summary.content, 'Revenue grew.');
+        assert.equal(job.attrs.result.metadata.language.summaryLanguage, 'en');
+        assert.equal(job.attrs.result.metadata.language.translated, true);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const pdfExtractor = require('../src/extractors/pdfExtractor');
+const { extractDocument } = require('../src/extractors');
+
+// A minimal PDF with one page per entry, each line drawn in Helvetica
+const createPdf = (pages, title = null) => {
+    const objects = [];
+    const add = (body) => objects.push(body) + 2; // object 1 is the catalog, 2 the page tree
+
+    const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const pageIds = pages.map(lines => {
+        const text = lines.map((line, index) => `BT /F1 12 Tf 72 ${720 - index * 20} Td (${line}) Tj ET`).join('\n');
+        const content = add(`<< /Length ${text.length} >>\nstream\n${text}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`);
+    });
+    const info = title ? add(`<< /Title (${title}) >>`) : null;
+
+    const all = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`,
+        ...objects
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = all.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${all.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${all.length + 1} /Root 1 0 R${info ? ` /Info ${info} 0 R` : ''} >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
+
+describe('pdfExtractor', () => {
+    it('extracts text page by page with page markers', async () => {
+        const pdf = createPdf([
+            ['Quarterly report', 'Revenue grew in every region this quarter.'],
+            [],
+            ['Costs held steady while headcount stayed flat.']
+        ], 'Q1 Report');
+
+        const extracted = await pdfExtractor.extractPdfText(pdf);
+
+        assert.equal(extracted.text, [
+            '[Page 1]\nQuarterly report\nRevenue grew in every region this quarter.',
+            '[Page 3]\nCosts held steady while headcount stayed flat.'
+        ].join('\n\n'));
+        assert.equal(extracted.pageCount, 3);
+        assert.deepEqual(extracted.emptyPages, [2]);
+        assert.equal(extracted.title, 'Q1 Report');
+    });
+
+    it('is picked for PDF bytes whatever the upload was called', async () => {
+        const extracted = await extractDocument(createPdf([['A single page with enough text to count.']]), { contentType: 'application/octet-stream' });
+
+        assert.equal(extracted.format, 'pdf');
+        assert.equal(extracted.details.pageCount, 1);
+    });
+
+    it('rejects PDFs without extractable text as scanned', async () => {
+        await assert.rejects(pdfExtractor.extractPdfText(createPdf([[], ['tiny']])), /no extractable text \(4 characters across 2 pages\).*needs OCR/);
+    });
+
+    it('rejects bytes that are not a PDF', async () => {
+        await assert.rejects(pdfExtractor.extractPdfText(Buffer.from('%PDF-1.4 garbage')), /Could not read PDF/);
+    });
+
+    it('finds page markers and page citations', () => {
+        assert.deepEqual(pdfExtractor.findPageMarkers('[Page 1]\nA\n\n[Page 3]\nB [Page 1]'), [1, 3]);
+        assert.deepEqual(pdfExtractor.findPageCitations('Revenue grew (p. 3). Costs fell (pp. 4–6) and (p. 2, 9). Not (page 7).'), [2, 3, 4, 5, 6, 9]);
+        assert.deepEqual(pdfExtractor.findPageCitations('(pp. 1-100000)').length, 101);
+    });
+});
@@ -0,0 +1,67 @@
+const { setupTestEnvironment, runJob, apiKey } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createJob, getAgenda } = require('../src/config/agenda');
+const quotaService = require('../src/services/quotaService');
+
+describe('quotaService concurrency limit', () => {
+    let database;
+    const key = apiKey({ quota: { maxConcurrentJobs: 1 } });
+
+    // As POST /api/jobs does: check, create, then record the estimate
+    const submit = async (jobType) => {
+        const check = await quotaService.checkSubmission(key, jobType, {});
+        if (!check.allowed) return { check };
+
+        const job = await createJob(jobType, { tenantId: key.tenantId, createdBy: key.id, createdAt: new Date() });
+        await quotaService.recordEstimate(job.attrs._id, check.estimatedCost);
+        return { check, job };
+    };
+
+    before(async () => {
+        database = await setupTestEnvironment({ agenda: true });
+        getAgenda().define('test-succeeds', async () => {});
+        getAgenda().define('test-fails', async () => {
+            throw new Error('boom');
+        });
+    });
+
+    beforeEach(() => database.reset());
+
+    it('frees the slot once a job completes (submit, complete, submit)', async () => {
+        const { job } = await submit('test-succeeds');
+
+        const blocked = await submit('test-succeeds');
+        assert.equal(blocked.check.allowed, false);
+        assert.equal(blocked.check.status, 429);
+
+        await runJob(job.attrs._id);
+
+        const next = await submit('test-succeeds');
+        assert.equal(next.check.allowed, true);
+        assert.equal(next.check.usage.activeJobs, 0);
+    });
+
+    it('keeps one metrics document per job, keyed by the string ID', async () => {
+        const { job } = await submit('test-succeeds');
+        await runJob(job.attrs._id);
+
+        const metrics = await database.collection('job_metrics').find({}).toArray();
+        assert.equal(metrics.length, 1);
+        assert.equal(metrics[0].job_id, String(job.attrs._id));
+        assert.equal(metrics[0].status, 'completed');
+    });
+
+    it('frees the slot when a job fails, and keeps it recorded as failed', async () => {
+        const { job } = await submit('test-fails');
+        await runJob(job.attrs._id);
+
+        const metric = await database.collection('job_metrics').findOne({ job_id: String(job.attrs._id) });
+        assert.equal(metric.status, 'failed');
+        assert.equal(metric.error_message, 'boom');
+
+        const next = await submit('test-succeeds');
+        assert.equal(next.check.allowed, true);
+    });
+});
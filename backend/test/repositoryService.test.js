@@ -0,0 +1,197 @@
+const { setupTestEnvironment, apiKey } = require('./helpers');
+const { startApp } = require('./helpers/http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const repositoryService = require('../src/services/repositoryService');
+
+// A github-analysis result as the job stores it, with the parts a snapshot reads
+const analysisResult = ({ owner = 'octo', name = 'app', score, complexity = 'Medium', processedAt, languages, frameworks, vulnerabilities = [], recommendations = [], stars = 10 }) => ({
+    repository: `https://github.com/${owner}/${name}`,
+    analysisType: 'comprehensive',
+    report: {
+        summary: { owner, repository: name },
+        repository: { url: `https://github.com/${owner}/${name}`, stars, forks: 1, openIssues: 2 },
+        metrics: { analysisScore: score, complexity, maintainability: 'High' },
+        structure: {
+            metrics: { totalFiles: 40, totalDirectories: 5, totalSize: 1000 },
+            languageBreakdown: languages,
+            frameworks,
+            buildTools: ['npm'],
+            ci: ['GitHub Actions'],
+            tests: { files: 4, ratio: 0.1 },
+            contributors: { count: 3 }
+        },
+        dependencies: { totalDependencies: 12, vulnerabilities },
+        recommendations
+    },
+    metadata: { source: 'github', processedAt }
+});
+
+const lodash = { id: 'GHSA-lodash', package: 'lodash', version: '4.17.20', severity: 'high' };
+const qs = { id: 'GHSA-qs', package: 'qs', version: '6.5.2', severity: 'medium' };
+
+const FIRST = analysisResult({
+    score: 60,
+    complexity: 'High',
+    processedAt: new Date('2026-01-01'),
+    languages: [{ language: 'JavaScript', percent: 80 }, { language: 'CSS', percent: 20 }],
+    frameworks: ['Express'],
+    vulnerabilities: [lodash],
+    recommendations: ['Add tests']
+});
+const SECOND = analysisResult({
+    score: 75.5,
+    processedAt: new Date('2026-02-01'),
+    languages: [{ language: 'JavaScript', percent: 70 }, { language: 'TypeScript', percent: 10 }, { language: 'CSS', percent: 20 }],
+    frameworks: ['Express', 'React'],
+    vulnerabilities: [qs],
+    recommendations: ['Add tests', 'Pin dependencies'],
+    stars: 25
+});
+
+const octoApp = { owner: 'Octo', name: 'App' };
+
+const recordBoth = async (tenantId = 'tenant-a') => {
+    await repositoryService.recordAnalysis('job-1', tenantId, FIRST, { recentCommits: [{ sha: 'aaa' }] });
+    return repositoryService.recordAnalysis('job-2', tenantId, SECOND, { recentCommits: [{ sha: 'bbb' }] });
+};
+
+describe('repositoryService', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+    });
+
+    beforeEach(() => database.reset());
+
+    describe('recordAnalysis', () => {
+        it('links each analysis to the previous one of the same repository and tenant', async () => {
+            assert.equal(await repositoryService.recordAnalysis('job-1', 'tenant-a', FIRST), null);
+            assert.equal(await repositoryService.recordAnalysis('job-other', 'tenant-b', SECOND), null);
+
+            const previous = await repositoryService.recordAnalysis('job-2', 'tenant-a', SECOND);
+
+            assert.equal(previous.jobId, 'job-1');
+            assert.equal(previous.analysisScore, 60);
+            const snapshot = await database.collection('repository_analyses').findOne({ job_id: 'job-2' });
+            assert.equal(snapshot.previous_job_id, 'job-1');
+            assert.equal(snapshot.host, 'github.com');
+            assert.equal(snapshot.stats.vulnerabilities, 1);
+        });
+    });
+
+    describe('getHistory', () => {
+        it('charts the analyses oldest first with ratings as numbers and the overall trend', async () => {
+            await recordBoth();
+
+            const history = await repositoryService.getHistory(octoApp, 'tenant-a');
+
+            assert.deepEqual(history.series.jobIds, ['job-1', 'job-2']);
+            assert.deepEqual(history.series.analysisScore, [60, 75.5]);
+            assert.deepEqual(history.series.complexity, [3, 2]);
+            assert.deepEqual(history.trend.analysisScore, { first: 60, latest: 75.5, change: 15.5, min: 60, max: 75.5 });
+            assert.deepEqual(history.trend.stars, { first: 10, latest: 25, change: 15, min: 10, max: 25 });
+            assert.equal(history.analyses[1].previousJobId, 'job-1');
+            assert.deepEqual(history.hosts, ['github.com']);
+        });
+
+        it('keeps other tenants out', async () => {
+            await recordBoth('tenant-b');
+
+            assert.equal(await repositoryService.getHistory(octoApp, 'tenant-a'), null);
+        });
+    });
+
+    describe('diffAnalyses', () => {
+        it('diffs the latest analysis against the one before it', async () => {
+            await recordBoth();
+
+            const diff = await repositoryService.diffAnalyses(octoApp, 'tenant-a');
+
+            assert.equal(diff.from.jobId, 'job-1');
+            assert.equal(diff.to.jobId, 'job-2');
+            assert.equal(diff.commitChanged, true);
+            assert.deepEqual(diff.metrics.analysisScore, { from: 60, to: 75.5, change: 15.5 });
+            assert.deepEqual(diff.metrics.complexity, { from: 'High', to: 'Medium', changed: true });
+            assert.deepEqual(diff.languages, [
+                { language: 'JavaScript', from: 80, to: 70, change: -10 },
+                { language: 'TypeScript', from: 0, to: 10, change: 10 }
+            ]);
+            assert.deepEqual(diff.frameworks, { added: ['React'], removed: [] });
+            assert.deepEqual(diff.vulnerabilities, { introduced: [qs], resolved: [lodash] });
+            assert.deepEqual(diff.recommendations, { added: ['Pin dependencies'], removed: [] });
+        });
+
+        it('orders explicit analyses older to newer and needs two of them', async () => {
+            await recordBoth();
+
+            const diff = await repositoryService.diffAnalyses(octoApp, 'tenant-a', { from: 'job-2', to: 'job-1' });
+
+            assert.equal(diff.from.jobId, 'job-1');
+            assert.equal(diff.to.jobId, 'job-2');
+            assert.equal(await repositoryService.diffAnalyses(octoApp, 'tenant-a', { from: 'job-1', to: 'job-1' }), null);
+            assert.equal(await repositoryService.diffAnalyses(octoApp, 'tenant-a', { from: 'job-missing' }), null);
+        });
+    });
+
+    describe('compareRepositories', () => {
+        it('puts the latest analyses of two repositories side by side', async () => {
+            await recordBoth();
+            await repositoryService.recordAnalysis('job-3', 'tenant-a', analysisResult({
+                name: 'web',
+                score: 50,
+                processedAt: new Date('2026-03-01'),
+                languages: [{ language: 'TypeScript', percent: 100 }],
+                frameworks: ['React', 'Next.js']
+            }));
+
+            const comparison = await repositoryService.compareRepositories(octoApp, { owner: 'octo', name: 'web' }, 'tenant-a');
+
+            assert.equal(comparison.left.jobId, 'job-2');
+            assert.equal(comparison.right.jobId, 'job-3');
+            assert.deepEqual(comparison.metrics.find(row => row.metric === 'analysisScore'), { metric: 'analysisScore', left: 75.5, right: 50, difference: -25.5 });
+            assert.deepEqual(comparison.metrics.find(row => row.metric === 'complexity').difference, null);
+            assert.deepEqual(comparison.frameworks, { shared: ['React'], leftOnly: ['Express'], rightOnly: ['Next.js'] });
+            assert.deepEqual(comparison.languages.find(row => row.language === 'TypeScript'), { language: 'TypeScript', left: 10, right: 100 });
+            assert.equal(await repositoryService.compareRepositories(octoApp, { owner: 'octo', name: 'missing' }, 'tenant-a'), null);
+        });
+    });
+
+    describe('routes', () => {
+        let app;
+
+        before(async () => {
+            app = await startApp('/api/repositories', require('../src/routes/repositories'), apiKey());
+        });
+
+        after(() => app.close());
+
+        it('lists repositories and serves history and diffs', async () => {
+            await recordBoth();
+
+            const list = await app.request('GET', '/');
+            assert.deepEqual(list.body.repositories.map(repository => [repository.host, repository.name, repository.analyses]), [['github.com', 'app', 2]]);
+
+            const history = await app.request('GET', '/octo/app/history');
+            assert.equal(history.status, 200);
+            assert.equal(history.body.analyses.length, 2);
+
+            const diff = await app.request('GET', '/octo/app/diff?host=github.com');
+            assert.equal(diff.body.diff.to.jobId, 'job-2');
+        });
+
+        it('accepts repository URLs to compare and answers 404 without analyses', async () => {
+            await recordBoth();
+
+            const compare = await app.request('GET', '/compare?left=https://github.com/octo/app.git&right=git@github.com:octo/app');
+            assert.equal(compare.status, 200);
+            assert.equal(compare.body.comparison.left.jobId, 'job-2');
+
+            assert.equal((await app.request('GET', '/compare?left=octo')).status, 400);
+            assert.equal((await app.request('GET', '/octo/other/history')).status, 404);
+            assert.match((await app.request('GET', '/octo/other/diff')).body.error, /needs two analyses/);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const { setupTestEnvironment } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const scheduleService = require('../src/services/scheduleService');
+const apiKeyService = require('../src/services/apiKeyService');
+const { getJobStatus } = require('../src/config/agenda');
+
+const TYPES = ['document-summary'];
+const SUMMARY = { name: 'Daily digest', type: 'document-summary', data: { document: 'News of the day.' }, cron: '0 9 * * *' };
+
+describe('scheduleService', () => {
+    describe('getUpcomingRuns', () => {
+        it('follows the schedule\'s timezone across a daylight saving change', () => {
+            const runs = scheduleService.getUpcomingRuns('0 9 * * *', 'America/New_York', 3, new Date('2024-03-09T00:00:00Z'));
+
+            assert.deepEqual(runs.map(run => run.toISOString()), [
+                '2024-03-09T14:00:00.000Z',
+                '2024-03-10T13:00:00.000Z',
+                '2024-03-11T13:00:00.000Z'
+            ]);
+        });
+    });
+
+    describe('validateSchedule', () => {
+        it('accepts a valid definition and returns its next runs', () => {
+            const upcoming = scheduleService.validateSchedule({ ...SUMMARY, timezone: 'Europe/London' }, TYPES);
+
+            assert.equal(upcoming.length, 3);
+            assert.ok(upcoming[0] > new Date());
+        });
+
+        it('rejects invalid cron expressions and timezones', () => {
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, cron: '61 * * * *' }, TYPES), /Invalid cron expression or timezone/);
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, timezone: 'Mars/Olympus_Mons' }, TYPES), /Invalid (cron expression or )?timezone/);
+        });
+
+        it('rejects schedules that run more often than the minimum interval', () => {
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, cron: '*/5 * * * *' }, TYPES), /at most every 15 minutes/);
+            assert.doesNotThrow(() => scheduleService.validateSchedule({ ...SUMMARY, cron: '*/15 * * * *' }, TYPES));
+        });
+
+        it('rejects incomplete definitions', () => {
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, name: '' }, TYPES), /Schedule name is required/);
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, type: 'deep-research' }, TYPES), /Unsupported job type: deep-research/);
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, data: null }, TYPES), /Job data is required/);
+            assert.throws(() => scheduleService.validateSchedule({ ...SUMMARY, cron: undefined }, TYPES), /cron expression is required/);
+        });
+    });
+
+    describe('schedule lifecycle', () => {
+        let database;
+        let key;
+
+        before(async () => {
+            database = await setupTestEnvironment({ agenda: true, rabbitmq: true });
+        });
+
+        beforeEach(async () => {
+            database.reset();
+            key = await apiKeyService.createKey({ name: 'scheduler', scopes: ['submit'], tenantId: 'tenant-a' });
+        });
+
+        const createSchedule = () => scheduleService.createSchedule(SUMMARY, { tenantId: 'tenant-a', keyId: String(key.id) });
+
+        it('creates a recurring trigger and pauses, resumes and deletes it', async () => {
+            const schedule = await createSchedule();
+            const { agenda_job_id: triggerId } = await database.collection('schedules').findOne({});
+
+            const trigger = await getJobStatus(triggerId);
+            assert.equal(trigger.attrs.name, 'run-schedule');
+            assert.equal(trigger.attrs.repeatInterval, '0 9 * * *');
+            assert.deepEqual(schedule.nextRunAt, trigger.attrs.nextRunAt);
+
+            const paused = await scheduleService.pauseSchedule(String(schedule.id), 'tenant-a', 'holiday');
+            assert.equal(paused.status, 'paused');
+            assert.equal(paused.nextRunAt, null);
+            assert.equal((await getJobStatus(triggerId)).attrs.disabled, true);
+
+            const resumed = await scheduleService.resumeSchedule(String(schedule.id), 'tenant-a');
+            assert.equal(resumed.status, 'active');
+            assert.equal((await getJobStatus(triggerId)).attrs.disabled, false);
+
+            assert.equal(await scheduleService.deleteSchedule(String(schedule.id), 'tenant-b'), null);
+            await scheduleService.deleteSchedule(String(schedule.id), 'tenant-a');
+            assert.equal(await getJobStatus(triggerId), null);
+            assert.equal(await database.collection('schedules').countDocuments({}), 0);
+        });
+
+        it('creates a job on behalf of the schedule\'s key on every run', async () => {
+            const schedule = await createSchedule();
+
+            await scheduleService.triggerSchedule(String(schedule.id));
+
+            const { runs, total } = await scheduleService.getRuns(String(schedule.id));
+            assert.equal(total, 1);
+            assert.equal(runs[0].status, 'created');
+            assert.equal(runs[0].jobStatus, 'pending');
+
+            const job = await getJobStatus(runs[0].jobId);
+            assert.equal(job.attrs.data.tenantId, 'tenant-a');
+            assert.equal(job.attrs.data.createdBy, String(key.id));
+            assert.equal((await scheduleService.getSchedule(String(schedule.id))).runCount, 1);
+        });
+
+        it('skips the run and pauses the schedule once its key is revoked', async () => {
+            const schedule = await createSchedule();
+            await apiKeyService.revokeKey(String(key.id));
+
+            await scheduleService.triggerSchedule(String(schedule.id));
+
+            const { runs } = await scheduleService.getRuns(String(schedule.id));
+            assert.equal(runs[0].status, 'skipped');
+            assert.equal(runs[0].jobId, null);
+
+            const paused = await scheduleService.getSchedule(String(schedule.id));
+            assert.equal(paused.status, 'paused');
+            assert.match(paused.pausedReason, /revoked or expired/);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const { setupTestEnvironment, apiKey } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { connectDatabase } = require('../src/config/database');
+const apiKeyService = require('../src/services/apiKeyService');
+const { getTenantId, canAccessTenant, DEFAULT_TENANT } = require('../src/utils/tenancy');
+
+describe('tenancy', () => {
+    let database;
+
+    before(async () => {
+        database = await setupTestEnvironment();
+    });
+
+    beforeEach(() => database.reset());
+
+    it('gives only the bootstrap key access to every tenant', () => {
+        const bootstrap = apiKeyService.bootstrapRecord();
+
+        assert.equal(getTenantId(bootstrap), null);
+        assert.equal(canAccessTenant(getTenantId(bootstrap), 'tenant-b'), true);
+    });
+
+    it('keeps a tenant-bound key to its own tenant', () => {
+        const key = apiKey({ tenantId: 'tenant-a' });
+
+        assert.equal(getTenantId(key), 'tenant-a');
+        assert.equal(canAccessTenant(getTenantId(key), 'tenant-a'), true);
+        assert.equal(canAccessTenant(getTenantId(key), 'tenant-b'), false);
+    });
+
+    it('puts a key without a tenant in the default tenant instead of every tenant', () => {
+        const key = apiKey({ tenantId: null });
+
+        assert.equal(getTenantId(key), DEFAULT_TENANT);
+        assert.equal(canAccessTenant(getTenantId(key), 'tenant-b'), false);
+        assert.equal(getTenantId(undefined), DEFAULT_TENANT);
+    });
+
+    it('moves stored keys without a tenant to the default tenant at startup', async () => {
+        const { key } = await apiKeyService.createKey({ name: 'legacy', scopes: ['admin'] });
+        await database.collection('api_keys').updateOne({ name: 'legacy' }, { $unset: { tenant_id: '' } });
+        await apiKeyService.createKey({ name: 'scoped', tenantId: 'tenant-b' });
+
+        await connectDatabase();
+
+        const verified = await apiKeyService.verifyKey(key);
+        assert.equal(verified.tenantId, DEFAULT_TENANT);
+        assert.equal(getTenantId(verified), DEFAULT_TENANT);
+
+        const scoped = await database.collection('api_keys').findOne({ name: 'scoped' });
+        assert.equal(scoped.tenant_id, 'tenant-b');
+    });
+});
@@ -0,0 +1,124 @@
+const { setupTestEnvironment } = require('./helpers');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const workflowService = require('../src/services/workflowService');
+const { getJobStatus } = require('../src/config/agenda');
+
+const TYPES = ['document-summary', 'document-comparison'];
+const OWNER = { tenantId: 'tenant-a', keyId: 'key-a' };
+
+const summary = (key, extra = {}) => ({ key, type: 'document-summary', data: { document: `Document ${key}.` }, ...extra });
+
+describe('workflowService', () => {
+    describe('validateDefinition', () => {
+        it('returns the nodes with every parent before its children', () => {
+            const sorted = workflowService.validateDefinition({
+                name: 'diamond',
+                jobs: [
+                    summary('report', { dependsOn: ['left', 'right'] }),
+                    summary('left', { dependsOn: ['source'] }),
+                    summary('right', { dependsOn: ['source', 'source'] }),
+                    summary('source')
+                ]
+            }, TYPES);
+
+            const order = sorted.map(node => node.key);
+            assert.equal(order[0], 'source');
+            assert.equal(order[3], 'report');
+            assert.deepEqual(order.slice(1, 3).sort(), ['left', 'right']);
+        });
+
+        it('rejects cycles and names the jobs in them', () => {
+            assert.throws(() => workflowService.validateDefinition({
+                name: 'loop',
+                jobs: [summary('start'), summary('a', { dependsOn: ['start', 'c'] }), summary('b', { dependsOn: ['a'] }), summary('c', { dependsOn: ['b'] })]
+            }, TYPES), { message: 'Workflow has a dependency cycle between: a, b, c' });
+
+            assert.throws(() => workflowService.validateDefinition({
+                name: 'self', jobs: [summary('a', { dependsOn: ['a'] })]
+            }, TYPES), /dependency cycle between: a$/);
+        });
+
+        it('rejects malformed definitions with a message for the client', () => {
+            const invalid = (definition) => () => workflowService.validateDefinition({ name: 'wf', ...definition }, TYPES);
+
+            assert.throws(invalid({ name: '' , jobs: [summary('a')] }), /Workflow name is required/);
+            assert.throws(invalid({ jobs: [] }), /jobs must be a non-empty array/);
+            assert.throws(invalid({ jobs: Array.from({ length: 26 }, (_, index) => summary(`j${index}`)) }), /at most 25 jobs/);
+            assert.throws(invalid({ jobs: [summary('a b')] }), /Every job needs a key/);
+            assert.throws(invalid({ jobs: [summary('a'), summary('a')] }), /Duplicate job key: a/);
+            assert.throws(invalid({ jobs: [{ ...summary('a'), type: 'deep-research' }] }), /Unsupported job type for a: deep-research/);
+            assert.throws(invalid({ jobs: [{ key: 'a', type: 'document-summary' }] }), /Job a needs a data object/);
+            assert.throws(invalid({ jobs: [summary('a', { dependsOn: 'b' })] }), /dependsOn for a must be an array/);
+            assert.throws(invalid({ jobs: [summary('a', { dependsOn: ['b'] })] }), /depends on unknown job key: b/);
+            assert.throws(invalid({
+                jobs: [summary('a'), summary('b'), summary('c', { dependsOn: ['a'], inputMapping: { document: 'b.summary.content' } })]
+            }), /inputMapping.document of c must reference a job key in its dependsOn/);
+        });
+    });
+
+    describe('deriveStatus', () => {
+        it('rolls node statuses up into one workflow status', () => {
+            const status = (...statuses) => workflowService.deriveStatus({ cancelled_at: null }, statuses);
+
+            assert.equal(status('pending', 'pending'), 'pending');
+            assert.equal(status('completed', 'pending'), 'running');
+            assert.equal(status('completed', 'completed'), 'completed');
+            assert.equal(status('failed', 'running'), 'failing');
+            assert.equal(status('failed', 'cancelled'), 'failed');
+            assert.equal(workflowService.deriveStatus({ cancelled_at: new Date() }, ['running']), 'cancelled');
+        });
+    });
+
+    describe('createWorkflow', () => {
+        let database;
+
+        before(async () => {
+            database = await setupTestEnvironment({ agenda: true, rabbitmq: true });
+        });
+
+        beforeEach(() => database.reset());
+
+        it('creates the jobs chained through their dependencies', async () => {
+            const sorted = workflowService.validateDefinition({
+                name: 'chain',
+                jobs: [summary('first'), summary('second', { data: {}, dependsOn: ['first'], inputMapping: { document: 'first.summary.content' } })]
+            }, TYPES);
+
+            const { workflow, jobs } = await workflowService.createWorkflow({ name: 'chain' }, sorted, OWNER);
+
+            assert.deepEqual(workflow.nodes.map(node => [node.key, node.depends_on]), [['first', []], ['second', ['first']]]);
+            const second = await getJobStatus(workflow.nodes[1].job_id);
+            assert.deepEqual(second.attrs.data.dependsOn, [String(jobs[0].id)]);
+            assert.deepEqual(second.attrs.data.inputMapping, { document: `${jobs[0].id}.summary.content` });
+
+            const stored = await workflowService.getWorkflow(String(workflow._id), 'tenant-a');
+            assert.equal(stored.status, 'pending');
+            assert.equal(await workflowService.getWorkflow(String(workflow._id), 'tenant-b'), null);
+        });
+
+        it('cancels the jobs already created when a later one fails', async () => {
+            const sorted = workflowService.validateDefinition({
+                name: 'broken',
+                jobs: [
+                    summary('first'),
+                    summary('second', { dependsOn: ['first'] }),
+                    { key: 'compare', type: 'document-comparison', dependsOn: ['second'], data: { documents: ['only one'] } }
+                ]
+            }, TYPES);
+
+            await assert.rejects(
+                workflowService.createWorkflow({ name: 'broken' }, sorted, OWNER),
+                /At least two documents are required/
+            );
+
+            const created = await database.collection('job_metrics').find({}).toArray();
+            assert.equal(created.length, 2);
+            for (const metric of created) {
+                assert.equal(await getJobStatus(metric.job_id), null);
+            }
+            assert.equal(await database.collection('workflows').countDocuments({}), 0);
+        });
+    });
+});
@@ -13,7 +13,9 @@ import {
     Zap,
     TrendingUp,
     Cpu,
-    FileText
+    FileText,
+    GitCompare,
+    GitPullRequest
 } from 'lucide-react';
 
 const JobHistory = ({ jobs = [], onViewJob, onRetryJob, onDeleteJob }) => {
@@ -48,6 +50,12 @@ const JobHistory = ({ jobs = [], onViewJob, onRetryJob, onDeleteJob }) => {
                 color: 'text-yellow-400',
                 bgColor: 'bg-yellow-500/10'
             },
+            waiting: {
+                badge: 'bg-indigo-500/20 text-indigo-400 border-indigo-500/30',
+                icon: Clock,
+                color: 'text-indigo-400',
+                bgColor: 'bg-indigo-500/10'
+            },
             cancelled: {
                 badge: 'bg-gray-500/20 text-gray-400 border-gray-500/30',
                 icon: XCircle,
@@ -62,7 +70,9 @@ const JobHistory = ({ jobs = [], onViewJob, onRetryJob, onDeleteJob }) => {
         switch (jobType) {
             case 'deep-research': return Cpu;
             case 'github-analysis': return FileText;
+            case 'github-pr-review': return GitPullRequest;
             case 'document-summary': return FileText;
+            case 'document-comparison': return GitCompare;
             default: return Zap;
         }
     };
@@ -71,7 +81,9 @@ const JobHistory = ({ jobs = [], onViewJob, onRetryJob, onDeleteJob }) => {
         switch (jobType) {
             case 'deep-research': return 'from-purple-500 to-pink-500';
             case 'github-analysis': return 'from-blue-500 to-cyan-500';
+            case 'github-pr-review': return 'from-indigo-500 to-blue-500';
             case 'document-summary': return 'from-green-500 to-emerald-500';
+            case 'document-comparison': return 'from-teal-500 to-green-500';
             default: return 'from-gray-500 to-gray-600';
         }
     };
@@ -190,6 +202,7 @@ const JobHistory = ({ jobs = [], onViewJob, onRetryJob, onDeleteJob }) => {
                             <option value="running">Running</option>
                             <option value="failed">Failed</option>
                             <option value="scheduled">Scheduled</option>
+                            <option value="waiting">Waiting on dependencies</option>
                             <option value="cancelled">Cancelled</option>
                         </select>
                     </div>
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import {
+    GitBranch,
+    ChevronDown,
+    ChevronRight,
+    DollarSign,
+    XCircle,
+    CheckCircle,
+    PlayCircle,
+    Clock,
+    Calendar
+} from 'lucide-react';
+
+const STATUS_STYLES = {
+    completed: 'bg-green-500/20 text-green-400 border-green-500/30',
+    running: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
+    failing: 'bg-orange-500/20 text-orange-400 border-orange-500/30',
+    failed: 'bg-red-500/20 text-red-400 border-red-500/30',
+    waiting: 'bg-indigo-500/20 text-indigo-400 border-indigo-500/30',
+    cancelled: 'bg-gray-500/20 text-gray-400 border-gray-500/30',
+    pending: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30'
+};
+
+const STATUS_ICONS = {
+    completed: CheckCircle,
+    running: PlayCircle,
+    failed: XCircle,
+    cancelled: XCircle
+};
+
+const StatusBadge = ({ status }) => {
+    const Icon = STATUS_ICONS[status] || Clock;
+    return (
+        <div className={`flex items-center space-x-2 px-3 py-1 rounded-full border text-xs font-medium ${STATUS_STYLES[status] || STATUS_STYLES.pending}`}>
+            <Icon className="w-3 h-3" />
+            <span>{status?.toUpperCase()}</span>
+        </div>
+    );
+};
+
+const WorkflowList = ({ workflows = [], onViewJob, onCancelWorkflow }) => {
+    const [expanded, setExpanded] = useState({});
+
+    const toggle = (id) => {
+        setExpanded(prev => ({ ...prev, [id]: !prev[id] }));
+    };
+
+    const isActive = (workflow) => ['pending', 'running', 'failing'].includes(workflow.status);
+
+    return (
+        <div className="glass p-8 rounded-3xl relative overflow-hidden">
+            <div className="absolute top-0 right-0 w-64 h-64 bg-gradient-to-br from-purple-500/5 to-pink-500/5 rounded-full blur-3xl" />
+
+            {/* Header */}
+            <div className="flex items-center justify-between mb-8 relative z-10">
+                <div>
+                    <h2 className="text-2xl font-bold text-white mb-2">Workflows</h2>
+                    <div className="text-sm text-gray-400">
+                        {workflows.length} workflows, {workflows.filter(isActive).length} active
+                    </div>
+                </div>
+                <div className="glass-strong px-4 py-2 rounded-xl">
+                    <GitBranch className="w-4 h-4 text-purple-400" />
+                </div>
+            </div>
+
+            <div className="space-y-4 relative z-10">
+                {workflows.length > 0 ? (
+                    workflows.map(workflow => (
+                        <div key={workflow.id} className="minimal-card p-6 rounded-2xl">
+                            <div className="flex items-center justify-between">
+                                <button
+                                    onClick={() => toggle(workflow.id)}
+                                    className="flex items-center space-x-3 text-left flex-1"
+                                >
+                                    {expanded[workflow.id] ? (
+                                        <ChevronDown className="w-4 h-4 text-gray-400" />
+                                    ) : (
+                                        <ChevronRight className="w-4 h-4 text-gray-400" />
+                                    )}
+                                    <div>
+                                        <div className="flex items-center space-x-3 mb-1">
+                                            <h3 className="font-semibold text-white">{workflow.name}</h3>
+                                            <StatusBadge status={workflow.status} />
+                                        </div>
+                                        <div className="flex items-center space-x-6 text-xs text-gray-400">
+                                            <span>{workflow.nodes.length} jobs</span>
+                                            <span>
+                                                {workflow.statusCounts?.completed || 0}/{workflow.nodes.length} completed
+                                            </span>
+                                            <div className="flex items-center space-x-1">
+                                                <Calendar className="w-3 h-3" />
+                                                <span>{new Date(workflow.createdAt).toLocaleString()}</span>
+                                            </div>
+                                        </div>
+                                    </div>
+                                </button>
+
+                                <div className="flex items-center space-x-4 ml-4">
+                                    <div className="text-right">
+                                        <div className="flex items-center space-x-1 text-green-400 text-sm font-medium">
+                                            <DollarSign className="w-3 h-3" />
+                                            <span>${workflow.cost?.costUsd?.toFixed(4) || '0.0000'}</span>
+                                        </div>
+                                        <div className="text-xs text-gray-500">
+                                            est. ${workflow.cost?.estimatedCostUsd?.toFixed(2) || '0.00'}
+                                        </div>
+                                    </div>
+
+                                    {isActive(workflow) && (
+                                        <button
+                                            onClick={() => onCancelWorkflow(workflow.id)}
+                                            className="p-2 glass-strong hover:bg-red-500/20 rounded-xl transition-colors group/btn"
+                                            title="Cancel Workflow"
+                                        >
+                                            <XCircle className="w-4 h-4 text-red-400 group-hover/btn:text-red-300 transition-colors" />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {/* Jobs in dependency order */}
+                            {expanded[workflow.id] && (
+                                <div className="mt-4 space-y-2 pl-7">
+                                    {workflow.nodes.map(node => (
+                                        <button
+                                            key={node.key}
+                                            onClick={() => onViewJob({ id: node.jobId })}
+                                            className="w-full flex items-center justify-between glass-strong px-4 py-3 rounded-xl hover:bg-white/10 transition-colors text-left"
+                                        >
+                                            <div>
+                                                <div className="text-sm text-white font-medium">{node.key}</div>
+                                                <div className="text-xs text-gray-400">
+                                                    {node.type}
+                                                    {node.dependsOn?.length > 0 && ` ← ${node.dependsOn.join(', ')}`}
+                                                </div>
+                                            </div>
+                                            <StatusBadge status={node.status} />
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    ))
+                ) : (
+                    <div className="text-center py-12">
+                        <GitBranch className="w-10 h-10 text-gray-500 mx-auto mb-4" />
+                        <p className="text-gray-400">
+                            No workflows yet - submit one with <code>POST /api/workflows</code>
+                        </p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WorkflowList;
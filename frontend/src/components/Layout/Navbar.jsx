@@ -1,6 +1,39 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Sparkles } from 'lucide-react';
+import { Sparkles, KeyRound } from 'lucide-react';
+import { getApiKey, setApiKey } from '../../services/api';
+
+// The API key is entered here and saved in this browser; reloading reconnects the socket with it
+const ApiKeyField = () => {
+    const [apiKey, setApiKeyValue] = useState(getApiKey());
+
+    const saveApiKey = (event) => {
+        event.preventDefault();
+        setApiKey(apiKey.trim());
+        window.location.reload();
+    };
+
+    return (
+        <form onSubmit={saveApiKey} className="flex items-center space-x-2 w-full sm:w-auto">
+            <KeyRound className="text-gray-400 w-4 h-4 flex-shrink-0" />
+            <input
+                type="password"
+                value={apiKey}
+                onChange={(event) => setApiKeyValue(event.target.value)}
+                placeholder="API key"
+                aria-label="API key"
+                autoComplete="off"
+                className="flex-1 sm:w-48 px-3 py-2 rounded-lg bg-white/5 border border-white/10 text-sm text-white placeholder-gray-500 focus:outline-none focus:border-blue-500"
+            />
+            <button
+                type="submit"
+                className="px-3 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-sm font-semibold text-gray-200 transition-all"
+            >
+                Save
+            </button>
+        </form>
+    );
+};
 
 const Navbar = () => {
     const location = useLocation();
@@ -41,6 +74,8 @@ const Navbar = () => {
                             Dashboard
                         </Link>
                     </div>
+
+                    <ApiKeyField />
                 </div>
             </div>
         </nav>
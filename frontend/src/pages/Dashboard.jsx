@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import MetricsCards from '../components/Dashboard/MetricsCards';
 import JobHistory from '../components/Dashboard/JobHistory';
 import LiveMetrics from '../components/Dashboard/LiveMetrics';
-import { jobsAPI, metricsAPI, healthAPI } from '../services/api';
+import WorkflowList from '../components/Dashboard/WorkflowList';
+import { jobsAPI, metricsAPI, healthAPI, workflowsAPI } from '../services/api';
 import socketService from '../services/socket';
 import {
     BarChart3,
@@ -40,6 +41,16 @@ const loadJobsHelper = async (setJobs) => {
     }
 };
 
+const loadWorkflowsHelper = async (setWorkflows) => {
+    try {
+        const response = await workflowsAPI.getWorkflows({ limit: 20 });
+        setWorkflows(response.data?.workflows || []);
+    } catch (error) {
+        console.error('Error loading workflows:', error);
+        setWorkflows([]);
+    }
+};
+
 const loadMetricsHelper = async (jobs, setMetrics) => {
     try {
         const [costResponse, performanceResponse, dashboardResponse] = await Promise.allSettled([
@@ -114,6 +125,7 @@ const loadSystemHealthHelper = async (setSystemHealth) => {
 
 const Dashboard = () => {
     const [jobs, setJobs] = useState([]);
+    const [workflows, setWorkflows] = useState([]);
     const [metrics, setMetrics] = useState({});
     const [liveData, setLiveData] = useState({});
     const [systemHealth, setSystemHealth] = useState({});
@@ -136,6 +148,7 @@ const Dashboard = () => {
             setRefreshing(true);
             await Promise.all([
                 loadJobsHelper(setJobs),
+                loadWorkflowsHelper(setWorkflows),
                 loadSystemHealthHelper(setSystemHealth)
             ]);
         } catch (error) {
@@ -181,11 +194,13 @@ const Dashboard = () => {
 
         socket.on('job_completed', () => {
             loadJobsHelper(setJobs);
+            loadWorkflowsHelper(setWorkflows);
             loadMetricsHelper(jobs, setMetrics);
         });
 
         socket.on('job_failed', () => {
             loadJobsHelper(setJobs);
+            loadWorkflowsHelper(setWorkflows);
         });
 
         socket.on('system_status', (data) => {
@@ -254,6 +269,20 @@ const Dashboard = () => {
         }
     };
 
+    const handleCancelWorkflow = async (workflowId) => {
+        if (!window.confirm('Cancel every unfinished job in this workflow?')) {
+            return;
+        }
+
+        try {
+            await workflowsAPI.cancelWorkflow(workflowId);
+            loadWorkflowsHelper(setWorkflows);
+            loadJobsHelper(setJobs);
+        } catch (error) {
+            console.error('Error cancelling workflow:', error);
+        }
+    };
+
     const handleRefresh = () => {
         loadDashboardData();
     };
@@ -429,6 +458,20 @@ const Dashboard = () => {
                         </div>
                     </div>
 
+                    {/* Workflows */}
+                    <div className="mt-12">
+                        <div className="relative group">
+                            <div className="absolute -inset-1 bg-gradient-to-r from-purple-500 via-pink-500 to-orange-500 rounded-3xl blur opacity-20 group-hover:opacity-30 transition duration-1000"></div>
+                            <div className="relative">
+                                <WorkflowList
+                                    workflows={workflows}
+                                    onViewJob={handleViewJob}
+                                    onCancelWorkflow={handleCancelWorkflow}
+                                />
+                            </div>
+                        </div>
+                    </div>
+
                     {/* System Health Overview */}
                     <div className="mt-12">
                         <div className="relative group">
@@ -3,6 +3,22 @@ import axios from 'axios';
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://34.68.86.10:8080/api';
 console.log('🌐 API Base URL:', API_BASE_URL);
 
+const API_KEY_STORAGE = 'alchemyst_api_key';
+
+// The API key the user entered, saved in this browser only. Never take it from a
+// REACT_APP_* variable: those are inlined into the public JS bundle
+export const getApiKey = () => {
+    return localStorage.getItem(API_KEY_STORAGE) || '';
+};
+
+export const setApiKey = (apiKey) => {
+    if (apiKey) {
+        localStorage.setItem(API_KEY_STORAGE, apiKey);
+    } else {
+        localStorage.removeItem(API_KEY_STORAGE);
+    }
+};
+
 // Create axios instance with default configuration
 const api = axios.create({
     baseURL: API_BASE_URL,
@@ -15,6 +31,11 @@ const api = axios.create({
 // Request interceptor for logging and authentication
 api.interceptors.request.use(
     (config) => {
+        const apiKey = getApiKey();
+        if (apiKey) {
+            config.headers['X-API-Key'] = apiKey;
+        }
+
         const fullUrl = `${config.baseURL}${config.url}`;
         console.log(`🔄 API Request: ${config.method?.toUpperCase()} ${fullUrl}`);
         console.log('Request config:', {
@@ -48,7 +69,9 @@ api.interceptors.response.use(
         // Handle specific error cases
         if (error.response?.status === 401) {
             // Handle unauthorized access
-            console.warn('Unauthorized access - redirecting to login');
+            console.warn('Unauthorized access - enter a valid API key in the navigation bar');
+        } else if (error.response?.status === 403) {
+            console.warn('API key is missing the scope required for this request');
         } else if (error.response?.status >= 500) {
             // Handle server errors
             console.error('Server error - please try again later');
@@ -100,9 +123,9 @@ export const jobsAPI = {
         return api.get('/jobs/system-status');
     },
 
-    // Clear all jobs (development utility)
-    clearAllJobs: () => {
-        return api.post('/jobs/clear-all');
+    // Clear jobs (admin only) - previews unless called with { dryRun: false, confirm: true }
+    clearAllJobs: (options = {}) => {
+        return api.post('/jobs/clear-all', options);
     },
 
     // Get job types information
@@ -111,8 +134,17 @@ export const jobsAPI = {
     },
 
     // Bulk operations
-    bulkCancelJobs: (jobIds) => {
-        return api.post('/jobs/bulk-cancel', { jobIds });
+    // Pass either a list of job IDs or a filter ({ type, status, from, to })
+    bulkCancelJobs: (jobIds, filter) => {
+        return api.post('/jobs/bulk-cancel', jobIds ? { jobIds } : { filter });
+    },
+
+    bulkRetryJobs: (jobIds, filter) => {
+        return api.post('/jobs/bulk-retry', jobIds ? { jobIds } : { filter });
+    },
+
+    bulkDeleteJobs: (jobIds, filter) => {
+        return api.post('/jobs/bulk-delete', jobIds ? { jobIds } : { filter });
     },
 
     // Get job logs
@@ -121,6 +153,61 @@ export const jobsAPI = {
     }
 };
 
+// Workflow (multi-job DAG) API endpoints
+export const workflowsAPI = {
+    // Submit a workflow: { name, description, jobs: [{ key, type, data, dependsOn, inputMapping }] }
+    createWorkflow: (workflow) => {
+        return api.post('/workflows', workflow);
+    },
+
+    getWorkflows: (params = {}) => {
+        return api.get('/workflows', { params });
+    },
+
+    // Get a workflow with per-job status and cost roll-up
+    getWorkflow: (id) => {
+        return api.get(`/workflows/${id}`);
+    },
+
+    // Cancel every unfinished job in the workflow
+    cancelWorkflow: (id) => {
+        return api.delete(`/workflows/${id}`);
+    }
+};
+
+// Recurring job schedules
+export const schedulesAPI = {
+    // Create a schedule: { name, type, data, cron, timezone }
+    createSchedule: (schedule) => {
+        return api.post('/schedules', schedule);
+    },
+
+    getSchedules: (params = {}) => {
+        return api.get('/schedules', { params });
+    },
+
+    getSchedule: (id) => {
+        return api.get(`/schedules/${id}`);
+    },
+
+    // Run history, linking each occurrence to the job it created
+    getScheduleRuns: (id, params = {}) => {
+        return api.get(`/schedules/${id}/runs`, { params });
+    },
+
+    pauseSchedule: (id) => {
+        return api.post(`/schedules/${id}/pause`);
+    },
+
+    resumeSchedule: (id) => {
+        return api.post(`/schedules/${id}/resume`);
+    },
+
+    deleteSchedule: (id) => {
+        return api.delete(`/schedules/${id}`);
+    }
+};
+
 // Metrics and Analytics API endpoints
 export const metricsAPI = {
     // Get concurrency metrics
@@ -220,6 +307,14 @@ export const researchAPI = {
         });
     },
 
+    // Create pull request review job: { pullRequest, options?: { postReview, focus } }
+    createPullRequestReview: (data) => {
+        return api.post('/jobs', {
+            type: 'github-pr-review',
+            data
+        });
+    },
+
     // Create document summary job
     createDocumentSummary: (data) => {
         return api.post('/jobs', {
@@ -228,6 +323,14 @@ export const researchAPI = {
         });
     },
 
+    // Create document comparison job: { documents: [...], criteria?: [...] }
+    createDocumentComparison: (data) => {
+        return api.post('/jobs', {
+            type: 'document-comparison',
+            data
+        });
+    },
+
     // Get research templates
     getResearchTemplates: () => {
         return api.get('/research/templates');
@@ -260,6 +363,11 @@ export const fileAPI = {
         });
     },
 
+    // List uploaded files
+    getFiles: (params = {}) => {
+        return api.get('/files', { params });
+    },
+
     // Get file status
     getFileStatus: (fileId) => {
         return api.get(`/files/${fileId}/status`);
@@ -297,7 +405,50 @@ export const userAPI = {
 
     // Get API key information
     getApiKeyInfo: () => {
-        return api.get('/user/api-key');
+        return api.get('/keys/me');
+    },
+
+    // Get budget and concurrency usage for the current API key
+    getApiKeyUsage: () => {
+        return api.get('/keys/me/usage');
+    }
+};
+
+// Repository analysis history (github-analysis results over time)
+export const repositoriesAPI = {
+    getRepositories: (params = {}) => {
+        return api.get('/repositories', { params });
+    },
+
+    // Scores and statistics over time (host, analysisType, limit)
+    getRepositoryHistory: (owner, name, params = {}) => {
+        return api.get(`/repositories/${owner}/${name}/history`, { params });
+    },
+
+    // Changes between two analyses - the latest two unless from/to job IDs are given
+    diffRepositoryAnalyses: (owner, name, params = {}) => {
+        return api.get(`/repositories/${owner}/${name}/diff`, { params });
+    },
+
+    // Latest analyses of two repositories ("owner/name") side by side
+    compareRepositories: (left, right) => {
+        return api.get('/repositories/compare', { params: { left, right } });
+    }
+};
+
+// Audit log API endpoints (admin keys only)
+export const auditAPI = {
+    // Query audit events (from, to, actor, action, jobId, limit, skip)
+    getEvents: (params = {}) => {
+        return api.get('/audit', { params });
+    },
+
+    // Export matching audit events as NDJSON
+    exportEvents: (params = {}) => {
+        return api.get('/audit/export', {
+            params,
+            responseType: 'blob'
+        });
     }
 };
 
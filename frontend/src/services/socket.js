@@ -1,4 +1,5 @@
 import { io } from 'socket.io-client';
+import { getApiKey } from './api';
 
 const SOCKET_URL = process.env.REACT_APP_API_URL?.replace('/api', '') || 'http://34.68.86.10:8080';
 
@@ -13,7 +14,8 @@ class SocketService {
             transports: ['polling', 'websocket'],
             forceNew: true,
             reconnection: true,
-            timeout: 20000
+            timeout: 20000,
+            auth: { apiKey: getApiKey() }
         });
 
         this.socket.on('connect', () => {